@@ -0,0 +1,34 @@
+/**
+ * Doris 集群状态工具
+ * 用于通过MCP获取集群FE/BE节点状态
+ */
+
+const { getSharedCluster } = require('../src/index');
+
+/**
+ * 获取集群状态信息
+ * @param {Object} params - 参数对象
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @returns {Promise<Object>} - 集群状态
+ */
+module.exports = async function dorisClusterStatus(params = {}) {
+  try {
+    const { manager } = await getSharedCluster(params.cluster);
+    const status = await manager.getClusterStatus();
+    
+    const frontends = status.frontends || [];
+    const backends = status.backends || [];
+    
+    return {
+      success: true,
+      data: status,
+      message: `集群共 ${frontends.length} 个FE节点、${backends.length} 个BE节点`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `获取集群状态失败: ${error.message}`
+    };
+  }
+};
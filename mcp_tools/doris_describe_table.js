@@ -0,0 +1,69 @@
+/**
+ * Doris 表结构工具
+ * 用于通过MCP获取表结构信息，包括数据模型、键列、分区、分桶、副本数与表属性
+ */
+
+const { getSharedCluster } = require('../src/index');
+
+/**
+ * 生成表结构摘要，例如：表 db.t：UNIQUE KEY(id)，5 个字段，RANGE 分区(dt) 12 个，HASH(id) 分桶 10，3 副本
+ * @param {Object} info - getTableInfo 返回的表元数据
+ * @returns {string} 摘要
+ */
+function summarize(info) {
+  const name = `${info.database}.${info.table}`;
+  if (info.kind === 'view') {
+    return `${name} 是视图`;
+  }
+
+  const parts = [];
+  if (info.keysType) {
+    parts.push(`${info.keysType} KEY(${info.keys.join(', ')})`);
+  }
+  parts.push(`${info.columns.length} 个字段`);
+  if (info.partition) {
+    const auto = info.partition.auto ? '自动' : '';
+    parts.push(`${auto}${info.partition.type} 分区(${info.partition.columns.join(', ')}) ${info.partition.partitions.length} 个`);
+  }
+  if (info.distribution) {
+    const columns = info.distribution.columns.length > 0 ? `(${info.distribution.columns.join(', ')})` : '';
+    parts.push(`${info.distribution.type}${columns} 分桶 ${info.distribution.buckets}`);
+  }
+  if (info.replication) {
+    parts.push(`${info.replication.num} 副本`);
+  }
+  return `表 ${name}：${parts.join('，')}`;
+}
+
+/**
+ * 获取表结构信息
+ * @param {Object} params - 参数对象
+ * @param {string} params.database - 数据库名称
+ * @param {string} params.table - 表名称
+ * @param {boolean} [params.includeDdl] - 可选: 是否返回原始建表语句
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @returns {Promise<Object>} - 表结构信息
+ */
+module.exports = async function dorisDescribeTable(params) {
+  try {
+    const { database, table, includeDdl } = params;
+
+    // 复用共享的客户端连接池
+    const { client } = await getSharedCluster(params.cluster);
+
+    const info = await client.getTableInfo(database, table);
+    const { ddl, ...data } = info;
+
+    return {
+      success: true,
+      data: includeDdl ? info : data,
+      message: summarize(info)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `获取表结构失败: ${error.message}`
+    };
+  }
+};
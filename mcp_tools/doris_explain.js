@@ -0,0 +1,65 @@
+/**
+ * Doris 执行计划工具
+ * 用于通过MCP在执行 SQL 之前查看其执行计划
+ */
+
+const { getSharedCluster } = require('../src/index');
+const { renderPlan, walkPlan } = require('../src/lib/plan');
+
+/**
+ * 获取语句的执行计划
+ * @param {Object} params - 参数对象
+ * @param {string} params.sql - 要分析的SQL语句（不需要加 EXPLAIN），可使用 ? 占位符
+ * @param {Array} [params.params] - 可选: 按顺序绑定到 ? 占位符的参数
+ * @param {string} [params.database] - 可选: 指定要在哪个数据库上分析
+ * @param {boolean} [params.verbose] - 可选: 是否使用 EXPLAIN VERBOSE
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @param {Object} [context] - 调用上下文
+ * @param {AbortSignal} [context.signal] - 客户端取消请求时中止
+ * @returns {Promise<Object>} - 执行计划
+ */
+module.exports = async function dorisExplain(params, context = {}) {
+  try {
+    const { sql, database, verbose } = params;
+
+    // 复用共享的客户端连接池
+    const { client } = await getSharedCluster(params.cluster);
+
+    const plan = await client.explain(sql, { verbose, params: params.params, database, signal: context.signal });
+
+    let operators = 0;
+    const joins = [];
+    plan.fragments.forEach(fragment => walkPlan(fragment.root, node => {
+      operators++;
+      if (node.joinType) {
+        joins.push(node.joinDistribution ? `${node.joinType}(${node.joinDistribution})` : node.joinType);
+      }
+    }));
+    const scans = plan.scans.map(scan => {
+      const partitions = scan.partitions ? `，分区 ${scan.partitions.selected}/${scan.partitions.total}` : '';
+      const tablets = scan.tablets ? `，tablet ${scan.tablets.selected}/${scan.tablets.total}` : '';
+      return `${scan.table}${partitions}${tablets}`;
+    });
+
+    let message = `执行计划包含 ${plan.fragments.length} 个 Fragment、${operators} 个算子`;
+    if (scans.length > 0) message += `；扫描 ${scans.join('；')}`;
+    if (joins.length > 0) message += `；Join: ${joins.join(', ')}`;
+
+    return {
+      success: true,
+      data: {
+        // 文本树便于阅读，fragments 与 scans 便于逐项检查
+        tree: renderPlan(plan),
+        scans: plan.scans,
+        fragments: plan.fragments
+      },
+      message
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `获取执行计划失败: ${error.message}`
+    };
+  }
+};
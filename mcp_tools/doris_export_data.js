@@ -0,0 +1,78 @@
+/**
+ * Doris 数据导出工具
+ * 用于通过MCP将查询结果导出到文件
+ */
+
+const { getSharedCluster } = require('../src/index');
+const { resolveExportPath } = require('../src/lib/exporter');
+
+/**
+ * 执行查询并将结果导出到文件
+ * 输出文件只能位于 config.json 的 export.outputDir 目录内，默认不覆盖已存在的文件；
+ * 执行时间受 query.timeout 限制，超时或客户端取消请求时终止导出并删除未写完的文件
+ * @param {Object} params - 参数对象
+ * @param {string} params.sql - 查询SQL，可使用 ? 占位符
+ * @param {Array} [params.params] - 可选: 按顺序绑定到 ? 占位符的参数
+ * @param {string} params.outputFile - 输出文件路径，相对于导出目录
+ * @param {boolean} [params.overwrite] - 可选: 是否覆盖已存在的文件，默认不覆盖
+ * @param {string} [params.format] - 可选: 导出格式 csv/tsv/jsonl/json/parquet，默认按扩展名推断
+ * @param {string} [params.separator] - 可选: 列分隔符，CSV 默认逗号，TSV 默认制表符
+ * @param {boolean} [params.includeHeader] - 可选: 是否包含表头，默认包含
+ * @param {boolean} [params.gzip] - 可选: 是否 gzip 压缩，默认按 .gz 扩展名判断
+ * @param {string} [params.nullValue] - 可选: CSV/TSV 中 NULL 的表示
+ * @param {string} [params.dateFormat] - 可选: 日期格式 datetime/iso/epoch
+ * @param {string} [params.database] - 可选: 在指定数据库的会话中执行
+ * @param {number} [params.timeout] - 可选: 超时时间(毫秒)，不超过配置上限
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @param {Object} [context] - 调用上下文
+ * @param {AbortSignal} [context.signal] - 客户端取消请求时中止导出
+ * @returns {Promise<Object>} - 导出结果
+ */
+module.exports = async function dorisExportData(params, context = {}) {
+  try {
+    const { sql, format, separator, includeHeader, gzip, nullValue, dateFormat, database } = params;
+    
+    // 复用共享的客户端连接池
+    const { client, config } = await getSharedCluster(params.cluster);
+    
+    // 只允许写入导出目录，避免覆盖任意文件
+    const outputFile = await resolveExportPath(params.outputFile, config.export.outputDir, {
+      overwrite: params.overwrite === true
+    });
+    
+    // 调用方指定的超时不能超过配置上限，配置为 0 时不限制
+    const limit = config.query.timeout;
+    const timeout = params.timeout > 0 && !(limit > 0 && params.timeout > limit) ? params.timeout : limit;
+    
+    const result = await client.exportToFile(sql, outputFile, {
+      params: params.params,
+      database,
+      timeout,
+      memLimit: config.query.memLimit,
+      signal: context.signal,
+      format,
+      separator,
+      includeHeader: includeHeader !== false,
+      gzip,
+      nullValue,
+      dateFormat
+    });
+    
+    return {
+      success: true,
+      data: {
+        file: result.file,
+        format: result.format,
+        gzip: result.gzip,
+        rowCount: result.rowCount
+      },
+      message: result.message
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `导出数据失败: ${error.message}`
+    };
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Doris 集群健康检查工具
+ * 用于通过MCP检查FE/BE存活、磁盘使用率、Tablet与副本健康、失败的导入和时钟偏差
+ */
+
+const { getSharedCluster } = require('../src/index');
+
+/**
+ * 检查集群健康状况
+ * @param {Object} params - 参数对象
+ * @param {number} [params.disk_warn] - 可选: BE 磁盘使用率告警阈值(%)
+ * @param {number} [params.disk_fail] - 可选: BE 磁盘使用率失败阈值(%)
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @returns {Promise<Object>} - 健康检查报告
+ */
+module.exports = async function dorisHealthCheck(params = {}) {
+  try {
+    const { manager, policy } = await getSharedCluster(params.cluster);
+    
+    const thresholds = {};
+    if (params.disk_warn !== undefined) thresholds.diskWarn = params.disk_warn;
+    if (params.disk_fail !== undefined) thresholds.diskFail = params.disk_fail;
+    // 失败导入的明细只包含安全策略允许访问的数据库
+    const report = await manager.checkHealth({ thresholds, policy });
+    
+    // 只在消息中列出未通过的检查项
+    const problems = report.checks
+      .filter(check => check.status !== 'pass')
+      .map(check => `[${check.status}] ${check.message}`);
+    
+    return {
+      success: true,
+      data: report,
+      message: problems.length > 0
+        ? `集群健康检查结论为 ${report.status}：${problems.join('；')}`
+        : `集群健康检查全部通过（${report.checks.length} 项）`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `集群健康检查失败: ${error.message}`
+    };
+  }
+};
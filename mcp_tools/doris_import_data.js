@@ -0,0 +1,59 @@
+/**
+ * Doris 数据导入工具
+ * 用于通过MCP将文件数据导入到Doris表
+ */
+
+const { getSharedCluster } = require('../src/index');
+const { resolveImportPath } = require('../src/lib/streamload');
+
+/**
+ * 从文件导入数据到指定表
+ * 本地文件使用 Stream Load 同步导入，返回 Stream Load 的结果统计；
+ * 本地文件只能位于 config.json 的 import.inputDir 目录内，远程路径（如 s3://）使用 Broker Load
+ * @param {Object} params - 参数对象
+ * @param {string} params.file - 要导入的文件路径，本地文件相对于导入目录
+ * @param {string} params.database - 目标数据库
+ * @param {string} params.table - 目标表
+ * @param {string} [params.format] - 可选: 文件格式，例如CSV、JSON等
+ * @param {string} [params.separator] - 可选: 列分隔符，针对CSV格式
+ * @param {string} [params.columns] - 可选: 列映射，逗号分隔
+ * @param {string} [params.where] - 可选: 过滤条件
+ * @param {number} [params.maxFilterRatio] - 可选: 允许过滤的最大比例
+ * @param {string} [params.label] - 可选: 导入标签
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @returns {Promise<Object>} - 导入结果
+ */
+module.exports = async function dorisImportData(params) {
+  try {
+    const { file, database, table, format, separator, columns, where, maxFilterRatio, label } = params;
+    
+    // 复用共享的客户端连接池
+    const { client, config } = await getSharedCluster(params.cluster);
+    
+    // 只允许读取导入目录中的本地文件，避免把服务器上的任意文件导入表中；file:// 也按本地文件处理
+    const isRemote = /^[a-z][a-z0-9+.-]*:\/\//i.test(file) && !/^file:/i.test(file);
+    const filePath = isRemote ? file : await resolveImportPath(file, config.import.inputDir);
+    
+    const result = await client.importFromFile(database, table, filePath, {
+      format,
+      columnSeparator: separator,
+      columns,
+      where,
+      maxFilterRatio,
+      label
+    });
+    
+    return {
+      success: result.success,
+      // Stream Load 返回导入统计，Broker Load 返回可用于 doris_load_status 查询的标签
+      data: result.result && result.result.Status ? result.result : { label: result.label },
+      message: result.message
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `导入数据失败: ${error.message}`
+    };
+  }
+};
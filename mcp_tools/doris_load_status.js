@@ -0,0 +1,61 @@
+/**
+ * Doris 导入任务状态工具
+ * 用于通过MCP查看异步导入任务（Broker Load 等）的状态
+ */
+
+const { getSharedCluster } = require('../src/index');
+
+/**
+ * 查询导入任务状态
+ * @param {Object} params - 参数对象
+ * @param {string} params.database - 数据库名称
+ * @param {string} [params.label] - 可选: 导入标签，不指定时列出最近的导入任务
+ * @param {string} [params.state] - 可选: 按状态过滤
+ * @param {number} [params.limit] - 可选: 列出的任务数，默认 20
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @returns {Promise<Object>} - 导入任务信息
+ */
+module.exports = async function dorisLoadStatus(params) {
+  try {
+    const { database, label, state, limit } = params;
+    
+    // 复用共享的客户端连接池
+    const { client } = await getSharedCluster(params.cluster);
+    
+    if (label) {
+      const load = await client.getLoad(label, database);
+      if (!load) {
+        return {
+          success: false,
+          error: `导入任务不存在: ${database}.${label}`,
+          message: `未找到标签为 ${label} 的导入任务`
+        };
+      }
+      
+      let message = `导入任务 ${label} 状态: ${load.state}`;
+      if (load.progress) message += `，进度: ${load.progress}`;
+      if (load.errorMsg) message += `，错误: ${load.errorMsg}`;
+      if (load.url) message += `，错误详情: ${load.url}`;
+      
+      return {
+        success: true,
+        data: load,
+        message
+      };
+    }
+    
+    const loads = await client.listLoads(database, { state, limit });
+    
+    return {
+      success: true,
+      data: loads,
+      message: `数据库 ${database} 中最近 ${loads.length} 个导入任务`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `获取导入任务状态失败: ${error.message}`
+    };
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * Doris 监控指标工具
+ * 用于通过MCP获取FE/BE的QPS、查询延迟、内存、Compaction Score、导入行数等关键指标
+ */
+
+const { getSharedCluster } = require('../src/index');
+
+// 按名称过滤时最多返回的原始样本数
+const MAX_SAMPLES = 200;
+
+/**
+ * 获取监控指标汇总
+ * @param {Object} params - 参数对象
+ * @param {string} [params.filter] - 可选: 同时返回名称匹配的原始指标，可使用 * 通配符
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @returns {Promise<Object>} - 指标汇总
+ */
+module.exports = async function dorisMetrics(params = {}) {
+  try {
+    const { manager } = await getSharedCluster(params.cluster);
+    const snapshot = await manager.getMetrics({ filter: params.filter });
+    
+    // 原始样本数量很多，默认只返回汇总
+    const data = {
+      time: snapshot.time,
+      cluster: snapshot.cluster,
+      fe: { summary: snapshot.fe.summary, error: snapshot.fe.error },
+      backends: snapshot.backends.map(({ samples, ...be }) => be)
+    };
+    if (params.filter) {
+      const samples = snapshot.fe.samples.map(sample => ({ source: 'fe', ...sample }))
+        .concat(...snapshot.backends.map(be => be.samples.map(sample => ({ source: `${be.host}:${be.port}`, ...sample }))));
+      data.samples = samples.slice(0, MAX_SAMPLES);
+      data.truncated = samples.length > MAX_SAMPLES;
+    }
+    
+    const { cluster } = snapshot;
+    const known = value => (value === null || value === undefined ? '未知' : value);
+    const failed = [snapshot.fe, ...snapshot.backends].filter(node => node.error).length;
+    const p99 = cluster.queryLatency.p99;
+    let message = `QPS ${known(cluster.qps)}，查询延迟 P99 ${p99 === null || p99 === undefined ? '未知' : `${p99}ms`}，` +
+      `已采集 ${cluster.backends} 个 BE，最大 Compaction Score ${known(cluster.maxCompactionScore)}`;
+    if (failed > 0) {
+      message += `；${failed} 个节点获取指标失败`;
+    }
+    
+    return {
+      success: true,
+      data,
+      message
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `获取监控指标失败: ${error.message}`
+    };
+  }
+};
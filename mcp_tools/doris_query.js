@@ -3,42 +3,65 @@
  * 用于通过MCP执行SQL查询
  */
 
-const { DorisClient } = require('../src/index');
-const { loadConfig } = require('../src/utils/helpers');
+const { getSharedCluster } = require('../src/index');
+const { pageQuery } = require('../src/lib/paging');
 
 /**
  * 执行SQL查询并返回结果
+ * 结果受 config.json 中 query.maxRows / query.maxBytes 限制，超出部分通过 nextCursor 翻页获取；
+ * 执行时间受 query.timeout 限制，超时或客户端取消请求时终止查询
  * @param {Object} params - 参数对象
- * @param {string} params.sql - 要执行的SQL查询语句
+ * @param {string} params.sql - 要执行的SQL查询语句，可使用 ? 占位符
+ * @param {Array} [params.params] - 可选: 按顺序绑定到 ? 占位符的参数
  * @param {string} [params.database] - 可选: 指定要在哪个数据库上执行查询
+ * @param {string} [params.cursor] - 可选: 上一次调用返回的 nextCursor，用于获取下一页
+ * @param {number} [params.maxRows] - 可选: 本次最多返回的行数，不超过配置上限
+ * @param {boolean} [params.includeTotal] - 可选: 是否统计总行数
+ * @param {number} [params.timeout] - 可选: 超时时间(毫秒)，不超过配置上限
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @param {Object} [context] - 调用上下文
+ * @param {AbortSignal} [context.signal] - 客户端取消请求时中止查询
  * @returns {Promise<Object>} - 查询结果
  */
-module.exports = async function dorisQuery(params) {
+module.exports = async function dorisQuery(params, context = {}) {
   try {
-    const { sql, database } = params;
+    const { sql, database, cursor, maxRows, includeTotal } = params;
     
-    // 加载配置
-    const config = await loadConfig();
+    // 复用共享的客户端连接池，指定数据库时使用该数据库的会话
+    const { client, config } = await getSharedCluster(params.cluster);
     
-    // 创建Doris客户端
-    const client = new DorisClient({
-      ...config.doris,
-      ...(database ? { database } : {})
-    });
-    
-    // 连接到Doris
-    await client.connect();
+    // 调用方指定的超时不能超过配置上限，配置为 0 时不限制
+    const limit = config.query.timeout;
+    const timeout = params.timeout > 0 && !(limit > 0 && params.timeout > limit) ? params.timeout : limit;
     
-    // 执行查询
-    const result = await client.query(sql);
+    // 分页执行查询
+    const result = await pageQuery(client, sql, {
+      params: params.params,
+      database,
+      cursor,
+      maxRows,
+      includeTotal,
+      limits: config.query,
+      timeout,
+      memLimit: config.query.memLimit,
+      signal: context.signal
+    });
+    const { pagination } = result;
     
-    // 断开连接
-    await client.disconnect();
+    let message = `查询成功，返回 ${pagination.returned} 条记录`;
+    if (pagination.truncated) {
+      const reason = pagination.truncatedBy === 'maxBytes' ? '超出字节上限' : '超出行数上限';
+      message += `（结果已截断: ${reason}，可将 nextCursor 作为 cursor 参数再次调用获取下一页）`;
+    }
+    if (pagination.totalRows !== null) {
+      message += `，共 ${pagination.totalRows} 条`;
+    }
     
     return {
       success: true,
       data: result.rows,
-      message: `查询成功，返回 ${result.rows.length} 条记录`
+      pagination,
+      message
     };
   } catch (error) {
     return {
@@ -47,4 +70,4 @@ module.exports = async function dorisQuery(params) {
       message: `查询失败: ${error.message}`
     };
   }
-};
\ No newline at end of file
+};
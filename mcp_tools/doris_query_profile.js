@@ -0,0 +1,70 @@
+/**
+ * Doris 查询 Profile 工具
+ * 用于通过MCP分析查询的耗时热点与实例间倾斜
+ */
+
+const { getSharedCluster } = require('../src/index');
+const { formatDuration } = require('../src/lib/profile');
+
+/**
+ * 获取并分析查询 Profile
+ * 提供 query_id 时分析已执行的查询；提供 sql 时开启 enable_profile 执行该语句后再分析
+ * @param {Object} params - 参数对象
+ * @param {string} [params.query_id] - 可选: 查询ID
+ * @param {string} [params.sql] - 可选: 要执行并分析的SQL语句，可使用 ? 占位符
+ * @param {Array} [params.params] - 可选: 按顺序绑定到 ? 占位符的参数
+ * @param {string} [params.database] - 可选: 执行 sql 时使用的数据库
+ * @param {number} [params.timeout] - 可选: 执行 sql 的超时时间(毫秒)，不超过配置上限
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @param {Object} [context] - 调用上下文
+ * @param {AbortSignal} [context.signal] - 客户端取消请求时中止语句
+ * @returns {Promise<Object>} - 热点报告
+ */
+module.exports = async function dorisQueryProfile(params, context = {}) {
+  try {
+    const { query_id: queryId, sql, database } = params;
+    if (!queryId && !sql) {
+      throw new Error('请提供 query_id 或 sql');
+    }
+
+    // 复用共享的客户端连接池
+    const { manager, config } = await getSharedCluster(params.cluster);
+
+    // 调用方指定的超时不能超过配置上限，配置为 0 时不限制
+    const limit = config.query.timeout;
+    const timeout = params.timeout > 0 && !(limit > 0 && params.timeout > limit) ? params.timeout : limit;
+
+    const report = sql
+      ? await manager.profileQuery(sql, {
+        params: params.params,
+        database,
+        timeout,
+        memLimit: config.query.memLimit,
+        signal: context.signal
+      })
+      : await manager.getQueryProfile(queryId, { wait: 5000 });
+    // 原始文本与全部算子明细过长，只返回汇总
+    const { text, operators, ...data } = report;
+
+    let message = `查询 ${report.queryId} 总耗时 ${formatDuration(report.totalTime) || '未知'}`;
+    const [top] = report.topOperators;
+    if (top) {
+      message += `；耗时最多的算子为 Fragment ${top.fragment} 的 ${top.name} (id=${top.id})，最长 ${formatDuration(top.time.max)}`;
+    }
+    message += report.skewed.length > 0
+      ? `；${report.skewed.length} 个算子存在实例间耗时不均衡`
+      : '；未发现实例间耗时明显不均衡';
+
+    return {
+      success: true,
+      data: { ...data, operatorCount: operators.length },
+      message
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `获取查询 Profile 失败: ${error.message}`
+    };
+  }
+};
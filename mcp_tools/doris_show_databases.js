@@ -0,0 +1,34 @@
+/**
+ * Doris 数据库列表工具
+ * 用于通过MCP获取所有数据库
+ */
+
+const { getSharedCluster } = require('../src/index');
+
+/**
+ * 获取所有数据库列表
+ * @param {Object} params - 参数对象
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @returns {Promise<Object>} - 数据库列表
+ */
+module.exports = async function dorisShowDatabases(params = {}) {
+  try {
+    // 复用共享的客户端连接池
+    const { client, policy } = await getSharedCluster(params.cluster);
+    
+    // 只返回安全策略允许访问的数据库
+    const databases = (await client.getDatabases()).filter(db => policy.isDatabaseAllowed(db));
+    
+    return {
+      success: true,
+      data: databases,
+      message: `共 ${databases.length} 个数据库`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `获取数据库列表失败: ${error.message}`
+    };
+  }
+};
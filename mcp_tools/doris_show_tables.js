@@ -0,0 +1,36 @@
+/**
+ * Doris 表列表工具
+ * 用于通过MCP获取指定数据库中的所有表
+ */
+
+const { getSharedCluster } = require('../src/index');
+
+/**
+ * 获取指定数据库中的所有表
+ * @param {Object} params - 参数对象
+ * @param {string} params.database - 数据库名称
+ * @param {string} [params.cluster] - 可选: 目标集群
+ * @returns {Promise<Object>} - 表列表
+ */
+module.exports = async function dorisShowTables(params) {
+  try {
+    const { database } = params;
+    
+    // 复用共享的客户端连接池
+    const { client } = await getSharedCluster(params.cluster);
+    
+    const tables = await client.getTables(database);
+    
+    return {
+      success: true,
+      data: tables,
+      message: `数据库 ${database} 中共 ${tables.length} 张表`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      message: `获取表列表失败: ${error.message}`
+    };
+  }
+};
@@ -3,62 +3,328 @@
 /**
  * Doris CLI 工具入口
  */
-const { program } = require('commander');
+const { program, InvalidArgumentError } = require('commander');
 const inquirer = require('inquirer');
 const ora = require('ora');
 const chalk = require('chalk');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { Readable } = require('stream');
 
-const { loadConfig, formatTable } = require('../utils/helpers');
+const { formatBytes } = require('../utils/helpers');
+const { getShared, closeShared } = require('../lib/shared');
+const { loadConfig, saveProfile, findConfigFile } = require('../lib/config');
+const { Keystore, KEYSTORE_PASSWORD_ENV } = require('../lib/keystore');
+const { renderPlan } = require('../lib/plan');
+const { writeRowStream } = require('../lib/exporter');
+const { formatDuration, parseBytes } = require('../lib/profile');
+const { counterRates } = require('../lib/metrics');
+const { runWithAuditContext, setDefaultAuditContext } = require('../lib/audit');
+const { StatementType } = require('../utils/sql');
+const { MASK } = require('../lib/security');
 const DorisClient = require('../lib/client');
-const DorisManager = require('../lib/manager');
+const { Shell } = require('./shell');
+const { Output, FORMATS } = require('./output');
 
 let config;
 let client;
 let manager;
+// 当前命令的输出，格式由全局选项 --format 决定
+let output = new Output();
+
+// 审计日志中把 CLI 执行的语句记为 cli 来源，交互式终端另行标记为 shell
+setDefaultAuditContext({ source: 'cli' });
+
+/**
+ * 解析整数类型的命令行参数
+ */
+function parseInteger(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed)) {
+    throw new InvalidArgumentError(`应为整数: ${value}`);
+  }
+  return parsed;
+}
+
+/**
+ * 解析容量类型的命令行参数，例如 1073741824、512MB、2GB
+ */
+function parseSize(value) {
+  if (!/^\d+(\.\d+)?\s*(B|KB|MB|GB|TB)?$/i.test(String(value).trim())) {
+    throw new InvalidArgumentError(`应为字节数或带单位的容量（如 512MB、2GB）: ${value}`);
+  }
+  return parseBytes(value);
+}
+
+/**
+ * 解析输出格式参数
+ */
+function parseFormat(value) {
+  if (!FORMATS.includes(value)) {
+    throw new InvalidArgumentError(`可选: ${FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * 将全局命令行参数转换为最高优先级的配置覆盖项
+ */
+function configOverrides(options) {
+  return {
+    doris: {
+      host: options.host,
+      port: options.port,
+      user: options.user,
+      password: options.password,
+      database: options.database
+    },
+    fe: {
+      host: options.host,
+      httpPort: options.httpPort
+    }
+  };
+}
+
+/**
+ * 连接地址的显示文本，配置了多个 FE 时列出全部地址
+ */
+function formatAddress(dorisConfig) {
+  if (Array.isArray(dorisConfig.hosts) && dorisConfig.hosts.length > 0) {
+    return dorisConfig.hosts.join(',');
+  }
+  return `${dorisConfig.host}:${dorisConfig.port}`;
+}
+
+/**
+ * 空值显示为 -
+ */
+function orDash(value) {
+  return value === null || value === '' ? '-' : value;
+}
+
+/**
+ * 导入导出任务状态的显示文本：完成为绿色，取消为红色
+ */
+function colorState(state) {
+  if (state === 'FINISHED') return chalk.green(state);
+  if (state === 'CANCELLED') return chalk.red(state);
+  return state;
+}
 
 /**
  * 初始化配置和客户端
  */
 async function init() {
   try {
-    config = await loadConfig();
-    client = new DorisClient(config.doris);
-    manager = new DorisManager(config);
+    const options = program.opts();
+    // 与 MCP 服务器相同，整个进程共享一个连接池
+    ({ config, client, manager } = await getShared({
+      configPath: options.config,
+      profile: options.profile,
+      overrides: configOverrides(options)
+    }));
     return true;
   } catch (error) {
     console.error(chalk.red('初始化失败:'), error.message);
+    process.exitCode = 1;
     return false;
   }
 }
 
 /**
  * 执行查询命令
+ * 超时与内存上限默认取配置中的 query.timeout / query.memLimit；
+ * 执行期间按 Ctrl-C 取消查询，再按一次立即退出
  */
 async function executeQuery(sql, options) {
   const spinner = ora('执行查询中...').start();
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    if (controller.signal.aborted) {
+      process.exit(130);
+    }
+    spinner.text = '正在取消查询...（再按一次 Ctrl-C 立即退出）';
+    controller.abort('用户按下了 Ctrl-C');
+  };
+  process.on('SIGINT', onInterrupt);
   
   try {
-    const { rows } = await client.query(sql);
+    const { rows, fields } = await client.query(sql, [], {
+      database: options.database,
+      timeout: options.timeout !== undefined ? options.timeout : config.query.timeout,
+      memLimit: options.memLimit !== undefined ? options.memLimit : config.query.memLimit,
+      signal: controller.signal
+    });
     spinner.succeed('查询完成');
-    
-    if (rows.length > 0) {
-      const headers = Object.keys(rows[0]);
-      console.log(formatTable(rows, headers));
-      
-      if (options.output) {
-        const fs = require('fs').promises;
-        const { exportToCSV } = require('../utils/helpers');
-        const csvContent = exportToCSV(rows);
-        await fs.writeFile(options.output, csvContent, 'utf8');
-        console.log(chalk.green(`结果已保存到 ${options.output}`));
+
+    if (!Array.isArray(rows)) {
+      // 非查询语句返回影响的行数
+      output.record(rows, [{ key: 'affectedRows', label: '影响行数' }]);
+      return;
+    }
+    if (rows.length > 0 || output.structured) {
+      const columns = (fields ? fields.map(field => field.name) : Object.keys(rows[0])).map(name => ({
+        key: name,
+        display: value => (value === null ? chalk.gray('NULL') : value)
+      }));
+      output.table(rows, columns);
+
+      if (options.output && rows.length > 0) {
+        // 与 export 命令使用同一 CSV 序列化，含分隔符、引号或换行的值会被转义
+        await writeRowStream(Readable.from(rows), options.output, { format: 'csv', includeHeader: true });
+        output.note(chalk.green(`结果已保存到 ${options.output}`));
       }
     } else {
-      console.log(chalk.yellow('查询结果为空'));
+      output.note(chalk.yellow('查询结果为空'));
     }
   } catch (error) {
-    spinner.fail('查询失败');
+    spinner.fail(error.code === 'QUERY_CANCELLED' ? '查询已取消' : '查询失败');
     console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * 显示语句的执行计划
+ */
+async function explainQuery(sql, options) {
+  const spinner = ora('获取执行计划...').start();
+
+  try {
+    const plan = await client.explain(sql, { verbose: options.verbose, graph: options.graph });
+    spinner.succeed('获取执行计划成功');
+
+    const scanColumns = [
+      { key: 'table', label: '表' },
+      { key: 'partitions', label: '分区', display: value => (value ? `${value.selected}/${value.total}` : '') },
+      { key: 'tablets', label: 'Tablet', display: value => (value ? `${value.selected}/${value.total}` : '') },
+      { key: 'predicates', label: '谓词', display: value => value.join('\n') }
+    ];
+
+    if (options.json || output.format === 'json') {
+      const { text, ...data } = plan;
+      output.data(data);
+    } else if (options.raw || plan.mode === 'graph') {
+      console.log(plan.text);
+    } else if (output.structured) {
+      // jsonl、csv、tsv 输出扫描的表
+      output.table(plan.scans, scanColumns);
+    } else if (plan.fragments.length === 0) {
+      console.log(plan.text);
+    } else {
+      console.log(renderPlan(plan));
+
+      if (plan.scans.length > 0) {
+        output.table(plan.scans, scanColumns, { title: '扫描的表' });
+      }
+    }
+  } catch (error) {
+    spinner.fail('获取执行计划失败');
+    console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 获取并显示查询 Profile 的热点报告
+ * 通过 --execute 执行语句时，超时与内存上限的默认值及 Ctrl-C 取消与 query 命令相同
+ */
+async function showQueryProfile(queryId, options) {
+  if (!queryId && !options.execute) {
+    console.error(chalk.red('错误:'), '请指定查询 ID，或通过 --execute 执行一条语句并分析');
+    process.exitCode = 1;
+    return;
+  }
+
+  const spinner = ora(options.execute ? '开启 Profile 执行语句...' : `获取查询 ${queryId} 的 Profile...`).start();
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    if (controller.signal.aborted) {
+      process.exit(130);
+    }
+    spinner.text = '正在取消语句...（再按一次 Ctrl-C 立即退出）';
+    controller.abort('用户按下了 Ctrl-C');
+  };
+  if (options.execute) {
+    process.on('SIGINT', onInterrupt);
+  }
+
+  try {
+    const report = options.execute
+      ? await manager.profileQuery(options.execute, {
+        wait: options.wait,
+        timeout: options.timeout !== undefined ? options.timeout : config.query.timeout,
+        memLimit: options.memLimit !== undefined ? options.memLimit : config.query.memLimit,
+        signal: controller.signal
+      })
+      : await manager.getQueryProfile(queryId, { wait: options.wait });
+    spinner.succeed(`获取查询 ${report.queryId} 的 Profile 成功`);
+
+    if (options.raw) {
+      console.log(report.text);
+      return;
+    }
+    const operatorColumns = [
+      { key: 'fragment', label: 'Fragment' },
+      { key: 'operator', label: '算子', value: operator => `${operator.name} (id=${operator.id})` },
+      { key: 'instances', label: '实例数' },
+      { key: 'avgTime', label: '平均耗时', value: operator => operator.time.avg, display: formatDuration },
+      { key: 'maxTime', label: '最长耗时', value: operator => operator.time.max, display: formatDuration },
+      { key: 'rows', label: '行数' },
+      { key: 'peakMemory', label: '内存峰值', display: value => (value ? formatBytes(value) : '') }
+    ];
+
+    if (options.json || output.format === 'json') {
+      const { text, ...data } = report;
+      output.data(data);
+      return;
+    }
+    if (output.structured) {
+      // jsonl、csv、tsv 输出耗时最多的算子
+      output.table(report.topOperators, operatorColumns);
+      return;
+    }
+
+    const summary = {
+      queryId: report.queryId,
+      totalTime: report.totalTime,
+      state: report.summary['Task State'] || report.summary['Query State'] || '',
+      user: report.summary.User || '',
+      sql: report.summary['Sql Statement'] || '',
+      rowCount: report.rowCount
+    };
+    output.record(summary, [
+      { key: 'queryId', label: '查询 ID' },
+      { key: 'totalTime', label: '总耗时', display: formatDuration },
+      { key: 'state', label: '状态' },
+      { key: 'user', label: '用户' },
+      { key: 'sql', label: 'SQL' },
+      ...(report.rowCount !== undefined ? [{ key: 'rowCount', label: '返回行数' }] : [])
+    ], { title: '概要' });
+
+    output.table(report.topOperators, operatorColumns, { title: '耗时最多的算子' });
+
+    if (report.skewed.length > 0) {
+      output.table(report.skewed, [
+        { key: 'fragment', label: 'Fragment' },
+        { key: 'operator', label: '算子', value: operator => `${operator.name} (id=${operator.id})` },
+        { key: 'skew', label: '最长/平均', display: value => `${value.toFixed(1)}x` },
+        { key: 'minTime', label: '最短耗时', value: operator => operator.time.min, display: formatDuration },
+        { key: 'maxTime', label: '最长耗时', value: operator => operator.time.max, display: formatDuration },
+        { key: 'slowestHost', label: '最慢实例' }
+      ], { title: '实例间耗时不均衡的算子' });
+    } else {
+      output.note(chalk.green('\n未发现实例间耗时明显不均衡的算子'));
+    }
+  } catch (error) {
+    spinner.fail(error.code === 'QUERY_CANCELLED' ? '语句已取消' : '获取查询 Profile 失败');
+    console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
   }
 }
 
@@ -72,37 +338,251 @@ async function showClusterStatus() {
     const status = await manager.getClusterStatus();
     spinner.succeed('获取集群状态成功');
     
+    const alive = value => (value ? chalk.green('在线') : chalk.red('离线'));
+
     // 显示 FE 节点信息
     if (status.frontends && status.frontends.length > 0) {
-      console.log(chalk.blue.bold('\nFE 节点:'));
-      const feHeaders = ['名称', '主机', '角色', '状态', '版本'];
-      const feData = status.frontends.map(fe => [
-        fe.name,
-        `${fe.host}:${fe.edit_log_port}`,
-        fe.role,
-        fe.alive ? chalk.green('在线') : chalk.red('离线'),
-        fe.version || '-'
-      ]);
-      console.log(formatTable(feData, feHeaders));
+      output.table(status.frontends, [
+        { key: 'name', label: '名称' },
+        { key: 'host', label: '主机', value: fe => `${fe.host}:${fe.edit_log_port}` },
+        { key: 'role', label: '角色' },
+        { key: 'alive', label: '状态', display: alive },
+        { key: 'version', label: '版本', display: orDash }
+      ], { name: 'frontends', title: 'FE 节点' });
     }
-    
+
     // 显示 BE 节点信息
     if (status.backends && status.backends.length > 0) {
-      console.log(chalk.blue.bold('\nBE 节点:'));
-      const beHeaders = ['ID', '主机', '状态', '数据目录数', '总磁盘容量', '可用磁盘容量'];
-      const beData = status.backends.map(be => [
-        be.be_id,
-        `${be.host}:${be.heartbeat_port}`,
-        be.alive ? chalk.green('在线') : chalk.red('离线'),
-        be.data_dir_count || '-',
-        be.total_capacity || '-',
-        be.available_capacity || '-'
-      ]);
-      console.log(formatTable(beData, beHeaders));
+      output.table(status.backends, [
+        { key: 'id', label: 'ID', value: be => be.be_id },
+        { key: 'host', label: '主机', value: be => `${be.host}:${be.heartbeat_port}` },
+        { key: 'alive', label: '状态', display: alive },
+        { key: 'dataDirCount', label: '数据目录数', value: be => be.data_dir_count, display: orDash },
+        { key: 'totalCapacity', label: '总磁盘容量', value: be => be.total_capacity, display: orDash },
+        { key: 'availableCapacity', label: '可用磁盘容量', value: be => be.available_capacity, display: orDash }
+      ], { name: 'backends', title: 'BE 节点' });
+    }
+
+    // 配置了多个 FE 时显示客户端记录的各地址可用情况
+    const endpoints = client.getEndpointStatus().http;
+    if (endpoints.length > 1) {
+      output.table(endpoints, [
+        { key: 'address', label: '地址', value: endpoint => `${endpoint.host}:${endpoint.port}` },
+        { key: 'healthy', label: '状态', display: value => (value ? chalk.green('可用') : chalk.red('暂不可用')) },
+        { key: 'failures', label: '连续失败次数' },
+        { key: 'lastError', label: '最近错误', display: orDash }
+      ], { name: 'endpoints', title: '已配置的 FE 地址' });
     }
   } catch (error) {
     spinner.fail('获取集群状态失败');
     console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 集群健康检查
+ * 存在 fail 项时退出码为 2；存在 warn 项且指定 --strict 时退出码为 1，便于在 cron 与监控中使用
+ */
+async function runDoctor(options) {
+  const spinner = ora('检查集群健康状况...').start();
+  
+  try {
+    const thresholds = {};
+    if (options.diskWarn !== undefined) thresholds.diskWarn = options.diskWarn;
+    if (options.diskFail !== undefined) thresholds.diskFail = options.diskFail;
+    const report = await manager.checkHealth({ thresholds });
+    spinner.stop();
+    
+    const labels = { pass: chalk.green('通过'), warn: chalk.yellow('警告'), fail: chalk.red('失败') };
+    const names = {
+      fe: 'FE 节点',
+      be: 'BE 节点',
+      disk: 'BE 磁盘',
+      tablet: 'Tablet 健康',
+      replica: '副本',
+      load: '导入任务',
+      clock: '时钟偏差'
+    };
+    
+    if (output.format === 'json') {
+      output.data(report);
+    } else {
+      output.table(report.checks, [
+        { key: 'name', label: '检查项', display: name => names[name] || name },
+        { key: 'status', label: '状态', display: status => labels[status] },
+        { key: 'message', label: '说明' },
+        { key: 'details', label: '详情', value: check => check.details.join('; '), hidden: true }
+      ], { title: '集群健康检查' });
+      
+      // 逐条列出未通过检查项的详情
+      report.checks
+        .filter(check => check.status !== 'pass' && check.details.length > 0)
+        .forEach(check => {
+          output.note(`\n${labels[check.status]} ${names[check.name] || check.name}:`);
+          check.details.forEach(detail => output.note(`  - ${detail}`));
+        });
+      output.note(`\n结论: ${labels[report.status]}`);
+    }
+    
+    if (report.status === 'fail') {
+      process.exitCode = 2;
+    } else if (report.status === 'warn' && options.strict) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    spinner.fail('集群健康检查失败');
+    console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 2;
+  }
+}
+
+/**
+ * 输出一次监控指标采样
+ * @param {Object} snapshot - manager.getMetrics 的结果
+ * @param {Object} options - 命令选项
+ * @param {Object} [rates] - 与上一次采样相比的每秒速率，见 metrics.counterRates
+ */
+function printMetrics(snapshot, options, rates) {
+  const number = digits => value => (value === null || value === undefined || Number.isNaN(value) ? '-' : Number(value.toFixed(digits)));
+  const bytes = value => (value === null || value === undefined ? '-' : formatBytes(value));
+  const failed = [snapshot.fe.error ? `FE: ${snapshot.fe.error}` : null]
+    .concat(snapshot.backends.filter(be => be.error).map(be => `BE ${be.host}:${be.port}: ${be.error}`))
+    .filter(Boolean);
+
+  if (options.filter) {
+    const sourced = (source, samples) => samples.map(sample => ({ source, ...sample }));
+    const samples = sourced('fe', snapshot.fe.samples)
+      .concat(...snapshot.backends.map(be => sourced(`${be.host}:${be.port}`, be.samples)));
+    output.table(samples, [
+      { key: 'source', label: '来源' },
+      { key: 'name', label: '指标' },
+      {
+        key: 'labels',
+        label: '标签',
+        value: sample => Object.entries(sample.labels).map(([key, value]) => `${key}="${value}"`).join(','),
+        display: orDash
+      },
+      { key: 'value', label: '值' },
+      { key: 'type', label: '类型', hidden: true }
+    ], { title: `匹配 ${options.filter} 的指标` });
+  } else {
+    const fe = snapshot.fe.summary || {};
+    const perSecond = rates
+      ? { queryPerSecond: rates.queryTotal, loadRowsPerSecond: rates.loadRows, scanRowsPerSecond: rates.queryScanRows }
+      : {};
+    const summary = {
+      ...snapshot.cluster,
+      queryErrorRate: fe.queryErrorRate,
+      connections: fe.connections,
+      heapUsed: fe.heapUsed,
+      heapMax: fe.heapMax,
+      ...perSecond
+    };
+    const latency = quantile => ({
+      key: `latency${quantile.toUpperCase()}`,
+      label: `查询延迟 ${quantile.toUpperCase()}(ms)`,
+      value: row => row.queryLatency[quantile],
+      display: number(2)
+    });
+    // 连续采样时才有每秒速率
+    const rate = (key, label) => (rates ? [{ key, label, display: number(1) }] : []);
+
+    output.record(summary, [
+      { key: 'qps', label: 'QPS', display: number(2) },
+      ...rate('queryPerSecond', '查询数/秒'),
+      latency('p75'),
+      latency('p95'),
+      latency('p99'),
+      { key: 'queryErrorRate', label: '查询错误率', display: number(4) },
+      { key: 'connections', label: 'FE 连接数', display: number(0) },
+      { key: 'heapUsed', label: 'FE 堆内存', display: bytes },
+      { key: 'heapMax', label: 'FE 堆内存上限', display: bytes },
+      { key: 'backends', label: '已采集 BE 数' },
+      { key: 'beMemory', label: 'BE 内存合计', display: bytes },
+      { key: 'maxCompactionScore', label: '最大 Compaction Score', display: number(0) },
+      { key: 'loadRows', label: '累计导入行数', display: number(0) },
+      ...rate('loadRowsPerSecond', '导入行数/秒'),
+      ...rate('scanRowsPerSecond', '扫描行数/秒'),
+      { key: 'queryTotal', hidden: true },
+      { key: 'loadBytes', hidden: true },
+      { key: 'queryScanRows', hidden: true },
+      { key: 'diskUsed', hidden: true },
+      { key: 'diskTotal', hidden: true }
+    ], { name: 'cluster', title: `集群指标 (${snapshot.time})` });
+
+    output.table(snapshot.backends, [
+      { key: 'address', label: 'BE', value: be => `${be.host}:${be.port}` },
+      { key: 'memory', label: '内存', value: be => be.summary && be.summary.memory, display: bytes },
+      { key: 'baseCompactionScore', label: 'Base Compaction Score', value: be => be.summary && be.summary.baseCompactionScore, display: number(0) },
+      { key: 'cumulativeCompactionScore', label: 'Cumulative Compaction Score', value: be => be.summary && be.summary.cumulativeCompactionScore, display: number(0) },
+      { key: 'loadRows', label: '累计导入行数', value: be => be.summary && be.summary.loadRows, display: number(0) },
+      { key: 'diskUsed', label: '磁盘已用', value: be => be.summary && be.summary.diskUsed, display: bytes },
+      { key: 'diskTotal', label: '磁盘容量', value: be => be.summary && be.summary.diskTotal, display: bytes },
+      { key: 'error', label: '错误', display: orDash, hidden: true }
+    ], { name: 'backends', title: 'BE 节点' });
+  }
+
+  failed.forEach(message => console.error(chalk.yellow(`获取指标失败 ${message}`)));
+}
+
+/**
+ * 显示 FE / BE 监控指标
+ * 指定 --watch 时按间隔持续刷新，并显示累计型指标的每秒速率，按 Ctrl-C 结束
+ */
+async function showMetrics(options) {
+  if (!options.watch) {
+    const spinner = ora('获取监控指标中...').start();
+    try {
+      const snapshot = await manager.getMetrics({ filter: options.filter });
+      spinner.stop();
+      printMetrics(snapshot, options);
+    } catch (error) {
+      spinner.fail('获取监控指标失败');
+      console.error(chalk.red('错误:'), error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const interval = (options.watch === true ? 5 : options.watch) * 1000;
+  // 只有输出到终端的表格类格式才清屏刷新，其他情况逐次追加输出
+  const redraw = !output.structured && process.stdout.isTTY;
+  let stopped = false;
+  let wake = () => {};
+  const onInterrupt = () => {
+    stopped = true;
+    wake();
+  };
+  process.on('SIGINT', onInterrupt);
+
+  try {
+    let previous = null;
+    while (!stopped) {
+      try {
+        const snapshot = await manager.getMetrics({ filter: options.filter });
+        const rates = previous
+          ? counterRates(previous.cluster, snapshot.cluster, Date.parse(snapshot.time) - Date.parse(previous.time))
+          : undefined;
+        previous = snapshot;
+        if (redraw) process.stdout.write('\x1b[2J\x1b[H');
+        printMetrics(snapshot, options, rates);
+        output.note(chalk.gray(`\n每 ${interval / 1000} 秒刷新，按 Ctrl-C 退出`));
+      } catch (error) {
+        console.error(chalk.red('获取监控指标失败:'), error.message);
+      }
+      output.flush();
+      if (stopped) break;
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, interval);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
   }
 }
 
@@ -116,12 +596,11 @@ async function showDatabases() {
     const databases = await client.getDatabases();
     spinner.succeed('获取数据库列表成功');
     
-    console.log(chalk.blue.bold('\n数据库列表:'));
-    const data = databases.map(db => [db]);
-    console.log(formatTable(data, ['数据库名']));
+    output.table(databases.map(name => ({ database: name })), [{ key: 'database', label: '数据库名' }], { title: '数据库列表' });
   } catch (error) {
     spinner.fail('获取数据库列表失败');
     console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
   }
 }
 
@@ -135,31 +614,144 @@ async function showTables(database) {
     const tables = await client.getTables(database);
     spinner.succeed(`获取 ${database} 中的表列表成功`);
     
-    console.log(chalk.blue.bold(`\n${database} 中的表列表:`));
-    const data = tables.map(table => [table]);
-    console.log(formatTable(data, ['表名']));
+    output.table(tables.map(name => ({ table: name })), [{ key: 'table', label: '表名' }], { title: `${database} 中的表列表` });
   } catch (error) {
     spinner.fail(`获取 ${database} 中的表列表失败`);
     console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
   }
 }
 
 /**
  * 显示表结构
+ * @param {string} database - 数据库名
+ * @param {string} table - 表名
+ * @param {Object} [options] - { full } 为真时显示数据模型、分区、分桶、副本数与表属性
  */
-async function showTableSchema(database, table) {
+async function showTableSchema(database, table, options = {}) {
+  if (options.full) {
+    await showTableInfo(database, table);
+    return;
+  }
+
   const spinner = ora(`获取 ${database}.${table} 的结构...`).start();
   
   try {
     const schema = await client.getTableSchema(database, table);
     spinner.succeed(`获取 ${database}.${table} 的结构成功`);
     
-    console.log(chalk.blue.bold(`\n${database}.${table} 的结构:`));
-    const headers = ['字段', '类型', '空', '键', '默认值', '额外信息'];
-    console.log(formatTable(schema, headers));
+    // DESC 的结果列为 Field、Type、Null、Key、Default、Extra
+    output.table(schema, [
+      { key: 'Field', label: '字段' },
+      { key: 'Type', label: '类型' },
+      { key: 'Null', label: '空' },
+      { key: 'Key', label: '键' },
+      { key: 'Default', label: '默认值' },
+      { key: 'Extra', label: '额外信息' }
+    ], { title: `${database}.${table} 的结构` });
   } catch (error) {
     spinner.fail(`获取 ${database}.${table} 的结构失败`);
     console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 显示表的完整元数据
+ */
+async function showTableInfo(database, table) {
+  const spinner = ora(`获取 ${database}.${table} 的元数据...`).start();
+
+  try {
+    const info = await client.getTableInfo(database, table);
+    spinner.succeed(`获取 ${database}.${table} 的元数据成功`);
+
+    if (output.format === 'json') {
+      output.data(info);
+      return;
+    }
+    if (info.kind === 'view') {
+      output.note(chalk.blue.bold(`\n${database}.${table} 是视图，定义如下:`));
+      output.note(info.ddl);
+      return;
+    }
+
+    const yes = value => (value ? '是' : '');
+    const columnColumns = [
+      { key: 'name', label: '字段' },
+      { key: 'type', label: '类型' },
+      { key: 'nullable', label: '空', display: value => (value ? '是' : '否') },
+      { key: 'isKey', label: '键', display: yes },
+      { key: 'aggregation', label: '聚合' },
+      { key: 'defaultValue', label: '默认值' },
+      { key: 'autoIncrement', label: '额外信息', display: value => (value ? '自增' : '') },
+      { key: 'comment', label: '注释' }
+    ];
+    if (output.structured) {
+      // jsonl、csv、tsv 输出字段列表
+      output.table(info.columns, columnColumns);
+      return;
+    }
+    output.table(info.columns, columnColumns, { title: `${database}.${table} 的字段` });
+
+    const overview = {
+      engine: info.engine || '',
+      keysType: info.keysType ? `${info.keysType} KEY(${info.keys.join(', ')})` : ''
+    };
+    if (info.partition) {
+      const partition = info.partition;
+      overview.partition = `${partition.auto ? 'AUTO ' : ''}${partition.type} (${partition.expression})，${partition.partitions.length} 个分区`;
+    } else {
+      overview.partition = '未分区';
+    }
+    if (info.distribution) {
+      const distribution = info.distribution;
+      const columns = distribution.columns.length > 0 ? `(${distribution.columns.join(', ')})` : '';
+      overview.distribution = `${distribution.type}${columns} BUCKETS ${distribution.buckets}`;
+    }
+    if (info.replication) {
+      const allocation = Object.entries(info.replication.allocation)
+        .map(([tag, num]) => `${tag}: ${num}`)
+        .join(', ');
+      overview.replication = `${info.replication.num} (${allocation})`;
+    }
+    if (info.comment) {
+      overview.comment = info.comment;
+    }
+    const overviewLabels = {
+      engine: '引擎',
+      keysType: '数据模型',
+      partition: '分区',
+      distribution: '分桶',
+      replication: '副本',
+      comment: '注释'
+    };
+    output.record(overview, Object.keys(overview).map(key => ({ key, label: overviewLabels[key] })), { title: '概要' });
+
+    if (info.indexes.length > 0) {
+      output.table(info.indexes, [
+        { key: 'name', label: '名称' },
+        { key: 'type', label: '类型' },
+        { key: 'columns', label: '列', display: value => value.join(', ') },
+        { key: 'comment', label: '注释' }
+      ], { title: '索引' });
+    }
+
+    if (info.rollups.length > 0) {
+      output.table(info.rollups, [
+        { key: 'name', label: '名称' },
+        { key: 'columns', label: '列', display: value => value.join(', ') }
+      ], { title: 'Rollup' });
+    }
+
+    const properties = Object.entries(info.properties).map(([name, value]) => ({ name, value }));
+    if (properties.length > 0) {
+      output.table(properties, [{ key: 'name', label: '属性' }, { key: 'value', label: '值' }], { title: '表属性' });
+    }
+  } catch (error) {
+    spinner.fail(`获取 ${database}.${table} 的元数据失败`);
+    console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
   }
 }
 
@@ -173,12 +765,22 @@ async function showProcesslist() {
     const processes = await manager.getRunningQueries();
     spinner.succeed('获取运行中的查询成功');
     
-    console.log(chalk.blue.bold('\n运行中的查询:'));
-    const headers = ['ID', '用户', '主机', '数据库', '命令', '时间', '状态', 'Info'];
-    console.log(formatTable(processes, headers));
+    // SHOW PROCESSLIST 的结果列，不同版本的 Doris 可能缺少其中几列
+    output.table(processes, [
+      { key: 'Id', label: 'ID' },
+      { key: 'User', label: '用户' },
+      { key: 'Host', label: '主机' },
+      { key: 'Db', label: '数据库' },
+      { key: 'Command', label: '命令' },
+      { key: 'Time', label: '时间' },
+      { key: 'State', label: '状态' },
+      { key: 'QueryId', label: '查询 ID' },
+      { key: 'Info', label: 'Info' }
+    ], { title: '运行中的查询' });
   } catch (error) {
     spinner.fail('获取运行中的查询失败');
     console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
   }
 }
 
@@ -190,10 +792,116 @@ async function importData(file, database, table, options) {
   
   try {
     const result = await client.importFromFile(database, table, file, options);
-    spinner.succeed(`导入任务已提交: ${result.message}`);
+    
+    if (!result.success) {
+      spinner.fail(result.message);
+      return;
+    }
+    spinner.succeed(result.message);
+    
+    // Stream Load 同步返回导入统计
+    if (result.result && result.result.Status) {
+      output.record(result.result, [
+        { key: 'Label', label: 'Label' },
+        { key: 'Status', label: '状态' },
+        { key: 'NumberTotalRows', label: '总行数' },
+        { key: 'NumberLoadedRows', label: '导入行数' },
+        { key: 'NumberFilteredRows', label: '过滤行数' },
+        { key: 'LoadTimeMs', label: '耗时(ms)' },
+        { key: 'ErrorURL', label: '错误详情', display: value => value || '-' }
+      ]);
+      return;
+    }
+    
+    // Broker Load 为异步任务，按需等待完成
+    if (options.wait) {
+      await waitForLoad(result.label, database);
+    } else {
+      output.note(chalk.yellow(`可使用 doris-cli loads ${database} --label ${result.label} 查看导入进度`));
+    }
   } catch (error) {
     spinner.fail('导入数据失败');
     console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 等待异步导入任务完成并显示进度
+ */
+async function waitForLoad(label, database) {
+  const spinner = ora(`等待导入任务 ${label} 完成...`).start();
+  
+  try {
+    const { success, load, message } = await client.waitForLoad(label, {
+      database,
+      onProgress: job => {
+        spinner.text = `导入任务 ${label}: ${job.state} ${job.progress || ''}`;
+      }
+    });
+    
+    if (success) {
+      spinner.succeed(message);
+    } else {
+      spinner.fail(message);
+    }
+    printLoads([load]);
+  } catch (error) {
+    spinner.fail('等待导入任务失败');
+    console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 以表格形式打印导入任务
+ */
+function printLoads(loads) {
+  output.table(loads, [
+    { key: 'label', label: 'Label' },
+    { key: 'state', label: '状态', display: colorState },
+    { key: 'progress', label: '进度', display: orDash },
+    { key: 'type', label: '类型', display: orDash },
+    { key: 'createTime', label: '创建时间', display: orDash },
+    { key: 'loadFinishTime', label: '完成时间', display: orDash },
+    { key: 'errorMsg', label: '错误信息', display: orDash },
+    { key: 'url', label: '错误详情', display: orDash }
+  ]);
+}
+
+/**
+ * 显示或取消导入任务
+ */
+async function showLoads(database, options) {
+  if (options.cancel) {
+    const spinner = ora(`取消导入任务 ${options.cancel}...`).start();
+    try {
+      await client.cancelLoad(options.cancel, database);
+      spinner.succeed(`已取消导入任务 ${options.cancel}`);
+    } catch (error) {
+      spinner.fail('取消导入任务失败');
+      console.error(chalk.red('错误:'), error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+  
+  if (options.wait && options.label) {
+    await waitForLoad(options.label, database);
+    return;
+  }
+  
+  const spinner = ora(`获取 ${database} 中的导入任务...`).start();
+  try {
+    const loads = await client.listLoads(database, options);
+    spinner.succeed(`共 ${loads.length} 个导入任务`);
+    if (loads.length > 0) {
+      printLoads(loads);
+    }
+  } catch (error) {
+    spinner.fail('获取导入任务失败');
+    console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
   }
 }
 
@@ -209,36 +917,430 @@ async function exportData(sql, outputFile, options) {
   } catch (error) {
     spinner.fail('导出数据失败');
     console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
   }
 }
 
 /**
- * 交互式 SQL 终端
+ * 服务端导出查询结果 (SELECT ... INTO OUTFILE)
  */
-async function startInteractiveTerminal() {
-  console.log(chalk.blue.bold('Doris 交互式终端 (输入 exit 或 quit 退出)'));
-  console.log(chalk.yellow('连接信息:'), `${config.doris.user}@${config.doris.host}:${config.doris.port}/${config.doris.database}`);
+async function exportOutfile(sql, location, options) {
+  const spinner = ora('服务端导出中...').start();
+  
+  try {
+    const result = await client.exportToOutfile(sql, location, options);
+    spinner.succeed(`导出完成: ${result.message}`);
+    output.record(result, [
+      { key: 'fileNumber', label: '文件数' },
+      { key: 'totalRows', label: '总行数' },
+      { key: 'fileSize', label: '文件大小' },
+      { key: 'url', label: 'URL', display: orDash }
+    ]);
+  } catch (error) {
+    spinner.fail('服务端导出失败');
+    console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 提交 EXPORT TABLE 导出任务
+ */
+async function exportTable(database, table, location, options) {
+  const spinner = ora(`提交 ${database}.${table} 的导出任务...`).start();
   
-  let running = true;
+  try {
+    const result = await client.exportTable(database, table, location, options);
+    spinner.succeed(result.message);
+    
+    if (options.wait) {
+      await waitForExport(result.label, database);
+    } else {
+      output.note(chalk.yellow(`可使用 doris-cli exports ${database} --label ${result.label} 查看导出进度`));
+    }
+  } catch (error) {
+    spinner.fail('提交导出任务失败');
+    console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 等待导出任务完成
+ */
+async function waitForExport(label, database) {
+  const spinner = ora(`等待导出任务 ${label} 完成...`).start();
   
-  while (running) {
-    const { sql } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'sql',
-        message: 'doris> ',
-        prefix: ''
+  try {
+    const { success, job, message } = await client.waitForExport(label, {
+      database,
+      onProgress: current => {
+        spinner.text = `导出任务 ${label}: ${current.state} ${current.progress || ''}`;
       }
-    ]);
+    });
     
-    const command = sql.trim().toLowerCase();
+    if (success) {
+      spinner.succeed(message);
+    } else {
+      spinner.fail(message);
+    }
+    printExports([job]);
+  } catch (error) {
+    spinner.fail('等待导出任务失败');
+    console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 以表格形式打印导出任务
+ */
+function printExports(jobs) {
+  output.table(jobs, [
+    { key: 'label', label: 'Label' },
+    { key: 'state', label: '状态', display: colorState },
+    { key: 'progress', label: '进度', display: orDash },
+    { key: 'path', label: '路径', display: orDash },
+    { key: 'createTime', label: '创建时间', display: orDash },
+    { key: 'finishTime', label: '完成时间', display: orDash },
+    { key: 'errorMsg', label: '错误信息', display: orDash }
+  ]);
+}
+
+/**
+ * 显示或取消导出任务
+ */
+async function showExports(database, options) {
+  if (options.cancel) {
+    const spinner = ora(`取消导出任务 ${options.cancel}...`).start();
+    try {
+      await client.cancelExport(options.cancel, database);
+      spinner.succeed(`已取消导出任务 ${options.cancel}`);
+    } catch (error) {
+      spinner.fail('取消导出任务失败');
+      console.error(chalk.red('错误:'), error.message);
+      process.exitCode = 1;
+    }
+    return;
+  }
+  
+  if (options.wait && options.label) {
+    await waitForExport(options.label, database);
+    return;
+  }
+  
+  const spinner = ora(`获取 ${database} 中的导出任务...`).start();
+  try {
+    const jobs = await client.listExports(database, options);
+    spinner.succeed(`共 ${jobs.length} 个导出任务`);
+    if (jobs.length > 0) {
+      printExports(jobs);
+    }
+  } catch (error) {
+    spinner.fail('获取导出任务失败');
+    console.error(chalk.red('错误:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 收集可重复的 key=value 选项
+ */
+function collectProperty(value, previous = {}) {
+  const index = value.indexOf('=');
+  if (index <= 0) {
+    throw new InvalidArgumentError(`属性格式应为 key=value: ${value}`);
+  }
+  return { ...previous, [value.slice(0, index).trim()]: value.slice(index + 1) };
+}
+
+/**
+ * 列出配置中的 profile
+ */
+async function listProfiles() {
+  try {
+    const options = program.opts();
+    const baseConfig = await loadConfig({ configPath: options.config });
+    const profiles = baseConfig.profiles || {};
+    const names = Object.keys(profiles);
     
-    if (command === 'exit' || command === 'quit') {
-      running = false;
-      console.log(chalk.green('再见!'));
-    } else if (command) {
-      await executeQuery(sql, {});
+    if (names.length === 0) {
+      output.note(chalk.yellow(`${baseConfig.configFile || '当前配置'} 中没有定义 profile，可使用 doris-cli profiles add <name> 添加`));
+      return;
+    }
+    
+    const exposed = (baseConfig.mcp && baseConfig.mcp.exposedProfiles) || [];
+    const data = [];
+    for (const name of names) {
+      const profileConfig = await loadConfig({ configPath: baseConfig.configFile, profile: name, envOverrides: false });
+      data.push({
+        name,
+        address: formatAddress(profileConfig.doris),
+        user: profileConfig.doris.user,
+        database: profileConfig.doris.database || null,
+        default: name === baseConfig.profile,
+        exposed: exposed.includes(name)
+      });
+    }
+    
+    output.table(data, [
+      { key: 'name', label: '名称', display: (value, row) => (row.default ? chalk.green(`${value} *`) : value) },
+      { key: 'address', label: '地址' },
+      { key: 'user', label: '用户' },
+      { key: 'database', label: '数据库', display: orDash },
+      { key: 'default', label: '默认', hidden: true },
+      { key: 'exposed', label: 'MCP 可用', display: value => (value ? '是' : '否') }
+    ], { title: `Profile 列表 (${baseConfig.configFile}，* 为默认)` });
+  } catch (error) {
+    console.error(chalk.red('读取 profile 失败:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 测试 profile 的连通性
+ */
+async function testProfiles(name) {
+  const options = program.opts();
+  let names;
+  let configFile;
+  try {
+    const baseConfig = await loadConfig({ configPath: options.config });
+    configFile = baseConfig.configFile;
+    names = name ? [name] : Object.keys(baseConfig.profiles || {});
+  } catch (error) {
+    console.error(chalk.red('读取 profile 失败:'), error.message);
+    process.exitCode = 1;
+    return;
+  }
+  
+  if (names.length === 0) {
+    output.note(chalk.yellow('没有可测试的 profile'));
+    return;
+  }
+  
+  const data = [];
+  for (const profile of names) {
+    const spinner = ora(`测试 ${profile}...`).start();
+    const started = Date.now();
+    try {
+      const shared = await getShared({ configPath: configFile, profile, envOverrides: false });
+      const { rows } = await shared.client.query('SELECT VERSION() AS version');
+      const elapsed = Date.now() - started;
+      spinner.succeed(`${profile} 连接成功 (${elapsed}ms)`);
+      data.push({ name: profile, ok: true, elapsed, version: rows[0] ? rows[0].version : null, error: null });
+    } catch (error) {
+      spinner.fail(`${profile} 连接失败`);
+      process.exitCode = 1;
+      data.push({ name: profile, ok: false, elapsed: null, version: null, error: error.message });
+    }
+  }
+  
+  output.table(data, [
+    { key: 'name', label: '名称' },
+    { key: 'ok', label: '状态', display: value => (value ? chalk.green('成功') : chalk.red('失败')) },
+    { key: 'elapsed', label: '耗时', display: value => (value === null ? '-' : `${value}ms`) },
+    { key: 'version', label: '版本', display: orDash },
+    { key: 'error', label: '错误', display: orDash }
+  ]);
+}
+
+/**
+ * 新增或更新 profile，连接参数取自全局选项 --host、--port 等
+ */
+async function addProfile(name, options) {
+  const globalOptions = program.opts();
+  const configFile = globalOptions.config
+    ? path.resolve(globalOptions.config)
+    : findConfigFile() || path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'doris', 'config.json');
+  
+  const profile = configOverrides(globalOptions);
+  if (!Object.values(profile.doris).some(value => value !== undefined)) {
+    console.error(chalk.red('错误:'), '请至少通过 --host、--port、--user、--password、--database 指定一项连接参数');
+    process.exitCode = 1;
+    return;
+  }
+  
+  try {
+    let remove = [];
+    if (profile.doris.password !== undefined) {
+      // 密码不明文写入配置文件：保存到加密密钥库，profile 中只引用条目名称
+      // 配置文件尚不存在时使用默认的密钥库位置
+      const keystore = await openKeystore(fs.existsSync(configFile) ? configFile : null);
+      await keystore.set(name, profile.doris.password, await promptPassphrase(true));
+      console.log(chalk.green(`已将密码保存到密钥库 ${keystore.filePath} 的条目 ${name}`));
+      profile.doris.password = undefined;
+      profile.doris.passwordKeystore = name;
+      // 优先级更高的密码来源会覆盖密钥库，一并删除
+      remove = ['doris.password', 'doris.passwordFile', 'doris.passwordCommand'];
+    }
+
+    await saveProfile(configFile, name, profile, {
+      makeDefault: options.default,
+      expose: options.expose,
+      remove
+    });
+    console.log(chalk.green(`已保存 profile ${name} 到 ${configFile}`));
+    if (remove.length > 0) {
+      console.log(chalk.yellow(`使用该 profile 时需通过环境变量 ${KEYSTORE_PASSWORD_ENV} 提供密钥库主密码`));
+    }
+  } catch (error) {
+    console.error(chalk.red('保存 profile 失败:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 打开配置中的加密密钥库
+ * @param {string|null} [configPath] - 配置文件路径，默认取全局选项 --config，为 null 时只查找默认位置
+ */
+async function openKeystore(configPath = program.opts().config) {
+  const options = program.opts();
+  const baseConfig = await loadConfig({ configPath: configPath || undefined, profile: options.profile });
+  return new Keystore((baseConfig.keystore && baseConfig.keystore.path) || undefined);
+}
+
+/**
+ * 获取密钥库主密码，未设置环境变量时交互输入
+ */
+async function promptPassphrase(confirm) {
+  if (process.env[KEYSTORE_PASSWORD_ENV]) {
+    return process.env[KEYSTORE_PASSWORD_ENV];
+  }
+  
+  const questions = [{ type: 'password', name: 'passphrase', message: '密钥库主密码:', mask: '*' }];
+  if (confirm) {
+    questions.push({ type: 'password', name: 'confirmation', message: '再次输入主密码:', mask: '*' });
+  }
+  const answers = await inquirer.prompt(questions);
+  if (confirm && answers.passphrase !== answers.confirmation) {
+    throw new Error('两次输入的主密码不一致');
+  }
+  return answers.passphrase;
+}
+
+/**
+ * 管理加密密钥库中的密码
+ */
+async function manageKeystore(action, name) {
+  try {
+    const keystore = await openKeystore();
+    
+    if (action === 'list') {
+      const names = await keystore.list();
+      if (names.length > 0 || output.structured) {
+        output.table(names.map(entry => ({ name: entry })), [{ key: 'name', label: '条目' }], { title: `密钥库 ${keystore.filePath}` });
+      } else {
+        output.note(chalk.yellow(`密钥库 ${keystore.filePath} 中没有条目`));
+      }
+    } else if (action === 'set') {
+      const { secret } = await inquirer.prompt([{ type: 'password', name: 'secret', message: `${name} 的密码:`, mask: '*' }]);
+      await keystore.set(name, secret, await promptPassphrase(true));
+      console.log(chalk.green(`已保存 ${name} 到 ${keystore.filePath}`));
+      console.log(chalk.yellow(`在配置中设置 "passwordKeystore": "${name}"，并通过环境变量 ${KEYSTORE_PASSWORD_ENV} 提供主密码`));
+    } else if (action === 'remove') {
+      const removed = await keystore.remove(name);
+      console.log(removed ? chalk.green(`已删除 ${name}`) : chalk.yellow(`不存在条目 ${name}`));
+    }
+  } catch (error) {
+    console.error(chalk.red('密钥库操作失败:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 查看查询历史，或重新执行其中的一条语句
+ */
+async function showHistory(options) {
+  try {
+    if (options.run) {
+      const entry = await client.auditLog.find(options.run);
+      if (!entry) {
+        console.error(chalk.red('错误:'), `没有 ID 为 ${options.run} 的历史记录`);
+        process.exitCode = 1;
+        return;
+      }
+
+      if (entry.truncated || entry.statement.includes(MASK)) {
+        console.error(chalk.red('错误:'), '该语句在审计日志中已截断或脱敏，无法重新执行');
+        process.exitCode = 1;
+        return;
+      }
+      if (entry.load && entry.load.method === 'stream') {
+        console.error(chalk.red('错误:'), '该记录是 Stream Load 导入，不是 SQL 语句，无法重新执行');
+        process.exitCode = 1;
+        return;
+      }
+
+      console.log(chalk.yellow('重新执行:'), entry.statement);
+      if (entry.type !== StatementType.READ && !options.yes) {
+        const { confirmed } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'confirmed',
+            message: `该语句不是只读语句（${entry.type || '未知'}），确认重新执行？`,
+            default: false
+          }
+        ]);
+        if (!confirmed) return;
+      }
+      await executeQuery(entry.statement, { database: entry.database || undefined });
+      return;
+    }
+
+    const entries = await client.auditLog.read({
+      search: options.search,
+      database: options.db,
+      source: options.source,
+      errors: options.errors,
+      limit: options.limit
+    });
+
+    // json、jsonl 输出完整的审计记录
+    if (options.json || output.format === 'json') {
+      output.data(entries);
+      return;
+    }
+    if (output.format === 'jsonl') {
+      entries.forEach(entry => output.data(entry));
+      return;
+    }
+    if (entries.length === 0 && !output.structured) {
+      output.note(chalk.yellow('没有匹配的历史记录'));
+      return;
     }
+
+    output.table(entries, [
+      { key: 'id', label: 'ID' },
+      { key: 'time', label: '时间', display: value => new Date(value).toLocaleString() },
+      { key: 'source', label: '来源', value: entry => [entry.source, entry.tool].filter(Boolean).join(':') },
+      { key: 'database', label: '数据库' },
+      { key: 'type', label: '类型' },
+      { key: 'duration', label: '耗时', display: formatDuration },
+      { key: 'rowCount', label: '行数', display: (value, entry) => (entry.error ? chalk.red('失败') : value) },
+      { key: 'error', label: '错误', hidden: true },
+      { key: 'statement', label: '语句', display: value => value.replace(/\s+/g, ' ') }
+    ]);
+    output.note(chalk.gray(`审计日志: ${client.auditLog.filePath}，使用 --run <ID> 重新执行`));
+  } catch (error) {
+    console.error(chalk.red('读取历史记录失败:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * 交互式 SQL 终端
+ * 使用独立的单连接客户端，USE、SET 等会话状态在语句之间保持
+ */
+async function startInteractiveTerminal() {
+  const shellClient = DorisClient.fromConfig(config, { pool: { enabled: false } });
+  console.log(chalk.blue.bold('Doris 交互式终端 (语句以 ; 结尾，输入 \\? 查看帮助，\\q 退出)'));
+  console.log(chalk.yellow('连接信息:'), `${config.doris.user}@${formatAddress(config.doris)}/${config.doris.database || ''}`);
+
+  try {
+    await new Shell({ config, client: shellClient }).start();
+  } finally {
+    await shellClient.close();
   }
 }
 
@@ -246,17 +1348,73 @@ async function startInteractiveTerminal() {
 program
   .name('doris-cli')
   .description('Doris 命令行工具')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--config <path>', '配置文件路径，默认依次查找 ./config.json、~/.config/doris/config.json、~/.doris/config.json')
+  .option('--profile <name>', '使用配置文件中的指定 profile，覆盖 DORIS_PROFILE')
+  .option('--host <host>', 'FE 主机，覆盖配置文件与 DORIS_HOST')
+  .option('--port <port>', 'FE 查询端口，覆盖配置文件与 DORIS_PORT', parseInteger)
+  .option('--user <user>', '用户名，覆盖配置文件与 DORIS_USER')
+  .option('--password <password>', '密码，覆盖配置文件与 DORIS_PASSWORD')
+  .option('--database <database>', '默认数据库，覆盖配置文件与 DORIS_DATABASE')
+  .option('--http-port <port>', 'FE HTTP 端口，覆盖配置文件与 DORIS_FE_HTTP_PORT', parseInteger)
+  .option('--format <format>', `输出格式: ${FORMATS.join(', ')}`, parseFormat, 'table')
+  .option('--no-color', '不使用颜色')
+  // 全局选项写在子命令之前，子命令自己的 --format（导入导出的文件格式）不受影响
+  .enablePositionalOptions()
+  .hook('preAction', () => {
+    const options = program.opts();
+    if (options.color === false) {
+      chalk.level = 0;
+    }
+    output = new Output({ format: options.format });
+  })
+  .hook('postAction', () => {
+    output.flush();
+  });
 
 // 查询命令
 program
   .command('query <sql>')
   .description('执行 SQL 查询')
   .option('-o, --output <file>', '将结果保存到文件')
+  .option('--timeout <ms>', '查询超时时间(毫秒)，0 表示不限制，默认取配置中的 query.timeout', parseInteger)
+  .option('--mem-limit <size>', '单个查询的内存上限，例如 2GB，默认取配置中的 query.memLimit', parseSize)
   .action(async (sql, options) => {
     if (await init()) {
       await executeQuery(sql, options);
-      await client.disconnect();
+      await closeShared();
+    }
+  });
+
+// 执行计划命令
+program
+  .command('explain <sql>')
+  .description('显示语句的执行计划（不执行语句）')
+  .option('--verbose', '使用 EXPLAIN VERBOSE，显示更详细的算子信息')
+  .option('--graph', '使用 EXPLAIN GRAPH，显示图形化的计划')
+  .option('--raw', '显示 Doris 返回的原始文本')
+  .option('--json', '以 JSON 输出解析后的计划')
+  .action(async (sql, options) => {
+    if (await init()) {
+      await explainQuery(sql, options);
+      await closeShared();
+    }
+  });
+
+// 查询 Profile 命令
+program
+  .command('profile [queryId]')
+  .description('分析查询 Profile：耗时最多的算子与实例间倾斜')
+  .option('-e, --execute <sql>', '开启 enable_profile 执行该语句，然后分析其 Profile')
+  .option('--timeout <ms>', '--execute 语句的超时时间(毫秒)，0 表示不限制，默认取配置中的 query.timeout', parseInteger)
+  .option('--mem-limit <size>', '--execute 语句的内存上限，例如 2GB，默认取配置中的 query.memLimit', parseSize)
+  .option('--wait <ms>', 'Profile 尚未生成时最多等待的时间(毫秒)', parseInteger)
+  .option('--raw', '显示 FE 返回的原始 Profile 文本')
+  .option('--json', '以 JSON 输出解析后的报告')
+  .action(async (queryId, options) => {
+    if (await init()) {
+      await showQueryProfile(queryId, options);
+      await closeShared();
     }
   });
 
@@ -267,6 +1425,36 @@ program
   .action(async () => {
     if (await init()) {
       await showClusterStatus();
+      await closeShared();
+    }
+  });
+
+// 健康检查命令
+program
+  .command('doctor')
+  .description('检查集群健康状况，存在失败项时以非零退出码退出')
+  .option('--disk-warn <percent>', 'BE 磁盘使用率告警阈值(%)，默认取配置中的 health.diskWarn', parseInteger)
+  .option('--disk-fail <percent>', 'BE 磁盘使用率失败阈值(%)，默认取配置中的 health.diskFail', parseInteger)
+  .option('--strict', '存在告警项时也以退出码 1 退出')
+  .action(async options => {
+    if (await init()) {
+      await runDoctor(options);
+      await closeShared();
+    } else {
+      process.exitCode = 2;
+    }
+  });
+
+// 监控指标命令
+program
+  .command('metrics')
+  .description('显示 FE / BE 的关键监控指标：QPS、查询延迟、内存、Compaction Score、导入行数')
+  .option('-w, --watch [seconds]', '按间隔(秒)持续刷新，默认 5 秒', parseInteger)
+  .option('-f, --filter <pattern>', '列出名称匹配的原始指标，可使用 * 通配符，例如 doris_be_*compaction*')
+  .action(async options => {
+    if (await init()) {
+      await showMetrics(options);
+      await closeShared();
     }
   });
 
@@ -277,7 +1465,7 @@ program
   .action(async () => {
     if (await init()) {
       await showDatabases();
-      await client.disconnect();
+      await closeShared();
     }
   });
 
@@ -288,7 +1476,7 @@ program
   .action(async (database) => {
     if (await init()) {
       await showTables(database);
-      await client.disconnect();
+      await closeShared();
     }
   });
 
@@ -296,10 +1484,11 @@ program
 program
   .command('schema <database> <table>')
   .description('显示表结构')
-  .action(async (database, table) => {
+  .option('--full', '显示数据模型、键列、索引、分区、分桶、副本数与表属性')
+  .action(async (database, table, options) => {
     if (await init()) {
-      await showTableSchema(database, table);
-      await client.disconnect();
+      await showTableSchema(database, table, options);
+      await closeShared();
     }
   });
 
@@ -310,7 +1499,7 @@ program
   .action(async () => {
     if (await init()) {
       await showProcesslist();
-      await client.disconnect();
+      await closeShared();
     }
   });
 
@@ -321,15 +1510,43 @@ program
   .option('-f, --format <format>', '文件格式 (CSV, JSON, ORC)')
   .option('-s, --separator <char>', '列分隔符')
   .option('-c, --columns <columns>', '列名列表，逗号分隔')
+  .option('-w, --where <condition>', '过滤条件')
+  .option('-l, --label <label>', '导入标签')
+  .option('--max-filter-ratio <ratio>', '允许过滤的最大比例 (0~1)')
+  .option('--header', 'CSV 文件第一行为列名')
+  .option('--broker', '使用 Broker Load（默认本地文件使用 Stream Load）')
+  .option('--wait', 'Broker Load 提交后等待任务完成')
   .action(async (file, database, table, options) => {
     if (await init()) {
       const importOptions = {
         format: options.format,
         columnSeparator: options.separator,
-        columns: options.columns ? options.columns.split(',') : undefined
+        columns: options.columns ? options.columns.split(',') : undefined,
+        where: options.where,
+        label: options.label,
+        maxFilterRatio: options.maxFilterRatio !== undefined ? parseFloat(options.maxFilterRatio) : undefined,
+        header: options.header,
+        method: options.broker ? 'broker' : undefined,
+        wait: options.wait
       };
       await importData(file, database, table, importOptions);
-      await client.disconnect();
+      await closeShared();
+    }
+  });
+
+// 导入任务命令
+program
+  .command('loads <database>')
+  .description('查看或取消导入任务')
+  .option('-l, --label <label>', '按标签过滤，支持 % 通配符')
+  .option('-s, --state <state>', '按状态过滤 (PENDING, LOADING, FINISHED, CANCELLED)')
+  .option('-n, --limit <number>', '显示条数', '20')
+  .option('--wait', '等待 --label 指定的导入任务完成')
+  .option('--cancel <label>', '取消指定标签的导入任务')
+  .action(async (database, options) => {
+    if (await init()) {
+      await showLoads(database, options);
+      await closeShared();
     }
   });
 
@@ -337,16 +1554,173 @@ program
 program
   .command('export <sql> <outputFile>')
   .description('导出查询结果到文件')
+  .option('-f, --format <format>', '导出格式 (csv, tsv, jsonl, json, parquet)，默认按扩展名推断')
   .option('-s, --separator <char>', '列分隔符')
   .option('-h, --no-header', '不包含表头')
+  .option('--gzip', '使用 gzip 压缩，.gz 结尾的文件自动启用')
+  .option('--null <value>', 'CSV/TSV 中 NULL 的表示，CSV 默认空串，TSV 默认 \\N')
+  .option('--date-format <format>', '日期格式 (datetime, iso, epoch)', 'datetime')
   .action(async (sql, outputFile, options) => {
     if (await init()) {
       const exportOptions = {
-        separator: options.separator || ',',
-        includeHeader: options.header !== false
+        format: options.format,
+        separator: options.separator,
+        includeHeader: options.header !== false,
+        gzip: options.gzip,
+        nullValue: options.null,
+        dateFormat: options.dateFormat
       };
       await exportData(sql, outputFile, exportOptions);
-      await client.disconnect();
+      await closeShared();
+    }
+  });
+
+// 服务端导出命令
+program
+  .command('outfile <sql> <location>')
+  .description('通过 SELECT ... INTO OUTFILE 在服务端导出查询结果到 S3/HDFS/BE 本地目录')
+  .option('-f, --format <format>', '导出格式 (csv, parquet, orc)，默认按路径扩展名推断')
+  .option('--header', 'CSV 包含表头')
+  .option('-s, --separator <char>', '列分隔符')
+  .option('--max-file-size <size>', '单个文件大小上限，例如 1024MB')
+  .option('--delete-existing', '导出前删除目标目录下的文件')
+  .option('--broker <name>', '通过指定的 Broker 写出')
+  .option('-P, --property <key=value>', '存储属性，可重复，例如 s3.endpoint=...', collectProperty)
+  .action(async (sql, location, options) => {
+    if (await init()) {
+      await exportOutfile(sql, location, {
+        format: options.format,
+        header: options.header,
+        columnSeparator: options.separator,
+        maxFileSize: options.maxFileSize,
+        deleteExistingFiles: options.deleteExisting,
+        broker: options.broker,
+        properties: options.property
+      });
+      await closeShared();
+    }
+  });
+
+program
+  .command('export-table <database> <table> <location>')
+  .description('提交 EXPORT TABLE 异步导出任务')
+  .option('-f, --format <format>', '导出格式 (csv, parquet, orc)', 'csv')
+  .option('--header', 'CSV 包含表头')
+  .option('-s, --separator <char>', '列分隔符')
+  .option('-p, --partitions <partitions>', '导出的分区，逗号分隔')
+  .option('-c, --columns <columns>', '导出的列，逗号分隔')
+  .option('-w, --where <condition>', '过滤条件')
+  .option('-l, --label <label>', '导出标签')
+  .option('--parallelism <number>', '导出并发度')
+  .option('--broker <name>', '通过指定的 Broker 写出')
+  .option('-P, --property <key=value>', '存储属性，可重复，例如 s3.endpoint=...', collectProperty)
+  .option('--wait', '等待导出任务完成')
+  .action(async (database, table, location, options) => {
+    if (await init()) {
+      await exportTable(database, table, location, {
+        format: options.format,
+        header: options.header,
+        columnSeparator: options.separator,
+        partitions: options.partitions,
+        columns: options.columns,
+        where: options.where,
+        label: options.label,
+        parallelism: options.parallelism ? parseInt(options.parallelism, 10) : undefined,
+        broker: options.broker,
+        properties: options.property,
+        wait: options.wait
+      });
+      await closeShared();
+    }
+  });
+
+// 导出任务命令
+program
+  .command('exports <database>')
+  .description('查看或取消导出任务')
+  .option('-l, --label <label>', '按标签过滤，支持 % 通配符')
+  .option('-s, --state <state>', '按状态过滤 (PENDING, EXPORTING, FINISHED, CANCELLED)')
+  .option('-n, --limit <number>', '显示条数', '20')
+  .option('--wait', '等待 --label 指定的导出任务完成')
+  .option('--cancel <label>', '取消指定标签的导出任务')
+  .action(async (database, options) => {
+    if (await init()) {
+      await showExports(database, options);
+      await closeShared();
+    }
+  });
+
+// Profile 管理命令
+const profilesCommand = program
+  .command('profiles')
+  .description('管理多集群连接 profile');
+
+profilesCommand
+  .command('list', { isDefault: true })
+  .description('列出配置中的 profile')
+  .action(async () => {
+    await listProfiles();
+  });
+
+profilesCommand
+  .command('test [name]')
+  .description('测试 profile 的连通性，不指定名称时测试全部')
+  .action(async name => {
+    await testProfiles(name);
+    await closeShared();
+  });
+
+profilesCommand
+  .command('add <name>')
+  .description('新增或更新 profile，连接参数通过全局选项 --host、--port、--user、--password、--database、--http-port 指定，--password 保存到加密密钥库')
+  .option('--default', '设为默认 profile')
+  .option('--expose', '允许 MCP 工具通过 cluster 参数访问')
+  .action(async (name, options) => {
+    await addProfile(name, options);
+  });
+
+// 密钥库命令
+const keystoreCommand = program
+  .command('keystore')
+  .description('管理加密保存的连接密码');
+
+keystoreCommand
+  .command('list', { isDefault: true })
+  .description('列出密钥库中的条目')
+  .action(async () => {
+    await manageKeystore('list');
+  });
+
+keystoreCommand
+  .command('set <name>')
+  .description(`加密保存密码，主密码取自环境变量 ${KEYSTORE_PASSWORD_ENV} 或交互输入`)
+  .action(async name => {
+    await manageKeystore('set', name);
+  });
+
+keystoreCommand
+  .command('remove <name>')
+  .description('删除密钥库中的条目')
+  .action(async name => {
+    await manageKeystore('remove', name);
+  });
+
+// 查询历史命令
+program
+  .command('history')
+  .description('查看审计日志中的查询历史，或重新执行其中的语句')
+  .option('-s, --search <text>', '按语句内容过滤（不区分大小写）')
+  .option('--db <database>', '按数据库过滤')
+  .option('--source <source>', '按来源过滤: cli, shell, mcp, api')
+  .option('--errors', '只显示执行失败的记录')
+  .option('-n, --limit <count>', '最多显示的条数', parseInteger, 20)
+  .option('--json', '以 JSON 输出')
+  .option('--run <id>', '重新执行指定 ID 的语句')
+  .option('-y, --yes', '重新执行非只读语句时不再确认')
+  .action(async options => {
+    if (await init()) {
+      await showHistory(options);
+      await closeShared();
     }
   });
 
@@ -357,7 +1731,7 @@ program
   .action(async () => {
     if (await init()) {
       await startInteractiveTerminal();
-      await client.disconnect();
+      await closeShared();
     }
   });
 
@@ -0,0 +1,415 @@
+/**
+ * CLI 输出格式
+ * 把命令的结果渲染为 table、vertical、json、jsonl、csv、tsv 或 markdown，
+ * 列定义把结果中的原始字段映射为显示标题，表格按终端宽度截断过长的单元格
+ */
+const chalk = require('chalk');
+const { table } = require('table');
+
+// 支持的输出格式
+const FORMATS = ['table', 'vertical', 'json', 'jsonl', 'csv', 'tsv', 'markdown'];
+// 供脚本读取的格式：不输出标题与提示，使用原始字段名和原始值
+const STRUCTURED_FORMATS = ['json', 'jsonl', 'csv', 'tsv'];
+// 按终端宽度截断时每列至少保留的宽度
+const MIN_COLUMN_WIDTH = 8;
+// 终端颜色控制序列
+const ANSI_ESCAPE = /\u001b\[[0-9;]*m/g;
+
+/**
+ * 去掉文本中的颜色控制序列
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function stripAnsi(text) {
+  return String(text).replace(ANSI_ESCAPE, '');
+}
+
+/**
+ * 单个字符在终端中占用的列数：中日韩文字与全角符号占两列
+ * @private
+ * @param {number} code - Unicode 码点
+ * @returns {number}
+ */
+function charWidth(code) {
+  if (code < 32 || (code >= 0x7f && code < 0xa0) || (code >= 0x300 && code <= 0x36f) || code === 0x200b) {
+    return 0;
+  }
+  if ((code >= 0x1100 && code <= 0x115f) || (code >= 0x2e80 && code <= 0xa4cf) ||
+      (code >= 0xac00 && code <= 0xd7a3) || (code >= 0xf900 && code <= 0xfaff) ||
+      (code >= 0xfe30 && code <= 0xfe4f) || (code >= 0xff00 && code <= 0xff60) ||
+      (code >= 0xffe0 && code <= 0xffe6) || (code >= 0x1f300 && code <= 0x1f64f) ||
+      (code >= 0x1f900 && code <= 0x1f9ff) || (code >= 0x20000 && code <= 0x3fffd)) {
+    return 2;
+  }
+  return 1;
+}
+
+/**
+ * 文本在终端中的显示宽度
+ * @param {string} text - 文本（可以包含颜色控制序列）
+ * @returns {number} 列数
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const ch of stripAnsi(text)) {
+    width += charWidth(ch.codePointAt(0));
+  }
+  return width;
+}
+
+/**
+ * 把文本截断到指定显示宽度，被截断时以 … 结尾并去掉颜色
+ * @param {string} text - 文本
+ * @param {number} width - 最大显示宽度
+ * @returns {string}
+ */
+function truncate(text, width) {
+  if (displayWidth(text) <= width) return text;
+
+  let result = '';
+  let used = 0;
+  for (const ch of stripAnsi(text)) {
+    const w = charWidth(ch.codePointAt(0));
+    if (used + w > width - 1) break;
+    result += ch;
+    used += w;
+  }
+  return `${result}…`;
+}
+
+/**
+ * 当前终端的宽度，输出不是终端时返回 null（不截断）
+ * @param {stream.Writable} [stream] - 输出流
+ * @returns {number|null}
+ */
+function terminalWidth(stream = process.stdout) {
+  return stream.isTTY && stream.columns ? stream.columns : null;
+}
+
+/**
+ * 把值转换为显示文本
+ * @param {*} value - 原始值
+ * @returns {string}
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('utf8');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * 规范化列定义
+ * 列可以写作字段名字符串，或 { key, label, value, display, hidden }：
+ * key 为原始字段名（json/csv 等格式使用），label 为表头，
+ * value(row) 从行中计算原始值，display(value, row) 生成表格中的显示文本（可以带颜色），
+ * hidden 为真的列只出现在 json、jsonl、csv、tsv 中
+ * @param {Array<string|Object>} [columns] - 列定义，默认取第一行的全部字段
+ * @param {Array<Object>} rows - 行数据
+ * @returns {Array<Object>}
+ */
+function normalizeColumns(columns, rows) {
+  const list = columns || (rows.length > 0 ? Object.keys(rows[0]) : []);
+  return list.map(column => {
+    const spec = typeof column === 'string' ? { key: column } : column;
+    return { label: spec.key, ...spec };
+  });
+}
+
+/**
+ * 行的原始值
+ * @private
+ */
+function rawValue(column, row) {
+  const value = column.value ? column.value(row) : row[column.key];
+  return value === undefined ? null : value;
+}
+
+/**
+ * 行的显示文本
+ * @private
+ */
+function displayValue(column, row) {
+  const value = rawValue(column, row);
+  return column.display ? cellText(column.display(value, row)) : cellText(value);
+}
+
+/**
+ * CSV/TSV 单元格：CSV 按 RFC 4180 加引号，TSV 转义制表符与换行，NULL 写作 \N
+ * @private
+ */
+function delimitedCell(value, delimiter) {
+  if (delimiter === '\t') {
+    if (value === null) return '\\N';
+    return cellText(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r?\n/g, '\\n');
+  }
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 按终端宽度计算各列的宽度，超出时优先收窄最宽的列
+ * @private
+ * @param {Array<Array<string>>} data - 包含表头的单元格文本
+ * @param {number|null} width - 终端宽度
+ * @returns {Array<number>|null} 各列宽度，不需要截断时返回 null
+ */
+function fitColumns(data, width) {
+  if (!width) return null;
+
+  const widths = data[0].map((_, index) => Math.max(
+    ...data.map(row => Math.max(...String(row[index]).split('\n').map(displayWidth)))
+  ));
+  // 表格边框与每列两侧的空格
+  const available = width - (widths.length * 3 + 1);
+  let excess = widths.reduce((sum, w) => sum + w, 0) - available;
+  if (excess <= 0) return null;
+
+  while (excess > 0) {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= MIN_COLUMN_WIDTH) break;
+    const next = Math.max(...widths.filter((_, index) => index !== widest), MIN_COLUMN_WIDTH);
+    const step = Math.min(excess, widths[widest] - next || 1, widths[widest] - MIN_COLUMN_WIDTH);
+    widths[widest] -= step;
+    excess -= step;
+  }
+  return widths;
+}
+
+/**
+ * 把行数据渲染为文本
+ * @param {Array<Object>} rows - 行数据
+ * @param {Array<string|Object>} [columns] - 列定义，见 normalizeColumns
+ * @param {string} [format] - 输出格式
+ * @param {Object} [options] - { width } 终端宽度，table 格式按此截断单元格
+ * @returns {string}
+ */
+function render(rows, columns, format = 'table', options = {}) {
+  const all = normalizeColumns(columns, rows);
+  const specs = STRUCTURED_FORMATS.includes(format) ? all : all.filter(column => !column.hidden);
+  const records = () => rows.map(row => {
+    const record = {};
+    specs.forEach(column => {
+      record[column.key] = rawValue(column, row);
+    });
+    return record;
+  });
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(records(), null, 2);
+    case 'jsonl':
+      return records().map(record => JSON.stringify(record)).join('\n');
+    case 'csv':
+    case 'tsv': {
+      const delimiter = format === 'csv' ? ',' : '\t';
+      const lines = [specs.map(column => delimitedCell(column.key, delimiter)).join(delimiter)];
+      rows.forEach(row => {
+        lines.push(specs.map(column => delimitedCell(rawValue(column, row), delimiter)).join(delimiter));
+      });
+      return lines.join('\n');
+    }
+    case 'markdown': {
+      const escape = text => stripAnsi(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+      return [
+        `| ${specs.map(column => escape(column.label)).join(' | ')} |`,
+        `| ${specs.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${specs.map(column => escape(displayValue(column, row))).join(' | ')} |`)
+      ].join('\n');
+    }
+    case 'vertical': {
+      const labelWidth = Math.max(0, ...specs.map(column => displayWidth(column.label)));
+      const lines = [];
+      rows.forEach((row, index) => {
+        lines.push(chalk.gray(`*************************** ${index + 1}. row ***************************`));
+        specs.forEach(column => {
+          const padding = ' '.repeat(labelWidth - displayWidth(column.label));
+          lines.push(`${padding}${chalk.bold(column.label)}: ${displayValue(column, row)}`);
+        });
+      });
+      return lines.join('\n');
+    }
+    default: {
+      // table 不接受制表符等控制字符
+      const clean = text => text.replace(/\t/g, '    ').replace(/\r/g, '');
+      const data = [
+        specs.map(column => clean(column.label)),
+        ...rows.map(row => specs.map(column => clean(displayValue(column, row))))
+      ];
+      const widths = fitColumns(data, options.width);
+      if (widths) {
+        data.forEach(row => row.forEach((cell, index) => {
+          row[index] = cell.split('\n').map(line => truncate(line, widths[index])).join('\n');
+        }));
+      }
+      data[0] = data[0].map(label => chalk.bold(label));
+      return table(data).replace(/\n$/, '');
+    }
+  }
+}
+
+/**
+ * 一次命令的输出
+ * 表格类格式（table、vertical、markdown）立即输出标题与结果；
+ * 供脚本读取的格式（json、jsonl、csv、tsv）只输出数据，在 flush 时一并写出
+ */
+class Output {
+  /**
+   * @param {Object} [options] - 输出选项
+   * @param {string} [options.format] - 输出格式，默认 table
+   * @param {number|null} [options.width] - 终端宽度，默认取标准输出的宽度
+   * @param {stream.Writable} [options.stream] - 输出流，默认 process.stdout
+   */
+  constructor(options = {}) {
+    this.format = options.format || 'table';
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(`不支持的输出格式: ${this.format}，可选: ${FORMATS.join(', ')}`);
+    }
+    this.stream = options.stream || process.stdout;
+    this.width = options.width !== undefined ? options.width : terminalWidth(this.stream);
+    // 等待 flush 的数据：{ name, rows, columns } 或 { name, value }
+    this.sections = [];
+  }
+
+  /**
+   * 是否为供脚本读取的格式
+   * @returns {boolean}
+   */
+  get structured() {
+    return STRUCTURED_FORMATS.includes(this.format);
+  }
+
+  /**
+   * 写出一段文本
+   * @private
+   */
+  _write(text) {
+    this.stream.write(`${text}\n`);
+  }
+
+  /**
+   * 输出标题
+   * @private
+   */
+  _title(title) {
+    if (!title) return;
+    this._write(this.format === 'markdown' ? `\n### ${title}\n` : chalk.blue.bold(`\n${title}:`));
+  }
+
+  /**
+   * 输出说明文字，供脚本读取的格式下忽略
+   * @param {string} text - 文本
+   */
+  note(text) {
+    if (!this.structured) {
+      this._write(text);
+    }
+  }
+
+  /**
+   * 输出一组记录
+   * @param {Array<Object>} rows - 行数据
+   * @param {Array<string|Object>} columns - 列定义，见 normalizeColumns
+   * @param {Object} [options] - { name, title }：name 为 json 等格式中的字段名，一条命令输出多组记录时使用
+   */
+  table(rows, columns, options = {}) {
+    if (this.structured) {
+      this.sections.push({ name: options.name, rows, columns });
+      return;
+    }
+    this._title(options.title);
+    this._write(render(rows, columns, this.format, { width: this.width }));
+  }
+
+  /**
+   * 输出单个对象，表格类格式显示为“项目 / 值”两列
+   * @param {Object} record - 对象
+   * @param {Array<string|Object>} fields - 字段定义，格式同列定义
+   * @param {Object} [options] - { name, title }
+   */
+  record(record, fields, options = {}) {
+    if (this.structured) {
+      this.sections.push({ name: options.name, rows: [record], columns: fields, single: true });
+      return;
+    }
+    if (this.format === 'vertical') {
+      this._title(options.title);
+      this._write(render([record], fields, 'vertical'));
+      return;
+    }
+    const rows = normalizeColumns(fields, [record]).filter(field => !field.hidden).map(field => ({
+      item: field.label,
+      value: displayValue(field, record)
+    }));
+    this.table(rows, [{ key: 'item', label: '项目' }, { key: 'value', label: '值' }], options);
+  }
+
+  /**
+   * 输出结构化数据：json 格式原样输出，jsonl 格式每个数组元素一行，
+   * 表格类格式下（命令的 --json 选项）立即输出格式化的 JSON
+   * @param {*} value - 可序列化为 JSON 的数据
+   */
+  data(value) {
+    if (!this.structured) {
+      this._write(JSON.stringify(value, null, 2));
+      return;
+    }
+    this.sections.push({ value });
+  }
+
+  /**
+   * 写出供脚本读取的格式中缓存的数据
+   */
+  flush() {
+    const sections = this.sections;
+    this.sections = [];
+    if (sections.length === 0) return;
+
+    const records = section => JSON.parse(render(section.rows, section.columns, 'json'));
+    const payload = section => {
+      if ('value' in section) return section.value;
+      return section.single ? records(section)[0] : records(section);
+    };
+
+    if (this.format === 'json') {
+      const named = sections.filter(section => section.name);
+      if (named.length === 0) {
+        this._write(JSON.stringify(payload(sections[0]), null, 2));
+      } else {
+        const result = {};
+        named.forEach(section => {
+          result[section.name] = payload(section);
+        });
+        this._write(JSON.stringify(result, null, 2));
+      }
+      return;
+    }
+
+    sections.forEach((section, index) => {
+      if (this.format === 'jsonl') {
+        const value = payload(section);
+        (Array.isArray(value) ? value : [value]).forEach(item => {
+          const line = section.name ? { section: section.name, ...item } : item;
+          this._write(JSON.stringify(line));
+        });
+        return;
+      }
+      if ('value' in section) return;
+      // csv / tsv 的多组记录之间空一行
+      if (index > 0) this._write('');
+      this._write(render(section.rows, section.columns, this.format));
+    });
+  }
+}
+
+module.exports = {
+  FORMATS,
+  Output,
+  render,
+  cellText,
+  displayWidth,
+  truncate,
+  stripAnsi,
+  terminalWidth
+};
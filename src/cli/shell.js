@@ -0,0 +1,659 @@
+/**
+ * 交互式 SQL 终端
+ * 基于 readline 的 REPL：输入以分号结尾才执行，支持多行输入、持久化历史记录、
+ * 关键字与库表列名补全，以及 \d、\l、\use、\timing、\x、\e、\o 等元命令
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawnSync } = require('child_process');
+const chalk = require('chalk');
+
+const { formatTable } = require('../utils/helpers');
+const { render, terminalWidth, stripAnsi } = require('./output');
+const { takeStatements, classifyStatement, StatementType } = require('../utils/sql');
+const { formatDuration } = require('../lib/profile');
+const { runWithAuditContext } = require('../lib/audit');
+const { sessionVariables } = require('../lib/cancel');
+const { redact } = require('../lib/security');
+
+// 保留的历史记录条数
+const HISTORY_SIZE = 1000;
+// 与 mysql 客户端默认的 histignore（*IDENTIFIED*:*PASSWORD*）相同，建用户、改密码等语句不写入历史记录文件
+const HISTORY_IGNORE = /IDENTIFIED|PASSWORD/i;
+// 续行提示符
+const CONTINUATION_PROMPT = '    -> ';
+// 补全使用的 SQL 关键字
+const KEYWORDS = [
+  'SELECT', 'FROM', 'WHERE', 'GROUP BY', 'ORDER BY', 'HAVING', 'LIMIT', 'OFFSET', 'DISTINCT', 'AS',
+  'JOIN', 'LEFT JOIN', 'RIGHT JOIN', 'INNER JOIN', 'FULL OUTER JOIN', 'CROSS JOIN', 'ON', 'USING',
+  'UNION', 'UNION ALL', 'INTERSECT', 'EXCEPT', 'WITH', 'AND', 'OR', 'NOT', 'IN', 'EXISTS', 'BETWEEN',
+  'LIKE', 'REGEXP', 'IS NULL', 'IS NOT NULL', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'ASC', 'DESC',
+  'INSERT INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE FROM', 'CREATE TABLE', 'CREATE DATABASE',
+  'CREATE MATERIALIZED VIEW', 'CREATE VIEW', 'DROP TABLE', 'DROP DATABASE', 'ALTER TABLE', 'TRUNCATE TABLE',
+  'SHOW DATABASES', 'SHOW TABLES', 'SHOW CREATE TABLE', 'SHOW PARTITIONS FROM', 'SHOW PROCESSLIST',
+  'SHOW VARIABLES', 'SHOW BACKENDS', 'SHOW FRONTENDS', 'SHOW CATALOGS', 'DESC', 'DESCRIBE', 'EXPLAIN', 'USE',
+  'DUPLICATE KEY', 'UNIQUE KEY', 'AGGREGATE KEY', 'PARTITION BY', 'DISTRIBUTED BY HASH', 'BUCKETS', 'PROPERTIES',
+  'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'NOW()', 'CURRENT_DATE()', 'DATE_FORMAT', 'CAST', 'COALESCE', 'IFNULL'
+];
+// 元命令及说明
+const META_COMMANDS = [
+  ['\\l', '列出所有数据库'],
+  ['\\d [表名]', '列出当前数据库的表，或显示指定表（可写作 库.表）的结构'],
+  ['\\use <数据库>', '切换数据库，也可以直接执行 USE <数据库>;'],
+  ['\\timing', '开关执行耗时显示'],
+  ['\\x', '开关纵向显示结果（每列一行）'],
+  ['\\e', '在 $VISUAL / $EDITOR 中编辑当前输入或上一条语句，保存后执行'],
+  ['\\o [文件]', '把查询结果追加到文件，不带参数时恢复输出到终端'],
+  ['\\r', '清空当前输入'],
+  ['\\?', '显示帮助'],
+  ['\\q', '退出（也可以输入 exit、quit 或按 Ctrl-D）']
+];
+const META_NAMES = ['\\l', '\\d', '\\use', '\\timing', '\\x', '\\e', '\\o', '\\r', '\\?', '\\q'];
+
+/**
+ * 默认的历史记录路径：$XDG_STATE_HOME/doris/shell_history（默认 ~/.local/state/doris/shell_history）
+ * @param {Object} [env] - 环境变量
+ * @returns {string} 历史记录路径
+ */
+function defaultHistoryPath(env = process.env) {
+  return path.join(env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'), 'doris', 'shell_history');
+}
+
+/**
+ * 去掉标识符两端的反引号
+ * @private
+ */
+function unquote(name) {
+  return name.replace(/^`(.*)`$/, '$1');
+}
+
+class Shell {
+  /**
+   * @param {Object} options - 终端选项
+   * @param {Object} options.config - loadConfig 返回的完整配置
+   * @param {DorisClient} options.client - 终端专用的单连接客户端，USE、SET 等会话状态在语句之间保持
+   * @param {string} [options.historyFile] - 历史记录文件，默认见 defaultHistoryPath
+   * @param {stream.Readable} [options.input] - 输入流，默认 process.stdin
+   * @param {stream.Writable} [options.output] - 输出流，默认 process.stdout
+   */
+  constructor(options) {
+    this.config = options.config;
+    this.client = options.client;
+    this.historyFile = options.historyFile || defaultHistoryPath();
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+
+    this.database = this.client.config.database || null;
+    this.buffer = '';
+    // 当前输入占用的历史记录条数，语句完成后合并为一条
+    this.bufferLines = 0;
+    this.lastStatement = '';
+    this.timing = false;
+    this.vertical = false;
+    this.outputFile = null;
+    // 正在执行的查询的 AbortController
+    this.controller = null;
+    // 已设置过默认会话变量的连接，重连后需要重新设置
+    this.sessionConnection = null;
+    this.closed = false;
+    // 逐行处理输入，粘贴多行时按顺序执行
+    this.queue = Promise.resolve();
+    this.metadata = { databases: null, tables: new Map(), columns: new Map() };
+  }
+
+  /**
+   * 启动终端，退出时 resolve
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.rl = readline.createInterface({
+      input: this.input,
+      output: this.output,
+      terminal: Boolean(this.output.isTTY),
+      completer: (line, callback) => this._complete(line, callback),
+      history: this._loadHistory(),
+      historySize: HISTORY_SIZE,
+      removeHistoryDuplicates: true
+    });
+
+    return new Promise(resolve => {
+      this.rl.on('line', line => {
+        this.queue = this.queue
+          .then(() => this._handleLine(line))
+          .catch(error => this._error(error.message))
+          .then(() => {
+            if (!this.closed) this._prompt();
+          });
+      });
+      this.rl.on('SIGINT', () => this._interrupt());
+      this.rl.on('close', () => {
+        this.closed = true;
+        // 等待已输入的语句执行完毕
+        this.queue.then(() => {
+          this._saveHistory();
+          this._print(chalk.green('再见!'));
+          resolve();
+        });
+      });
+      this._prompt();
+    });
+  }
+
+  /**
+   * 显示提示符
+   * @private
+   */
+  _prompt() {
+    this.rl.setPrompt(this.buffer ? CONTINUATION_PROMPT : `doris:${this.database || '(none)'}> `);
+    this.rl.prompt();
+  }
+
+  /**
+   * 输出一行到终端
+   * @private
+   */
+  _print(text) {
+    this.output.write(`${text}\n`);
+  }
+
+  /**
+   * 输出查询结果，\o 指定了文件时追加到文件
+   * @private
+   */
+  _printResult(text) {
+    if (this.outputFile) {
+      fs.appendFileSync(this.outputFile, `${stripAnsi(text)}\n`, 'utf8');
+    } else {
+      this._print(text);
+    }
+  }
+
+  /**
+   * 输出错误信息
+   * @private
+   */
+  _error(message) {
+    this._print(`${chalk.red('错误:')} ${message}`);
+  }
+
+  /**
+   * Ctrl-C：取消正在执行的查询，否则清空当前输入
+   * @private
+   */
+  _interrupt() {
+    if (this.controller) {
+      this._print(chalk.yellow('正在取消查询...'));
+      this.controller.abort('用户按下了 Ctrl-C');
+      return;
+    }
+    if (this.buffer) {
+      this.buffer = '';
+      this.bufferLines = 0;
+      this._print('^C');
+    } else {
+      this._print(chalk.gray('输入 \\q 或按 Ctrl-D 退出'));
+    }
+    this._prompt();
+  }
+
+  /**
+   * 处理一行输入
+   * @private
+   * @param {string} line - 输入的一行
+   * @returns {Promise<void>}
+   */
+  async _handleLine(line) {
+    const trimmed = line.trim();
+
+    // 元命令与 exit/quit 只在新语句开始时识别
+    if (!this.buffer) {
+      if (trimmed.startsWith('\\')) {
+        await this._meta(trimmed);
+        return;
+      }
+      if (/^(exit|quit)\s*;?$/i.test(trimmed)) {
+        this.rl.close();
+        return;
+      }
+      if (!trimmed) return;
+    }
+
+    this.buffer = this.buffer ? `${this.buffer}\n${line}` : line;
+    if (trimmed) this.bufferLines++;
+    await this._drain();
+  }
+
+  /**
+   * 执行缓冲中已经完整的语句，剩余部分继续等待输入
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _drain() {
+    const { statements, rest } = takeStatements(this.buffer);
+    if (statements.length === 0) return;
+
+    this._mergeHistory(this.buffer);
+    this.buffer = rest.trim() ? rest : '';
+    this.bufferLines = this.buffer ? 1 : 0;
+
+    for (const statement of statements) {
+      this.lastStatement = `${statement};`;
+      await this._execute(statement);
+    }
+  }
+
+  /**
+   * 把多行输入在历史记录中合并为一条，按上键可以找回整条语句
+   * @private
+   * @param {string} text - 完整的输入
+   */
+  _mergeHistory(text) {
+    // 非终端输入（例如管道）不记录历史
+    const history = this.rl.history;
+    if (!this.rl.terminal || this.bufferLines <= 1) return;
+
+    history.splice(0, this.bufferLines);
+    const entry = text.split('\n').map(line => line.trim()).filter(Boolean).join(' ');
+    const duplicate = history.indexOf(entry);
+    if (duplicate >= 0) history.splice(duplicate, 1);
+    history.unshift(entry);
+  }
+
+  /**
+   * 执行一条语句并显示结果
+   * @private
+   * @param {string} sql - SQL 语句（不含分号）
+   * @returns {Promise<void>}
+   */
+  async _execute(sql) {
+    const { type, keyword } = classifyStatement(sql);
+    if (keyword === 'USE') {
+      const match = sql.trim().match(/^USE\s+(`[^`]+`|\S+)$/i);
+      if (!match) {
+        this._error('用法: USE <数据库>');
+        return;
+      }
+      await this._useDatabase(unquote(match[1]));
+      return;
+    }
+
+    this.controller = new AbortController();
+    const start = Date.now();
+    try {
+      await this._applySessionDefaults();
+      // 超时与内存上限已在会话中设置，不按语句覆盖，用户执行的 SET query_timeout 等在之后的语句中保持有效
+      const { rows, fields } = await runWithAuditContext({ source: 'shell' }, () => this.client.query(sql, [], {
+        signal: this.controller.signal
+      }));
+      const elapsed = Date.now() - start;
+
+      if (Array.isArray(rows)) {
+        this._printRows(rows, fields);
+      } else {
+        this._printResult(chalk.green(`执行成功，影响 ${rows.affectedRows || 0} 行`));
+      }
+      if (this.timing) {
+        this._print(chalk.gray(`耗时: ${formatDuration(elapsed)}`));
+      }
+      // 表结构可能已变化，下次补全时重新获取
+      if (type === StatementType.DDL) {
+        this._invalidateMetadata();
+      }
+    } catch (error) {
+      this._error(error.message);
+    } finally {
+      this.controller = null;
+    }
+  }
+
+  /**
+   * 在新会话中设置配置的 query.timeout / query.memLimit
+   * 只在会话开始（首次连接或重连）时设置一次
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _applySessionDefaults() {
+    if (this.client.connection && this.client.connection === this.sessionConnection) {
+      return;
+    }
+    const variables = sessionVariables(this.config.query);
+    if (variables) {
+      const assignments = Object.entries(variables).map(([name, value]) => `${name} = ${value}`);
+      try {
+        await runWithAuditContext({ record: false }, () => this.client.query(`SET ${assignments.join(', ')}`));
+      } catch (error) {
+        // 连接失败时由随后的语句报告；设置被拒绝时不影响语句执行
+        if (!this.client.connection) throw error;
+        this._error(`设置默认会话变量失败: ${error.message}`);
+      }
+    }
+    this.sessionConnection = this.client.connection;
+  }
+
+  /**
+   * 显示查询结果
+   * @private
+   * @param {Array<Object>} rows - 结果行
+   * @param {Array<Object>} [fields] - 列定义
+   */
+  _printRows(rows, fields) {
+    if (rows.length === 0) {
+      this._printResult(chalk.yellow('查询结果为空'));
+      return;
+    }
+
+    const columns = (fields ? fields.map(field => field.name) : Object.keys(rows[0])).map(name => ({
+      key: name,
+      display: value => (value === null ? chalk.gray('NULL') : value)
+    }));
+    // 写入文件时不按终端宽度截断
+    const width = this.outputFile ? null : terminalWidth(this.output);
+    this._printResult(render(rows, columns, this.vertical ? 'vertical' : 'table', { width }));
+    this._printResult(chalk.gray(`共 ${rows.length} 行`));
+  }
+
+  /**
+   * 切换数据库
+   * @private
+   * @param {string} database - 数据库名
+   * @returns {Promise<void>}
+   */
+  async _useDatabase(database) {
+    try {
+      await runWithAuditContext({ source: 'shell' }, () => this.client.useDatabase(database));
+      this.database = database;
+      this._print(chalk.green(`已切换到数据库 ${database}`));
+    } catch (error) {
+      this._error(error.message);
+    }
+  }
+
+  /**
+   * 执行元命令
+   * @private
+   * @param {string} input - 以反斜杠开头的一行
+   * @returns {Promise<void>}
+   */
+  async _meta(input) {
+    const [command, ...args] = input.replace(/;$/, '').split(/\s+/);
+    const arg = args.join(' ');
+
+    switch (command) {
+      case '\\q':
+        this.rl.close();
+        break;
+      case '\\?':
+      case '\\h':
+        this._print(formatTable(META_COMMANDS, ['命令', '说明']));
+        break;
+      case '\\l':
+        await this._execute('SHOW DATABASES');
+        break;
+      case '\\d':
+        if (!arg) {
+          if (!this.database) {
+            this._error('当前没有选择数据库，请先执行 \\use <数据库>');
+            break;
+          }
+          await this._execute('SHOW TABLES');
+        } else {
+          await this._describe(arg);
+        }
+        break;
+      case '\\use':
+      case '\\u':
+        if (!arg) {
+          this._error('用法: \\use <数据库>');
+          break;
+        }
+        await this._useDatabase(unquote(arg));
+        break;
+      case '\\timing':
+        this.timing = !this.timing;
+        this._print(`耗时显示已${this.timing ? '开启' : '关闭'}`);
+        break;
+      case '\\x':
+        this.vertical = !this.vertical;
+        this._print(`纵向显示已${this.vertical ? '开启' : '关闭'}`);
+        break;
+      case '\\e':
+        await this._edit();
+        break;
+      case '\\o':
+        this.outputFile = arg ? path.resolve(arg) : null;
+        this._print(arg ? `查询结果将追加到 ${this.outputFile}` : '查询结果恢复输出到终端');
+        break;
+      case '\\r':
+        this.buffer = '';
+        this.bufferLines = 0;
+        this._print('已清空当前输入');
+        break;
+      default:
+        this._error(`未知命令 ${command}，输入 \\? 查看帮助`);
+    }
+  }
+
+  /**
+   * 显示表结构
+   * @private
+   * @param {string} name - 表名，可以写作 库.表
+   * @returns {Promise<void>}
+   */
+  async _describe(name) {
+    const parts = name.split('.').map(unquote);
+    const [database, table] = parts.length > 1 ? parts.slice(-2) : [this.database, parts[0]];
+    if (!database) {
+      this._error('当前没有选择数据库，请使用 库.表 的形式');
+      return;
+    }
+
+    try {
+      const rows = await runWithAuditContext({ source: 'shell' }, () => this.client.getTableSchema(database, table));
+      this._printRows(rows);
+    } catch (error) {
+      this._error(error.message);
+    }
+  }
+
+  /**
+   * 在外部编辑器中编辑当前输入（为空时编辑上一条语句），保存后作为输入执行
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _edit() {
+    const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+    const file = path.join(os.tmpdir(), `doris-shell-${process.pid}-${Date.now()}.sql`);
+    fs.writeFileSync(file, this.buffer || this.lastStatement, { encoding: 'utf8', mode: 0o600 });
+
+    // 编辑器需要独占终端
+    this.rl.pause();
+    if (this.input.isTTY) this.input.setRawMode(false);
+    let content;
+    try {
+      const result = spawnSync(editor, [file], { stdio: 'inherit', shell: true });
+      if (result.error || result.status !== 0) {
+        this._error(`编辑器 ${editor} 异常退出${result.error ? `: ${result.error.message}` : ''}`);
+        return;
+      }
+      content = fs.readFileSync(file, 'utf8').replace(/\s+$/, '');
+    } finally {
+      fs.unlinkSync(file);
+      if (this.input.isTTY) this.input.setRawMode(true);
+      this.rl.resume();
+    }
+
+    this.buffer = '';
+    this.bufferLines = 0;
+    if (!content) return;
+
+    this._print(content);
+    if (this.rl.terminal && takeStatements(content).statements.length > 0) {
+      // 编辑后的语句作为一条历史记录
+      this.rl.history.unshift(content.split('\n').map(line => line.trim()).filter(Boolean).join(' '));
+    }
+    this.buffer = content;
+    await this._drain();
+  }
+
+  /**
+   * 读取历史记录，最近的在前
+   * @private
+   * @returns {Array<string>}
+   */
+  _loadHistory() {
+    try {
+      return fs.readFileSync(this.historyFile, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .slice(-HISTORY_SIZE)
+        .reverse();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this._error(`读取历史记录失败: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * 保存历史记录，最早的在前
+   * @private
+   */
+  _saveHistory() {
+    if (!this.rl.terminal) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.historyFile), { recursive: true, mode: 0o700 });
+      // 历史记录可能包含业务数据，仅当前用户可读写；含凭据的语句跳过，其余语句中的密钥脱敏后保存
+      const lines = this.rl.history
+        .filter(line => !HISTORY_IGNORE.test(line))
+        .map(line => redact(line))
+        .slice(0, HISTORY_SIZE)
+        .reverse();
+      fs.writeFileSync(this.historyFile, lines.length > 0 ? `${lines.join('\n')}\n` : '', { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+      this._error(`保存历史记录失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 清空补全使用的元数据缓存
+   * @private
+   */
+  _invalidateMetadata() {
+    this.metadata = { databases: null, tables: new Map(), columns: new Map() };
+  }
+
+  /**
+   * 获取补全使用的元数据，结果缓存到下一次 DDL，查询不记入审计日志
+   * @private
+   * @param {string} kind - databases、tables 或 columns
+   * @param {string} [database] - 数据库名
+   * @param {string} [table] - 表名
+   * @returns {Promise<Array<string>>}
+   */
+  async _lookup(kind, database, table) {
+    const cache = this.metadata;
+    const key = table ? `${database}.${table}` : database;
+    if (kind === 'databases' && cache.databases) return cache.databases;
+    if (kind !== 'databases' && cache[kind].has(key)) return cache[kind].get(key);
+
+    let names = [];
+    try {
+      names = await runWithAuditContext({ record: false }, async () => {
+        if (kind === 'databases') return this.client.getDatabases();
+        if (kind === 'tables') return this.client.getTables(database);
+        return (await this.client.getTableSchema(database, table)).map(column => column.Field);
+      });
+    } catch (error) {
+      // 补全失败时不提示，避免打断输入
+    }
+
+    if (kind === 'databases') {
+      cache.databases = names;
+    } else {
+      cache[kind].set(key, names);
+    }
+    return names;
+  }
+
+  /**
+   * 计算补全候选
+   * @private
+   * @param {string} line - 光标前的输入
+   * @returns {Promise<Array>} [候选列表, 被补全的部分]
+   */
+  async _completions(line) {
+    const word = (line.match(/[\w.`$\\?]*$/) || [''])[0];
+    const before = line.slice(0, line.length - word.length);
+    const startsWith = prefix => name => name.startsWith(prefix);
+
+    // 元命令及其参数
+    if (!this.buffer && /^\s*\\/.test(line)) {
+      if (!before.trim()) {
+        return [META_NAMES.filter(startsWith(word)), word];
+      }
+      const command = before.trim();
+      if (command === '\\use' || command === '\\u') {
+        return [(await this._lookup('databases')).filter(startsWith(word)), word];
+      }
+      if (command !== '\\d') {
+        return [[], word];
+      }
+    }
+
+    // 库.表、表.列
+    const dot = word.lastIndexOf('.');
+    if (dot >= 0) {
+      const qualifier = word.slice(0, dot).split('.').map(unquote);
+      const prefix = word.slice(dot + 1);
+      let names = [];
+      if (qualifier.length === 1 && (await this._lookup('databases')).includes(qualifier[0])) {
+        names = await this._lookup('tables', qualifier[0]);
+      } else if (qualifier.length === 1 && this.database) {
+        names = await this._lookup('columns', this.database, qualifier[0]);
+      } else if (qualifier.length === 2) {
+        names = await this._lookup('columns', qualifier[0], qualifier[1]);
+      }
+      return [names.filter(startsWith(prefix)).map(name => `${word.slice(0, dot + 1)}${name}`), word];
+    }
+
+    const candidates = new Set();
+    // 关键字按输入的大小写补全
+    const lower = word.length > 0 && word === word.toLowerCase();
+    KEYWORDS
+      .filter(keyword => keyword.toLowerCase().startsWith(word.toLowerCase()))
+      .forEach(keyword => candidates.add(lower ? keyword.toLowerCase() : keyword));
+
+    (await this._lookup('databases')).forEach(name => candidates.add(name));
+    if (this.database) {
+      const tables = await this._lookup('tables', this.database);
+      tables.forEach(name => candidates.add(name));
+      // 当前语句中出现的表，补全它们的列名
+      const words = new Set(`${this.buffer}\n${line}`.match(/[\w$]+/g) || []);
+      for (const table of tables.filter(name => words.has(name))) {
+        (await this._lookup('columns', this.database, table)).forEach(name => candidates.add(name));
+      }
+    }
+
+    return [Array.from(candidates).filter(startsWith(word)), word];
+  }
+
+  /**
+   * readline 的补全回调
+   * @private
+   */
+  _complete(line, callback) {
+    this._completions(line).then(
+      result => callback(null, result),
+      () => callback(null, [[], line])
+    );
+  }
+}
+
+module.exports = {
+  Shell,
+  defaultHistoryPath
+};
@@ -6,6 +6,11 @@
 const DorisClient = require('./lib/client');
 const DorisManager = require('./lib/manager');
 const helpers = require('./utils/helpers');
+const { getShared, getSharedCluster, closeShared } = require('./lib/shared');
+const { loadConfig, ConfigError } = require('./lib/config');
+const { QueryCancelledError } = require('./lib/cancel');
+const { AuditLog, runWithAuditContext } = require('./lib/audit');
+const { McpServer } = require('./mcp/server');
 
 /**
  * 创建 Doris 客户端实例
@@ -26,16 +31,18 @@ function createManager(config) {
 }
 
 /**
- * 从配置文件加载并创建 Doris 客户端和管理器
- * @param {string} configPath - 配置文件路径
+ * 加载分层配置并创建 Doris 客户端和管理器
+ * @param {Object|string} [configPath] - 配置文件路径或配置加载选项，参见 config.loadConfig
  * @returns {Promise<Object>} 包含客户端和管理器的对象
  */
 async function createFromConfig(configPath) {
-  const config = await helpers.loadConfig(configPath);
+  const config = await loadConfig(configPath);
+  
+  const client = DorisClient.fromConfig(config);
   
   return {
-    client: new DorisClient(config.doris),
-    manager: new DorisManager(config)
+    client,
+    manager: new DorisManager(config, client)
   };
 }
 
@@ -44,7 +51,16 @@ module.exports = {
   DorisClient,
   DorisManager,
   helpers,
+  McpServer,
   createClient,
   createManager,
-  createFromConfig
+  createFromConfig,
+  loadConfig,
+  ConfigError,
+  QueryCancelledError,
+  AuditLog,
+  runWithAuditContext,
+  getShared,
+  getSharedCluster,
+  closeShared
 };
\ No newline at end of file
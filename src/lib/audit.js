@@ -0,0 +1,292 @@
+/**
+ * 查询审计日志
+ * 把每次执行的语句以 JSONL 追加到本地日志文件，记录时间、来源、profile、数据库、语句类别、耗时、行数与错误，
+ * 文件超过大小上限时轮转为 audit.jsonl.1、audit.jsonl.2 ...
+ * 调用来源（CLI、交互式终端、MCP 工具、API）通过异步上下文传递，不需要逐层传参
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const { redact } = require('./security');
+const { splitStatements, classifyStatement } = require('../utils/sql');
+
+// 单个日志文件的默认大小上限(字节)与保留的轮转文件数
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+// 记录的语句最多字符数
+const MAX_STATEMENT_LENGTH = 10000;
+
+// 当前调用的审计上下文，例如 { source: 'mcp', tool: 'doris_query', mcpClient: 'claude-desktop/1.0' }
+const contextStorage = new AsyncLocalStorage();
+// 不在任何上下文中执行时使用的默认上下文，CLI 启动时设置为 { source: 'cli' }
+let defaultContext = { source: 'api' };
+// 日志路径 -> 写入队列，同一文件的写入与轮转串行执行
+const writeQueues = new Map();
+
+/**
+ * 默认的审计日志路径：$XDG_STATE_HOME/doris/audit.jsonl（默认 ~/.local/state/doris/audit.jsonl）
+ * @param {Object} [env] - 环境变量
+ * @returns {string} 日志路径
+ */
+function defaultAuditPath(env = process.env) {
+  return path.join(env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state'), 'doris', 'audit.jsonl');
+}
+
+/**
+ * 当前操作系统用户名，容器中没有对应的用户记录时返回 null
+ * @private
+ */
+function osUsername() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 设置默认审计上下文
+ * @param {Object} context - 上下文字段
+ */
+function setDefaultAuditContext(context) {
+  defaultContext = { ...context };
+}
+
+/**
+ * 获取当前审计上下文
+ * @returns {Object} 上下文字段
+ */
+function auditContext() {
+  return contextStorage.getStore() || defaultContext;
+}
+
+/**
+ * 在指定审计上下文中执行函数，上下文字段与外层上下文合并
+ * @param {Object} context - 上下文字段，record 为 false 时不记录其中执行的语句
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} fn 的返回值
+ */
+function runWithAuditContext(context, fn) {
+  return contextStorage.run({ ...auditContext(), ...context }, fn);
+}
+
+class AuditLog {
+  /**
+   * @param {Object} [options] - 日志选项
+   * @param {boolean} [options.enabled] - 为 false 时不记录
+   * @param {string} [options.path] - 日志路径，默认见 defaultAuditPath
+   * @param {number} [options.maxSize] - 单个文件的大小上限(字节)，超过后轮转
+   * @param {number} [options.maxFiles] - 保留的轮转文件数
+   * @param {string} [options.profile] - 写入每条记录的 profile 名称
+   * @param {string} [options.user] - 写入每条记录的 Doris 用户名
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.filePath = options.path || defaultAuditPath();
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    this.maxFiles = options.maxFiles !== undefined ? options.maxFiles : DEFAULT_MAX_FILES;
+    this.profile = options.profile || null;
+    this.user = options.user || null;
+  }
+
+  /**
+   * 根据分层配置创建审计日志
+   * @param {Object} config - loadConfig 返回的完整配置
+   * @returns {AuditLog}
+   */
+  static fromConfig(config) {
+    return new AuditLog({
+      ...(config.audit || {}),
+      profile: config.profileName,
+      user: config.doris && config.doris.user
+    });
+  }
+
+  /**
+   * 生成一条审计记录
+   * @private
+   * @param {Object} execution - { sql, database, duration, rowCount, error, type, load }
+   * @param {Object} context - 审计上下文
+   * @returns {Object} 审计记录
+   */
+  _entry(execution, context) {
+    const { record, ...fields } = context;
+    const statements = splitStatements(execution.sql || '');
+    let statement = redact(execution.sql || '');
+    const truncated = statement.length > MAX_STATEMENT_LENGTH;
+    if (truncated) {
+      statement = `${statement.slice(0, MAX_STATEMENT_LENGTH)}...`;
+    }
+
+    return {
+      id: crypto.randomBytes(4).toString('hex'),
+      time: new Date().toISOString(),
+      ...fields,
+      profile: this.profile,
+      user: this.user,
+      osUser: osUsername(),
+      database: execution.database || null,
+      statement,
+      truncated,
+      type: execution.type || (statements.length > 0 ? classifyStatement(statements[0]).type : null),
+      duration: execution.duration,
+      rowCount: execution.rowCount !== undefined ? execution.rowCount : null,
+      error: execution.error ? redact(execution.error.message) : null,
+      ...(execution.load ? { load: execution.load } : {})
+    };
+  }
+
+  /**
+   * 记录一次语句执行，写入失败只输出警告，不影响查询本身
+   * @param {Object} execution - 执行信息
+   * @param {string} execution.sql - 执行的语句（已绑定参数）
+   * @param {string} [execution.database] - 会话所在数据库
+   * @param {number} execution.duration - 耗时(毫秒)
+   * @param {number} [execution.rowCount] - 返回或影响的行数
+   * @param {Error} [execution.error] - 执行失败时的错误
+   * @param {string} [execution.type] - 语句类别，不是 SQL 的操作（如 Stream Load）需显式指定
+   * @param {Object} [execution.load] - 导入操作的详情 { method, label, table, loadedRows, filteredRows }
+   * @returns {Promise<void>} 写入完成时 resolve
+   */
+  record(execution) {
+    const context = auditContext();
+    if (!this.enabled || context.record === false) {
+      return Promise.resolve();
+    }
+
+    const line = JSON.stringify(this._entry(execution, context)) + '\n';
+    const previous = writeQueues.get(this.filePath) || Promise.resolve();
+    const task = previous
+      .then(() => this._append(line))
+      .catch(error => {
+        console.error('写入审计日志失败:', error.message);
+      });
+    writeQueues.set(this.filePath, task);
+    return task;
+  }
+
+  /**
+   * 追加一行，超过大小上限时先轮转
+   * @private
+   * @param {string} line - 一行 JSON
+   * @returns {Promise<void>}
+   */
+  async _append(line) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+
+    let size = 0;
+    try {
+      size = (await fs.promises.stat(this.filePath)).size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (size > 0 && size + Buffer.byteLength(line) > this.maxSize) {
+      await this._rotate();
+    }
+
+    // 审计日志可能包含业务数据，仅当前用户可读写
+    await fs.promises.appendFile(this.filePath, line, { encoding: 'utf8', mode: 0o600 });
+  }
+
+  /**
+   * 轮转日志：audit.jsonl.N-1 -> audit.jsonl.N，最旧的文件被删除
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _rotate() {
+    const ignoreMissing = error => {
+      if (error.code !== 'ENOENT') throw error;
+    };
+
+    if (this.maxFiles <= 0) {
+      await fs.promises.unlink(this.filePath).catch(ignoreMissing);
+      return;
+    }
+    await fs.promises.unlink(`${this.filePath}.${this.maxFiles}`).catch(ignoreMissing);
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await fs.promises.rename(`${this.filePath}.${index}`, `${this.filePath}.${index + 1}`).catch(ignoreMissing);
+    }
+    await fs.promises.rename(this.filePath, `${this.filePath}.1`).catch(ignoreMissing);
+  }
+
+  /**
+   * 读取审计记录，按时间从新到旧排列
+   * @param {Object} [options] - 过滤选项
+   * @param {string} [options.search] - 语句中包含的文本（不区分大小写）
+   * @param {string} [options.database] - 数据库
+   * @param {string} [options.source] - 来源：cli、shell、mcp、api
+   * @param {string} [options.type] - 语句类别
+   * @param {boolean} [options.errors] - 只返回执行失败的记录
+   * @param {number} [options.limit] - 最多返回的条数
+   * @returns {Promise<Array<Object>>} 审计记录
+   */
+  async read(options = {}) {
+    // 等待尚未写完的记录
+    await (writeQueues.get(this.filePath) || Promise.resolve());
+
+    const search = options.search ? options.search.toLowerCase() : null;
+    const matches = entry =>
+      (!search || String(entry.statement).toLowerCase().includes(search)) &&
+      (!options.database || entry.database === options.database) &&
+      (!options.source || entry.source === options.source) &&
+      (!options.type || entry.type === options.type) &&
+      (!options.errors || Boolean(entry.error));
+
+    const result = [];
+    const files = [this.filePath];
+    for (let index = 1; index <= this.maxFiles; index++) {
+      files.push(`${this.filePath}.${index}`);
+    }
+
+    for (const file of files) {
+      let content;
+      try {
+        content = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const entries = [];
+      content.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          // 跳过写入中断留下的不完整行
+        }
+      });
+
+      for (const entry of entries.reverse()) {
+        if (!matches(entry)) continue;
+        result.push(entry);
+        if (options.limit && result.length >= options.limit) {
+          return result;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 按 ID 查找审计记录
+   * @param {string} id - 记录 ID
+   * @returns {Promise<Object|null>} 审计记录
+   */
+  async find(id) {
+    const entries = await this.read();
+    return entries.find(entry => entry.id === id) || null;
+  }
+}
+
+module.exports = {
+  AuditLog,
+  defaultAuditPath,
+  auditContext,
+  runWithAuditContext,
+  setDefaultAuditContext
+};
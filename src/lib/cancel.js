@@ -0,0 +1,59 @@
+/**
+ * 查询超时与取消
+ * 把调用方的超时、内存上限转换为 Doris 会话变量，并定义查询被取消时抛出的错误
+ */
+
+/**
+ * 查询被取消错误：客户端超时或调用方主动中止（Ctrl-C、MCP 取消通知）
+ */
+class QueryCancelledError extends Error {
+  /**
+   * @param {string} reason - timeout（超时）或 aborted（主动中止）
+   * @param {Object} [details] - 附加信息，例如 timeout、connectionId、abortReason
+   */
+  constructor(reason, details = {}) {
+    super(reason === 'timeout'
+      ? `查询超过 ${details.timeout}ms 未完成，已取消`
+      : `查询已取消${details.abortReason ? `: ${details.abortReason}` : ''}`);
+    this.name = 'QueryCancelledError';
+    this.code = 'QUERY_CANCELLED';
+    this.reason = reason;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * 生成本次查询需要设置的会话变量
+ * @param {Object} options - 查询选项
+ * @param {number} [options.timeout] - 超时时间(毫秒)，对应 query_timeout（秒，向上取整）
+ * @param {number} [options.memLimit] - 单个查询的内存上限(字节)，对应 exec_mem_limit
+ * @returns {Object|null} 变量名到取值的映射，没有需要设置的变量时返回 null
+ */
+function sessionVariables(options = {}) {
+  const variables = {};
+  if (options.timeout > 0) {
+    variables.query_timeout = Math.max(1, Math.ceil(options.timeout / 1000));
+  }
+  if (options.memLimit > 0) {
+    variables.exec_mem_limit = Math.floor(options.memLimit);
+  }
+  return Object.keys(variables).length > 0 ? variables : null;
+}
+
+/**
+ * 根据 AbortSignal 生成取消错误
+ * @param {AbortSignal} signal - 已中止的信号
+ * @returns {QueryCancelledError}
+ */
+function abortError(signal) {
+  const { reason } = signal;
+  // AbortController.abort() 未传原因时 reason 为 DOMException
+  const abortReason = typeof reason === 'string' ? reason : (reason && reason.name !== 'AbortError' ? reason.message : '');
+  return new QueryCancelledError('aborted', abortReason ? { abortReason } : {});
+}
+
+module.exports = {
+  QueryCancelledError,
+  sessionVariables,
+  abortError
+};
@@ -4,8 +4,107 @@
  */
 const mysql = require('mysql2/promise');
 const axios = require('axios');
+const https = require('https');
 const fs = require('fs').promises;
 const path = require('path');
+const { streamLoad } = require('./streamload');
+const { parseCreateTable } = require('./ddl');
+const { parsePlan } = require('./plan');
+const { EXPORT_FORMATS, inferExportFormat, writeRowStream } = require('./exporter');
+const { QueryCancelledError, sessionVariables, abortError } = require('./cancel');
+const { AuditLog, runWithAuditContext } = require('./audit');
+const { StatementType, splitStatements, classifyStatement, trimStatement } = require('../utils/sql');
+const {
+  quoteIdentifier,
+  quoteQualified,
+  quoteString,
+  sqlExpression,
+  bindParams
+} = require('../utils/quote');
+const {
+  isTlsEnabled,
+  buildMysqlSsl,
+  buildHttpsOptions,
+  resolvePassword,
+  redactError
+} = require('./security');
+const {
+  DEFAULT_RETRY,
+  EndpointSet,
+  isConnectError,
+  isTransientError,
+  withRetry
+} = require('./failover');
+
+// 连接池默认参数
+const DEFAULT_POOL_OPTIONS = {
+  connectionLimit: 10,
+  idleTimeout: 60000,
+  healthCheckInterval: 30000,
+  queueLimit: 0
+};
+// 取消查询后等待语句结束的时间(毫秒)，超过后销毁连接
+const KILL_GRACE_PERIOD = 5000;
+
+/**
+ * 生成 PROPERTIES 形式的键值列表
+ * @private
+ * @param {Object} props - 属性
+ * @returns {string} ("key" = "value", ...)
+ */
+function toProperties(props) {
+  return `(${Object.entries(props)
+    .map(([key, value]) => `${quoteString(key)} = ${quoteString(value)}`)
+    .join(', ')})`;
+}
+
+/**
+ * 生成 LOAD / EXPORT 的存储子句
+ * 显式指定 Broker 时使用 Broker，否则按路径协议使用 S3 / HDFS，本地路径不需要存储子句
+ * @private
+ * @param {string} location - 远程路径
+ * @param {Object} options - { broker, properties }
+ * @returns {string} WITH 子句
+ */
+function buildStorageClause(location, options) {
+  const storageProperties = options.properties || {};
+  if (options.broker) {
+    return `WITH BROKER ${quoteString(options.broker)} ${toProperties(storageProperties)}`;
+  }
+  if (/^(s3a?|oss|cos|obs|bos):\/\//i.test(location)) {
+    return `WITH S3 ${toProperties(storageProperties)}`;
+  }
+  if (/^hdfs:\/\//i.test(location)) {
+    return `WITH HDFS ${toProperties(storageProperties)}`;
+  }
+  return '';
+}
+
+/**
+ * 将格式名转换为服务端导出使用的格式
+ * @private
+ * @param {string} location - 导出路径
+ * @param {Object} options - { format, header }
+ * @returns {string} csv/csv_with_names/parquet/orc
+ */
+function serverExportFormat(location, options) {
+  const format = (options.format || inferExportFormat(location)).toLowerCase();
+  if (!['csv', 'csv_with_names', 'parquet', 'orc'].includes(format)) {
+    throw new Error(`服务端导出不支持格式: ${format}，可选: csv, parquet, orc`);
+  }
+  return format === 'csv' && options.header ? 'csv_with_names' : format;
+}
+
+/**
+ * 判断 SQL 是否只包含只读语句，只读语句在连接中断时可以安全重试
+ * @private
+ * @param {string} sql - SQL 语句
+ * @returns {boolean}
+ */
+function isReadOnly(sql) {
+  const statements = splitStatements(sql);
+  return statements.length > 0 && statements.every(statement => classifyStatement(statement).type === StatementType.READ);
+}
 
 class DorisClient {
   /**
@@ -13,38 +112,205 @@ class DorisClient {
    * @param {Object} config - 连接配置
    * @param {string} config.host - 主机地址
    * @param {number} config.port - 端口号
+   * @param {Array<string>} [config.hosts] - 多个 FE 的 host[:port] 列表，提供时替代 host/port，按顺序故障转移
    * @param {string} config.user - 用户名
    * @param {string} config.password - 密码
+   * @param {string} [config.passwordFile] - 从文件读取密码
+   * @param {string} [config.passwordCommand] - 执行命令获取密码
+   * @param {string} [config.passwordKeystore] - 从加密密钥库读取密码的条目名称
+   * @param {string} [config.keystorePath] - 密钥库路径
+   * @param {Object} [config.tls] - MySQL 协议的 TLS 配置 { enabled, ca, cert, key, passphrase, verify }
    * @param {string} config.database - 数据库名
    * @param {number} config.timeout - 超时时间(毫秒)
+   * @param {string} [config.httpHost] - FE HTTP 主机，默认与 host 相同
+   * @param {Array<string>} [config.httpHosts] - 多个 FE 的 HTTP host[:port] 列表，提供时替代 httpHost
+   * @param {number} [config.httpPort] - FE HTTP 端口，默认 8030
+   * @param {Object} [config.httpTls] - FE HTTP 接口的 TLS 配置，启用时使用 HTTPS
+   * @param {Object} [config.pool] - 连接池配置，提供时启用连接池模式
+   * @param {boolean} [config.pool.enabled] - 为 false 时关闭连接池模式
+   * @param {number} [config.pool.connectionLimit] - 每个数据库连接池的最大连接数
+   * @param {number} [config.pool.maxIdle] - 每个连接池保留的最大空闲连接数
+   * @param {number} [config.pool.idleTimeout] - 空闲连接回收时间(毫秒)
+   * @param {number} [config.pool.healthCheckInterval] - 连接空闲超过该时长(毫秒)后，借出前先 ping 检查
+   * @param {number} [config.pool.queueLimit] - 等待连接的最大排队数，0 表示不限制
+   * @param {Object} [config.retry] - 重试配置，仅用于只读查询和幂等的 HTTP 请求
+   * @param {number} [config.retry.retries] - 最大重试次数，默认 2
+   * @param {number} [config.retry.delay] - 首次重试前的等待时间(毫秒)，之后逐次翻倍，默认 200
+   * @param {number} [config.retry.maxDelay] - 单次等待的上限(毫秒)，默认 5000
+   * @param {number} [config.retry.cooldown] - FE 连接失败后暂停选择的时间(毫秒)，默认 30000
+   * @param {AuditLog} [config.auditLog] - 审计日志，提供时记录每次执行的语句
    */
   constructor(config) {
     this.config = config;
     this.connection = null;
     this.isConnected = false;
+    // 单连接模式下当前会话所在的数据库
+    this.currentDatabase = config.database;
+
+    // 连接池模式：按数据库划分连接池，每个池中的会话默认数据库固定
+    this.pooled = Boolean(config.pool) && config.pool.enabled !== false;
+    this.poolOptions = { ...DEFAULT_POOL_OPTIONS, ...(config.pool || {}) };
+    this.pools = new Map();
+    this.activeQueries = 0;
+    this.closing = false;
+    // 记录每个底层连接最近一次归还的时间，用于健康检查
+    this.lastUsed = new WeakMap();
+    // 密码在首次连接时解析，可能来自文件、命令或密钥库
+    this.password = null;
+    this.passwordPromise = null;
+    this.httpsOptions = buildHttpsOptions(config.httpTls);
+    this.httpsAgent = this.httpsOptions ? new https.Agent(this.httpsOptions) : null;
+
+    // FE 端点：按配置顺序优先使用健康的 FE，连接失败的 FE 在冷却期内排到最后
+    this.retryOptions = { ...DEFAULT_RETRY, ...(config.retry || {}) };
+    const endpointOptions = { cooldown: this.retryOptions.cooldown };
+    this.endpoints = new EndpointSet(
+      config.hosts && config.hosts.length > 0 ? config.hosts : [config.host],
+      config.port || 9030,
+      endpointOptions
+    );
+    this.httpEndpoints = new EndpointSet(
+      config.httpHosts && config.httpHosts.length > 0 ? config.httpHosts : [config.httpHost || config.host],
+      config.httpPort || 8030,
+      endpointOptions
+    );
+    // 单连接模式下当前连接所在的 FE
+    this.connectionEndpoint = null;
+    this.auditLog = config.auditLog || null;
+  }
+
+  /**
+   * 根据分层配置创建客户端
+   * @param {Object} config - loadConfig 返回的完整配置
+   * @param {Object} [overrides] - 覆盖 doris 配置中的连接参数
+   * @returns {DorisClient} Doris 客户端实例
+   */
+  static fromConfig(config, overrides = {}) {
+    return new DorisClient({
+      httpHost: config.fe && config.fe.host,
+      httpHosts: config.fe && config.fe.hosts,
+      httpPort: config.fe && config.fe.httpPort,
+      httpTls: config.fe && config.fe.tls,
+      keystorePath: config.keystore && config.keystore.path,
+      auditLog: AuditLog.fromConfig(config),
+      ...config.doris,
+      ...overrides
+    });
+  }
+
+  /**
+   * 解析连接密码，结果在客户端生命周期内缓存
+   * @private
+   * @returns {Promise<string>} 密码
+   */
+  _resolvePassword() {
+    if (!this.passwordPromise) {
+      this.passwordPromise = resolvePassword(this.config).then(password => {
+        this.password = password;
+        return password;
+      });
+      // 解析失败时允许重试，例如密码文件稍后才生成
+      this.passwordPromise.catch(() => {
+        this.passwordPromise = null;
+      });
+    }
+    return this.passwordPromise;
+  }
+
+  /**
+   * 对错误信息中的凭据脱敏
+   * @private
+   * @param {Error} error - 错误对象
+   * @returns {Error} 同一个错误对象
+   */
+  _redact(error) {
+    return redactError(error, [this.password, this.config.password, this.config.tls && this.config.tls.passphrase]);
+  }
+
+  /**
+   * 构建 mysql2 连接参数
+   * @private
+   * @param {string} database - 会话默认数据库
+   * @param {Object} [endpoint] - FE 端点，默认当前首选的 FE
+   * @returns {Object} 连接参数
+   */
+  _connectionOptions(database, endpoint = this.endpoints.current()) {
+    return {
+      host: endpoint.host,
+      port: endpoint.port,
+      user: this.config.user,
+      password: this.password,
+      database,
+      connectTimeout: this.config.timeout || 30000,
+      ssl: buildMysqlSsl(this.config.tls),
+      charset: 'utf8mb4',
+    };
+  }
+
+  /**
+   * 获取指定 FE 和数据库的连接池，不存在时创建
+   * @param {string} [database] - 数据库名，默认使用配置中的数据库
+   * @param {Object} [endpoint] - FE 端点，默认当前首选的 FE
+   * @returns {Object} mysql2 连接池
+   */
+  getPool(database = this.config.database, endpoint = this.endpoints.current()) {
+    const key = `${endpoint.key}/${database || ''}`;
+
+    if (!this.pools.has(key)) {
+      const { connectionLimit, idleTimeout, queueLimit } = this.poolOptions;
+      // mysql2 仅在 maxIdle 小于 connectionLimit 时才会按 idleTimeout 回收空闲连接
+      const maxIdle = this.poolOptions.maxIdle !== undefined
+        ? this.poolOptions.maxIdle
+        : Math.max(connectionLimit - 1, 0);
+
+      this.pools.set(key, mysql.createPool({
+        ...this._connectionOptions(database, endpoint),
+        connectionLimit,
+        maxIdle,
+        idleTimeout,
+        queueLimit,
+        waitForConnections: true,
+        enableKeepAlive: true
+      }));
+    }
+
+    return this.pools.get(key);
   }
 
   /**
    * 连接到 Doris 数据库
+   * 按健康状况依次尝试各个 FE，连接池模式下借出一个连接验证连通性
    * @returns {Promise<boolean>} 连接是否成功
    */
   async connect() {
     try {
-      this.connection = await mysql.createConnection({
-        host: this.config.host,
-        port: this.config.port,
-        user: this.config.user,
-        password: this.config.password,
-        database: this.config.database,
-        connectTimeout: this.config.timeout || 30000,
-        // Doris 特定设置
-        ssl: false,
-        charset: 'utf8mb4',
-      });
+      await this._resolvePassword();
+      if (this.pooled) {
+        const { conn } = await this._acquire(this.config.database);
+        conn.release();
+      } else {
+        // 建立连接时还未发送任何语句，任何连接错误都可以换下一个 FE
+        await this.endpoints.tryEach(async endpoint => {
+          const connection = await mysql.createConnection(this._connectionOptions(this.config.database, endpoint));
+          // 连接被服务端关闭或网络中断时丢弃，下次调用自动重连
+          connection.on('error', error => {
+            if (this.connection === connection) {
+              this._dropConnection(error);
+            }
+          });
+          this.connection = connection;
+          this.connectionEndpoint = endpoint;
+        }, isTransientError).catch(error => {
+          error.unsent = true;
+          throw error;
+        });
+        this.currentDatabase = this.config.database;
+      }
       
       this.isConnected = true;
       return true;
     } catch (error) {
+      this._redact(error);
       console.error('连接到 Doris 失败:', error.message);
       this.isConnected = false;
       throw error;
@@ -53,9 +319,15 @@ class DorisClient {
 
   /**
    * 断开与 Doris 的连接
+   * 连接池模式下等价于 close()
    * @returns {Promise<void>}
    */
   async disconnect() {
+    if (this.pooled) {
+      await this.close();
+      return;
+    }
+
     if (this.connection) {
       await this.connection.end();
       this.isConnected = false;
@@ -63,6 +335,58 @@ class DorisClient {
     }
   }
 
+  /**
+   * 切换默认数据库，之后未指定数据库的查询都在该数据库中执行
+   * 单连接模式下在当前会话执行 USE，已设置的会话变量保持不变
+   * @param {string} database - 数据库名
+   * @returns {Promise<void>}
+   */
+  async useDatabase(database) {
+    try {
+      if (this.pooled) {
+        // 借出一个该数据库的连接，确认数据库存在
+        await this._withConnection(conn => conn.query('SELECT 1'), database);
+      } else {
+        await this._withConnection(conn => conn.query(`USE ${quoteIdentifier(database)}`), this.currentDatabase);
+        this.currentDatabase = database;
+      }
+      this.config.database = database;
+    } catch (error) {
+      this._redact(error);
+      console.error('切换数据库失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 优雅关闭：拒绝新的查询，等待进行中的查询完成后关闭所有连接池
+   * @param {Object} options - 关闭选项
+   * @param {number} options.timeout - 等待进行中查询的最长时间(毫秒)，超时后强制关闭
+   * @returns {Promise<void>}
+   */
+  async close({ timeout = 30000 } = {}) {
+    this.closing = true;
+
+    const deadline = Date.now() + timeout;
+    while (this.activeQueries > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const pools = Array.from(this.pools.values());
+    this.pools.clear();
+    await Promise.all(pools.map(pool => pool.end().catch(error => {
+      console.error('关闭连接池失败:', error.message);
+    })));
+
+    if (this.connection) {
+      await this.connection.end();
+      this.connection = null;
+    }
+
+    this.isConnected = false;
+    this.closing = false;
+  }
+
   /**
    * 确保已连接到数据库
    * @private
@@ -74,55 +398,651 @@ class DorisClient {
     }
   }
 
+  /**
+   * 丢弃单连接模式下已失效的连接，下次调用时重新连接
+   * @private
+   * @param {Error} [error] - 失效原因
+   */
+  _dropConnection(error) {
+    if (this.connectionEndpoint && error) {
+      this.endpoints.markFailure(this.connectionEndpoint, error);
+    }
+    if (this.connection) {
+      this.connection.destroy();
+    }
+    this.connection = null;
+    this.connectionEndpoint = null;
+    this.isConnected = false;
+  }
+
+  /**
+   * 从指定 FE 的连接池借出连接，空闲过久的连接先做健康检查
+   * @private
+   * @param {Object} endpoint - FE 端点
+   * @param {string} database - 数据库名
+   * @returns {Promise<Object>} 连接池连接
+   */
+  async _acquireFrom(endpoint, database) {
+    const conn = await this.getPool(database, endpoint).getConnection();
+    const lastUsed = this.lastUsed.get(conn.connection);
+
+    if (lastUsed && Date.now() - lastUsed > this.poolOptions.healthCheckInterval) {
+      try {
+        await conn.ping();
+      } catch (error) {
+        // 失效连接直接销毁，由连接池重新建立
+        conn.destroy();
+        return this._acquireFrom(endpoint, database);
+      }
+    }
+
+    return conn;
+  }
+
+  /**
+   * 从连接池借出连接，当前 FE 不可用时切换到下一个 FE
+   * @private
+   * @param {string} database - 数据库名
+   * @returns {Promise<Object>} { conn, endpoint }
+   */
+  async _acquire(database) {
+    try {
+      // 借出连接时还未发送任何语句，任何连接错误都可以换下一个 FE
+      return await this.endpoints.tryEach(
+        async endpoint => ({ conn: await this._acquireFrom(endpoint, database), endpoint }),
+        isTransientError
+      );
+    } catch (error) {
+      error.unsent = true;
+      throw error;
+    }
+  }
+
+  /**
+   * 借用一个连接执行操作，执行完毕后自动归还
+   * @private
+   * @param {Function} fn - 接收 (连接, 所在 FE 端点) 并返回 Promise 的函数
+   * @param {string} [database] - 会话所在数据库，默认使用配置中的数据库
+   * @returns {Promise<*>} fn 的返回值
+   */
+  async _withConnection(fn, database = this.config.database) {
+    if (this.closing) {
+      throw new Error('客户端正在关闭，不再接受新的查询');
+    }
+
+    this.activeQueries++;
+    try {
+      await this._resolvePassword();
+      if (!this.pooled) {
+        await this._ensureConnected();
+        // 单连接模式下按需切换会话数据库
+        try {
+          if (database && database !== this.currentDatabase) {
+            await this.connection.changeUser({ database });
+            this.currentDatabase = database;
+          }
+          return await fn(this.connection, this.connectionEndpoint);
+        } catch (error) {
+          if (isTransientError(error)) {
+            this._dropConnection(error);
+          }
+          throw error;
+        }
+      }
+
+      const { conn, endpoint } = await this._acquire(database);
+      try {
+        return await fn(conn, endpoint);
+      } catch (error) {
+        if (isTransientError(error)) {
+          // 连接已中断，销毁而不是归还连接池
+          this.endpoints.markFailure(endpoint, error);
+          conn.destroy();
+        }
+        throw error;
+      } finally {
+        this.lastUsed.set(conn.connection, Date.now());
+        conn.release();
+      }
+    } catch (error) {
+      // SQL 中可能带有存储凭据，错误向上抛出前先脱敏
+      throw this._redact(error);
+    } finally {
+      this.activeQueries--;
+    }
+  }
+
+  /**
+   * 调用 FE HTTP 接口
+   * 未指定 host 时按健康状况在各个 FE 之间故障转移；GET 等幂等请求在连接中断、超时或
+   * 返回 502/503/504 时按退避策略重试，其他请求只在连接建立失败（请求未发出）时切换 FE 或重试
+   * @param {string} method - HTTP 方法
+   * @param {string} pathname - 接口路径，例如 /api/cluster_status
+   * @param {Object} [options] - 请求选项
+   * @param {string} [options.host] - 指定 FE 主机，不做故障转移
+   * @param {number} [options.port] - 指定 FE HTTP 端口，默认 httpPort
+   * @param {*} [options.data] - 请求体
+   * @param {Object} [options.params] - 查询参数
+   * @param {number} [options.timeout] - 超时时间(毫秒)
+   * @param {boolean} [options.idempotent] - 请求是否幂等，默认 GET/HEAD/OPTIONS 为幂等
+   * @returns {Promise<*>} 响应内容
+   */
+  async requestFe(method, pathname, options = {}) {
+    const protocol = isTlsEnabled(this.config.httpTls) ? 'https' : 'http';
+    const idempotent = options.idempotent !== undefined
+      ? options.idempotent
+      : ['get', 'head', 'options'].includes(method.toLowerCase());
+
+    const send = async endpoint => {
+      const password = await this._resolvePassword();
+      const response = await axios.request({
+        method,
+        url: `${protocol}://${endpoint.host}:${endpoint.port}${pathname}`,
+        data: options.data,
+        params: options.params,
+        timeout: options.timeout || this.config.timeout || 30000,
+        auth: { username: this.config.user, password: password || '' },
+        httpsAgent: this.httpsAgent || undefined
+      });
+      return response.data;
+    };
+
+    try {
+      return await withRetry(() => {
+        if (options.host) {
+          return send({ host: options.host, port: options.port || this.config.httpPort || 8030 });
+        }
+        return this.httpEndpoints.tryEach(send, idempotent ? isTransientError : isConnectError);
+      }, {
+        ...this.retryOptions,
+        // 非幂等请求只在请求未发出时重试
+        shouldRetry: idempotent ? isTransientError : isConnectError,
+        onRetry: (error, attempt, wait) => {
+          console.error(`FE 请求 ${pathname} 失败，${wait}ms 后第 ${attempt} 次重试:`, this._redact(error).message);
+        }
+      });
+    } catch (error) {
+      throw this._redact(error);
+    }
+  }
+
+  /**
+   * 请求 BE 的 HTTP 接口，例如 /metrics
+   * BE 的监控接口不需要认证，不携带连接凭据
+   * @param {string} host - BE 主机
+   * @param {number} port - BE HTTP 端口（webserver_port）
+   * @param {string} pathname - 接口路径
+   * @param {Object} [options] - 请求选项 { params, timeout }
+   * @returns {Promise<*>} 响应内容
+   */
+  async requestBe(host, port, pathname, options = {}) {
+    const address = host.includes(':') ? `[${host}]` : host;
+    try {
+      const response = await axios.request({
+        method: 'get',
+        url: `http://${address}:${port}${pathname}`,
+        params: options.params,
+        timeout: options.timeout || this.config.timeout || 30000
+      });
+      return response.data;
+    } catch (error) {
+      throw this._redact(error);
+    }
+  }
+
+  /**
+   * 将指定主机上的 FE 端点标记为暂不可用，例如主动重启 FE 之后
+   * @param {string} host - FE 主机
+   * @param {string} [reason] - 原因
+   */
+  markHostDown(host, reason = 'FE 暂不可用') {
+    [this.endpoints, this.httpEndpoints].forEach(endpointSet => {
+      endpointSet.endpoints
+        .filter(endpoint => endpoint.host === host)
+        .forEach(endpoint => endpointSet.markFailure(endpoint, new Error(reason)));
+    });
+  }
+
+  /**
+   * 获取各个 FE 端点的健康状态
+   * @returns {Object} { mysql, http }，分别为 MySQL 协议和 HTTP 接口的端点状态列表
+   */
+  getEndpointStatus() {
+    return {
+      mysql: this.endpoints.status(),
+      http: this.httpEndpoints.status()
+    };
+  }
+
+  /**
+   * 写入审计日志，未配置审计日志时忽略
+   * @private
+   * @param {string} sql - 执行的语句（已绑定参数）
+   * @param {string} [database] - 会话所在数据库
+   * @param {number} start - 开始时间戳
+   * @param {Object} outcome - { rowCount } 或 { error }，可附带 type 与 load，参见 AuditLog.record
+   */
+  _audit(sql, database, start, outcome) {
+    if (!this.auditLog) return;
+    this.auditLog.record({
+      sql,
+      database: database || this.config.database,
+      duration: Date.now() - start,
+      ...outcome
+    });
+  }
+
+  /**
+   * 在指定 FE 上终止某个连接正在执行的查询，连接本身保留
+   * 使用独立的新连接发送 KILL QUERY，不占用连接池
+   * @private
+   * @param {number} connectionId - 连接 ID
+   * @param {Object} endpoint - 连接所在的 FE 端点，连接 ID 只在该 FE 上有效
+   * @returns {Promise<void>}
+   */
+  async _killQuery(connectionId, endpoint) {
+    const connection = await mysql.createConnection(this._connectionOptions(undefined, endpoint));
+    try {
+      await connection.query(`KILL QUERY ${Number(connectionId)}`);
+    } finally {
+      connection.destroy();
+    }
+  }
+
+  /**
+   * 丢弃状态不确定的连接：连接池模式下销毁连接，单连接模式下下次调用时重新连接
+   * @private
+   * @param {Object} conn - 连接
+   */
+  _discardConnection(conn) {
+    if (this.pooled) {
+      conn.destroy();
+    } else {
+      this._dropConnection();
+    }
+  }
+
+  /**
+   * 在连接上设置会话变量，返回设置前的原值
+   * @private
+   * @param {Object} conn - 连接
+   * @param {Object|null} variables - sessionVariables 的结果
+   * @returns {Promise<Object|null>} 变量名到原值的映射，没有需要设置的变量时返回 null
+   */
+  async _setSessionVariables(conn, variables) {
+    if (!variables) return null;
+    const names = Object.keys(variables);
+    const [rows] = await conn.query(`SELECT ${names.map(name => `@@${name} AS ${name}`).join(', ')}`);
+    await conn.query(`SET ${names.map(name => `${name} = ${variables[name]}`).join(', ')}`);
+    return rows[0];
+  }
+
+  /**
+   * 恢复 _setSessionVariables 修改前的会话变量
+   * @private
+   * @param {Object} conn - 连接
+   * @param {Object} previous - 变量名到原值的映射
+   * @returns {Promise<void>}
+   */
+  async _restoreSessionVariables(conn, previous) {
+    const restore = Object.entries(previous).map(([name, value]) => {
+      const text = String(value);
+      return `${name} = ${/^-?\d+$/.test(text) ? text : quoteString(text)}`;
+    });
+    await conn.query(`SET ${restore.join(', ')}`);
+  }
+
+  /**
+   * 在连接上执行语句，支持超时、内存上限与中止
+   * 超时与内存上限先设置为会话变量，由 Doris 在服务端强制执行，执行完毕后恢复原值；
+   * 客户端超时或收到中止信号时通过 KILL QUERY 终止语句，语句未能及时结束时销毁连接
+   * @private
+   * @param {Object} conn - 连接
+   * @param {Object} endpoint - 连接所在的 FE 端点
+   * @param {Function} run - 在连接上发出语句的函数，返回语句的执行结果
+   * @param {Object} options - { timeout, memLimit, signal }
+   * @returns {Promise<*>} run 的执行结果
+   */
+  async _execute(conn, endpoint, run, options) {
+    const { timeout, signal } = options;
+    const variables = sessionVariables(options);
+    if (!variables && !signal) {
+      return run();
+    }
+    if (signal && signal.aborted) {
+      throw abortError(signal);
+    }
+
+    let discarded = false;
+    const discard = () => {
+      if (discarded) return;
+      discarded = true;
+      this._discardConnection(conn);
+    };
+
+    const previous = await this._setSessionVariables(conn, variables);
+
+    try {
+      const running = run();
+      // 取消后原语句仍会以错误结束，避免出现未处理的 rejection
+      running.catch(() => {});
+
+      return await new Promise((resolve, reject) => {
+        let timer = null;
+        let cancelled = false;
+
+        const cleanup = () => {
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const cancel = error => {
+          if (cancelled) return;
+          cancelled = true;
+          cleanup();
+
+          const killed = this._killQuery(conn.threadId, endpoint).catch(killError => {
+            console.error(`终止连接 ${conn.threadId} 上的查询失败:`, killError.message);
+          });
+          let graceTimer;
+          const grace = new Promise(done => {
+            graceTimer = setTimeout(() => done(false), KILL_GRACE_PERIOD);
+          });
+          Promise.race([running.then(() => true, () => true), grace])
+            .then(finished => {
+              clearTimeout(graceTimer);
+              // 语句迟迟不结束时连接不能再复用
+              if (!finished) discard();
+              return killed;
+            })
+            .then(() => reject(error));
+        };
+        function onAbort() {
+          cancel(abortError(signal));
+        }
+
+        if (timeout > 0) {
+          timer = setTimeout(() => {
+            cancel(new QueryCancelledError('timeout', { timeout, connectionId: conn.threadId }));
+          }, timeout);
+        }
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        running.then(result => {
+          if (cancelled) return;
+          cleanup();
+          resolve(result);
+        }, error => {
+          if (cancelled) return;
+          cleanup();
+          reject(error);
+        });
+      });
+    } finally {
+      if (previous && !discarded) {
+        try {
+          await this._restoreSessionVariables(conn, previous);
+        } catch (error) {
+          // 无法恢复会话变量时不再复用该连接
+          discard();
+        }
+      }
+    }
+  }
+
   /**
    * 执行 SQL 查询
-   * @param {string} sql - SQL 查询语句
-   * @param {Array} params - 查询参数
+   * 只读语句在连接中断时按退避策略重试并自动重连；写语句只在尚未发出时重试，一旦发出不会自动重试
+   * @param {string} sql - SQL 查询语句，可使用 ? 作为值占位符、?? 作为标识符占位符
+   * @param {Array} params - 位置参数，在客户端转义后绑定到占位符
+   * @param {Object} options - 查询选项
+   * @param {string} options.database - 在指定数据库的会话中执行
+   * @param {boolean} [options.retry] - 语句发出后连接中断时是否允许重试，默认只读语句允许
+   * @param {number} [options.timeout] - 超时时间(毫秒)，同时设置为会话的 query_timeout，超时后终止查询
+   * @param {number} [options.memLimit] - 单个查询的内存上限(字节)，设置为会话的 exec_mem_limit
+   * @param {AbortSignal} [options.signal] - 中止信号，中止时终止查询并抛出 QueryCancelledError
    * @returns {Promise<Object>} 查询结果
    */
-  async query(sql, params = []) {
-    await this._ensureConnected();
-    
+  async query(sql, params = [], options = {}) {
+    const retry = options.retry !== undefined ? options.retry : isReadOnly(sql);
+    const start = Date.now();
+    let statement = sql;
+
     try {
-      const [rows, fields] = await this.connection.execute(sql, params);
+      statement = bindParams(sql, params);
+      const [rows, fields] = await withRetry(
+        () => this._withConnection(
+          (conn, endpoint) => this._execute(conn, endpoint, () => conn.query(statement), options),
+          options.database
+        ),
+        {
+          ...this.retryOptions,
+          // 写语句只在语句未发出（连接建立失败）时重试
+          shouldRetry: retry ? isTransientError : isConnectError,
+          onRetry: (error, attempt, wait) => {
+            console.error(`查询失败，${wait}ms 后第 ${attempt} 次重试:`, this._redact(error).message);
+          }
+        }
+      );
+      this._audit(statement, options.database, start, {
+        rowCount: Array.isArray(rows) ? rows.length : rows.affectedRows
+      });
       return { rows, fields };
     } catch (error) {
+      if (!retry && isTransientError(error) && !isConnectError(error)) {
+        error.message += '（连接在执行过程中中断，语句可能已经执行，写操作不会自动重试，请确认结果后再决定是否重新执行）';
+      }
+      this._redact(error);
       console.error('执行查询失败:', error.message);
+      this._audit(statement, options.database, start, { error });
       throw error;
     }
   }
 
+  /**
+   * 获取所有数据源（catalog）列表
+   * @returns {Promise<Array>} catalog 名称列表
+   */
+  async getCatalogs() {
+    const { rows } = await this.query('SHOW CATALOGS');
+    return rows.map(row => row.CatalogName || Object.values(row)[1]);
+  }
+
   /**
    * 获取所有数据库列表
+   * @param {string} [catalog] - 数据源，默认当前会话的 catalog
    * @returns {Promise<Array>} 数据库列表
    */
-  async getDatabases() {
-    const { rows } = await this.query('SHOW DATABASES');
+  async getDatabases(catalog) {
+    const sql = catalog ? `SHOW DATABASES FROM ${quoteIdentifier(catalog)}` : 'SHOW DATABASES';
+    const { rows } = await this.query(sql);
     return rows.map(row => row.Database || row.name);
   }
 
   /**
    * 获取指定数据库中的所有表
    * @param {string} database - 数据库名
+   * @param {string} [catalog] - 数据源，默认当前会话的 catalog
    * @returns {Promise<Array>} 表列表
    */
-  async getTables(database) {
-    const { rows } = await this.query(`SHOW TABLES FROM \`${database}\``);
-    return rows.map(row => row.Tables_in_database || row.name);
+  async getTables(database, catalog) {
+    const { rows } = await this.query(`SHOW TABLES FROM ${quoteQualified(catalog, database)}`);
+    // 结果列名为 Tables_in_<数据库名>
+    return rows.map(row => row[`Tables_in_${database}`] || Object.values(row)[0]);
   }
 
   /**
    * 获取表结构
    * @param {string} database - 数据库名
    * @param {string} table - 表名
+   * @param {string} [catalog] - 数据源，默认当前会话的 catalog
    * @returns {Promise<Array>} 表结构信息
    */
-  async getTableSchema(database, table) {
+  async getTableSchema(database, table, catalog) {
     await this._ensureConnected();
-    const { rows } = await this.query(`DESC \`${database}\`.\`${table}\``);
+    const { rows } = await this.query(`DESC ${quoteQualified(catalog, database, table)}`);
     return rows;
   }
 
+  /**
+   * 获取数据库中各表的注释
+   * @param {string} database - 数据库名
+   * @param {string} [catalog] - 数据源，默认当前会话的 catalog
+   * @returns {Promise<Object>} 表名到注释的映射，没有注释的表不在其中
+   */
+  async getTableComments(database, catalog) {
+    const { rows } = await this.query(
+      `SELECT TABLE_NAME, TABLE_COMMENT FROM ${quoteQualified(catalog, 'information_schema', 'tables')} WHERE TABLE_SCHEMA = ?`,
+      [database]
+    );
+    const comments = {};
+    rows.forEach(row => {
+      if (row.TABLE_COMMENT) comments[row.TABLE_NAME] = row.TABLE_COMMENT;
+    });
+    return comments;
+  }
+
+  /**
+   * 获取表中各列的注释
+   * @param {string} database - 数据库名
+   * @param {string} table - 表名
+   * @param {string} [catalog] - 数据源，默认当前会话的 catalog
+   * @returns {Promise<Object>} 列名到注释的映射，没有注释的列不在其中
+   */
+  async getColumnComments(database, table, catalog) {
+    const { rows } = await this.query(
+      `SELECT COLUMN_NAME, COLUMN_COMMENT FROM ${quoteQualified(catalog, 'information_schema', 'columns')} ` +
+      'WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?',
+      [database, table]
+    );
+    const comments = {};
+    rows.forEach(row => {
+      if (row.COLUMN_COMMENT) comments[row.COLUMN_NAME] = row.COLUMN_COMMENT;
+    });
+    return comments;
+  }
+
+  /**
+   * 获取表的完整元数据
+   * 解析 SHOW CREATE TABLE 的结果，包含数据模型、键列、各列聚合方式、分区、分桶、副本数与表属性
+   * @param {string} database - 数据库名
+   * @param {string} table - 表名
+   * @returns {Promise<Object>} 表元数据，kind 为 table 或 view，ddl 为原始建表语句
+   */
+  async getTableInfo(database, table) {
+    await this._ensureConnected();
+    const { rows } = await this.query(`SHOW CREATE TABLE ${quoteQualified(database, table)}`);
+    const row = rows[0];
+    if (!row) {
+      throw new Error(`表 ${database}.${table} 不存在`);
+    }
+
+    // 视图返回 Create View 列，没有数据模型与分布信息
+    if (row['Create View'] !== undefined) {
+      return { database, table, kind: 'view', ddl: row['Create View'] };
+    }
+
+    const ddl = row['Create Table'] !== undefined ? row['Create Table'] : Object.values(row)[1];
+    return { database, table, kind: 'table', ...parseCreateTable(ddl), ddl };
+  }
+
+  /**
+   * 获取语句的执行计划
+   * 语句不会被执行；普通与 VERBOSE 模式下解析为 Fragment 与算子树，GRAPH 模式只返回原始文本
+   * @param {string} sql - 要分析的单条语句，可使用 ? 占位符
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.verbose] - 使用 EXPLAIN VERBOSE，输出更详细的算子信息
+   * @param {boolean} [options.graph] - 使用 EXPLAIN GRAPH，输出图形化的计划
+   * @param {Array} [options.params] - 绑定到占位符的参数
+   * @param {string} [options.database] - 在指定数据库的会话中分析
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @returns {Promise<Object>} { mode, fragments, root, scans, text }
+   */
+  async explain(sql, options = {}) {
+    const statements = splitStatements(sql);
+    if (statements.length !== 1) {
+      throw new Error(`只能分析单条语句，实际为 ${statements.length} 条`);
+    }
+    const statement = trimStatement(statements[0]);
+    if (classifyStatement(statement).keyword === 'EXPLAIN') {
+      throw new Error('请直接传入要分析的语句，不需要加 EXPLAIN');
+    }
+
+    let mode = 'normal';
+    if (options.graph) {
+      mode = 'graph';
+    } else if (options.verbose) {
+      mode = 'verbose';
+    }
+    const keyword = mode === 'normal' ? 'EXPLAIN' : `EXPLAIN ${mode.toUpperCase()}`;
+
+    const { rows } = await this.query(`${keyword} ${statement}`, options.params || [], {
+      database: options.database,
+      signal: options.signal
+    });
+    // 每行一列，列名为 Explain String
+    const text = rows.map(row => Object.values(row)[0]).join('\n');
+
+    if (mode === 'graph') {
+      return { mode, fragments: [], root: null, scans: [], text };
+    }
+    return { mode, ...parsePlan(text), text };
+  }
+
+  /**
+   * 在开启 Profile 的会话中执行语句，返回查询 ID
+   * 结果集只计数不保留；执行结束后关闭会话的 enable_profile，避免影响归还连接池后的其他查询
+   * 超时、内存上限与中止的处理与 query 相同
+   * @param {string} sql - 单条语句，可使用 ? 占位符
+   * @param {Object} [options] - 选项
+   * @param {Array} [options.params] - 绑定到占位符的参数
+   * @param {string} [options.database] - 在指定数据库的会话中执行
+   * @param {number} [options.timeout] - 超时时间(毫秒)，同时设置为会话的 query_timeout，超时后终止语句
+   * @param {number|string} [options.memLimit] - 单条查询内存上限，设置为会话的 exec_mem_limit
+   * @param {AbortSignal} [options.signal] - 中止信号，触发后终止语句
+   * @returns {Promise<Object>} { queryId, rowCount, elapsed }
+   */
+  async executeWithProfile(sql, options = {}) {
+    const statements = splitStatements(sql);
+    if (statements.length !== 1) {
+      throw new Error(`只能执行单条语句，实际为 ${statements.length} 条`);
+    }
+    const statement = bindParams(trimStatement(statements[0]), options.params);
+
+    const start = Date.now();
+    try {
+      const result = await this._withConnection(async (conn, endpoint) => {
+        await conn.query('SET enable_profile = true');
+        try {
+          // 使用底层回调连接逐行计数，不在内存中保留结果
+          const rowCount = await this._execute(conn, endpoint, () => new Promise((resolve, reject) => {
+            let count = 0;
+            conn.connection.query(statement)
+              .on('result', () => count++)
+              .on('error', reject)
+              .on('end', () => resolve(count));
+          }), options);
+          const elapsed = Date.now() - start;
+          const [rows] = await conn.query('SELECT LAST_QUERY_ID() AS query_id');
+          return { queryId: rows[0].query_id, rowCount, elapsed };
+        } finally {
+          try {
+            await conn.query('SET enable_profile = false');
+          } catch (error) {
+            // 无法恢复会话变量时不再复用该连接
+            this._discardConnection(conn);
+          }
+        }
+      }, options.database);
+      this._audit(statement, options.database, start, { rowCount: result.rowCount });
+      return result;
+    } catch (error) {
+      this._redact(error);
+      console.error('执行查询失败:', error.message);
+      this._audit(statement, options.database, start, { error });
+      throw error;
+    }
+  }
+
   /**
    * 通过 Doris HTTP 接口获取集群状态
    * @param {string} feHost - FE 主机地址
@@ -131,9 +1051,9 @@ class DorisClient {
    */
   async getClusterStatus(feHost, fePort) {
     try {
-      const response = await axios.get(`http://${feHost}:${fePort}/api/cluster_status`);
-      return response.data;
+      return await this.requestFe('get', '/api/cluster_status', { host: feHost, port: fePort });
     } catch (error) {
+      this._redact(error);
       console.error('获取集群状态失败:', error.message);
       throw error;
     }
@@ -157,97 +1077,630 @@ class DorisClient {
     const schema = await this.getTableSchema(database, table);
     const columns = schema.map(col => col.Field || col.name);
     
-    // 构建批量插入语句
-    const placeholders = columns.map(() => '?').join(', ');
-    const sql = `INSERT INTO \`${database}\`.\`${table}\` (${columns.map(c => `\`${c}\``).join(', ')}) VALUES (${placeholders})`;
+    // 构建批量插入语句，VALUES ? 绑定为 (a, b), (c, d) 形式的多行
+    const sql = `INSERT INTO ${quoteQualified(database, table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES ?`;
     
     // 处理数据行
     const values = data.map(row => {
       return columns.map(col => row[col]);
     });
     
+    const statement = bindParams(sql, [values]);
+    const start = Date.now();
     try {
       // MySQL2 bulk insert
-      const [result] = await this.connection.query(sql, [values]);
+      const [result] = await this._withConnection(conn => conn.query(statement));
+      this._audit(statement, database, start, { rowCount: result.affectedRows });
       return {
         success: true,
         rowsAffected: result.affectedRows,
         message: `成功导入 ${result.affectedRows} 条数据`
       };
     } catch (error) {
+      this._redact(error);
       console.error('数据导入失败:', error.message);
+      this._audit(statement, database, start, { error });
       throw error;
     }
   }
 
   /**
    * 从文件导入数据
+   * 本地文件默认使用 Stream Load；远程路径（如 s3://、hdfs://）或 options.method 为 'broker' 时使用 Broker Load
    * @param {string} database - 数据库名
    * @param {string} table - 表名
    * @param {string} filePath - 文件路径
    * @param {Object} options - 导入选项
+   * @param {string} [options.method] - 导入方式：stream 或 broker
    * @returns {Promise<Object>} 导入结果
    */
   async importFromFile(database, table, filePath, options = {}) {
+    const isRemote = /^[a-z][a-z0-9+.-]*:\/\//i.test(filePath);
+    const method = options.method || (isRemote ? 'broker' : 'stream');
+
+    if (method === 'stream') {
+      return this.streamLoad(database, table, filePath, options);
+    }
+    return this.brokerLoad(database, table, filePath, options);
+  }
+
+  /**
+   * 通过 Stream Load 导入本地文件
+   * @param {string} database - 数据库名
+   * @param {string} table - 表名
+   * @param {string} filePath - 本地文件路径
+   * @param {Object} options - 导入选项，参见 streamload.buildStreamLoadHeaders
+   * @returns {Promise<Object>} { success, label, result, message }，result 为 Stream Load 返回的 JSON
+   */
+  async streamLoad(database, table, filePath, options = {}) {
+    // Stream Load 不经过 SQL，审计记录中以描述文本代替语句，导入详情记录在 load 字段
+    const statement = `STREAM LOAD ${quoteString(filePath)} INTO ${quoteQualified(database, table)}`;
+    const load = { method: 'stream', label: options.label || null, table };
+    const start = Date.now();
+    try {
+      const password = await this._resolvePassword();
+      // 写操作只在连接建立失败（数据未发出）时切换到下一个 FE，不做重试
+      const loaded = await this.httpEndpoints.tryEach(endpoint => streamLoad({
+        host: endpoint.host,
+        port: endpoint.port,
+        user: this.config.user,
+        password,
+        database,
+        table,
+        filePath,
+        https: Boolean(this.httpsOptions),
+        agentOptions: this.httpsOptions || undefined,
+        load: options
+      }), isConnectError);
+      const { result } = loaded;
+      this._audit(statement, database, start, {
+        type: StatementType.DML,
+        rowCount: result.NumberLoadedRows,
+        ...(loaded.success ? {} : { error: new Error(loaded.message) }),
+        load: {
+          ...load,
+          label: loaded.label || load.label,
+          loadedRows: result.NumberLoadedRows,
+          filteredRows: result.NumberFilteredRows
+        }
+      });
+      return loaded;
+    } catch (error) {
+      this._redact(error);
+      console.error('Stream Load 导入失败:', error.message);
+      this._audit(statement, database, start, { type: StatementType.DML, error, load });
+      throw error;
+    }
+  }
+
+  /**
+   * 通过 Broker Load 导入远程存储上的文件
+   * Broker Load 为异步导入，提交后可通过返回的 label 调用 waitForLoad / getLoad 跟踪状态
+   * @param {string} database - 数据库名
+   * @param {string} table - 表名
+   * @param {string} filePath - 远程文件路径
+   * @param {Object} options - 导入选项
+   * @param {string} [options.label] - 导入标签，不指定时自动生成
+   * @param {string} [options.broker] - Broker 名称，指定时使用 WITH BROKER
+   * @param {Object} [options.properties] - 存储访问属性（S3/HDFS/Broker 的认证等）
+   * @param {number} [options.timeout] - 导入超时时间(毫秒)
+   * @param {number} [options.maxFilterRatio] - 允许过滤的最大比例
+   * @returns {Promise<Object>} { success, label, database, result, message }
+   */
+  async brokerLoad(database, table, filePath, options = {}) {
     const fileExt = path.extname(filePath).toLowerCase();
-    const loadSql = `LOAD LABEL \`${database}\`.${Date.now()} (
-      DATA INFILE("${filePath}")
-      INTO TABLE \`${table}\`
-      ${options.columns ? `(${options.columns.join(', ')})` : ''}
-      ${options.format || (fileExt === '.csv' ? 'FORMAT AS "CSV"' : 'FORMAT AS "ORC"')}
-      ${options.columnSeparator ? `COLUMNS TERMINATED BY "${options.columnSeparator}"` : ''}
-      ${options.where ? `WHERE ${options.where}` : ''}
-    )`;
+    // 未指定格式时按扩展名推断，格式名统一为大写（CSV、JSON、ORC、PARQUET）
+    const format = (options.format || { '.csv': 'CSV', '.json': 'JSON', '.parquet': 'PARQUET' }[fileExt] || 'ORC').toUpperCase();
+    // 未指定标签时自动生成，用于后续通过 SHOW LOAD 跟踪导入状态
+    const label = options.label || `load_${table}_${Date.now()}`;
+    const columns = options.columns
+      ? (Array.isArray(options.columns) ? options.columns : String(options.columns).split(','))
+        .map(column => quoteIdentifier(column.trim()))
+        .join(', ')
+      : '';
+    
+    const withClause = buildStorageClause(filePath, options);
+    
+    const jobProperties = {};
+    if (options.timeout) jobProperties.timeout = Math.ceil(options.timeout / 1000);
+    if (options.maxFilterRatio !== undefined) jobProperties.max_filter_ratio = options.maxFilterRatio;
+    
+    const loadSql = [
+      `LOAD LABEL ${quoteQualified(database, label)} (`,
+      `  DATA INFILE(${quoteString(filePath)})`,
+      `  INTO TABLE ${quoteIdentifier(table)}`,
+      options.columnSeparator ? `  COLUMNS TERMINATED BY ${quoteString(options.columnSeparator)}` : '',
+      `  FORMAT AS ${quoteString(format)}`,
+      columns ? `  (${columns})` : '',
+      options.where ? `  WHERE ${sqlExpression(options.where, '过滤条件')}` : '',
+      ')',
+      withClause,
+      Object.keys(jobProperties).length > 0 ? `PROPERTIES ${toProperties(jobProperties)}` : ''
+    ].filter(Boolean).join('\n');
     
     try {
-      const { rows } = await this.query(loadSql);
+      // 语句本身由 query 审计，导入详情附加到该条记录的 load 字段
+      const { rows } = await runWithAuditContext(
+        { load: { method: 'broker', label, table } },
+        () => this.query(loadSql)
+      );
       return {
         success: true,
+        label,
+        database,
         result: rows,
-        message: '导入任务已提交'
+        message: `导入任务已提交，标签: ${label}`
       };
     } catch (error) {
+      this._redact(error);
       console.error('文件导入失败:', error.message);
       throw error;
     }
   }
 
   /**
-   * 导出数据到文件
-   * @param {string} sql - 查询语句
-   * @param {string} outputFile - 输出文件路径
-   * @param {Object} options - 导出选项
-   * @returns {Promise<Object>} 导出结果
+   * 将 SHOW LOAD 返回的行转换为统一结构
+   * @private
+   * @param {Object} row - SHOW LOAD 结果行
+   * @returns {Object} 导入任务信息
    */
-  async exportToFile(sql, outputFile, options = {}) {
-    await this._ensureConnected();
-    
+  _normalizeLoad(row) {
+    let jobDetails = row.JobDetails;
     try {
-      const { rows } = await this.query(sql);
-      
-      let content = '';
-      const separator = options.separator || ',';
-      
-      // 如果需要导出标题行
-      if (options.includeHeader && rows.length > 0) {
-        content += Object.keys(rows[0]).join(separator) + '\n';
+      jobDetails = typeof jobDetails === 'string' && jobDetails ? JSON.parse(jobDetails) : jobDetails;
+    } catch (error) {
+      // 保留原始文本
+    }
+    
+    return {
+      jobId: row.JobId,
+      label: row.Label,
+      state: row.State,
+      progress: row.Progress,
+      type: row.Type,
+      etlInfo: row.EtlInfo,
+      taskInfo: row.TaskInfo,
+      errorMsg: row.ErrorMsg && row.ErrorMsg !== 'NULL' ? row.ErrorMsg : null,
+      url: row.URL && row.URL !== 'NULL' ? row.URL : null,
+      createTime: row.CreateTime,
+      loadStartTime: row.LoadStartTime,
+      loadFinishTime: row.LoadFinishTime,
+      jobDetails
+    };
+  }
+
+  /**
+   * 查询单个导入任务的状态
+   * @param {string} label - 导入标签
+   * @param {string} [database] - 数据库名，默认使用配置中的数据库
+   * @returns {Promise<Object|null>} 导入任务信息，不存在时返回 null
+   */
+  async getLoad(label, database = this.config.database) {
+    const { rows } = await this.query(
+      `SHOW LOAD FROM ${quoteIdentifier(database)} WHERE LABEL = ${quoteString(label)} ORDER BY CreateTime DESC LIMIT 1`
+    );
+    return rows.length > 0 ? this._normalizeLoad(rows[0]) : null;
+  }
+
+  /**
+   * 列出导入任务
+   * @param {string} [database] - 数据库名，默认使用配置中的数据库
+   * @param {Object} options - 过滤选项
+   * @param {string} [options.state] - 任务状态，例如 PENDING、LOADING、FINISHED、CANCELLED
+   * @param {string} [options.label] - 标签匹配模式，支持 LIKE 通配符
+   * @param {number} [options.limit] - 返回条数，默认 20
+   * @returns {Promise<Array<Object>>} 导入任务列表
+   */
+  async listLoads(database = this.config.database, options = {}) {
+    const conditions = [];
+    if (options.label) conditions.push(`LABEL LIKE ${quoteString(options.label)}`);
+    if (options.state) conditions.push(`STATE = ${quoteString(options.state.toUpperCase())}`);
+    
+    const limit = parseInt(options.limit, 10) || 20;
+    const sql = `SHOW LOAD FROM ${quoteIdentifier(database)}` +
+      (conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '') +
+      ` ORDER BY CreateTime DESC LIMIT ${limit}`;
+    
+    const { rows } = await this.query(sql);
+    return rows.map(row => this._normalizeLoad(row));
+  }
+
+  /**
+   * 等待异步导入任务结束
+   * @param {string} label - 导入标签
+   * @param {Object} options - 等待选项
+   * @param {string} [options.database] - 数据库名，默认使用配置中的数据库
+   * @param {number} [options.interval] - 轮询间隔(毫秒)，默认 3000
+   * @param {number} [options.timeout] - 最长等待时间(毫秒)，默认 3600000
+   * @param {Function} [options.onProgress] - 每次轮询后的回调，参数为导入任务信息
+   * @returns {Promise<Object>} { success, load, message }
+   */
+  async waitForLoad(label, options = {}) {
+    const database = options.database || this.config.database;
+    const interval = options.interval || 3000;
+    const deadline = Date.now() + (options.timeout || 3600000);
+    
+    while (true) {
+      const load = await this.getLoad(label, database);
+      if (!load) {
+        throw new Error(`导入任务不存在: ${database}.${label}`);
       }
       
-      // 导出数据行
-      for (const row of rows) {
-        content += Object.values(row).join(separator) + '\n';
+      if (options.onProgress) {
+        options.onProgress(load);
       }
       
-      await fs.writeFile(outputFile, content, 'utf8');
+      if (load.state === 'FINISHED') {
+        return { success: true, load, message: `导入任务 ${label} 已完成` };
+      }
+      if (load.state === 'CANCELLED') {
+        return {
+          success: false,
+          load,
+          message: `导入任务 ${label} 已取消: ${load.errorMsg || '未知原因'}${load.url ? `，错误详情: ${load.url}` : ''}`
+        };
+      }
       
+      if (Date.now() + interval > deadline) {
+        throw new Error(`等待导入任务 ${label} 超时，当前状态: ${load.state}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  /**
+   * 取消导入任务
+   * @param {string} label - 导入标签
+   * @param {string} [database] - 数据库名，默认使用配置中的数据库
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async cancelLoad(label, database = this.config.database) {
+    try {
+      await this.query(`CANCEL LOAD FROM ${quoteIdentifier(database)} WHERE LABEL = ${quoteString(label)}`);
+      return true;
+    } catch (error) {
+      this._redact(error);
+      console.error('取消导入任务失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 导出查询结果到文件
+   * 结果以流的方式逐行写出，不会把整个结果集加载到内存
+   * 超时与中止的处理与 query 相同：终止查询、删除未写完的文件并抛出 QueryCancelledError
+   * @param {string} sql - 查询语句，可使用 ? 作为值占位符、?? 作为标识符占位符
+   * @param {string} outputFile - 输出文件路径
+   * @param {Object} options - 导出选项
+   * @param {Array} [options.params] - 绑定到占位符的参数
+   * @param {string} [options.format] - csv/tsv/jsonl/json/parquet，默认按扩展名推断
+   * @param {string} [options.separator] - CSV/TSV 分隔符
+   * @param {boolean} [options.includeHeader] - CSV/TSV 是否输出表头
+   * @param {boolean} [options.gzip] - 是否 gzip 压缩，默认按 .gz 扩展名判断
+   * @param {string} [options.nullValue] - CSV/TSV 中 NULL 的表示
+   * @param {string} [options.dateFormat] - 日期格式：datetime、iso 或 epoch
+   * @param {string} [options.database] - 在指定数据库的会话中执行
+   * @param {number} [options.timeout] - 超时时间(毫秒)，同时设置为会话的 query_timeout，超时后终止导出
+   * @param {number} [options.memLimit] - 单个查询的内存上限(字节)，设置为会话的 exec_mem_limit
+   * @param {AbortSignal} [options.signal] - 中止信号，中止时终止导出并抛出 QueryCancelledError
+   * @returns {Promise<Object>} 导出结果
+   */
+  async exportToFile(sql, outputFile, options = {}) {
+    const format = (options.format || inferExportFormat(outputFile)).toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`不支持的导出格式: ${format}，可选: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    const gzip = options.gzip !== undefined ? Boolean(options.gzip) : /\.gz$/i.test(outputFile);
+    const { timeout, signal } = options;
+
+    const start = Date.now();
+    let statement = sql;
+    try {
+      statement = bindParams(sql, options.params);
+      await fs.mkdir(path.dirname(path.resolve(outputFile)), { recursive: true });
+
+      const rowCount = await this._withConnection(async (conn, endpoint) => {
+        if (signal && signal.aborted) {
+          throw abortError(signal);
+        }
+        const previous = await this._setSessionVariables(conn, sessionVariables(options));
+
+        // 使用底层回调连接的流式接口，逐行读取结果
+        const rowStream = conn.connection.query(statement).stream();
+        let cancelled = null;
+        const cancel = error => {
+          if (cancelled) return;
+          cancelled = error;
+          this._killQuery(conn.threadId, endpoint).catch(killError => {
+            console.error(`终止连接 ${conn.threadId} 上的查询失败:`, killError.message);
+          });
+          // 中断写出，writeRowStream 会删除未写完的文件
+          rowStream.destroy(error);
+        };
+        const onAbort = () => cancel(abortError(signal));
+        const timer = timeout > 0
+          ? setTimeout(() => cancel(new QueryCancelledError('timeout', { timeout, connectionId: conn.threadId })), timeout)
+          : null;
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        try {
+          const count = await writeRowStream(rowStream, outputFile, { ...options, format, gzip });
+          if (previous) {
+            await this._restoreSessionVariables(conn, previous);
+          }
+          return count;
+        } catch (error) {
+          // 结果可能尚未读完或会话变量未能恢复，不再复用该连接
+          this._discardConnection(conn);
+          throw cancelled || error;
+        } finally {
+          clearTimeout(timer);
+          if (signal) signal.removeEventListener('abort', onAbort);
+        }
+      }, options.database);
+      this._audit(statement, options.database, start, { rowCount });
+
       return {
         success: true,
-        rowCount: rows.length,
+        rowCount,
         file: outputFile,
-        message: `成功导出 ${rows.length} 条记录到 ${outputFile}`
+        format,
+        gzip,
+        message: `成功导出 ${rowCount} 条记录到 ${outputFile}`
       };
     } catch (error) {
+      this._redact(error);
       console.error('数据导出失败:', error.message);
+      this._audit(statement, options.database, start, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * 通过 SELECT ... INTO OUTFILE 在服务端导出查询结果
+   * 结果由 BE 直接写入 S3/HDFS/Broker 或 BE 本地磁盘，不经过 MySQL 协议传输
+   * @param {string} sql - 查询语句
+   * @param {string} location - 导出路径前缀，例如 s3://bucket/orders/result_
+   * @param {Object} options - 导出选项
+   * @param {string} [options.format] - csv/parquet/orc，默认按路径扩展名推断
+   * @param {boolean} [options.header] - CSV 是否包含表头
+   * @param {string} [options.columnSeparator] - 列分隔符
+   * @param {string} [options.lineDelimiter] - 行分隔符
+   * @param {string} [options.maxFileSize] - 单个文件大小上限，例如 1024MB
+   * @param {boolean} [options.deleteExistingFiles] - 导出前删除目标目录下的文件
+   * @param {string} [options.successFileName] - 导出成功后写入的标记文件名
+   * @param {string} [options.broker] - Broker 名称
+   * @param {Object} [options.properties] - 存储属性，例如 s3.endpoint、s3.access_key、fs.defaultFS
+   * @param {string} [options.database] - 在指定数据库的会话中执行
+   * @returns {Promise<Object>} { success, fileNumber, totalRows, fileSize, url, message }
+   */
+  async exportToOutfile(sql, location, options = {}) {
+    const format = serverExportFormat(location, options);
+    
+    const properties = {};
+    if (options.columnSeparator) properties.column_separator = options.columnSeparator;
+    if (options.lineDelimiter) properties.line_delimiter = options.lineDelimiter;
+    if (options.maxFileSize) properties.max_file_size = options.maxFileSize;
+    if (options.deleteExistingFiles) properties.delete_existing_files = 'true';
+    if (options.successFileName) properties.success_file_name = options.successFileName;
+    // OUTFILE 的存储参数写在 PROPERTIES 中，Broker 参数需要加 broker. 前缀
+    if (options.broker) {
+      properties['broker.name'] = options.broker;
+      Object.entries(options.properties || {}).forEach(([key, value]) => {
+        properties[key.startsWith('broker.') ? key : `broker.${key}`] = value;
+      });
+    } else {
+      Object.assign(properties, options.properties || {});
+    }
+    
+    const outfileSql = [
+      trimStatement(sql),
+      `INTO OUTFILE ${quoteString(location)}`,
+      `FORMAT AS ${format.toUpperCase()}`,
+      Object.keys(properties).length > 0 ? `PROPERTIES ${toProperties(properties)}` : ''
+    ].filter(Boolean).join('\n');
+    
+    try {
+      const { rows } = await this.query(outfileSql, [], { database: options.database });
+      const row = rows[0] || {};
+      const totalRows = Number(row.TotalRows || 0);
+      return {
+        success: true,
+        fileNumber: Number(row.FileNumber || 0),
+        totalRows,
+        fileSize: Number(row.FileSize || 0),
+        url: row.URL,
+        message: `成功导出 ${totalRows} 条记录到 ${row.URL || location}`
+      };
+    } catch (error) {
+      this._redact(error);
+      console.error('服务端导出失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 提交 EXPORT TABLE 异步导出任务
+   * @param {string} database - 数据库名
+   * @param {string} table - 表名
+   * @param {string} location - 导出目录，例如 s3://bucket/orders/
+   * @param {Object} options - 导出选项
+   * @param {string} [options.label] - 导出标签，默认自动生成
+   * @param {Array<string>|string} [options.partitions] - 只导出指定分区
+   * @param {string} [options.where] - 过滤条件
+   * @param {Array<string>|string} [options.columns] - 只导出指定列
+   * @param {string} [options.format] - csv/parquet/orc，默认 csv
+   * @param {boolean} [options.header] - CSV 是否包含表头
+   * @param {string} [options.columnSeparator] - 列分隔符
+   * @param {string} [options.lineDelimiter] - 行分隔符
+   * @param {number} [options.parallelism] - 导出并发度
+   * @param {string} [options.maxFileSize] - 单个文件大小上限
+   * @param {number} [options.timeout] - 任务超时时间(毫秒)
+   * @param {string} [options.broker] - Broker 名称
+   * @param {Object} [options.properties] - 存储属性
+   * @returns {Promise<Object>} { success, label, database, message }
+   */
+  async exportTable(database, table, location, options = {}) {
+    const format = serverExportFormat(location, { format: 'csv', ...options });
+    const label = options.label || `export_${table}_${Date.now()}`;
+    const join = value => (Array.isArray(value) ? value : String(value).split(',')).map(item => item.trim());
+    
+    const jobProperties = { label, format };
+    if (options.columnSeparator) jobProperties.column_separator = options.columnSeparator;
+    if (options.lineDelimiter) jobProperties.line_delimiter = options.lineDelimiter;
+    if (options.columns) jobProperties.columns = join(options.columns).join(',');
+    if (options.parallelism) jobProperties.parallelism = options.parallelism;
+    if (options.maxFileSize) jobProperties.max_file_size = options.maxFileSize;
+    if (options.timeout) jobProperties.timeout = Math.ceil(options.timeout / 1000);
+    
+    const exportSql = [
+      `EXPORT TABLE ${quoteQualified(database, table)}`,
+      options.partitions ? `PARTITION (${join(options.partitions).map(quoteIdentifier).join(', ')})` : '',
+      options.where ? `WHERE ${sqlExpression(options.where, '过滤条件')}` : '',
+      `TO ${quoteString(location)}`,
+      `PROPERTIES ${toProperties(jobProperties)}`,
+      buildStorageClause(location, options)
+    ].filter(Boolean).join('\n');
+    
+    try {
+      await this.query(exportSql);
+      return {
+        success: true,
+        label,
+        database,
+        message: `导出任务已提交，标签: ${label}`
+      };
+    } catch (error) {
+      this._redact(error);
+      console.error('提交导出任务失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 将 SHOW EXPORT 返回的行转换为统一结构
+   * @private
+   * @param {Object} row - SHOW EXPORT 结果行
+   * @returns {Object} 导出任务信息
+   */
+  _normalizeExport(row) {
+    const parse = value => {
+      try {
+        return typeof value === 'string' && value ? JSON.parse(value) : value;
+      } catch (error) {
+        // 保留原始文本
+        return value;
+      }
+    };
+    
+    return {
+      jobId: row.JobId,
+      label: row.Label,
+      state: row.State,
+      progress: row.Progress,
+      taskInfo: parse(row.TaskInfo),
+      path: row.Path,
+      createTime: row.CreateTime,
+      startTime: row.StartTime,
+      finishTime: row.FinishTime,
+      timeout: row.Timeout,
+      errorMsg: row.ErrorMsg && row.ErrorMsg !== 'NULL' ? row.ErrorMsg : null,
+      outfileInfo: parse(row.OutfileInfo)
+    };
+  }
+
+  /**
+   * 查询单个导出任务的状态
+   * @param {string} label - 导出标签
+   * @param {string} [database] - 数据库名，默认使用配置中的数据库
+   * @returns {Promise<Object|null>} 导出任务信息，不存在时返回 null
+   */
+  async getExport(label, database = this.config.database) {
+    const { rows } = await this.query(
+      `SHOW EXPORT FROM ${quoteIdentifier(database)} WHERE LABEL = ${quoteString(label)} ORDER BY CreateTime DESC LIMIT 1`
+    );
+    return rows.length > 0 ? this._normalizeExport(rows[0]) : null;
+  }
+
+  /**
+   * 列出导出任务
+   * @param {string} [database] - 数据库名，默认使用配置中的数据库
+   * @param {Object} options - 过滤选项
+   * @param {string} [options.state] - 任务状态，例如 PENDING、EXPORTING、FINISHED、CANCELLED
+   * @param {string} [options.label] - 标签匹配模式，支持 LIKE 通配符
+   * @param {number} [options.limit] - 返回条数，默认 20
+   * @returns {Promise<Array<Object>>} 导出任务列表
+   */
+  async listExports(database = this.config.database, options = {}) {
+    const conditions = [];
+    if (options.label) conditions.push(`LABEL LIKE ${quoteString(options.label)}`);
+    if (options.state) conditions.push(`STATE = ${quoteString(options.state.toUpperCase())}`);
+    
+    const limit = parseInt(options.limit, 10) || 20;
+    const sql = `SHOW EXPORT FROM ${quoteIdentifier(database)}` +
+      (conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '') +
+      ` ORDER BY CreateTime DESC LIMIT ${limit}`;
+    
+    const { rows } = await this.query(sql);
+    return rows.map(row => this._normalizeExport(row));
+  }
+
+  /**
+   * 等待导出任务结束
+   * @param {string} label - 导出标签
+   * @param {Object} options - 等待选项
+   * @param {string} [options.database] - 数据库名，默认使用配置中的数据库
+   * @param {number} [options.interval] - 轮询间隔(毫秒)，默认 3000
+   * @param {number} [options.timeout] - 最长等待时间(毫秒)，默认 3600000
+   * @param {Function} [options.onProgress] - 每次轮询后的回调，参数为导出任务信息
+   * @returns {Promise<Object>} { success, job, message }
+   */
+  async waitForExport(label, options = {}) {
+    const database = options.database || this.config.database;
+    const interval = options.interval || 3000;
+    const deadline = Date.now() + (options.timeout || 3600000);
+    
+    while (true) {
+      const job = await this.getExport(label, database);
+      if (!job) {
+        throw new Error(`导出任务不存在: ${database}.${label}`);
+      }
+      
+      if (options.onProgress) {
+        options.onProgress(job);
+      }
+      
+      if (job.state === 'FINISHED') {
+        return { success: true, job, message: `导出任务 ${label} 已完成` };
+      }
+      if (job.state === 'CANCELLED') {
+        return {
+          success: false,
+          job,
+          message: `导出任务 ${label} 已取消: ${job.errorMsg || '未知原因'}`
+        };
+      }
+      
+      if (Date.now() + interval > deadline) {
+        throw new Error(`等待导出任务 ${label} 超时，当前状态: ${job.state}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  /**
+   * 取消导出任务
+   * @param {string} label - 导出标签
+   * @param {string} [database] - 数据库名，默认使用配置中的数据库
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async cancelExport(label, database = this.config.database) {
+    try {
+      await this.query(`CANCEL EXPORT FROM ${quoteIdentifier(database)} WHERE LABEL = ${quoteString(label)}`);
+      return true;
+    } catch (error) {
+      this._redact(error);
+      console.error('取消导出任务失败:', error.message);
       throw error;
     }
   }
@@ -1,54 +1,621 @@
+/**
+ * 配置加载
+ * 按 默认值 < 配置文件 < profile < 环境变量 < 命令行参数/调用参数 的顺序合并配置，
+ * 并按 CONFIG_SCHEMA 校验，错误信息中注明取值来源
+ */
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const dotenv = require('dotenv');
 
-class ConfigLoader {
-    constructor() {
-        this.config = null;
-        this.loadEnv();
-    }
-
-    loadEnv() {
-        // 首先尝试加载 .env 文件
-        dotenv.config();
-        
-        // 然后尝试加载 mcp.json
-        const mcpPath = path.resolve(process.cwd(), 'mcp.json');
-        if (fs.existsSync(mcpPath)) {
-            try {
-                const mcpConfig = JSON.parse(fs.readFileSync(mcpPath, 'utf8'));
-                if (mcpConfig.doris && mcpConfig.doris.env) {
-                    // 使用 mcp.json 中的环境变量覆盖 .env 中的配置
-                    Object.assign(process.env, this.resolveEnvVariables(mcpConfig.doris.env));
-                }
-            } catch (error) {
-                console.warn('无法加载 mcp.json 配置文件:', error.message);
-            }
-        }
+const { StatementType } = require('../utils/sql');
+const { VERIFY_MODES } = require('./security');
+const { parseEndpoint } = require('./failover');
+
+// 默认配置，与仓库中的 config.json 保持一致
+// fe.host 未配置时沿用 doris.host；fe.hosts 未配置时沿用 doris.hosts 中的主机名
+const DEFAULT_CONFIG = {
+  doris: {
+    host: 'localhost',
+    port: 9030,
+    user: 'root',
+    password: '',
+    database: undefined,
+    timeout: 30000,
+    pool: {
+      connectionLimit: 10,
+      idleTimeout: 60000,
+      healthCheckInterval: 30000
+    }
+  },
+  fe: {
+    httpPort: 8030,
+    queryPort: 9030
+  },
+  be: {
+    hosts: []
+  },
+  query: {
+    maxRows: 1000,
+    maxBytes: 1048576,
+    timeout: 300000
+  },
+  import: {
+    inputDir: './input',
+    maxBatchSize: 10000,
+    timeout: 600000
+  },
+  export: {
+    outputDir: './output',
+    format: 'csv'
+  },
+  policy: {
+    allow: [StatementType.READ],
+    databases: {}
+  },
+  audit: {
+    enabled: true,
+    maxSize: 10485760,
+    maxFiles: 5
+  },
+  health: {
+    diskWarn: 80,
+    diskFail: 90,
+    clockSkewWarn: 1000,
+    clockSkewFail: 5000,
+    loadWindow: 86400000
+  },
+  mcp: {
+    resources: {
+      enabled: true,
+      catalogs: ['internal'],
+      sampleRows: 5,
+      refreshInterval: 60000
+    }
+  }
+};
+
+/**
+ * 生成 TLS 配置块的声明
+ * @private
+ * @param {string} prefix - 配置路径前缀
+ * @param {string} envPrefix - 环境变量前缀
+ * @returns {Object} 配置项声明
+ */
+function tlsSchema(prefix, envPrefix) {
+  return {
+    [prefix]: { type: 'object' },
+    [`${prefix}.enabled`]: { type: 'boolean', env: envPrefix },
+    [`${prefix}.ca`]: { type: 'string', path: true, env: `${envPrefix}_CA` },
+    [`${prefix}.cert`]: { type: 'string', path: true, env: `${envPrefix}_CERT` },
+    [`${prefix}.key`]: { type: 'string', path: true, env: `${envPrefix}_KEY` },
+    [`${prefix}.passphrase`]: { type: 'string', sensitive: true },
+    [`${prefix}.verify`]: { type: 'string', enum: VERIFY_MODES, env: `${envPrefix}_VERIFY` }
+  };
+}
+
+// 配置项声明：type 为取值类型，env 为对应的环境变量，
+// path 表示相对路径按配置文件所在目录解析，sensitive 表示错误信息中不显示取值，
+// endpoints 表示取值为 host[:port] 列表
+const CONFIG_SCHEMA = {
+  'doris.host': { type: 'string', required: true, env: 'DORIS_HOST' },
+  'doris.port': { type: 'integer', minimum: 1, maximum: 65535, env: 'DORIS_PORT' },
+  'doris.hosts': { type: 'array', items: { type: 'string' }, endpoints: true, env: 'DORIS_HOSTS' },
+  'doris.user': { type: 'string', required: true, env: 'DORIS_USER' },
+  'doris.password': { type: 'string', sensitive: true, env: 'DORIS_PASSWORD' },
+  'doris.passwordFile': { type: 'string', path: true, env: 'DORIS_PASSWORD_FILE' },
+  'doris.passwordCommand': { type: 'string', env: 'DORIS_PASSWORD_COMMAND' },
+  'doris.passwordKeystore': { type: 'string', env: 'DORIS_PASSWORD_KEYSTORE' },
+  ...tlsSchema('doris.tls', 'DORIS_TLS'),
+  'doris.database': { type: 'string', env: 'DORIS_DATABASE' },
+  'doris.timeout': { type: 'integer', minimum: 0, env: 'DORIS_TIMEOUT' },
+  'doris.pool': { type: 'object' },
+  'doris.pool.enabled': { type: 'boolean', env: 'DORIS_POOL_ENABLED' },
+  'doris.pool.connectionLimit': { type: 'integer', minimum: 1, env: 'DORIS_POOL_CONNECTION_LIMIT' },
+  'doris.pool.idleTimeout': { type: 'integer', minimum: 0, env: 'DORIS_POOL_IDLE_TIMEOUT' },
+  'doris.pool.healthCheckInterval': { type: 'integer', minimum: 0 },
+  'doris.pool.queueLimit': { type: 'integer', minimum: 0 },
+  'doris.retry': { type: 'object' },
+  'doris.retry.retries': { type: 'integer', minimum: 0, env: 'DORIS_RETRIES' },
+  'doris.retry.delay': { type: 'integer', minimum: 0, env: 'DORIS_RETRY_DELAY' },
+  'doris.retry.maxDelay': { type: 'integer', minimum: 0 },
+  'doris.retry.cooldown': { type: 'integer', minimum: 0 },
+  'fe.host': { type: 'string', env: 'DORIS_FE_HOST' },
+  'fe.hosts': { type: 'array', items: { type: 'string' }, endpoints: true, env: 'DORIS_FE_HOSTS' },
+  'fe.httpPort': { type: 'integer', minimum: 1, maximum: 65535, env: 'DORIS_FE_HTTP_PORT' },
+  'fe.queryPort': { type: 'integer', minimum: 1, maximum: 65535 },
+  ...tlsSchema('fe.tls', 'DORIS_FE_TLS'),
+  'keystore.path': { type: 'string', path: true, env: 'DORIS_KEYSTORE' },
+  'be.hosts': { type: 'array', items: { type: 'string' }, endpoints: true, env: 'DORIS_BE_HOSTS' },
+  'be.httpPort': { type: 'integer', minimum: 1, maximum: 65535, env: 'DORIS_BE_HTTP_PORT' },
+  'query.maxRows': { type: 'integer', minimum: 1, env: 'DORIS_QUERY_MAX_ROWS' },
+  'query.maxBytes': { type: 'integer', minimum: 1, env: 'DORIS_QUERY_MAX_BYTES' },
+  'query.timeout': { type: 'integer', minimum: 0, env: 'DORIS_QUERY_TIMEOUT' },
+  'query.memLimit': { type: 'integer', minimum: 0, env: 'DORIS_QUERY_MEM_LIMIT' },
+  'import.inputDir': { type: 'string', path: true, env: 'DORIS_IMPORT_DIR' },
+  'import.maxBatchSize': { type: 'integer', minimum: 1 },
+  'import.timeout': { type: 'integer', minimum: 0 },
+  'export.outputDir': { type: 'string', path: true, env: 'DORIS_EXPORT_DIR' },
+  'export.format': { type: 'string', enum: ['csv', 'tsv', 'jsonl', 'json', 'parquet'] },
+  'policy.allow': {
+    type: 'array',
+    items: { type: 'string', enum: Object.values(StatementType) },
+    env: 'DORIS_POLICY_ALLOW'
+  },
+  'policy.databases': { type: 'object' },
+  'policy.allowedDatabases': { type: 'array', items: { type: 'string' }, env: 'DORIS_ALLOWED_DATABASES' },
+  'audit': { type: 'object' },
+  'audit.enabled': { type: 'boolean', env: 'DORIS_AUDIT' },
+  'audit.path': { type: 'string', path: true, env: 'DORIS_AUDIT_PATH' },
+  'audit.maxSize': { type: 'integer', minimum: 1 },
+  'audit.maxFiles': { type: 'integer', minimum: 0 },
+  'health': { type: 'object' },
+  'health.diskWarn': { type: 'number', minimum: 0, maximum: 100 },
+  'health.diskFail': { type: 'number', minimum: 0, maximum: 100 },
+  'health.clockSkewWarn': { type: 'integer', minimum: 0 },
+  'health.clockSkewFail': { type: 'integer', minimum: 0 },
+  'health.loadWindow': { type: 'integer', minimum: 0 },
+  'profile': { type: 'string', env: 'DORIS_PROFILE' },
+  'profiles': { type: 'object' },
+  'mcp.exposedProfiles': { type: 'array', items: { type: 'string' }, env: 'DORIS_MCP_PROFILES' },
+  'mcp.resources': { type: 'object' },
+  'mcp.resources.enabled': { type: 'boolean', env: 'DORIS_MCP_RESOURCES' },
+  'mcp.resources.catalogs': { type: 'array', items: { type: 'string' } },
+  'mcp.resources.sampleRows': { type: 'integer', minimum: 0, maximum: 100 },
+  'mcp.resources.refreshInterval': { type: 'integer', minimum: 0, env: 'DORIS_MCP_RESOURCES_REFRESH_INTERVAL' }
+};
+
+/**
+ * 配置错误
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - 错误说明
+   * @param {Array<string>} [errors] - 各配置项的错误列表
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.code = 'CONFIG_INVALID';
+    this.errors = errors;
+  }
+}
+
+/**
+ * 判断是否为普通对象
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 读取点分路径上的值
+ * @param {Object} object - 配置对象
+ * @param {string} key - 点分路径，例如 doris.port
+ * @returns {*} 路径上的值
+ */
+function getPath(object, key) {
+  return key.split('.').reduce((current, part) => (isPlainObject(current) ? current[part] : undefined), object);
+}
+
+/**
+ * 设置点分路径上的值，中间对象不存在时自动创建
+ * @param {Object} object - 配置对象
+ * @param {string} key - 点分路径
+ * @param {*} value - 值
+ */
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((current, part) => {
+    if (!isPlainObject(current[part])) current[part] = {};
+    return current[part];
+  }, object);
+  target[last] = value;
+}
+
+/**
+ * 深度合并配置，数组整体替换，undefined 不覆盖已有值
+ * @param {...Object} layers - 由低到高优先级的配置层
+ * @returns {Object} 合并后的新对象
+ */
+function mergeConfig(...layers) {
+  const result = {};
+  layers.filter(Boolean).forEach(layer => {
+    Object.entries(layer).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (isPlainObject(value) && isPlainObject(result[key])) {
+        result[key] = mergeConfig(result[key], value);
+      } else if (isPlainObject(value)) {
+        result[key] = mergeConfig(value);
+      } else {
+        result[key] = Array.isArray(value) ? [...value] : value;
+      }
+    });
+  });
+  return result;
+}
+
+/**
+ * 替换配置文件字符串中的 ${VAR} 环境变量占位符
+ * @private
+ * @param {*} value - 配置值
+ * @param {Object} env - 环境变量
+ * @returns {*} 替换后的值
+ */
+function interpolate(value, env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => env[name] || '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, env));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env)]));
+  }
+  return value;
+}
+
+/**
+ * 查找配置文件
+ * 依次查找：显式指定的路径、DORIS_CONFIG、当前目录 config.json、
+ * $XDG_CONFIG_HOME/doris/config.json（默认 ~/.config/doris/config.json）、~/.doris/config.json
+ * @param {Object} options - 查找选项
+ * @param {string} [options.configPath] - 显式指定的配置文件，不存在时报错
+ * @param {Object} [options.env] - 环境变量
+ * @param {string} [options.cwd] - 当前目录
+ * @param {string} [options.home] - 用户目录
+ * @returns {string|null} 配置文件路径，未找到时返回 null
+ */
+function findConfigFile(options = {}) {
+  const env = options.env || process.env;
+  const explicit = options.configPath || env.DORIS_CONFIG;
+  if (explicit) {
+    const resolved = path.resolve(options.cwd || process.cwd(), explicit);
+    if (!fs.existsSync(resolved)) {
+      throw new ConfigError(`配置文件不存在: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  const home = options.home || os.homedir();
+  const candidates = [
+    path.join(options.cwd || process.cwd(), 'config.json'),
+    path.join(env.XDG_CONFIG_HOME || path.join(home, '.config'), 'doris', 'config.json'),
+    path.join(home, '.doris', 'config.json')
+  ];
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * 按声明的类型转换环境变量取值，无法转换时原样返回，交给校验报错
+ * @private
+ * @param {string} raw - 环境变量值
+ * @param {Object} rule - 配置项声明
+ * @returns {*} 转换后的值
+ */
+function coerceEnvValue(raw, rule) {
+  const text = raw.trim();
+  switch (rule.type) {
+    case 'integer':
+    case 'number':
+      return text !== '' && !Number.isNaN(Number(text)) ? Number(text) : raw;
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(text)) return true;
+      if (/^(false|0|no|off)$/i.test(text)) return false;
+      return raw;
+    case 'array':
+      return text === '' ? [] : text.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return raw;
+  }
+}
+
+/**
+ * 从环境变量中读取配置
+ * @param {Object} env - 环境变量
+ * @returns {Object} 配置层
+ */
+function configFromEnv(env = process.env) {
+  const layer = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([key, rule]) => {
+    if (rule.env && env[rule.env] !== undefined && env[rule.env] !== '') {
+      setPath(layer, key, coerceEnvValue(env[rule.env], rule));
+    }
+  });
+  return layer;
+}
+
+/**
+ * 校验单个取值
+ * @private
+ * @param {*} value - 取值
+ * @param {Object} rule - 配置项声明
+ * @returns {string|null} 错误说明
+ */
+function checkValue(value, rule) {
+  const describe = rule.sensitive ? '（已隐藏）' : JSON.stringify(value);
+
+  switch (rule.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return `应为整数，实际为 ${describe}`;
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return `应为数字，实际为 ${describe}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `应为 true 或 false，实际为 ${describe}`;
+      break;
+    case 'string':
+      if (typeof value !== 'string') return `应为字符串，实际为 ${describe}`;
+      break;
+    case 'object':
+      if (!isPlainObject(value)) return `应为对象，实际为 ${describe}`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return `应为数组，实际为 ${describe}`;
+      for (const item of value) {
+        const error = rule.items && checkValue(item, rule.items);
+        if (error) return `数组元素${error}`;
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `应为 ${rule.enum.join('、')} 之一，实际为 ${describe}`;
+  }
+  if (rule.minimum !== undefined && value < rule.minimum) {
+    return `不能小于 ${rule.minimum}，实际为 ${describe}`;
+  }
+  if (rule.maximum !== undefined && value > rule.maximum) {
+    return `不能大于 ${rule.maximum}，实际为 ${describe}`;
+  }
+  return null;
+}
+
+/**
+ * 按 CONFIG_SCHEMA 校验配置
+ * @param {Object} config - 合并后的配置
+ * @param {Function} [sourceOf] - 返回配置项来源说明的函数，用于错误信息
+ * @returns {Array<string>} 错误列表，为空表示通过
+ */
+function validateConfig(config, sourceOf = () => null) {
+  const errors = [];
+
+  Object.entries(CONFIG_SCHEMA).forEach(([key, rule]) => {
+    const value = getPath(config, key);
+    const source = sourceOf(key);
+    const suffix = source ? `（来源: ${source}）` : '';
+
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`${key}: 缺少必填配置${rule.env ? `，可通过环境变量 ${rule.env} 设置` : ''}`);
+      return;
     }
 
-    resolveEnvVariables(envConfig) {
-        const resolved = {};
-        for (const [key, value] of Object.entries(envConfig)) {
-            if (typeof value === 'string' && value.startsWith('${') && value.endsWith('}')) {
-                // 替换环境变量占位符
-                const envKey = value.slice(2, -1);
-                resolved[key] = process.env[envKey] || '';
-            } else {
-                resolved[key] = value;
-            }
+    const error = checkValue(value, rule);
+    if (error) {
+      errors.push(`${key}: ${error}${suffix}`);
+    } else if (rule.endpoints) {
+      value.forEach(item => {
+        try {
+          parseEndpoint(item, 0);
+        } catch (endpointError) {
+          errors.push(`${key}: ${endpointError.message}${suffix}`);
         }
-        return resolved;
+      });
+    }
+  });
+
+  // 按数据库覆盖的策略同样只能使用已知的语句类别
+  const databases = getPath(config, 'policy.databases');
+  if (isPlainObject(databases)) {
+    const rule = CONFIG_SCHEMA['policy.allow'];
+    Object.entries(databases).forEach(([database, allow]) => {
+      const error = checkValue(allow, rule);
+      if (error) errors.push(`policy.databases.${database}: ${error}`);
+    });
+  }
+
+  // profile 只能覆盖连接相关的配置块，且 MCP 开放的 profile 必须已定义
+  const profiles = getPath(config, 'profiles');
+  if (isPlainObject(profiles)) {
+    Object.entries(profiles).forEach(([name, profile]) => {
+      if (!isPlainObject(profile)) {
+        errors.push(`profiles.${name}: 应为对象，实际为 ${JSON.stringify(profile)}`);
+      } else if (profile.profiles || profile.profile || profile.mcp) {
+        errors.push(`profiles.${name}: 不能包含 profile、profiles 或 mcp 配置`);
+      }
+    });
+  }
+  const exposed = getPath(config, 'mcp.exposedProfiles');
+  if (Array.isArray(exposed)) {
+    exposed.filter(name => !isPlainObject(profiles) || !profiles[name]).forEach(name => {
+      errors.push(`mcp.exposedProfiles: profile ${JSON.stringify(name)} 未在 profiles 中定义`);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 读取配置文件原始内容
+ * @private
+ * @param {string} configFile - 配置文件路径
+ * @param {Object} env - 环境变量，用于替换 ${VAR}
+ * @returns {Promise<Object>} 配置文件内容
+ */
+async function readConfigFile(configFile, env) {
+  let content;
+  try {
+    content = interpolate(JSON.parse(await fs.promises.readFile(configFile, 'utf8')), env);
+  } catch (error) {
+    throw new ConfigError(`配置文件 ${configFile} 不是合法的 JSON: ${error.message}`);
+  }
+  if (!isPlainObject(content)) {
+    throw new ConfigError(`配置文件 ${configFile} 的顶层应为对象`);
+  }
+  return content;
+}
+
+/**
+ * 加载并校验配置
+ * @param {Object|string} [options] - 加载选项，传入字符串时视为配置文件路径
+ * @param {string} [options.configPath] - 配置文件路径，默认自动查找
+ * @param {string} [options.profile] - 使用的 profile，默认取 DORIS_PROFILE 或配置文件中的 profile
+ * @param {Object} [options.overrides] - 最高优先级的覆盖项，来自命令行参数或调用参数
+ * @param {Object} [options.env] - 环境变量，默认 process.env（并加载当前目录的 .env）
+ * @param {boolean} [options.envOverrides] - 是否以环境变量覆盖配置，默认 true；
+ *   为 false 时环境变量只用于查找配置文件和替换 ${VAR}
+ * @param {string} [options.cwd] - 查找配置文件的目录
+ * @param {string} [options.home] - 用户目录
+ * @returns {Promise<Object>} 配置对象，configFile、profileName 属性记录实际使用的配置文件和 profile
+ * @throws {ConfigError} 配置文件无法解析或配置项无效时抛出
+ */
+async function loadConfig(options = {}) {
+  if (typeof options === 'string') {
+    options = { configPath: options };
+  }
+
+  if (!options.env) {
+    // 与 process.env 中已有的变量冲突时以 process.env 为准
+    dotenv.config({ quiet: true });
+  }
+  const env = options.env || process.env;
+
+  const configFile = findConfigFile({ ...options, env });
+  const fileLayer = configFile ? await readConfigFile(configFile, env) : {};
+  const envLayer = options.envOverrides === false ? {} : configFromEnv(env);
+  const overrides = options.overrides || {};
+
+  // profile 覆盖配置文件的顶层配置，仍低于环境变量和命令行参数
+  const profiles = isPlainObject(fileLayer.profiles) ? fileLayer.profiles : {};
+  const profileName = options.profile || envLayer.profile || fileLayer.profile;
+  let profileLayer = {};
+  if (profileName) {
+    if (!isPlainObject(profiles[profileName])) {
+      throw new ConfigError(`未定义的 profile: ${profileName}，可用的 profile: ${Object.keys(profiles).join(', ') || '无'}`);
     }
+    profileLayer = profiles[profileName];
+  }
+
+  const layers = [fileLayer, profileLayer, envLayer, overrides];
+  const config = mergeConfig(DEFAULT_CONFIG, ...layers);
 
-    getDorisConfig() {
-        return {
-            host: process.env.DORIS_HOST || 'localhost',
-            port: parseInt(process.env.DORIS_PORT || '9030'),
-            user: process.env.DORIS_USER || 'root',
-            password: process.env.DORIS_PASSWORD || ''
-        };
+  // 更高优先级的配置层单独指定了 host 时，忽略较低层配置的 hosts 列表，
+  // 例如命令行参数 --host 覆盖配置文件中的 doris.hosts
+  const layerOf = key => layers.map(layer => getPath(layer, key) !== undefined).lastIndexOf(true);
+  ['doris', 'fe'].forEach(section => {
+    if (layerOf(`${section}.host`) > layerOf(`${section}.hosts`)) {
+      delete config[section].hosts;
     }
+  });
+
+  const feHostExplicit = Boolean(getPath(config, 'fe.host'));
+  if (!feHostExplicit) {
+    setPath(config, 'fe.host', config.doris.host);
+  }
+
+  const sourceOf = key => {
+    if (getPath(overrides, key) !== undefined) return '命令行参数';
+    if (getPath(envLayer, key) !== undefined) return `环境变量 ${CONFIG_SCHEMA[key].env}`;
+    if (getPath(profileLayer, key) !== undefined) return `${configFile} 中的 profile ${profileName}`;
+    if (getPath(fileLayer, key) !== undefined) return configFile;
+    return null;
+  };
+
+  const errors = validateConfig(config, sourceOf);
+  if (errors.length > 0) {
+    throw new ConfigError(`配置无效:\n  - ${errors.join('\n  - ')}`, errors);
+  }
+
+  // fe.hosts 未配置时沿用 doris.hosts 的主机名（HTTP 与 MySQL 协议端口不同，不沿用端口）
+  if (!config.fe.hosts && !feHostExplicit && Array.isArray(config.doris.hosts) && config.doris.hosts.length > 0) {
+    config.fe.hosts = config.doris.hosts.map(endpoint => {
+      const { host } = parseEndpoint(endpoint, 0);
+      return host.includes(':') ? `[${host}]` : host;
+    });
+  }
+  if (Array.isArray(config.fe.hosts) && config.fe.hosts.length > 0 && !feHostExplicit) {
+    config.fe.host = parseEndpoint(config.fe.hosts[0], 0).host;
+  }
+
+  // 配置文件中的相对路径相对于配置文件所在目录
+  Object.entries(CONFIG_SCHEMA)
+    .filter(([key, rule]) => rule.path && configFile)
+    .forEach(([key]) => {
+      const value = getPath(config, key);
+      const fromFile = getPath(overrides, key) === undefined && getPath(envLayer, key) === undefined;
+      if (typeof value === 'string' && value && fromFile && !path.isAbsolute(value)) {
+        setPath(config, key, path.resolve(path.dirname(configFile), value));
+      }
+    });
+
+  Object.defineProperty(config, 'configFile', { value: configFile, enumerable: false });
+  Object.defineProperty(config, 'profileName', { value: profileName || null, enumerable: false });
+  return config;
+}
+
+/**
+ * 在配置文件中新增或更新 profile
+ * 配置文件不存在时创建，写入的是原始内容，不包含默认值和环境变量
+ * @param {string} configFile - 配置文件路径
+ * @param {string} name - profile 名称
+ * @param {Object} profile - profile 配置，例如 { doris: {...}, fe: {...} }
+ * @param {Object} [options] - 写入选项
+ * @param {boolean} [options.makeDefault] - 设为默认 profile
+ * @param {boolean} [options.expose] - 开放给 MCP 工具的 cluster 参数
+ * @param {Array<string>} [options.remove] - 从已有 profile 中删除的配置路径，例如 ['doris.password']
+ * @returns {Promise<void>}
+ */
+async function saveProfile(configFile, name, profile, options = {}) {
+  let content = {};
+  if (fs.existsSync(configFile)) {
+    try {
+      content = JSON.parse(await fs.promises.readFile(configFile, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`配置文件 ${configFile} 不是合法的 JSON: ${error.message}`);
+    }
+  }
+
+  const merged = mergeConfig((content.profiles || {})[name], profile);
+  (options.remove || []).forEach(key => {
+    const parts = key.split('.');
+    const parent = getPath(merged, parts.slice(0, -1).join('.'));
+    if (isPlainObject(parent)) {
+      delete parent[parts[parts.length - 1]];
+    }
+  });
+  content.profiles = { ...(content.profiles || {}), [name]: merged };
+  if (options.makeDefault) {
+    content.profile = name;
+  }
+  if (options.expose) {
+    const exposed = getPath(content, 'mcp.exposedProfiles') || [];
+    setPath(content, 'mcp.exposedProfiles', exposed.includes(name) ? exposed : [...exposed, name]);
+  }
+
+  const errors = validateConfig(mergeConfig(DEFAULT_CONFIG, content, content.profiles[name]));
+  if (errors.length > 0) {
+    throw new ConfigError(`配置无效:\n  - ${errors.join('\n  - ')}`, errors);
+  }
+
+  await fs.promises.mkdir(path.dirname(configFile), { recursive: true });
+  await fs.promises.writeFile(configFile, JSON.stringify(content, null, 2) + '\n', 'utf8');
 }
 
-module.exports = new ConfigLoader();
\ No newline at end of file
+module.exports = {
+  DEFAULT_CONFIG,
+  CONFIG_SCHEMA,
+  ConfigError,
+  getPath,
+  setPath,
+  mergeConfig,
+  findConfigFile,
+  configFromEnv,
+  validateConfig,
+  loadConfig,
+  saveProfile
+};
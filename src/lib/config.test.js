@@ -0,0 +1,233 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_CONFIG,
+  ConfigError,
+  mergeConfig,
+  configFromEnv,
+  validateConfig,
+  loadConfig,
+  saveProfile
+} = require('./config');
+
+describe('mergeConfig', () => {
+  test('深度合并，数组整体替换，undefined 不覆盖', () => {
+    const merged = mergeConfig(
+      { doris: { host: 'a', port: 1 }, be: { hosts: ['x', 'y'] } },
+      { doris: { host: 'b', port: undefined }, be: { hosts: ['z'] } }
+    );
+    expect(merged).toEqual({ doris: { host: 'b', port: 1 }, be: { hosts: ['z'] } });
+  });
+
+  test('不修改输入对象', () => {
+    const base = { doris: { host: 'a' } };
+    mergeConfig(base, { doris: { host: 'b' } });
+    expect(base.doris.host).toBe('a');
+  });
+});
+
+describe('configFromEnv', () => {
+  test('按声明的类型转换取值', () => {
+    expect(configFromEnv({
+      DORIS_HOST: 'fe1',
+      DORIS_PORT: '9031',
+      DORIS_POOL_ENABLED: 'off',
+      DORIS_HOSTS: 'fe1:9030, fe2:9030',
+      DORIS_EXPORT_DIR: '/data/export',
+      DORIS_USER: ''
+    })).toEqual({
+      doris: { host: 'fe1', port: 9031, pool: { enabled: false }, hosts: ['fe1:9030', 'fe2:9030'] },
+      export: { outputDir: '/data/export' }
+    });
+  });
+
+  test('无法转换的取值原样保留，交给校验报错', () => {
+    expect(configFromEnv({ DORIS_PORT: 'abc' }).doris.port).toBe('abc');
+  });
+});
+
+describe('validateConfig', () => {
+  const valid = () => mergeConfig(DEFAULT_CONFIG);
+
+  test('默认配置通过校验', () => {
+    expect(validateConfig(valid())).toEqual([]);
+  });
+
+  test.each([
+    ['doris.port', 'abc', 'doris.port: 应为整数，实际为 "abc"'],
+    ['doris.port', 70000, 'doris.port: 不能大于 65535，实际为 70000'],
+    ['query.maxRows', 0, 'query.maxRows: 不能小于 1，实际为 0'],
+    ['doris.pool.enabled', 'yes', 'doris.pool.enabled: 应为 true 或 false，实际为 "yes"'],
+    ['export.format', 'xml', 'export.format: 应为 csv、tsv、jsonl、json、parquet 之一，实际为 "xml"'],
+    ['policy.allow', ['read', 'drop'], 'policy.allow: 数组元素应为']
+  ])('%s = %j', (key, value, message) => {
+    const config = valid();
+    const [section, ...rest] = key.split('.');
+    const target = rest.slice(0, -1).reduce((current, part) => current[part], config[section]);
+    target[rest[rest.length - 1]] = value;
+    const errors = validateConfig(config);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toContain(message);
+  });
+
+  test('缺少必填配置时提示环境变量', () => {
+    const config = valid();
+    delete config.doris.host;
+    expect(validateConfig(config)).toEqual(['doris.host: 缺少必填配置，可通过环境变量 DORIS_HOST 设置']);
+  });
+
+  test('敏感配置不显示取值', () => {
+    const config = valid();
+    config.doris.password = 12345;
+    expect(validateConfig(config)).toEqual(['doris.password: 应为字符串，实际为 （已隐藏）']);
+  });
+
+  test('错误信息注明来源', () => {
+    const config = valid();
+    config.doris.port = 'abc';
+    expect(validateConfig(config, key => (key === 'doris.port' ? '环境变量 DORIS_PORT' : null)))
+      .toEqual(['doris.port: 应为整数，实际为 "abc"（来源: 环境变量 DORIS_PORT）']);
+  });
+
+  test('校验节点地址列表', () => {
+    const config = valid();
+    config.doris.hosts = ['fe1:9030', 'fe2:notaport'];
+    expect(validateConfig(config)).toHaveLength(1);
+    expect(validateConfig(config)[0]).toMatch(/^doris\.hosts: /);
+  });
+
+  test('按数据库覆盖的策略、profile 与 exposedProfiles', () => {
+    const config = valid();
+    config.policy.databases = { sandbox: ['read', 'everything'] };
+    config.profiles = { prod: { mcp: {} }, staging: 'fe2' };
+    config.mcp.exposedProfiles = ['prod', 'missing'];
+    expect(validateConfig(config)).toEqual([
+      expect.stringMatching(/^policy\.databases\.sandbox: 数组元素应为/),
+      'profiles.prod: 不能包含 profile、profiles 或 mcp 配置',
+      'profiles.staging: 应为对象，实际为 "fe2"',
+      'mcp.exposedProfiles: profile "missing" 未在 profiles 中定义'
+    ]);
+  });
+});
+
+describe('loadConfig', () => {
+  let dir;
+  const writeConfig = content => {
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify(content));
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doris-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('优先级：默认值 < 配置文件 < profile < 环境变量 < 覆盖项', async () => {
+    const configPath = writeConfig({
+      doris: { host: 'file', port: 1001, user: 'file', database: 'file' },
+      profiles: { prod: { doris: { port: 1002, user: 'profile' } } }
+    });
+    const config = await loadConfig({
+      configPath,
+      profile: 'prod',
+      env: { DORIS_USER: 'env', DORIS_DATABASE: 'env' },
+      overrides: { doris: { database: 'cli' } }
+    });
+    expect(config.doris).toMatchObject({ host: 'file', port: 1002, user: 'env', database: 'cli', timeout: 30000 });
+    expect(config.configFile).toBe(configPath);
+    expect(config.profileName).toBe('prod');
+  });
+
+  test('替换 ${VAR} 并按配置文件所在目录解析相对路径', async () => {
+    const configPath = writeConfig({
+      doris: { password: '${DB_PASS}' },
+      export: { outputDir: './exports' },
+      audit: { path: '/var/log/doris-audit.log' }
+    });
+    const config = await loadConfig({ configPath, env: { DB_PASS: 'secret' } });
+    expect(config.doris.password).toBe('secret');
+    expect(config.export.outputDir).toBe(path.join(dir, 'exports'));
+    expect(config.audit.path).toBe('/var/log/doris-audit.log');
+  });
+
+  test('环境变量指定的相对路径不按配置文件目录解析', async () => {
+    const configPath = writeConfig({});
+    const config = await loadConfig({ configPath, env: { DORIS_EXPORT_DIR: 'out' } });
+    expect(config.export.outputDir).toBe('out');
+  });
+
+  test('配置无效时抛出 ConfigError，列出每个错误及来源', async () => {
+    const configPath = writeConfig({ doris: { port: 'abc' } });
+    const error = await loadConfig({ configPath, env: { DORIS_QUERY_MAX_ROWS: '0' } }).catch(e => e);
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.code).toBe('CONFIG_INVALID');
+    expect(error.errors).toEqual([
+      `doris.port: 应为整数，实际为 "abc"（来源: ${configPath}）`,
+      'query.maxRows: 不能小于 1，实际为 0（来源: 环境变量 DORIS_QUERY_MAX_ROWS）'
+    ]);
+  });
+
+  test('未定义的 profile 与非法 JSON', async () => {
+    const configPath = writeConfig({ profiles: { prod: {} } });
+    await expect(loadConfig({ configPath, profile: 'dev', env: {} })).rejects.toThrow(/未定义的 profile: dev，可用的 profile: prod/);
+    fs.writeFileSync(configPath, '{ not json');
+    await expect(loadConfig({ configPath, env: {} })).rejects.toThrow(/不是合法的 JSON/);
+    await expect(loadConfig({ configPath: path.join(dir, 'missing.json'), env: {} })).rejects.toThrow(/配置文件不存在/);
+  });
+
+  test('--host 覆盖配置文件中的 hosts 列表，fe.hosts 沿用 doris.hosts 的主机名', async () => {
+    const configPath = writeConfig({ doris: { hosts: ['fe1:9030', 'fe2:9030'] } });
+    const fromFile = await loadConfig({ configPath, env: {} });
+    expect(fromFile.fe.hosts).toEqual(['fe1', 'fe2']);
+    expect(fromFile.fe.host).toBe('fe1');
+
+    const overridden = await loadConfig({ configPath, env: {}, overrides: { doris: { host: 'fe9' } } });
+    expect(overridden.doris.hosts).toBeUndefined();
+    expect(overridden.fe.host).toBe('fe9');
+  });
+});
+
+describe('saveProfile', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doris-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('合并已有 profile，可设为默认并开放给 MCP', async () => {
+    const configFile = path.join(dir, 'nested', 'config.json');
+    await saveProfile(configFile, 'prod', { doris: { host: 'fe1' } });
+    await saveProfile(configFile, 'prod', { doris: { port: 9031 } }, { makeDefault: true, expose: true });
+    expect(JSON.parse(fs.readFileSync(configFile, 'utf8'))).toEqual({
+      profiles: { prod: { doris: { host: 'fe1', port: 9031 } } },
+      profile: 'prod',
+      mcp: { exposedProfiles: ['prod'] }
+    });
+  });
+
+  test('删除已有 profile 中的指定配置', async () => {
+    const configFile = path.join(dir, 'config.json');
+    await saveProfile(configFile, 'prod', { doris: { host: 'fe1', password: 'secret', passwordFile: '/tmp/pw' } });
+    await saveProfile(configFile, 'prod', { doris: { passwordKeystore: 'prod' } }, {
+      remove: ['doris.password', 'doris.passwordFile', 'doris.passwordCommand', 'missing.key']
+    });
+    expect(JSON.parse(fs.readFileSync(configFile, 'utf8')).profiles.prod).toEqual({
+      doris: { host: 'fe1', passwordKeystore: 'prod' }
+    });
+  });
+
+  test('配置无效时不写入', async () => {
+    const configFile = path.join(dir, 'config.json');
+    await expect(saveProfile(configFile, 'bad', { doris: { port: 0 } })).rejects.toThrow(ConfigError);
+    expect(fs.existsSync(configFile)).toBe(false);
+  });
+});
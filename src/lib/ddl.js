@@ -0,0 +1,474 @@
+/**
+ * 建表语句解析
+ * 将 SHOW CREATE TABLE 返回的 DDL 解析为结构化信息：
+ * 数据模型与键列、各列的聚合方式、分区方式、分桶方式、副本数与表属性
+ */
+
+// 列定义中可能出现的聚合方式
+const AGGREGATION_TYPES = [
+  'SUM', 'MAX', 'MIN', 'REPLACE', 'REPLACE_IF_NOT_NULL',
+  'HLL_UNION', 'BITMAP_UNION', 'QUANTILE_UNION', 'GENERIC'
+];
+// 列类型之后出现这些关键字时，类型定义结束
+const COLUMN_ATTRIBUTE_WORDS = [
+  ...AGGREGATION_TYPES, 'NULL', 'NOT', 'AUTO_INCREMENT', 'DEFAULT', 'ON', 'COMMENT', 'AS', 'GENERATED'
+];
+// 可以带 <...> 类型参数的复杂类型
+const NESTED_TYPES = ['ARRAY', 'MAP', 'STRUCT'];
+// 数据模型
+const KEYS_TYPES = ['DUPLICATE', 'AGGREGATE', 'UNIQUE'];
+
+/**
+ * 词法分析，记录每个词在原文中的位置以便截取原始片段
+ * @private
+ * @param {string} ddl - 建表语句
+ * @returns {Array<Object>} 词列表 { type, value, start, end }，type 为 word/ident/string/number/punct
+ */
+function tokenize(ddl) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < ddl.length) {
+    const ch = ddl[i];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // 注释
+    if ((ch === '-' && ddl[i + 1] === '-') || ch === '#') {
+      const end = ddl.indexOf('\n', i);
+      i = end === -1 ? ddl.length : end;
+      continue;
+    }
+    if (ch === '/' && ddl[i + 1] === '*') {
+      const end = ddl.indexOf('*/', i + 2);
+      i = end === -1 ? ddl.length : end + 2;
+      continue;
+    }
+
+    // 反引号标识符与字符串
+    if (ch === '`' || ch === '\'' || ch === '"') {
+      let value = '';
+      i++;
+      while (i < ddl.length) {
+        const c = ddl[i];
+        if (c === '\\' && ch !== '`' && i + 1 < ddl.length) {
+          const next = ddl[i + 1];
+          value += { n: '\n', t: '\t', r: '\r', 0: '\0' }[next] || next;
+          i += 2;
+          continue;
+        }
+        if (c === ch) {
+          if (ddl[i + 1] === ch) {
+            value += ch;
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += c;
+        i++;
+      }
+      tokens.push({ type: ch === '`' ? 'ident' : 'string', value, start, end: i });
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '-' && /[0-9]/.test(ddl[i + 1] || ''))) {
+      i++;
+      while (i < ddl.length && /[0-9.eE]/.test(ddl[i])) i++;
+      tokens.push({ type: 'number', value: ddl.slice(start, i), start, end: i });
+      continue;
+    }
+
+    if (/[A-Za-z_$\u0080-\uffff]/.test(ch)) {
+      while (i < ddl.length && /[A-Za-z0-9_$.\u0080-\uffff]/.test(ddl[i])) i++;
+      tokens.push({ type: 'word', value: ddl.slice(start, i), start, end: i });
+      continue;
+    }
+
+    i++;
+    tokens.push({ type: 'punct', value: ch, start, end: i });
+  }
+
+  return tokens;
+}
+
+/**
+ * 判断词是否为指定关键字（不区分大小写）
+ * @private
+ */
+function isWord(token, ...words) {
+  return Boolean(token) && token.type === 'word' && words.includes(token.value.toUpperCase());
+}
+
+/**
+ * 判断词是否为指定符号
+ * @private
+ */
+function isPunct(token, value) {
+  return Boolean(token) && token.type === 'punct' && token.value === value;
+}
+
+/**
+ * 找到从 index 处的左括号开始的括号组的结束位置
+ * [ 与 ( 都视为开括号，] 与 ) 都视为闭括号，以兼容 VALUES [(...), (...)) 形式的区间
+ * @private
+ * @param {Array<Object>} tokens - 词列表
+ * @param {number} index - 左括号的位置
+ * @returns {number} 匹配的右括号位置
+ */
+function groupEnd(tokens, index) {
+  let depth = 0;
+  for (let i = index; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'punct') continue;
+    if (token.value === '(' || token.value === '[') depth++;
+    if (token.value === ')' || token.value === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  throw new Error('建表语句中的括号不匹配');
+}
+
+/**
+ * 按顶层逗号拆分括号组内的词
+ * @private
+ * @param {Array<Object>} tokens - 括号组内的词（不含括号本身）
+ * @param {boolean} [angleBrackets] - 是否把 ARRAY<...> 等类型参数中的尖括号视为括号
+ * @returns {Array<Array<Object>>} 各项的词列表
+ */
+function splitTopLevel(tokens, angleBrackets = false) {
+  const items = [];
+  let current = [];
+  let depth = 0;
+  let angleDepth = 0;
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'punct') {
+      if (token.value === '(' || token.value === '[') depth++;
+      if (token.value === ')' || token.value === ']') depth--;
+      if (angleBrackets && token.value === '<' && (angleDepth > 0 || isWord(tokens[index - 1], ...NESTED_TYPES))) {
+        angleDepth++;
+      }
+      if (angleBrackets && token.value === '>' && angleDepth > 0) angleDepth--;
+      if (token.value === ',' && depth === 0 && angleDepth === 0) {
+        items.push(current);
+        current = [];
+        return;
+      }
+    }
+    current.push(token);
+  });
+  if (current.length > 0) items.push(current);
+
+  return items;
+}
+
+/**
+ * 取词列表对应的原文片段
+ * @private
+ */
+function rawText(ddl, tokens) {
+  if (tokens.length === 0) return '';
+  return ddl.slice(tokens[0].start, tokens[tokens.length - 1].end).trim();
+}
+
+/**
+ * 从括号组中提取名称列表，例如 (`k1`, `k2`)
+ * @private
+ */
+function nameList(tokens) {
+  return splitTopLevel(tokens)
+    .map(item => item.find(token => token.type === 'ident' || token.type === 'word'))
+    .filter(Boolean)
+    .map(token => token.value);
+}
+
+/**
+ * 解析 PROPERTIES ("key" = "value", ...)
+ * @private
+ */
+function parseProperties(tokens) {
+  const properties = {};
+  splitTopLevel(tokens).forEach(item => {
+    const eq = item.findIndex(token => isPunct(token, '='));
+    if (eq > 0 && eq < item.length - 1) {
+      properties[item[0].value] = item.slice(eq + 1).map(token => token.value).join('');
+    }
+  });
+  return properties;
+}
+
+/**
+ * 解析单个列定义
+ * @private
+ */
+function parseColumn(ddl, tokens) {
+  const column = {
+    name: tokens[0].value,
+    type: null,
+    nullable: true,
+    aggregation: null,
+    autoIncrement: false,
+    defaultValue: null,
+    comment: null
+  };
+
+  // 类型：从第二个词开始，直到顶层出现列属性关键字
+  let i = 1;
+  let depth = 0;
+  for (; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'punct' && ['(', '<', '['].includes(token.value)) depth++;
+    if (token.type === 'punct' && [')', '>', ']'].includes(token.value)) depth--;
+    if (depth === 0 && i > 1 && isWord(token, ...COLUMN_ATTRIBUTE_WORDS)) break;
+  }
+  column.type = rawText(ddl, tokens.slice(1, i));
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    if (isWord(token, ...AGGREGATION_TYPES)) {
+      column.aggregation = token.value.toUpperCase();
+      i++;
+    } else if (isWord(token, 'NOT') && isWord(tokens[i + 1], 'NULL')) {
+      column.nullable = false;
+      i += 2;
+    } else if (isWord(token, 'NULL')) {
+      i++;
+    } else if (isWord(token, 'AUTO_INCREMENT')) {
+      column.autoIncrement = true;
+      i++;
+      if (isPunct(tokens[i], '(')) i = groupEnd(tokens, i) + 1;
+    } else if (isWord(token, 'DEFAULT') && tokens[i + 1]) {
+      // 默认值可能是字面量、NULL 或 CURRENT_TIMESTAMP(3) 之类的函数
+      let end = i + 1;
+      if (isPunct(tokens[end + 1], '(')) end = groupEnd(tokens, end + 1);
+      const valueTokens = tokens.slice(i + 1, end + 1);
+      column.defaultValue = valueTokens.length === 1 && valueTokens[0].type === 'string'
+        ? valueTokens[0].value
+        : rawText(ddl, valueTokens);
+      if (isWord(valueTokens[0], 'NULL') && valueTokens.length === 1) column.defaultValue = null;
+      i = end + 1;
+    } else if (isWord(token, 'COMMENT') && tokens[i + 1]) {
+      column.comment = tokens[i + 1].value || null;
+      i += 2;
+    } else {
+      i++;
+    }
+  }
+
+  return column;
+}
+
+/**
+ * 解析索引定义：INDEX name (cols) USING INVERTED [PROPERTIES (...)] [COMMENT '...']
+ * @private
+ */
+function parseIndex(tokens) {
+  const index = { name: tokens[1] ? tokens[1].value : null, columns: [], type: null, properties: {}, comment: null };
+
+  for (let i = 2; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (isPunct(token, '(') && index.columns.length === 0) {
+      const end = groupEnd(tokens, i);
+      index.columns = nameList(tokens.slice(i + 1, end));
+      i = end;
+    } else if (isWord(token, 'USING') && tokens[i + 1]) {
+      index.type = tokens[i + 1].value.toUpperCase();
+      i++;
+    } else if (isWord(token, 'PROPERTIES') && isPunct(tokens[i + 1], '(')) {
+      const end = groupEnd(tokens, i + 1);
+      index.properties = parseProperties(tokens.slice(i + 2, end));
+      i = end;
+    } else if (isWord(token, 'COMMENT') && tokens[i + 1]) {
+      index.comment = tokens[i + 1].value || null;
+      i++;
+    }
+  }
+
+  return index;
+}
+
+/**
+ * 解析分区定义列表中的单个分区
+ * @private
+ */
+function parsePartition(ddl, tokens) {
+  const valuesAt = tokens.findIndex(token => isWord(token, 'VALUES'));
+  return {
+    name: tokens[1] ? tokens[1].value : null,
+    values: valuesAt === -1 ? null : rawText(ddl, tokens.slice(valuesAt + 1))
+  };
+}
+
+/**
+ * 根据表属性计算副本信息
+ * replication_allocation 形如 tag.location.default: 3, tag.location.hot: 1
+ * @private
+ */
+function parseReplication(properties) {
+  const allocation = {};
+  if (properties.replication_allocation) {
+    properties.replication_allocation.split(',').forEach(part => {
+      const match = part.trim().match(/^tag\.location\.([^:\s]+)\s*:\s*(\d+)$/);
+      if (match) allocation[match[1]] = parseInt(match[2], 10);
+    });
+  }
+
+  let num = Object.values(allocation).reduce((sum, count) => sum + count, 0);
+  if (num === 0 && properties.replication_num) {
+    num = parseInt(properties.replication_num, 10);
+    allocation.default = num;
+  }
+
+  return num > 0 ? { num, allocation } : null;
+}
+
+/**
+ * 解析 SHOW CREATE TABLE 返回的建表语句
+ * @param {string} ddl - 建表语句
+ * @returns {Object} 表信息
+ *   { name, engine, keysType, keys, columns, indexes, comment, partition, distribution, rollups, properties, replication }
+ */
+function parseCreateTable(ddl) {
+  const tokens = tokenize(ddl);
+  let i = tokens.findIndex(token => isWord(token, 'TABLE'));
+  if (!isWord(tokens[0], 'CREATE') || i === -1) {
+    throw new Error('无法解析建表语句: 不是 CREATE TABLE 语句');
+  }
+
+  // 表名，可能带有库名前缀或 IF NOT EXISTS
+  i++;
+  if (isWord(tokens[i], 'IF')) i += 3;
+  const nameTokens = [];
+  while (tokens[i] && !isPunct(tokens[i], '(')) {
+    if (tokens[i].type !== 'punct') nameTokens.push(tokens[i]);
+    i++;
+  }
+  const name = nameTokens.length > 0 ? nameTokens[nameTokens.length - 1].value.split('.').pop() : null;
+
+  const info = {
+    name,
+    engine: null,
+    keysType: null,
+    keys: [],
+    columns: [],
+    indexes: [],
+    comment: null,
+    partition: null,
+    distribution: null,
+    rollups: [],
+    properties: {},
+    replication: null
+  };
+
+  // 列与索引定义
+  if (isPunct(tokens[i], '(')) {
+    const end = groupEnd(tokens, i);
+    splitTopLevel(tokens.slice(i + 1, end), true).forEach(item => {
+      if (item.length === 0) return;
+      if (isWord(item[0], 'INDEX')) {
+        info.indexes.push(parseIndex(item));
+      } else {
+        info.columns.push(parseColumn(ddl, item));
+      }
+    });
+    i = end + 1;
+  }
+
+  // 表级子句，顺序不固定，无法识别的词直接跳过
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (isWord(token, 'ENGINE') && isPunct(tokens[i + 1], '=')) {
+      info.engine = tokens[i + 2] ? tokens[i + 2].value.toUpperCase() : null;
+      i += 3;
+    } else if (isWord(token, ...KEYS_TYPES) && isWord(tokens[i + 1], 'KEY') && isPunct(tokens[i + 2], '(')) {
+      const end = groupEnd(tokens, i + 2);
+      info.keysType = token.value.toUpperCase();
+      info.keys = nameList(tokens.slice(i + 3, end));
+      i = end + 1;
+    } else if (isWord(token, 'COMMENT') && tokens[i + 1] && tokens[i + 1].type === 'string') {
+      info.comment = tokens[i + 1].value || null;
+      i += 2;
+    } else if (isWord(token, 'PARTITION', 'AUTO') && isWord(tokens[i + 1], 'BY', 'PARTITION')) {
+      const auto = isWord(token, 'AUTO');
+      let j = auto ? i + 3 : i + 2;
+      const partition = { type: null, auto, columns: [], expression: null, partitions: [] };
+      if (isWord(tokens[j], 'RANGE', 'LIST')) {
+        partition.type = tokens[j].value.toUpperCase();
+        j++;
+      }
+      if (isPunct(tokens[j], '(')) {
+        const end = groupEnd(tokens, j);
+        const inner = tokens.slice(j + 1, end);
+        partition.expression = rawText(ddl, inner);
+        // 分区列：表达式中引用的反引号标识符，例如 date_trunc(`dt`, 'day')
+        partition.columns = inner.filter(item => item.type === 'ident').map(item => item.value);
+        if (partition.columns.length === 0) partition.columns = nameList(inner);
+        j = end + 1;
+      }
+      if (isPunct(tokens[j], '(')) {
+        const end = groupEnd(tokens, j);
+        partition.partitions = splitTopLevel(tokens.slice(j + 1, end))
+          .filter(item => isWord(item[0], 'PARTITION'))
+          .map(item => parsePartition(ddl, item));
+        j = end + 1;
+      }
+      info.partition = partition;
+      i = j;
+    } else if (isWord(token, 'DISTRIBUTED') && isWord(tokens[i + 1], 'BY')) {
+      let j = i + 2;
+      const distribution = { type: tokens[j] ? tokens[j].value.toUpperCase() : null, columns: [], buckets: null };
+      j++;
+      if (isPunct(tokens[j], '(')) {
+        const end = groupEnd(tokens, j);
+        distribution.columns = nameList(tokens.slice(j + 1, end));
+        j = end + 1;
+      }
+      if (isWord(tokens[j], 'BUCKETS') && tokens[j + 1]) {
+        distribution.buckets = tokens[j + 1].type === 'number'
+          ? parseInt(tokens[j + 1].value, 10)
+          : tokens[j + 1].value.toUpperCase();
+        j += 2;
+      }
+      info.distribution = distribution;
+      i = j;
+    } else if (isWord(token, 'ROLLUP') && isPunct(tokens[i + 1], '(')) {
+      const end = groupEnd(tokens, i + 1);
+      info.rollups = splitTopLevel(tokens.slice(i + 2, end)).map(item => {
+        const open = item.findIndex(part => isPunct(part, '('));
+        return {
+          name: item[0] ? item[0].value : null,
+          columns: open === -1 ? [] : nameList(item.slice(open + 1, groupEnd(item, open)))
+        };
+      });
+      i = end + 1;
+    } else if (isWord(token, 'PROPERTIES') && isPunct(tokens[i + 1], '(')) {
+      const end = groupEnd(tokens, i + 1);
+      info.properties = parseProperties(tokens.slice(i + 2, end));
+      i = end + 1;
+    } else {
+      i++;
+    }
+  }
+
+  // 键列标记到列上；DUPLICATE 模型未声明键时 Doris 默认取前几列，这里只按 DDL 标记
+  info.columns.forEach(column => {
+    column.isKey = info.keys.includes(column.name);
+  });
+  info.replication = parseReplication(info.properties);
+
+  return info;
+}
+
+module.exports = {
+  AGGREGATION_TYPES,
+  KEYS_TYPES,
+  parseCreateTable
+};
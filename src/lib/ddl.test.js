@@ -0,0 +1,106 @@
+const { parseCreateTable } = require('./ddl');
+
+const ORDERS_DDL = `CREATE TABLE \`orders\` (
+  \`id\` bigint NOT NULL AUTO_INCREMENT(1) COMMENT '订单ID',
+  \`dt\` date NOT NULL,
+  \`user\` varchar(64) NULL DEFAULT "anonymous" COMMENT 'it\\'s',
+  \`amount\` decimal(18, 2) SUM NULL DEFAULT "0",
+  \`tags\` array<varchar(10)> NULL,
+  \`attrs\` map<string,int> NULL,
+  \`created\` datetime(3) NULL DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_user (\`user\`) USING INVERTED PROPERTIES("parser" = "english") COMMENT 'user idx'
+) ENGINE=OLAP
+AGGREGATE KEY(\`id\`, \`dt\`, \`user\`)
+COMMENT '订单表'
+PARTITION BY RANGE(\`dt\`)
+(PARTITION p20240101 VALUES [('2024-01-01'), ('2024-01-02')),
+PARTITION p20240102 VALUES [('2024-01-02'), ('2024-01-03')))
+DISTRIBUTED BY HASH(\`id\`) BUCKETS 8
+ROLLUP (r1 (\`dt\`, \`amount\`))
+PROPERTIES (
+"replication_allocation" = "tag.location.default: 3, tag.location.hot: 1",
+"storage_format" = "V2"
+);`;
+
+describe('parseCreateTable', () => {
+  const info = parseCreateTable(ORDERS_DDL);
+
+  test('表名、引擎、数据模型与注释', () => {
+    expect(info).toMatchObject({
+      name: 'orders',
+      engine: 'OLAP',
+      keysType: 'AGGREGATE',
+      keys: ['id', 'dt', 'user'],
+      comment: '订单表'
+    });
+  });
+
+  test('列类型保留原始写法，复杂类型不被截断', () => {
+    expect(info.columns.map(column => [column.name, column.type])).toEqual([
+      ['id', 'bigint'],
+      ['dt', 'date'],
+      ['user', 'varchar(64)'],
+      ['amount', 'decimal(18, 2)'],
+      ['tags', 'array<varchar(10)>'],
+      ['attrs', 'map<string,int>'],
+      ['created', 'datetime(3)']
+    ]);
+  });
+
+  test('列属性', () => {
+    const columns = Object.fromEntries(info.columns.map(column => [column.name, column]));
+    expect(columns.id).toMatchObject({ nullable: false, autoIncrement: true, comment: '订单ID', isKey: true });
+    expect(columns.user).toMatchObject({ nullable: true, defaultValue: 'anonymous', comment: "it's", isKey: true });
+    expect(columns.amount).toMatchObject({ aggregation: 'SUM', defaultValue: '0', isKey: false });
+    expect(columns.created.defaultValue).toBe('CURRENT_TIMESTAMP(3)');
+    expect(columns.tags).toMatchObject({ defaultValue: null, comment: null, aggregation: null });
+  });
+
+  test('索引', () => {
+    expect(info.indexes).toEqual([
+      { name: 'idx_user', columns: ['user'], type: 'INVERTED', properties: { parser: 'english' }, comment: 'user idx' }
+    ]);
+  });
+
+  test('分区、分桶与 Rollup', () => {
+    expect(info.partition).toEqual({
+      type: 'RANGE',
+      auto: false,
+      columns: ['dt'],
+      expression: '`dt`',
+      partitions: [
+        { name: 'p20240101', values: "[('2024-01-01'), ('2024-01-02'))" },
+        { name: 'p20240102', values: "[('2024-01-02'), ('2024-01-03'))" }
+      ]
+    });
+    expect(info.distribution).toEqual({ type: 'HASH', columns: ['id'], buckets: 8 });
+    expect(info.rollups).toEqual([{ name: 'r1', columns: ['dt', 'amount'] }]);
+  });
+
+  test('属性与按标签分配的副本', () => {
+    expect(info.properties.storage_format).toBe('V2');
+    expect(info.replication).toEqual({ num: 4, allocation: { default: 3, hot: 1 } });
+  });
+
+  test('自动分区、随机分桶与 replication_num', () => {
+    const ddl = "CREATE TABLE IF NOT EXISTS test.t (k int) DUPLICATE KEY(k) " +
+      "AUTO PARTITION BY RANGE (date_trunc(`dt`, 'day')) () " +
+      "DISTRIBUTED BY RANDOM BUCKETS AUTO PROPERTIES ('replication_num' = '1')";
+    expect(parseCreateTable(ddl)).toMatchObject({
+      name: 't',
+      keysType: 'DUPLICATE',
+      keys: ['k'],
+      partition: { type: 'RANGE', auto: true, columns: ['dt'], expression: "date_trunc(`dt`, 'day')", partitions: [] },
+      distribution: { type: 'RANDOM', columns: [], buckets: 'AUTO' },
+      replication: { num: 1, allocation: { default: 1 } }
+    });
+  });
+
+  test('没有副本属性时 replication 为 null', () => {
+    expect(parseCreateTable('CREATE TABLE t (k int)').replication).toBeNull();
+  });
+
+  test.each(['SELECT 1', 'CREATE VIEW v AS SELECT 1', ''])('拒绝非建表语句 %j', ddl => {
+    expect(() => parseCreateTable(ddl)).toThrow(/不是 CREATE TABLE 语句/);
+  });
+});
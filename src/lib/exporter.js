@@ -0,0 +1,418 @@
+/**
+ * 查询结果导出
+ * 以流的方式把 mysql2 结果行写入文件，不在内存中缓存整个结果集，
+ * 支持 CSV / TSV / JSON Lines / JSON 数组 / Parquet，文本格式可选 gzip 压缩
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform, Writable, pipeline } = require('stream');
+const { isInsideDir } = require('./security');
+
+// 支持的导出格式
+const EXPORT_FORMATS = ['csv', 'tsv', 'jsonl', 'json', 'parquet'];
+
+// mysql2 字段类型编号（参见 mysql2/lib/constants/types.js）
+const FieldTypes = {
+  TINY: 1,
+  SHORT: 2,
+  LONG: 3,
+  FLOAT: 4,
+  DOUBLE: 5,
+  TIMESTAMP: 7,
+  LONGLONG: 8,
+  INT24: 9,
+  DATE: 10,
+  DATETIME: 12,
+  NEWDATE: 14
+};
+
+/**
+ * 根据输出文件扩展名推断导出格式
+ * @param {string} outputFile - 输出文件路径
+ * @returns {string} 导出格式
+ */
+function inferExportFormat(outputFile) {
+  const ext = path.extname(outputFile.replace(/\.gz$/i, '')).toLowerCase();
+  return {
+    '.tsv': 'tsv',
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl',
+    '.json': 'json',
+    '.parquet': 'parquet'
+  }[ext] || 'csv';
+}
+
+/**
+ * 格式化日期值
+ * @param {Date} date - 日期
+ * @param {string} dateFormat - datetime（本地时间 YYYY-MM-DD HH:mm:ss）、iso 或 epoch
+ * @returns {string|number} 格式化后的值
+ */
+function formatDate(date, dateFormat = 'datetime') {
+  if (Number.isNaN(date.getTime())) return null;
+  if (dateFormat === 'iso') return date.toISOString();
+  if (dateFormat === 'epoch') return date.getTime();
+
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  let text = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  if (date.getMilliseconds() > 0) {
+    text += `.${pad(date.getMilliseconds(), 3)}`;
+  }
+  return text;
+}
+
+/**
+ * 将数据库返回的值转换为可序列化的值
+ * @param {*} value - 原始值
+ * @param {Object} options - { dateFormat }
+ * @returns {*} 转换后的值，NULL 保持为 null
+ */
+function normalizeValue(value, options) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return formatDate(value, options.dateFormat);
+  if (Buffer.isBuffer(value)) return value.toString('utf8');
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+/**
+ * 按 RFC 4180 转义 CSV 单元格
+ * @param {string} cell - 单元格文本
+ * @param {string} delimiter - 分隔符
+ * @returns {string} 转义后的文本
+ */
+function escapeCsv(cell, delimiter) {
+  if (cell.includes(delimiter) || cell.includes('"') || cell.includes('\n') || cell.includes('\r') ||
+      cell !== cell.trim()) {
+    return `"${cell.replace(/"/g, '""')}"`;
+  }
+  return cell;
+}
+
+/**
+ * 按 MySQL/Doris 的 TSV 约定转义单元格（反斜杠转义制表符与换行）
+ * @param {string} cell - 单元格文本
+ * @returns {string} 转义后的文本
+ */
+function escapeTsv(cell) {
+  return cell
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * 文本格式序列化器：对象行 -> 文本
+ */
+class TextSerializer extends Transform {
+  /**
+   * @param {string} format - csv/tsv/jsonl/json
+   * @param {Object} options - 导出选项
+   */
+  constructor(format, options) {
+    super({ writableObjectMode: true });
+    this.format = format;
+    this.options = options;
+    this.delimiter = options.separator || (format === 'tsv' ? '\t' : ',');
+    // TSV 默认沿用 Doris 的 \N 表示 NULL，CSV 默认输出空值
+    this.nullValue = options.nullValue !== undefined ? options.nullValue : (format === 'tsv' ? '\\N' : '');
+    this.columns = null;
+    this.rowCount = 0;
+  }
+
+  /**
+   * 设置结果列，优先使用 mysql2 的 fields 信息，保证空结果集也能输出表头
+   * @param {Array<string>} columns - 列名列表
+   */
+  setColumns(columns) {
+    if (!this.columns) {
+      this.columns = columns;
+    }
+  }
+
+  /**
+   * 序列化单元格
+   * @private
+   */
+  _cell(value) {
+    const normalized = normalizeValue(value, this.options);
+    if (normalized === null) return this.nullValue;
+
+    const text = typeof normalized === 'object' ? JSON.stringify(normalized) : String(normalized);
+    return this.format === 'tsv' ? escapeTsv(text) : escapeCsv(text, this.delimiter);
+  }
+
+  /**
+   * 输出文件开头（表头或 JSON 数组起始符）
+   * @private
+   */
+  _begin() {
+    if (this.started) return;
+    this.started = true;
+
+    if (this.format === 'json') {
+      this.push('[');
+    } else if ((this.format === 'csv' || this.format === 'tsv') && this.options.includeHeader && this.columns) {
+      const header = this.columns.map(name => (
+        this.format === 'tsv' ? escapeTsv(name) : escapeCsv(name, this.delimiter)
+      ));
+      this.push(header.join(this.delimiter) + '\n');
+    }
+  }
+
+  _transform(row, encoding, callback) {
+    this.setColumns(Object.keys(row));
+    this._begin();
+
+    if (this.format === 'jsonl' || this.format === 'json') {
+      const record = {};
+      this.columns.forEach(name => {
+        record[name] = normalizeValue(row[name], this.options);
+      });
+      const text = JSON.stringify(record);
+      if (this.format === 'jsonl') {
+        this.push(text + '\n');
+      } else {
+        this.push((this.rowCount > 0 ? ',\n' : '\n') + text);
+      }
+    } else {
+      this.push(this.columns.map(name => this._cell(row[name])).join(this.delimiter) + '\n');
+    }
+
+    this.rowCount++;
+    callback();
+  }
+
+  _flush(callback) {
+    this._begin();
+    if (this.format === 'json') {
+      this.push(this.rowCount > 0 ? '\n]\n' : ']\n');
+    }
+    callback();
+  }
+}
+
+/**
+ * 根据 mysql2 字段信息构建 Parquet schema
+ * @param {Array<Object>} fields - mysql2 字段信息
+ * @param {Object} options - 导出选项
+ * @returns {Object} ParquetSchema
+ */
+function buildParquetSchema(fields, options) {
+  const { ParquetSchema } = require('parquetjs-lite');
+  const compression = options.gzip ? 'GZIP' : 'SNAPPY';
+  const definition = {};
+
+  fields.forEach(field => {
+    let type = 'UTF8';
+    switch (field.columnType) {
+      case FieldTypes.TINY:
+      case FieldTypes.SHORT:
+      case FieldTypes.LONG:
+      case FieldTypes.INT24:
+      case FieldTypes.LONGLONG:
+        type = 'INT64';
+        break;
+      case FieldTypes.FLOAT:
+      case FieldTypes.DOUBLE:
+        type = 'DOUBLE';
+        break;
+      case FieldTypes.DATE:
+      case FieldTypes.NEWDATE:
+      case FieldTypes.DATETIME:
+      case FieldTypes.TIMESTAMP:
+        type = 'TIMESTAMP_MILLIS';
+        break;
+      default:
+        // DECIMAL、LARGEINT、字符串及复杂类型统一以字符串保存，避免精度损失
+        type = 'UTF8';
+    }
+    definition[field.name] = { type, optional: true, compression };
+  });
+
+  return new ParquetSchema(definition);
+}
+
+/**
+ * Parquet 写入端：对象行 -> Parquet 文件
+ */
+class ParquetSink extends Writable {
+  /**
+   * @param {string} outputFile - 输出文件路径
+   * @param {Object} options - 导出选项
+   */
+  constructor(outputFile, options) {
+    super({ objectMode: true });
+    this.outputFile = outputFile;
+    this.options = options;
+    this.fields = null;
+    this.writer = null;
+    this.schemaTypes = {};
+    this.rowCount = 0;
+  }
+
+  /**
+   * 设置字段信息
+   * @param {Array<Object>} fields - mysql2 字段信息
+   */
+  setFields(fields) {
+    this.fields = fields;
+  }
+
+  /**
+   * 首次写入时打开文件
+   * @private
+   */
+  async _open() {
+    if (this.writer) return;
+    if (!this.fields) {
+      throw new Error('缺少结果集字段信息，无法生成 Parquet schema');
+    }
+
+    const { ParquetWriter } = require('parquetjs-lite');
+    const schema = buildParquetSchema(this.fields, this.options);
+    this.fields.forEach(field => {
+      this.schemaTypes[field.name] = schema.fields[field.name].primitiveType;
+    });
+    this.writer = await ParquetWriter.openFile(schema, this.outputFile);
+  }
+
+  /**
+   * 按列类型转换值
+   * @private
+   */
+  _convert(row) {
+    const record = {};
+    Object.keys(this.schemaTypes).forEach(name => {
+      const value = row[name];
+      if (value === null || value === undefined) return;
+
+      const type = this.schemaTypes[name];
+      if (type === 'INT64' || type === 'DOUBLE') {
+        record[name] = Number(value);
+      } else if (type === 'TIMESTAMP_MILLIS') {
+        record[name] = value instanceof Date ? value : new Date(value);
+      } else {
+        const normalized = normalizeValue(value, this.options);
+        record[name] = typeof normalized === 'object' ? JSON.stringify(normalized) : String(normalized);
+      }
+    });
+    return record;
+  }
+
+  _write(row, encoding, callback) {
+    this._open()
+      .then(() => this.writer.appendRow(this._convert(row)))
+      .then(() => {
+        this.rowCount++;
+        callback();
+      }, callback);
+  }
+
+  _final(callback) {
+    // 空结果集同样输出带 schema 的文件
+    this._open()
+      .then(() => this.writer.close())
+      .then(() => callback(), callback);
+  }
+}
+
+/**
+ * 把导出路径限制在指定目录内，用于 MCP 等不受信任的调用方
+ * 相对路径相对于该目录解析；解析后（包括经符号链接）位于目录之外的路径被拒绝，
+ * 已存在的文件除非指定 overwrite 否则不会被覆盖
+ * @param {string} outputFile - 调用方提供的输出文件路径
+ * @param {string} baseDir - 允许写入的目录
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.overwrite] - 是否允许覆盖已存在的文件，默认不允许
+ * @returns {Promise<string>} 解析后的绝对路径
+ */
+async function resolveExportPath(outputFile, baseDir, options = {}) {
+  if (!baseDir) {
+    throw new Error('未配置导出目录 export.outputDir');
+  }
+  if (typeof outputFile !== 'string' || !outputFile.trim()) {
+    throw new Error('缺少输出文件路径');
+  }
+
+  const root = path.resolve(baseDir);
+  const target = path.resolve(root, outputFile);
+  if (!isInsideDir(root, target)) {
+    throw new Error(`输出文件必须位于导出目录 ${root} 内: ${outputFile}`);
+  }
+
+  // 目录中的符号链接可能指向导出目录之外
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  const realRoot = await fs.promises.realpath(root);
+  const realDir = await fs.promises.realpath(path.dirname(target));
+  if (realDir !== realRoot && !isInsideDir(realRoot, realDir)) {
+    throw new Error(`输出文件必须位于导出目录 ${root} 内: ${outputFile}`);
+  }
+
+  const existing = await fs.promises.lstat(target).catch(() => null);
+  if (existing && (!options.overwrite || !existing.isFile())) {
+    throw new Error(`输出文件已存在: ${outputFile}${existing.isFile() ? '，如需覆盖请指定 overwrite' : ''}`);
+  }
+  return path.join(realDir, path.basename(target));
+}
+
+/**
+ * 将 mysql2 的行流写入文件
+ * @param {Readable} rowStream - mysql2 query().stream() 返回的对象流
+ * @param {string} outputFile - 输出文件路径
+ * @param {Object} options - 导出选项
+ * @param {string} options.format - 导出格式
+ * @param {string} [options.separator] - CSV/TSV 分隔符
+ * @param {boolean} [options.includeHeader] - CSV/TSV 是否输出表头
+ * @param {boolean} [options.gzip] - 是否 gzip 压缩（Parquet 使用 GZIP 列压缩）
+ * @param {string} [options.nullValue] - CSV/TSV 中 NULL 的表示，CSV 默认空串，TSV 默认 \N
+ * @param {string} [options.dateFormat] - 日期格式：datetime、iso 或 epoch
+ * @returns {Promise<number>} 写入的行数
+ */
+function writeRowStream(rowStream, outputFile, options) {
+  return new Promise((resolve, reject) => {
+    const done = (error, sink) => {
+      if (error) {
+        // 导出失败时删除不完整的文件
+        fs.promises.unlink(outputFile).catch(() => {}).then(() => reject(error));
+        return;
+      }
+      resolve(sink.rowCount);
+    };
+
+    if (options.format === 'parquet') {
+      const sink = new ParquetSink(outputFile, options);
+      rowStream.on('fields', fields => sink.setFields(fields));
+      pipeline(rowStream, sink, error => done(error, sink));
+      return;
+    }
+
+    const serializer = new TextSerializer(options.format, options);
+    rowStream.on('fields', fields => {
+      if (fields) serializer.setColumns(fields.map(field => field.name));
+    });
+
+    const stages = [rowStream, serializer];
+    if (options.gzip) {
+      stages.push(zlib.createGzip());
+    }
+    stages.push(fs.createWriteStream(outputFile));
+
+    pipeline(...stages, error => done(error, serializer));
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  inferExportFormat,
+  formatDate,
+  normalizeValue,
+  escapeCsv,
+  escapeTsv,
+  TextSerializer,
+  resolveExportPath,
+  writeRowStream
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  inferExportFormat,
+  formatDate,
+  escapeCsv,
+  escapeTsv,
+  TextSerializer,
+  resolveExportPath,
+  writeRowStream
+} = require('./exporter');
+
+/**
+ * 把对象行经 TextSerializer 序列化为文本
+ */
+function serialize(format, rows, options = {}) {
+  return new Promise((resolve, reject) => {
+    const serializer = new TextSerializer(format, options);
+    let text = '';
+    serializer.on('data', chunk => { text += chunk; });
+    serializer.on('end', () => resolve(text));
+    serializer.on('error', reject);
+    rows.forEach(row => serializer.write(row));
+    serializer.end();
+  });
+}
+
+describe('inferExportFormat', () => {
+  test.each([
+    ['out.csv', 'csv'],
+    ['out.tsv', 'tsv'],
+    ['out.TSV.gz', 'tsv'],
+    ['out.ndjson', 'jsonl'],
+    ['out.json', 'json'],
+    ['out.parquet', 'parquet'],
+    ['out.txt', 'csv']
+  ])('%s -> %s', (file, format) => {
+    expect(inferExportFormat(file)).toBe(format);
+  });
+});
+
+describe('formatDate', () => {
+  const date = new Date(2024, 0, 2, 3, 4, 5);
+
+  test.each([
+    ['datetime', '2024-01-02 03:04:05'],
+    ['iso', date.toISOString()],
+    ['epoch', date.getTime()]
+  ])('%s', (dateFormat, expected) => {
+    expect(formatDate(date, dateFormat)).toBe(expected);
+  });
+
+  test('保留毫秒，无效日期为 null', () => {
+    expect(formatDate(new Date(2024, 0, 2, 3, 4, 5, 60))).toBe('2024-01-02 03:04:05.060');
+    expect(formatDate(new Date('invalid'))).toBeNull();
+  });
+});
+
+describe('escapeCsv', () => {
+  test.each([
+    ['plain', ',', 'plain'],
+    ['a,b', ',', '"a,b"'],
+    ['say "hi"', ',', '"say ""hi"""'],
+    ['line\nbreak', ',', '"line\nbreak"'],
+    ['cr\r', ',', '"cr\r"'],
+    [' padded ', ',', '" padded "'],
+    ['a;b', ';', '"a;b"'],
+    ['a,b', ';', 'a,b']
+  ])('%j 分隔符 %j', (cell, delimiter, expected) => {
+    expect(escapeCsv(cell, delimiter)).toBe(expected);
+  });
+});
+
+describe('escapeTsv', () => {
+  test.each([
+    ['plain', 'plain'],
+    ['a\tb', 'a\\tb'],
+    ['a\nb\r', 'a\\nb\\r'],
+    ['C:\\tmp', 'C:\\\\tmp']
+  ])('%j', (cell, expected) => {
+    expect(escapeTsv(cell)).toBe(expected);
+  });
+});
+
+describe('TextSerializer', () => {
+  const rows = [
+    { id: 1, name: 'a,b', note: null },
+    { id: 2, name: 'tab\there', note: 'x' }
+  ];
+
+  test('CSV 输出表头，NULL 为空值', async () => {
+    const text = await serialize('csv', rows, { includeHeader: true });
+    expect(text).toBe('id,name,note\n1,"a,b",\n2,tab\there,x\n');
+  });
+
+  test('TSV 转义制表符，NULL 为 \\N', async () => {
+    const text = await serialize('tsv', rows, { includeHeader: false });
+    expect(text).toBe('1\ta,b\t\\N\n2\ttab\\there\tx\n');
+  });
+
+  test('自定义 NULL 表示', async () => {
+    const text = await serialize('csv', [{ v: null }], { nullValue: 'NULL' });
+    expect(text).toBe('NULL\n');
+  });
+
+  test('JSON 数组与 JSON Lines', async () => {
+    expect(JSON.parse(await serialize('json', rows))).toEqual(rows);
+    expect(JSON.parse(await serialize('json', []))).toEqual([]);
+    const lines = (await serialize('jsonl', rows)).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual(rows);
+  });
+});
+
+describe('文件写出', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doris-export-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('resolveExportPath', () => {
+    test('相对路径相对于导出目录解析', async () => {
+      const resolved = await resolveExportPath('sub/out.csv', dir);
+      expect(resolved).toBe(path.join(fs.realpathSync(dir), 'sub', 'out.csv'));
+      expect(fs.existsSync(path.join(dir, 'sub'))).toBe(true);
+    });
+
+    test.each(['../out.csv', 'sub/../../out.csv', '/etc/passwd', '.', ''])('拒绝目录之外的路径 %j', async file => {
+      await expect(resolveExportPath(file, dir)).rejects.toThrow(/导出目录|缺少输出文件路径/);
+    });
+
+    test('拒绝经符号链接指向目录之外的路径', async () => {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'doris-outside-'));
+      try {
+        fs.symlinkSync(outside, path.join(dir, 'link'));
+        await expect(resolveExportPath('link/out.csv', dir)).rejects.toThrow(/导出目录/);
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+      }
+    });
+
+    test('已存在的文件默认不覆盖', async () => {
+      fs.writeFileSync(path.join(dir, 'out.csv'), 'old');
+      await expect(resolveExportPath('out.csv', dir)).rejects.toThrow(/已存在/);
+      await expect(resolveExportPath('out.csv', dir, { overwrite: true })).resolves.toMatch(/out\.csv$/);
+    });
+
+    test('未配置导出目录时拒绝', async () => {
+      await expect(resolveExportPath('out.csv', '')).rejects.toThrow(/export\.outputDir/);
+    });
+  });
+
+  describe('writeRowStream', () => {
+    test('写出 CSV 并返回行数', async () => {
+      const file = path.join(dir, 'out.csv');
+      const count = await writeRowStream(Readable.from([{ id: 1 }, { id: 2 }]), file, { format: 'csv', includeHeader: true });
+      expect(count).toBe(2);
+      expect(fs.readFileSync(file, 'utf8')).toBe('id\n1\n2\n');
+    });
+
+    test('行流出错时删除不完整的文件', async () => {
+      const file = path.join(dir, 'out.csv');
+      const rowStream = new Readable({ objectMode: true, read() {} });
+      rowStream.push({ id: 1 });
+      setImmediate(() => rowStream.destroy(new Error('连接中断')));
+      await expect(writeRowStream(rowStream, file, { format: 'csv' })).rejects.toThrow('连接中断');
+      expect(fs.existsSync(file)).toBe(false);
+    });
+  });
+});
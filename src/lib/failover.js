@@ -0,0 +1,254 @@
+/**
+ * FE 故障转移与重试
+ * 维护多个 FE 端点的健康状态，按健康状况选择端点，
+ * 并为幂等操作提供带指数退避的重试
+ */
+
+// 默认重试参数：最多重试 2 次，首次等待 200ms，之后逐次翻倍，最长 5s
+const DEFAULT_RETRY = {
+  retries: 2,
+  delay: 200,
+  maxDelay: 5000
+};
+// 端点连续失败后暂停选择的时间(毫秒)
+const DEFAULT_COOLDOWN = 30000;
+
+// 建立连接阶段的错误：请求尚未发出，换一个端点重试总是安全的
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'ER_CON_COUNT_ERROR'];
+// 连接中断等瞬时错误：请求可能已经送达，只有幂等操作才能重试
+const TRANSIENT_ERROR_CODES = [
+  ...CONNECT_ERROR_CODES,
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ECONNABORTED',
+  'EPIPE',
+  'PROTOCOL_CONNECTION_LOST',
+  'PROTOCOL_SEQUENCE_TIMEOUT'
+];
+// 网关或 FE 暂不可用时返回的 HTTP 状态码
+const TRANSIENT_HTTP_STATUSES = [502, 503, 504];
+
+/**
+ * 解析 host[:port] 形式的端点
+ * @param {string|Object} endpoint - 端点字符串或 { host, port }
+ * @param {number} defaultPort - 未指定端口时使用的端口
+ * @returns {Object} { host, port, key }
+ */
+function parseEndpoint(endpoint, defaultPort) {
+  let host = endpoint;
+  let port = defaultPort;
+
+  if (endpoint && typeof endpoint === 'object') {
+    host = endpoint.host;
+    port = endpoint.port || defaultPort;
+  } else {
+    const text = String(endpoint).trim();
+    // 支持 [::1]:9030 形式的 IPv6 地址
+    const match = text.match(/^\[([^\]]+)\](?::(\d+))?$/) || text.match(/^([^:]+)(?::(\d+))?$/);
+    if (!match) {
+      throw new Error(`无效的 FE 地址: ${text}`);
+    }
+    host = match[1];
+    port = match[2] ? parseInt(match[2], 10) : defaultPort;
+  }
+
+  return { host, port, key: `${host}:${port}` };
+}
+
+/**
+ * 判断是否为建立连接阶段的错误（请求未发出）
+ * 调用方可以把确定发生在发送请求之前的错误标记为 unsent，例如建立连接超时
+ * @param {Error} error - 错误对象
+ * @returns {boolean}
+ */
+function isConnectError(error) {
+  return Boolean(error) && (error.unsent === true || CONNECT_ERROR_CODES.includes(error.code));
+}
+
+/**
+ * 判断是否为可重试的瞬时错误
+ * 包括连接失败、连接中断、超时，以及 HTTP 502/503/504
+ * @param {Error} error - 错误对象
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (!error) return false;
+  if (TRANSIENT_ERROR_CODES.includes(error.code)) return true;
+  // mysql2 在连接被服务端关闭时会设置 fatal
+  if (error.fatal && !error.sqlState) return true;
+  return Boolean(error.response) && TRANSIENT_HTTP_STATUSES.includes(error.response.status);
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间（指数退避，带 ±20% 抖动）
+ * @param {number} attempt - 重试次数，从 1 开始
+ * @param {Object} [options] - { delay, maxDelay }
+ * @returns {number} 等待时间(毫秒)
+ */
+function backoffDelay(attempt, options = {}) {
+  const { delay, maxDelay } = { ...DEFAULT_RETRY, ...options };
+  const base = Math.min(delay * 2 ** (attempt - 1), maxDelay);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * 执行操作，失败且满足条件时按指数退避重试
+ * @param {Function} fn - 返回 Promise 的操作，参数为当前尝试次数（从 0 开始）
+ * @param {Object} [options] - 重试选项
+ * @param {number} [options.retries] - 最大重试次数
+ * @param {number} [options.delay] - 首次重试前的等待时间(毫秒)
+ * @param {number} [options.maxDelay] - 单次等待的上限(毫秒)
+ * @param {Function} [options.shouldRetry] - 判断错误是否可重试，默认 isTransientError
+ * @param {Function} [options.onRetry] - 每次重试前的回调，参数为 (error, attempt, wait)
+ * @returns {Promise<*>} fn 的返回值
+ */
+async function withRetry(fn, options = {}) {
+  const retries = options.retries !== undefined ? options.retries : DEFAULT_RETRY.retries;
+  const shouldRetry = options.shouldRetry || isTransientError;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+      const wait = backoffDelay(attempt + 1, options);
+      if (options.onRetry) {
+        options.onRetry(error, attempt + 1, wait);
+      }
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+}
+
+/**
+ * FE 端点集合
+ * 按配置顺序优先选择健康的端点；端点失败后在冷却期内排到最后，
+ * 冷却期结束或其他端点都不可用时再次尝试
+ */
+class EndpointSet {
+  /**
+   * @param {Array<string|Object>} endpoints - 端点列表，host[:port] 或 { host, port }
+   * @param {number} defaultPort - 未指定端口时使用的端口
+   * @param {Object} [options] - { cooldown }
+   */
+  constructor(endpoints, defaultPort, options = {}) {
+    const parsed = endpoints.map(endpoint => parseEndpoint(endpoint, defaultPort));
+    // 去重，保持配置顺序
+    this.endpoints = parsed.filter((endpoint, index) => parsed.findIndex(e => e.key === endpoint.key) === index);
+    if (this.endpoints.length === 0) {
+      throw new Error('至少需要配置一个 FE 地址');
+    }
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : DEFAULT_COOLDOWN;
+    // key -> { failures, lastError, downUntil }
+    this.health = new Map(this.endpoints.map(endpoint => [endpoint.key, { failures: 0, lastError: null, downUntil: 0 }]));
+  }
+
+  /**
+   * 按选择顺序返回端点：健康端点在前（保持配置顺序），冷却中的端点按恢复时间排在后面
+   * @returns {Array<Object>} 端点列表
+   */
+  candidates() {
+    const now = Date.now();
+    const healthy = this.endpoints.filter(endpoint => this.health.get(endpoint.key).downUntil <= now);
+    const down = this.endpoints
+      .filter(endpoint => this.health.get(endpoint.key).downUntil > now)
+      .sort((a, b) => this.health.get(a.key).downUntil - this.health.get(b.key).downUntil);
+    return [...healthy, ...down];
+  }
+
+  /**
+   * 当前首选端点
+   * @returns {Object} 端点
+   */
+  current() {
+    return this.candidates()[0];
+  }
+
+  /**
+   * 记录端点调用成功
+   * @param {Object} endpoint - 端点
+   */
+  markSuccess(endpoint) {
+    const state = this.health.get(endpoint.key);
+    if (state) {
+      state.failures = 0;
+      state.lastError = null;
+      state.downUntil = 0;
+    }
+  }
+
+  /**
+   * 记录端点调用失败，端点进入冷却期
+   * @param {Object} endpoint - 端点
+   * @param {Error} error - 失败原因
+   */
+  markFailure(endpoint, error) {
+    const state = this.health.get(endpoint.key);
+    if (state) {
+      state.failures++;
+      state.lastError = error ? error.message : null;
+      state.downUntil = Date.now() + this.cooldown;
+    }
+  }
+
+  /**
+   * 各端点的健康状态
+   * @returns {Array<Object>} [{ host, port, healthy, failures, lastError }]
+   */
+  status() {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => {
+      const state = this.health.get(endpoint.key);
+      return {
+        host: endpoint.host,
+        port: endpoint.port,
+        healthy: state.downUntil <= now,
+        failures: state.failures,
+        lastError: state.lastError
+      };
+    });
+  }
+
+  /**
+   * 依次在各端点上执行操作，直到成功
+   * 只有 shouldFailover 判定为真的错误才切换到下一个端点，其他错误直接抛出
+   * @param {Function} fn - 接收端点并返回 Promise 的操作
+   * @param {Function} [shouldFailover] - 判断是否切换端点，默认 isConnectError
+   * @returns {Promise<*>} fn 的返回值
+   */
+  async tryEach(fn, shouldFailover = isConnectError) {
+    let lastError;
+    for (const endpoint of this.candidates()) {
+      try {
+        const result = await fn(endpoint);
+        this.markSuccess(endpoint);
+        return result;
+      } catch (error) {
+        // SQL 错误等说明端点仍可正常响应
+        if (isTransientError(error)) {
+          this.markFailure(endpoint, error);
+        } else {
+          this.markSuccess(endpoint);
+        }
+        if (!shouldFailover(error)) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  DEFAULT_COOLDOWN,
+  parseEndpoint,
+  isConnectError,
+  isTransientError,
+  backoffDelay,
+  withRetry,
+  EndpointSet
+};
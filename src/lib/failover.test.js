@@ -0,0 +1,198 @@
+const {
+  parseEndpoint,
+  isConnectError,
+  isTransientError,
+  backoffDelay,
+  withRetry,
+  EndpointSet
+} = require('./failover');
+const DorisClient = require('./client');
+
+/**
+ * 生成带错误码的错误
+ */
+function errorWithCode(code, fields = {}) {
+  return Object.assign(new Error(code), { code }, fields);
+}
+
+describe('parseEndpoint', () => {
+  test.each([
+    ['fe1', { host: 'fe1', port: 9030, key: 'fe1:9030' }],
+    ['fe1:9031', { host: 'fe1', port: 9031, key: 'fe1:9031' }],
+    ['[::1]:9031', { host: '::1', port: 9031, key: '::1:9031' }],
+    [{ host: 'fe2' }, { host: 'fe2', port: 9030, key: 'fe2:9030' }]
+  ])('%j', (endpoint, expected) => {
+    expect(parseEndpoint(endpoint, 9030)).toEqual(expected);
+  });
+
+  test('拒绝无效的地址', () => {
+    expect(() => parseEndpoint('a:b:c', 9030)).toThrow(/无效的 FE 地址/);
+  });
+});
+
+describe('错误分类', () => {
+  test.each([
+    [errorWithCode('ECONNREFUSED'), true, true],
+    [errorWithCode('ENOTFOUND'), true, true],
+    [errorWithCode('ER_CON_COUNT_ERROR'), true, true],
+    [Object.assign(new Error('connect timeout'), { unsent: true }), true, false],
+    [errorWithCode('ECONNRESET'), false, true],
+    [errorWithCode('PROTOCOL_CONNECTION_LOST'), false, true],
+    [Object.assign(new Error('closed'), { fatal: true }), false, true],
+    [Object.assign(new Error('bad gateway'), { response: { status: 502 } }), false, true],
+    [Object.assign(new Error('not found'), { response: { status: 404 } }), false, false],
+    [errorWithCode('ER_PARSE_ERROR', { sqlState: '42000', fatal: true }), false, false],
+    [null, false, false]
+  ])('%s: 连接错误 %s，瞬时错误 %s', (error, connect, transient) => {
+    expect(isConnectError(error)).toBe(connect);
+    expect(isTransientError(error)).toBe(transient);
+  });
+});
+
+describe('backoffDelay', () => {
+  test('逐次翻倍，带 ±20% 抖动，不超过上限', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(backoffDelay(1, { delay: 100 })).toBeGreaterThanOrEqual(80);
+      expect(backoffDelay(1, { delay: 100 })).toBeLessThanOrEqual(120);
+      expect(backoffDelay(3, { delay: 100 })).toBeGreaterThanOrEqual(320);
+      expect(backoffDelay(10, { delay: 100, maxDelay: 1000 })).toBeLessThanOrEqual(1200);
+    }
+  });
+});
+
+describe('withRetry', () => {
+  test('瞬时错误按次数重试，成功后返回结果', async () => {
+    const onRetry = jest.fn();
+    const fn = jest.fn()
+      .mockRejectedValueOnce(errorWithCode('ECONNRESET'))
+      .mockRejectedValueOnce(errorWithCode('ETIMEDOUT'))
+      .mockResolvedValue('ok');
+    await expect(withRetry(fn, { retries: 2, delay: 1, onRetry })).resolves.toBe('ok');
+    expect(fn.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2]);
+    expect(onRetry.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+  });
+
+  test('超过重试次数后抛出最后一次的错误', async () => {
+    const fn = jest.fn().mockRejectedValue(errorWithCode('ECONNRESET'));
+    await expect(withRetry(fn, { retries: 1, delay: 1 })).rejects.toThrow('ECONNRESET');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('不可重试的错误立即抛出', async () => {
+    const fn = jest.fn().mockRejectedValue(errorWithCode('ER_PARSE_ERROR', { sqlState: '42000' }));
+    await expect(withRetry(fn, { delay: 1 })).rejects.toThrow('ER_PARSE_ERROR');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('shouldRetry 为 isConnectError 时连接中断不重试', async () => {
+    const fn = jest.fn().mockRejectedValue(errorWithCode('ECONNRESET'));
+    await expect(withRetry(fn, { delay: 1, shouldRetry: isConnectError })).rejects.toThrow('ECONNRESET');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('EndpointSet', () => {
+  test('去重并保持配置顺序', () => {
+    const set = new EndpointSet(['fe1', 'fe2:9030', 'fe1:9030'], 9030);
+    expect(set.endpoints.map(endpoint => endpoint.key)).toEqual(['fe1:9030', 'fe2:9030']);
+    expect(() => new EndpointSet([], 9030)).toThrow(/至少需要配置一个 FE 地址/);
+  });
+
+  test('失败的端点在冷却期内排到最后，成功后恢复', () => {
+    const set = new EndpointSet(['fe1', 'fe2', 'fe3'], 9030, { cooldown: 60000 });
+    const [fe1, fe2] = set.endpoints;
+    set.markFailure(fe1, new Error('down'));
+    set.markFailure(fe2, new Error('down'));
+    expect(set.candidates().map(endpoint => endpoint.host)).toEqual(['fe3', 'fe1', 'fe2']);
+    expect(set.status()[0]).toEqual({ host: 'fe1', port: 9030, healthy: false, failures: 1, lastError: 'down' });
+
+    set.markSuccess(fe1);
+    expect(set.current().host).toBe('fe1');
+  });
+
+  test('tryEach 在连接错误时切换端点', async () => {
+    const set = new EndpointSet(['fe1', 'fe2'], 9030);
+    const fn = jest.fn(async endpoint => {
+      if (endpoint.host === 'fe1') throw errorWithCode('ECONNREFUSED');
+      return endpoint.host;
+    });
+    await expect(set.tryEach(fn)).resolves.toBe('fe2');
+    expect(set.status().map(state => state.healthy)).toEqual([false, true]);
+  });
+
+  test('tryEach 默认不在连接中断时切换，避免重复执行写操作', async () => {
+    const set = new EndpointSet(['fe1', 'fe2'], 9030);
+    const fn = jest.fn().mockRejectedValue(errorWithCode('ECONNRESET'));
+    await expect(set.tryEach(fn)).rejects.toThrow('ECONNRESET');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('tryEach 遇到 SQL 错误直接抛出，端点仍视为健康', async () => {
+    const set = new EndpointSet(['fe1', 'fe2'], 9030);
+    const fn = jest.fn().mockRejectedValue(errorWithCode('ER_PARSE_ERROR', { sqlState: '42000' }));
+    await expect(set.tryEach(fn, isTransientError)).rejects.toThrow('ER_PARSE_ERROR');
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(set.status()[0].healthy).toBe(true);
+  });
+
+  test('全部端点失败时抛出最后一个错误', async () => {
+    const set = new EndpointSet(['fe1', 'fe2'], 9030);
+    const fn = jest.fn(async endpoint => {
+      throw errorWithCode('ECONNREFUSED', { message: endpoint.host });
+    });
+    await expect(set.tryEach(fn)).rejects.toThrow('fe2');
+  });
+});
+
+describe('查询的重试规则', () => {
+  let errorSpy;
+
+  beforeEach(() => {
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    errorSpy.mockRestore();
+  });
+
+  /**
+   * 创建客户端，语句依次以 failures 中的错误失败，之后成功
+   */
+  function createClient(failures) {
+    const client = new DorisClient({ host: 'fe1', retry: { retries: 2, delay: 1 } });
+    const executed = [];
+    client._withConnection = async fn => {
+      const failure = failures.shift();
+      return fn({ query: async sql => {
+        executed.push(sql);
+        if (failure) throw failure;
+        return [[{ ok: 1 }], []];
+      } }, client.endpoints.current());
+    };
+    return { client, executed };
+  }
+
+  test('只读语句在连接中断时重试', async () => {
+    const { client, executed } = createClient([errorWithCode('ECONNRESET'), errorWithCode('PROTOCOL_CONNECTION_LOST')]);
+    await expect(client.query('SELECT 1')).resolves.toEqual({ rows: [{ ok: 1 }], fields: [] });
+    expect(executed).toHaveLength(3);
+  });
+
+  test('写语句在连接中断时不重试', async () => {
+    const { client, executed } = createClient([errorWithCode('ECONNRESET')]);
+    await expect(client.query('INSERT INTO t VALUES (1)')).rejects.toThrow('ECONNRESET');
+    expect(executed).toHaveLength(1);
+  });
+
+  test('写语句在连接建立失败时重试', async () => {
+    const { client, executed } = createClient([errorWithCode('ECONNREFUSED')]);
+    await expect(client.query('INSERT INTO t VALUES (1)')).resolves.toBeDefined();
+    expect(executed).toHaveLength(2);
+  });
+
+  test('retry 选项覆盖按语句类别的默认值', async () => {
+    const { client, executed } = createClient([errorWithCode('ECONNRESET')]);
+    await expect(client.query('SELECT 1', [], { retry: false })).rejects.toThrow('ECONNRESET');
+    expect(executed).toHaveLength(1);
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * 集群健康检查
+ * 根据 SHOW FRONTENDS、SHOW BACKENDS、SHOW PROC 等结果评估各检查项，
+ * 每项给出 pass / warn / fail 结论，汇总后的最差结论决定整体结果
+ */
+
+// 检查结论，按严重程度从低到高排列
+const HealthStatus = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail'
+};
+
+const SEVERITY = [HealthStatus.PASS, HealthStatus.WARN, HealthStatus.FAIL];
+
+// 默认阈值，可通过配置 health.* 或检查选项覆盖
+const DEFAULT_THRESHOLDS = {
+  // BE 磁盘使用率(%)
+  diskWarn: 80,
+  diskFail: 90,
+  // 与 FE 的时钟偏差(毫秒)
+  clockSkewWarn: 1000,
+  clockSkewFail: 5000,
+  // 统计失败导入的时间范围(毫秒)
+  loadWindow: 24 * 60 * 60 * 1000
+};
+
+/**
+ * 取多个结论中最严重的一个
+ * @param {Array<string>} statuses - 结论列表
+ * @returns {string} 最严重的结论，列表为空时为 pass
+ */
+function worstStatus(statuses) {
+  return statuses.reduce(
+    (worst, status) => (SEVERITY.indexOf(status) > SEVERITY.indexOf(worst) ? status : worst),
+    HealthStatus.PASS
+  );
+}
+
+/**
+ * 生成一项检查结果
+ * @private
+ */
+function result(name, status, message, details = []) {
+  return { name, status, message, details };
+}
+
+/**
+ * 解析 true/false 文本
+ * @private
+ */
+function isTrue(value) {
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+/**
+ * 解析百分比文本，例如 "45.12 %"
+ * @private
+ */
+function parsePercent(value) {
+  const parsed = parseFloat(String(value).replace('%', ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * 解析整数文本，无法解析时为 0
+ * @private
+ */
+function toInt(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * 是否为 SHOW PROC 结果最后的合计行（DbId 为 Total）
+ * @private
+ */
+function isTotalRow(row) {
+  return [row.DbId, row.DbName].some(value => String(value).toLowerCase() === 'total');
+}
+
+/**
+ * 取 SHOW PROC 结果的合计行，没有合计行时累加各数据库的 *Num 列
+ * @private
+ */
+function totalRow(rows) {
+  return rows.find(isTotalRow) || rows.reduce((sum, row) => {
+    Object.keys(row).forEach(key => {
+      if (/Num$/.test(key)) sum[key] = (sum[key] || 0) + toInt(row[key]);
+    });
+    return sum;
+  }, {});
+}
+
+/**
+ * 评估 FE 存活情况：全部离线为 fail，部分离线为 warn
+ * @param {Array<Object>} rows - SHOW FRONTENDS 的结果
+ * @returns {Object} 检查结果
+ */
+function checkFrontends(rows) {
+  const dead = rows.filter(row => !isTrue(row.Alive));
+  const details = dead.map(row => `${row.Host}:${row.EditLogPort || row.QueryPort} 离线${row.ErrMsg ? `: ${row.ErrMsg}` : ''}`);
+
+  if (rows.length === 0 || dead.length === rows.length) {
+    return result('fe', HealthStatus.FAIL, `${rows.length} 个 FE 节点全部离线`, details);
+  }
+  if (dead.length > 0) {
+    return result('fe', HealthStatus.WARN, `${dead.length}/${rows.length} 个 FE 节点离线`, details);
+  }
+  return result('fe', HealthStatus.PASS, `${rows.length} 个 FE 节点全部在线`);
+}
+
+/**
+ * 评估 BE 存活情况：全部离线为 fail，部分离线为 warn，已下线（decommissioned）的节点不计入
+ * @param {Array<Object>} rows - SHOW BACKENDS 的结果
+ * @returns {Object} 检查结果
+ */
+function checkBackends(rows) {
+  const active = rows.filter(row => !isTrue(row.SystemDecommissioned));
+  const dead = active.filter(row => !isTrue(row.Alive));
+  const details = dead.map(row =>
+    `BE ${row.BackendId} (${row.Host}:${row.HeartbeatPort}) 离线，最近心跳 ${row.LastHeartbeat || '-'}${row.ErrMsg ? `: ${row.ErrMsg}` : ''}`
+  );
+
+  if (active.length === 0 || dead.length === active.length) {
+    return result('be', HealthStatus.FAIL, `${active.length} 个 BE 节点全部离线`, details);
+  }
+  if (dead.length > 0) {
+    return result('be', HealthStatus.WARN, `${dead.length}/${active.length} 个 BE 节点离线`, details);
+  }
+  return result('be', HealthStatus.PASS, `${active.length} 个 BE 节点全部在线`);
+}
+
+/**
+ * 评估 BE 磁盘使用率，取各 BE 使用率最高的磁盘
+ * @param {Array<Object>} rows - SHOW BACKENDS 的结果
+ * @param {Object} [thresholds] - 阈值，见 DEFAULT_THRESHOLDS
+ * @returns {Object} 检查结果
+ */
+function checkDiskUsage(rows, thresholds = {}) {
+  const { diskWarn, diskFail } = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const usages = rows
+    .filter(row => isTrue(row.Alive))
+    .map(row => ({
+      backend: `BE ${row.BackendId} (${row.Host})`,
+      // 旧版本没有 MaxDiskUsedPct，使用整体使用率
+      percent: parsePercent(row.MaxDiskUsedPct !== undefined ? row.MaxDiskUsedPct : row.UsedPct)
+    }))
+    .filter(usage => usage.percent !== null);
+
+  if (usages.length === 0) {
+    return result('disk', HealthStatus.WARN, '没有可用的 BE 磁盘使用率');
+  }
+
+  const status = usage => {
+    if (usage.percent >= diskFail) return HealthStatus.FAIL;
+    if (usage.percent >= diskWarn) return HealthStatus.WARN;
+    return HealthStatus.PASS;
+  };
+  const over = usages.filter(usage => status(usage) !== HealthStatus.PASS);
+  const max = Math.max(...usages.map(usage => usage.percent));
+  const details = over.map(usage => `${usage.backend} 磁盘使用率 ${usage.percent.toFixed(2)}%`);
+
+  if (over.length > 0) {
+    return result('disk', worstStatus(over.map(status)), `${over.length} 个 BE 磁盘使用率超过 ${diskWarn}%，最高 ${max.toFixed(2)}%`, details);
+  }
+  return result('disk', HealthStatus.PASS, `BE 磁盘使用率最高 ${max.toFixed(2)}%`);
+}
+
+/**
+ * 评估 Tablet 健康状况：存在无法恢复的 Tablet 为 fail，存在其他不健康 Tablet 为 warn
+ * @param {Array<Object>} rows - SHOW PROC '/cluster_health/tablet_health' 的结果
+ * @returns {Object} 检查结果
+ */
+function checkTabletHealth(rows) {
+  // 结果按数据库逐行列出，最后一行为合计
+  const total = totalRow(rows);
+
+  const tablets = toInt(total.TabletNum);
+  const unhealthy = tablets - toInt(total.HealthyNum);
+  const unrecoverable = toInt(total.UnrecoverableNum);
+  // 各类不健康 Tablet 的计数，例如 ReplicaMissingNum、VersionIncompleteNum
+  const details = Object.keys(total)
+    .filter(key => /Num$/.test(key) && !['TabletNum', 'HealthyNum'].includes(key) && toInt(total[key]) > 0)
+    .map(key => `${key.replace(/Num$/, '')}: ${toInt(total[key])}`);
+
+  if (unrecoverable > 0) {
+    return result('tablet', HealthStatus.FAIL, `${unrecoverable} 个 Tablet 无法恢复，共 ${unhealthy}/${tablets} 个不健康`, details);
+  }
+  if (unhealthy > 0) {
+    return result('tablet', HealthStatus.WARN, `${unhealthy}/${tablets} 个 Tablet 不健康`, details);
+  }
+  return result('tablet', HealthStatus.PASS, `${tablets} 个 Tablet 全部健康`);
+}
+
+/**
+ * 评估副本状况：存在损坏副本为 fail，存在不健康或不一致的副本为 warn
+ * @param {Array<Object>} rows - SHOW PROC '/statistic' 的结果
+ * @returns {Object} 检查结果
+ */
+function checkReplicas(rows) {
+  const total = totalRow(rows);
+  const unhealthy = toInt(total.UnhealthyTabletNum);
+  const inconsistent = toInt(total.InconsistentTabletNum);
+  const bad = toInt(total.BadTabletNum);
+  // 逐个列出存在问题的数据库
+  const details = rows
+    .filter(row => !isTotalRow(row) && (toInt(row.UnhealthyTabletNum) > 0 || toInt(row.InconsistentTabletNum) > 0 || toInt(row.BadTabletNum) > 0))
+    .map(row => `${row.DbName}: 不健康 ${toInt(row.UnhealthyTabletNum)}，不一致 ${toInt(row.InconsistentTabletNum)}，损坏 ${toInt(row.BadTabletNum)}`);
+
+  if (bad > 0) {
+    return result('replica', HealthStatus.FAIL, `${bad} 个 Tablet 存在损坏副本`, details);
+  }
+  if (unhealthy > 0 || inconsistent > 0) {
+    return result('replica', HealthStatus.WARN, `${unhealthy} 个 Tablet 副本不健康，${inconsistent} 个副本不一致`, details);
+  }
+  return result('replica', HealthStatus.PASS, '所有副本健康');
+}
+
+/**
+ * 评估近期失败的导入任务，失败导入只告警
+ * @param {Array<Object>} loads - 时间范围内失败的导入任务，含 database 字段
+ * @param {Object} [thresholds] - 阈值，见 DEFAULT_THRESHOLDS
+ * @returns {Object} 检查结果
+ */
+function checkFailedLoads(loads, thresholds = {}) {
+  const { loadWindow } = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const hours = Math.round(loadWindow / 3600000 * 10) / 10;
+  const details = loads.map(load => `${load.database}.${load.label} (${load.createTime})${load.errorMsg ? `: ${load.errorMsg}` : ''}`);
+
+  if (loads.length > 0) {
+    return result('load', HealthStatus.WARN, `最近 ${hours} 小时有 ${loads.length} 个导入任务失败`, details);
+  }
+  return result('load', HealthStatus.PASS, `最近 ${hours} 小时没有失败的导入任务`);
+}
+
+/**
+ * 评估本机与 FE 的时钟偏差
+ * @param {number} skew - 偏差(毫秒)，正数表示 FE 时钟较快
+ * @param {Object} [thresholds] - 阈值，见 DEFAULT_THRESHOLDS
+ * @returns {Object} 检查结果
+ */
+function checkClockSkew(skew, thresholds = {}) {
+  const { clockSkewWarn, clockSkewFail } = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const abs = Math.abs(skew);
+  const message = `与 FE 的时钟偏差 ${Math.round(skew)}ms`;
+
+  if (abs >= clockSkewFail) return result('clock', HealthStatus.FAIL, message);
+  if (abs >= clockSkewWarn) return result('clock', HealthStatus.WARN, message);
+  return result('clock', HealthStatus.PASS, message);
+}
+
+module.exports = {
+  HealthStatus,
+  DEFAULT_THRESHOLDS,
+  worstStatus,
+  checkFrontends,
+  checkBackends,
+  checkDiskUsage,
+  checkTabletHealth,
+  checkReplicas,
+  checkFailedLoads,
+  checkClockSkew
+};
@@ -0,0 +1,162 @@
+/**
+ * 加密密钥库
+ * 在本地 JSON 文件中保存加密后的密码，每个条目使用独立的盐和 IV，
+ * 以 scrypt 从主密码派生密钥并用 AES-256-GCM 加密
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 读取主密码的环境变量
+const KEYSTORE_PASSWORD_ENV = 'DORIS_KEYSTORE_PASSWORD';
+const KEYSTORE_VERSION = 1;
+
+/**
+ * 默认的密钥库路径：$XDG_CONFIG_HOME/doris/keystore.json（默认 ~/.config/doris/keystore.json）
+ * @param {Object} [env] - 环境变量
+ * @returns {string} 密钥库路径
+ */
+function defaultKeystorePath(env = process.env) {
+  return path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'doris', 'keystore.json');
+}
+
+/**
+ * 由主密码派生加密密钥
+ * @private
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+class Keystore {
+  /**
+   * @param {string} [filePath] - 密钥库文件路径，默认见 defaultKeystorePath
+   */
+  constructor(filePath = defaultKeystorePath()) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * 读取密钥库文件，不存在时返回空库
+   * @private
+   * @returns {Promise<Object>} { version, entries }
+   */
+  async _read() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: KEYSTORE_VERSION, entries: {} };
+      }
+      throw error;
+    }
+
+    try {
+      const data = JSON.parse(content);
+      return { version: data.version || KEYSTORE_VERSION, entries: data.entries || {} };
+    } catch (error) {
+      throw new Error(`密钥库 ${this.filePath} 已损坏: ${error.message}`);
+    }
+  }
+
+  /**
+   * 写入密钥库文件，仅当前用户可读写
+   * @private
+   */
+  async _write(data) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    await fs.promises.writeFile(this.filePath, JSON.stringify(data, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+  }
+
+  /**
+   * 列出条目名称
+   * @returns {Promise<Array<string>>} 条目名称
+   */
+  async list() {
+    const { entries } = await this._read();
+    return Object.keys(entries);
+  }
+
+  /**
+   * 保存条目
+   * @param {string} name - 条目名称
+   * @param {string} secret - 要保存的密码
+   * @param {string} passphrase - 主密码
+   * @returns {Promise<void>}
+   */
+  async set(name, secret, passphrase) {
+    if (!passphrase) {
+      throw new Error('保存到密钥库需要主密码');
+    }
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+    const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    const store = await this._read();
+    store.entries[name] = {
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+    await this._write(store);
+  }
+
+  /**
+   * 读取并解密条目
+   * @param {string} name - 条目名称
+   * @param {string} passphrase - 主密码
+   * @returns {Promise<string>} 密码
+   */
+  async get(name, passphrase) {
+    if (!passphrase) {
+      throw new Error(`读取密钥库需要主密码，请设置环境变量 ${KEYSTORE_PASSWORD_ENV}`);
+    }
+
+    const { entries } = await this._read();
+    const entry = entries[name];
+    if (!entry) {
+      throw new Error(`密钥库 ${this.filePath} 中不存在条目: ${name}`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        deriveKey(passphrase, Buffer.from(entry.salt, 'base64')),
+        Buffer.from(entry.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(entry.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new Error(`无法解密密钥库条目 ${name}，主密码不正确或条目已损坏`);
+    }
+  }
+
+  /**
+   * 删除条目
+   * @param {string} name - 条目名称
+   * @returns {Promise<boolean>} 条目是否存在
+   */
+  async remove(name) {
+    const store = await this._read();
+    if (!store.entries[name]) {
+      return false;
+    }
+    delete store.entries[name];
+    await this._write(store);
+    return true;
+  }
+}
+
+module.exports = {
+  Keystore,
+  defaultKeystorePath,
+  KEYSTORE_PASSWORD_ENV
+};
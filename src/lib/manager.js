@@ -2,8 +2,15 @@
  * Doris 管理类
  * 提供 Doris 集群管理和监控功能
  */
-const axios = require('axios');
 const DorisClient = require('./client');
+const { quoteQualified, quoteString, quoteAddress } = require('../utils/quote');
+const { parseProfile } = require('./profile');
+const { parseEndpoint } = require('./failover');
+const health = require('./health');
+const metrics = require('./metrics');
+
+// 不统计导入任务的系统数据库
+const SYSTEM_DATABASES = ['information_schema', 'mysql', '__internal_schema'];
 
 class DorisManager {
   /**
@@ -11,10 +18,11 @@ class DorisManager {
    * @param {Object} config - 配置信息
    * @param {Object} config.fe - FE节点配置
    * @param {Array} config.be - BE节点配置列表
+   * @param {DorisClient} [client] - 可选: 复用已有的客户端（例如共享连接池），默认新建
    */
-  constructor(config) {
+  constructor(config, client = DorisClient.fromConfig(config)) {
     this.config = config;
-    this.client = new DorisClient(config.doris);
+    this.client = client;
   }
 
   /**
@@ -23,17 +31,8 @@ class DorisManager {
    */
   async getClusterStatus() {
     try {
-      const { fe } = this.config;
-      const url = `http://${fe.host}:${fe.httpPort}/api/cluster_status`;
-      
-      const response = await axios.get(url, {
-        auth: {
-          username: this.config.doris.user,
-          password: this.config.doris.password
-        }
-      });
-      
-      return response.data;
+      // FE 地址、认证与 TLS 由客户端统一处理
+      return await this.client.requestFe('get', '/api/cluster_status');
     } catch (error) {
       console.error('获取集群状态失败:', error.message);
       throw error;
@@ -70,28 +69,92 @@ class DorisManager {
 
   /**
    * 获取查询进度
+   * @deprecated 请使用 getQueryProfile，返回解析后的 Profile 与热点报告
    * @param {string} queryId - 查询ID
    * @returns {Promise<Object>} 查询进度信息
    */
   async getQueryProgress(queryId) {
     try {
-      const { fe } = this.config;
-      const url = `http://${fe.host}:${fe.httpPort}/api/query/${queryId}/profile`;
-      
-      const response = await axios.get(url, {
-        auth: {
-          username: this.config.doris.user,
-          password: this.config.doris.password
-        }
-      });
-      
-      return response.data;
+      return await this.client.requestFe('get', `/api/query/${encodeURIComponent(queryId)}/profile`);
     } catch (error) {
       console.error('获取查询进度失败:', error.message);
       throw error;
     }
   }
 
+  /**
+   * 获取查询 Profile 的原始文本
+   * 优先使用 /api/profile/text，旧版本 FE 没有该接口时改用 /api/profile
+   * @private
+   * @param {string} queryId - 查询ID
+   * @returns {Promise<string|null>} Profile 文本，尚未生成或不存在时返回 null
+   */
+  async _fetchProfileText(queryId) {
+    const params = { query_id: queryId };
+    try {
+      const text = await this.client.requestFe('get', '/api/profile/text', { params });
+      if (typeof text === 'string') {
+        return text.trim() && !/^\s*\{/.test(text) ? text : null;
+      }
+    } catch (error) {
+      if (!error.response || error.response.status !== 404) throw error;
+    }
+
+    const result = await this.client.requestFe('get', '/api/profile', { params });
+    const data = result && result.data !== undefined ? result.data : result;
+    const profile = data && typeof data === 'object' ? data.profile : data;
+    return typeof profile === 'string' && profile.trim() ? profile : null;
+  }
+
+  /**
+   * 获取并解析查询 Profile
+   * 查询需在开启 enable_profile 的会话中执行；刚结束的查询 FE 可能仍在收集 Profile，可通过 wait 等待
+   * @param {string} queryId - 查询ID
+   * @param {Object} [options] - 选项
+   * @param {number} [options.wait] - Profile 尚未生成时最多等待的时间(毫秒)，默认不等待
+   * @param {number} [options.interval] - 等待期间的轮询间隔(毫秒)，默认 1000
+   * @returns {Promise<Object>} 热点报告 { queryId, summary, totalTime, fragments, operators, topOperators, skewed, text }
+   */
+  async getQueryProfile(queryId, options = {}) {
+    const deadline = Date.now() + (options.wait || 0);
+    const interval = options.interval || 1000;
+
+    try {
+      for (;;) {
+        const text = await this._fetchProfileText(queryId);
+        if (text) {
+          const report = parseProfile(text);
+          return { ...report, queryId: report.queryId || queryId, text };
+        }
+        if (Date.now() + interval > deadline) {
+          throw new Error(`未找到查询 ${queryId} 的 Profile，请确认查询在开启 enable_profile 的会话中执行，且 Profile 尚未过期`);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+    } catch (error) {
+      console.error('获取查询 Profile 失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 开启 Profile 执行语句，并获取解析后的 Profile
+   * @param {string} sql - 单条语句，可使用 ? 占位符
+   * @param {Object} [options] - 选项
+   * @param {Array} [options.params] - 绑定到占位符的参数
+   * @param {string} [options.database] - 在指定数据库的会话中执行
+   * @param {number} [options.timeout] - 超时时间(毫秒)，超时后终止语句
+   * @param {number|string} [options.memLimit] - 单条查询内存上限
+   * @param {AbortSignal} [options.signal] - 中止信号，触发后终止语句
+   * @param {number} [options.wait] - 等待 Profile 生成的最长时间(毫秒)，默认 10000
+   * @returns {Promise<Object>} 热点报告，另含 rowCount 与 elapsed
+   */
+  async profileQuery(sql, options = {}) {
+    const { queryId, rowCount, elapsed } = await this.client.executeWithProfile(sql, options);
+    const report = await this.getQueryProfile(queryId, { wait: options.wait !== undefined ? options.wait : 10000 });
+    return { ...report, rowCount, elapsed };
+  }
+
   /**
    * 获取表分区信息
    * @param {string} database - 数据库名
@@ -100,8 +163,7 @@ class DorisManager {
    */
   async getTablePartitions(database, table) {
     try {
-      await this.client.connect();
-      const { rows } = await this.client.query(`SHOW PARTITIONS FROM \`${database}\`.\`${table}\``);
+      const { rows } = await this.client.query(`SHOW PARTITIONS FROM ${quoteQualified(database, table)}`);
       return rows;
     } catch (error) {
       console.error('获取表分区信息失败:', error.message);
@@ -117,8 +179,7 @@ class DorisManager {
    */
   async getTableStats(database, table) {
     try {
-      await this.client.connect();
-      const { rows } = await this.client.query(`SHOW STATS \`${database}\`.\`${table}\``);
+      const { rows } = await this.client.query(`SHOW STATS ${quoteQualified(database, table)}`);
       return rows[0];
     } catch (error) {
       console.error('获取表统计信息失败:', error.message);
@@ -128,34 +189,89 @@ class DorisManager {
 
   /**
    * 获取集群资源使用情况
+   * @deprecated 请使用 getMetrics，返回解析后的 FE / BE 指标与汇总
    * @returns {Promise<Object>} 资源使用情况
    */
   async getResourceUsage() {
     try {
-      const { fe } = this.config;
-      const url = `http://${fe.host}:${fe.httpPort}/api/system/metrics`;
-      
-      const response = await axios.get(url, {
-        auth: {
-          username: this.config.doris.user,
-          password: this.config.doris.password
-        }
-      });
-      
-      return response.data;
+      return await this.client.requestFe('get', '/api/system/metrics');
     } catch (error) {
       console.error('获取资源使用情况失败:', error.message);
       throw error;
     }
   }
 
+  /**
+   * 获取 FE 与各 BE 的 Prometheus 指标，并提取关键指标
+   * BE 主机取自配置中的 be.hosts，未配置时使用 SHOW BACKENDS 中在线的 BE
+   * 单个节点获取失败时记录在该节点的 error 中，不影响其他节点
+   * @param {Object} [options] - 选项
+   * @param {string} [options.filter] - 只保留名称匹配的样本，见 metrics.filterSamples
+   * @returns {Promise<Object>} { time, fe: { summary, samples, error }, backends: [{ host, port, summary, samples, error }], cluster }
+   */
+  async getMetrics(options = {}) {
+    const collect = async fetch => {
+      try {
+        const samples = metrics.parsePrometheus(await fetch());
+        return { samples: metrics.filterSamples(samples, options.filter), all: samples, error: null };
+      } catch (error) {
+        return { samples: [], all: null, error: error.message };
+      }
+    };
+
+    try {
+      const { all: feSamples, ...fe } = await collect(() => this.client.requestFe('get', '/metrics'));
+      const backends = [];
+      for (const { host, port } of await this._metricsBackends()) {
+        const { all, ...be } = await collect(() => this.client.requestBe(host, port, '/metrics'));
+        backends.push({ host, port, summary: all ? metrics.summarizeBe(all) : null, ...be });
+      }
+
+      const feSummary = feSamples ? metrics.summarizeFe(feSamples) : null;
+      return {
+        time: new Date().toISOString(),
+        fe: { summary: feSummary, ...fe },
+        backends,
+        cluster: metrics.summarizeCluster(feSummary, backends.filter(be => be.summary).map(be => be.summary))
+      };
+    } catch (error) {
+      console.error('获取监控指标失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 需要获取指标的 BE HTTP 地址
+   * be.hosts 与 SHOW BACKENDS 一样使用心跳端口（host:9050），只取其中的主机；
+   * HTTP 端口取 be.httpPort，未配置时取 SHOW BACKENDS 中该 BE 的 HttpPort，都没有时为 8040
+   * @private
+   * @returns {Promise<Array<Object>>} [{ host, port }]
+   */
+  async _metricsBackends() {
+    const be = this.config.be || {};
+    const hosts = Array.isArray(be.hosts) && be.hosts.length > 0
+      ? be.hosts.map(endpoint => parseEndpoint(endpoint).host)
+      : null;
+    if (hosts && be.httpPort) {
+      return hosts.map(host => ({ host, port: be.httpPort }));
+    }
+
+    const { rows } = await this.client.query('SHOW BACKENDS');
+    const httpPorts = new Map(rows.map(row => [row.Host, parseInt(row.HttpPort, 10) || be.httpPort || 8040]));
+    if (hosts) {
+      return hosts.map(host => ({ host, port: httpPorts.get(host) || 8040 }));
+    }
+    return rows
+      .filter(row => String(row.Alive).toLowerCase() === 'true')
+      .map(row => ({ host: row.Host, port: httpPorts.get(row.Host) }));
+  }
+
   /**
    * 查看正在运行的查询
    * @returns {Promise<Array>} 运行中的查询列表
    */
   async getRunningQueries() {
     try {
-      await this.client.connect();
       const { rows } = await this.client.query('SHOW PROCESSLIST');
       return rows;
     } catch (error) {
@@ -171,8 +287,7 @@ class DorisManager {
    */
   async killQuery(queryId) {
     try {
-      await this.client.connect();
-      await this.client.query(`KILL '${queryId}'`);
+      await this.client.query(`KILL ${quoteString(queryId)}`);
       return true;
     } catch (error) {
       console.error('终止查询失败:', error.message);
@@ -186,7 +301,6 @@ class DorisManager {
    */
   async getVersion() {
     try {
-      await this.client.connect();
       const { rows } = await this.client.query('SELECT DORIS_VERSION() as version');
       return rows[0].version;
     } catch (error) {
@@ -195,6 +309,94 @@ class DorisManager {
     }
   }
 
+  /**
+   * 检查集群健康状况：FE/BE 存活、BE 磁盘使用率、Tablet 健康、副本状况、近期失败的导入与时钟偏差
+   * 单项检查出错时，FE 存活检查记为 fail，其余记为 warn，不影响其他检查
+   * @param {Object} [options] - 选项
+   * @param {Object} [options.thresholds] - 阈值，覆盖配置中的 health.*，见 health.DEFAULT_THRESHOLDS
+   * @param {SqlPolicy} [options.policy] - 安全策略，提供时只检查白名单内数据库的导入任务
+   * @returns {Promise<Object>} { status, checks: [{ name, status, message, details }], thresholds, time }
+   */
+  async checkHealth(options = {}) {
+    const thresholds = { ...health.DEFAULT_THRESHOLDS, ...(this.config.health || {}), ...(options.thresholds || {}) };
+    const checks = [];
+    const run = async (name, title, fn, failStatus = health.HealthStatus.WARN) => {
+      try {
+        checks.push(await fn());
+      } catch (error) {
+        checks.push({ name, status: failStatus, message: `${title}检查失败: ${error.message}`, details: [] });
+      }
+    };
+
+    await run('fe', 'FE 状态', async () => {
+      const { rows } = await this.client.query('SHOW FRONTENDS');
+      return health.checkFrontends(rows);
+    }, health.HealthStatus.FAIL);
+
+    let backends = null;
+    await run('be', 'BE 状态', async () => {
+      ({ rows: backends } = await this.client.query('SHOW BACKENDS'));
+      return health.checkBackends(backends);
+    }, health.HealthStatus.FAIL);
+    if (backends) {
+      checks.push(health.checkDiskUsage(backends, thresholds));
+    }
+
+    await run('tablet', 'Tablet 健康状况', async () => {
+      const { rows } = await this.client.query("SHOW PROC '/cluster_health/tablet_health'");
+      return health.checkTabletHealth(rows);
+    });
+
+    await run('replica', '副本状况', async () => {
+      const { rows } = await this.client.query("SHOW PROC '/statistic'");
+      return health.checkReplicas(rows);
+    });
+
+    await run('load', '导入任务', async () => {
+      return health.checkFailedLoads(await this._recentFailedLoads(thresholds.loadWindow, options.policy), thresholds);
+    });
+
+    await run('clock', '时钟偏差', async () => {
+      // 以查询往返的中点作为 FE 取时间的时刻
+      const started = Date.now();
+      const { rows } = await this.client.query('SELECT UNIX_TIMESTAMP(NOW(3)) AS now');
+      const finished = Date.now();
+      const skew = parseFloat(rows[0].now) * 1000 - (started + finished) / 2;
+      return health.checkClockSkew(skew, thresholds);
+    });
+
+    return {
+      status: health.worstStatus(checks.map(check => check.status)),
+      checks,
+      thresholds,
+      time: new Date().toISOString()
+    };
+  }
+
+  /**
+   * 获取各用户数据库中在时间范围内失败（CANCELLED）的导入任务
+   * @private
+   * @param {number} window - 时间范围(毫秒)
+   * @param {SqlPolicy} [policy] - 安全策略，提供时跳过白名单之外的数据库
+   * @returns {Promise<Array<Object>>} 导入任务列表，含 database 字段
+   */
+  async _recentFailedLoads(window, policy) {
+    const since = Date.now() - window;
+    const databases = (await this.client.getDatabases())
+      .filter(name => !SYSTEM_DATABASES.includes(name) && (!policy || policy.isDatabaseAllowed(name)));
+    const failed = [];
+
+    for (const database of databases) {
+      const loads = await this.client.listLoads(database, { state: 'CANCELLED', limit: 100 });
+      loads
+        // CreateTime 为 FE 所在时区的 yyyy-MM-dd HH:mm:ss，按本地时区解析
+        .filter(load => new Date(String(load.createTime).replace(' ', 'T')).getTime() >= since)
+        .forEach(load => failed.push({ ...load, database }));
+    }
+
+    return failed;
+  }
+
   /**
    * 重启 FE 节点
    * @param {string} host - FE主机地址
@@ -203,15 +405,9 @@ class DorisManager {
    */
   async restartFeNode(host, port) {
     try {
-      const url = `http://${host}:${port}/api/admin/restart`;
-      
-      await axios.post(url, {}, {
-        auth: {
-          username: this.config.doris.user,
-          password: this.config.doris.password
-        }
-      });
-      
+      await this.client.requestFe('post', '/api/admin/restart', { host, port, data: {} });
+      // 重启期间优先使用其他 FE
+      this.client.markHostDown(host, 'FE 正在重启');
       return true;
     } catch (error) {
       console.error('重启FE节点失败:', error.message);
@@ -227,8 +423,7 @@ class DorisManager {
    */
   async addBeNode(host, port) {
     try {
-      await this.client.connect();
-      await this.client.query(`ALTER SYSTEM ADD BACKEND "${host}:${port}"`);
+      await this.client.query(`ALTER SYSTEM ADD BACKEND ${quoteAddress(host, port)}`);
       return true;
     } catch (error) {
       console.error('添加BE节点失败:', error.message);
@@ -244,8 +439,7 @@ class DorisManager {
    */
   async removeBeNode(host, port) {
     try {
-      await this.client.connect();
-      await this.client.query(`ALTER SYSTEM DROP BACKEND "${host}:${port}"`);
+      await this.client.query(`ALTER SYSTEM DROP BACKEND ${quoteAddress(host, port)}`);
       return true;
     } catch (error) {
       console.error('移除BE节点失败:', error.message);
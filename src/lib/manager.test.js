@@ -0,0 +1,76 @@
+const DorisManager = require('./manager');
+const { SqlPolicy } = require('./policy');
+
+const BACKENDS = [
+  { Host: '10.0.0.1', HeartbeatPort: '9050', HttpPort: '8041', Alive: 'true' },
+  { Host: '10.0.0.2', HeartbeatPort: '9050', HttpPort: '8042', Alive: 'true' },
+  { Host: '10.0.0.3', HeartbeatPort: '9050', HttpPort: '8043', Alive: 'false' }
+];
+
+/**
+ * 创建使用模拟客户端的管理器，记录请求过的 BE 地址
+ */
+function createManager(be) {
+  const requested = [];
+  const client = {
+    query: jest.fn(async () => ({ rows: BACKENDS })),
+    requestFe: async () => 'doris_fe_qps 1\n',
+    requestBe: async (host, port) => {
+      requested.push(`${host}:${port}`);
+      return 'doris_be_process_mem_bytes 1\n';
+    }
+  };
+  return { manager: new DorisManager({ be }, client), client, requested };
+}
+
+describe('getMetrics 的 BE 地址', () => {
+  test('be.hosts 只取主机，HTTP 端口取 be.httpPort', async () => {
+    const { manager, client, requested } = createManager({ hosts: ['10.0.0.1:9050', '10.0.0.2'], httpPort: 8040 });
+    const { backends } = await manager.getMetrics();
+    expect(requested).toEqual(['10.0.0.1:8040', '10.0.0.2:8040']);
+    expect(backends.map(backend => backend.port)).toEqual([8040, 8040]);
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('未配置 be.httpPort 时取 SHOW BACKENDS 中的 HttpPort', async () => {
+    const { manager, requested } = createManager({ hosts: ['10.0.0.2:9050', '10.0.0.9:9050'] });
+    await manager.getMetrics();
+    expect(requested).toEqual(['10.0.0.2:8042', '10.0.0.9:8040']);
+  });
+
+  test('未配置 be.hosts 时使用 SHOW BACKENDS 中在线的 BE', async () => {
+    const { manager, requested } = createManager({ hosts: [] });
+    await manager.getMetrics();
+    expect(requested).toEqual(['10.0.0.1:8041', '10.0.0.2:8042']);
+  });
+});
+
+describe('checkHealth 的导入任务检查', () => {
+  const recent = new Date();
+  const createTime = `${recent.getFullYear()}-${String(recent.getMonth() + 1).padStart(2, '0')}-${String(recent.getDate()).padStart(2, '0')} ` +
+    `${String(recent.getHours()).padStart(2, '0')}:${String(recent.getMinutes()).padStart(2, '0')}:00`;
+
+  function createClient() {
+    return {
+      query: async () => {
+        throw new Error('未模拟');
+      },
+      getDatabases: async () => ['sales', 'secret', 'information_schema'],
+      listLoads: jest.fn(async database => [{ label: `${database}_load`, createTime, errorMsg: null }])
+    };
+  }
+
+  test('只检查安全策略允许的数据库', async () => {
+    const client = createClient();
+    const manager = new DorisManager({}, client);
+    const { checks } = await manager.checkHealth({ policy: new SqlPolicy({ allowedDatabases: ['sales'] }) });
+    expect(client.listLoads.mock.calls.map(([database]) => database)).toEqual(['sales']);
+    expect(checks.find(check => check.name === 'load').details).toEqual([`sales.sales_load (${createTime})`]);
+  });
+
+  test('未提供安全策略时检查全部用户数据库', async () => {
+    const client = createClient();
+    await new DorisManager({}, client).checkHealth();
+    expect(client.listLoads.mock.calls.map(([database]) => database)).toEqual(['sales', 'secret']);
+  });
+});
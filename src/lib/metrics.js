@@ -0,0 +1,231 @@
+/**
+ * Prometheus 监控指标解析
+ * 将 FE / BE 的 /metrics 接口返回的文本（Prometheus exposition 格式）解析为样本列表，
+ * 并从中提取 QPS、查询延迟分位数、内存、Compaction Score、导入行数等关键指标
+ */
+
+// 直方图与摘要类型的样本名后缀，类型取自去掉后缀后的指标族
+const FAMILY_SUFFIXES = ['_bucket', '_sum', '_count'];
+// FE 查询延迟的分位数
+const LATENCY_QUANTILES = { p75: '0.75', p95: '0.95', p99: '0.99' };
+// BE 进程内存的指标，按优先级排列（不同版本的名称不同）
+const BE_MEMORY_METRICS = ['doris_be_process_mem_bytes', 'doris_be_memory_allocated_bytes'];
+// 在 --watch 等连续采样中计算每秒速率的累计型字段
+const RATE_FIELDS = ['queryTotal', 'loadRows', 'loadBytes', 'queryScanRows'];
+
+/**
+ * 解析样本值，支持 NaN、+Inf、-Inf
+ * @private
+ */
+function parseValue(text) {
+  if (text === '+Inf' || text === 'Inf') return Infinity;
+  if (text === '-Inf') return -Infinity;
+  return Number(text);
+}
+
+/**
+ * 解析标签部分，例如 {type="used",quantile="0.99"}
+ * @private
+ * @param {string} text - 花括号内的文本
+ * @returns {Object} 标签名到取值的映射
+ */
+function parseLabels(text) {
+  const labels = {};
+  const pattern = /\s*([A-Za-z_][\w]*)\s*=\s*"((?:[^"\\]|\\.)*)"\s*,?/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    labels[match[1]] = match[2].replace(/\\(.)/g, (all, char) => (char === 'n' ? '\n' : char));
+  }
+  return labels;
+}
+
+/**
+ * 解析 Prometheus exposition 格式的文本
+ * @param {string} text - /metrics 接口返回的文本
+ * @returns {Array<Object>} 样本列表 [{ name, labels, value, type }]，type 为 # TYPE 声明的类型，未声明时为 null
+ */
+function parsePrometheus(text) {
+  const types = {};
+  const samples = [];
+
+  String(text || '').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      const declaration = line.match(/^#\s*TYPE\s+(\S+)\s+(\S+)/);
+      if (declaration) types[declaration[1]] = declaration[2];
+      return;
+    }
+
+    const match = line.match(/^([A-Za-z_:][\w:]*)(?:\{(.*)\})?\s+(\S+)(?:\s+(-?\d+))?$/);
+    if (!match) return;
+
+    const name = match[1];
+    const suffix = FAMILY_SUFFIXES.find(item => name.endsWith(item) && types[name.slice(0, -item.length)]);
+    samples.push({
+      name,
+      labels: match[2] ? parseLabels(match[2]) : {},
+      value: parseValue(match[3]),
+      type: types[name] || (suffix ? types[name.slice(0, -suffix.length)] : null)
+    });
+  });
+
+  return samples;
+}
+
+/**
+ * 样本的标签是否包含全部指定的标签
+ * @private
+ */
+function hasLabels(sample, labels) {
+  return Object.keys(labels).every(key => sample.labels[key] === labels[key]);
+}
+
+/**
+ * 取指定指标的第一个样本值
+ * @param {Array<Object>} samples - 样本列表
+ * @param {string|Array<string>} names - 指标名，多个时按优先级取第一个存在的
+ * @param {Object} [labels] - 需匹配的标签
+ * @returns {number|null} 样本值，不存在时返回 null
+ */
+function metricValue(samples, names, labels = {}) {
+  for (const name of [].concat(names)) {
+    const sample = samples.find(item => item.name === name && hasLabels(item, labels));
+    if (sample) return sample.value;
+  }
+  return null;
+}
+
+/**
+ * 指定指标所有样本值之和，例如各磁盘的容量
+ * @param {Array<Object>} samples - 样本列表
+ * @param {string} name - 指标名
+ * @param {Object} [labels] - 需匹配的标签
+ * @returns {number|null} 合计，不存在时返回 null
+ */
+function metricSum(samples, name, labels = {}) {
+  const matched = samples.filter(item => item.name === name && hasLabels(item, labels));
+  return matched.length > 0 ? matched.reduce((sum, item) => sum + item.value, 0) : null;
+}
+
+/**
+ * 按指标名过滤样本，pattern 含 * 时作为通配符匹配整个名称，否则匹配名称中的子串，均不区分大小写
+ * @param {Array<Object>} samples - 样本列表
+ * @param {string} pattern - 过滤条件，例如 qps、doris_be_*compaction*
+ * @returns {Array<Object>} 匹配的样本
+ */
+function filterSamples(samples, pattern) {
+  if (!pattern) return samples;
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const regex = pattern.includes('*')
+    ? new RegExp(`^${escaped.replace(/\*/g, '.*')}$`, 'i')
+    : new RegExp(escaped, 'i');
+  return samples.filter(sample => regex.test(sample.name));
+}
+
+/**
+ * 提取 FE 的关键指标
+ * @param {Array<Object>} samples - FE /metrics 的样本
+ * @returns {Object} { qps, rps, queryTotal, queryErrors, queryErrorRate, queryLatency, connections, heapUsed, heapMax, maxCompactionScore }
+ */
+function summarizeFe(samples) {
+  const queryLatency = {};
+  Object.keys(LATENCY_QUANTILES).forEach(key => {
+    queryLatency[key] = metricValue(samples, 'doris_fe_query_latency_ms', { quantile: LATENCY_QUANTILES[key] });
+  });
+
+  return {
+    qps: metricValue(samples, 'doris_fe_qps'),
+    rps: metricValue(samples, 'doris_fe_rps'),
+    queryTotal: metricValue(samples, 'doris_fe_query_total'),
+    queryErrors: metricValue(samples, 'doris_fe_query_err'),
+    queryErrorRate: metricValue(samples, 'doris_fe_query_err_rate'),
+    // 单位为毫秒
+    queryLatency,
+    connections: metricValue(samples, 'doris_fe_connection_total'),
+    heapUsed: metricValue(samples, 'jvm_heap_size_bytes', { type: 'used' }),
+    heapMax: metricValue(samples, 'jvm_heap_size_bytes', { type: 'max' }),
+    maxCompactionScore: metricValue(samples, 'doris_fe_max_tablet_compaction_score')
+  };
+}
+
+/**
+ * 提取 BE 的关键指标
+ * @param {Array<Object>} samples - BE /metrics 的样本
+ * @returns {Object} { memory, baseCompactionScore, cumulativeCompactionScore, loadRows, loadBytes, queryScanRows, diskUsed, diskTotal }
+ */
+function summarizeBe(samples) {
+  const loadRows = metricValue(samples, 'doris_be_load_rows');
+  return {
+    memory: metricValue(samples, BE_MEMORY_METRICS),
+    baseCompactionScore: metricValue(samples, 'doris_be_tablet_base_max_compaction_score'),
+    cumulativeCompactionScore: metricValue(samples, 'doris_be_tablet_cumulative_max_compaction_score'),
+    // 旧版本只有按类型区分的 Stream Load 计数
+    loadRows: loadRows !== null ? loadRows : metricValue(samples, 'doris_be_stream_load', { type: 'load_rows' }),
+    loadBytes: metricValue(samples, 'doris_be_load_bytes'),
+    queryScanRows: metricValue(samples, 'doris_be_query_scan_rows'),
+    diskUsed: metricSum(samples, 'doris_be_disks_local_used_capacity'),
+    diskTotal: metricSum(samples, 'doris_be_disks_total_capacity')
+  };
+}
+
+/**
+ * 汇总 FE 与各 BE 的关键指标
+ * @param {Object|null} fe - summarizeFe 的结果，获取失败时为 null
+ * @param {Array<Object>} backends - 各 BE 的 summarizeBe 结果，获取失败的 BE 不计入
+ * @returns {Object} 集群汇总：BE 内存、导入行数等取合计，Compaction Score 取最大值
+ */
+function summarizeCluster(fe, backends) {
+  const sum = key => {
+    const values = backends.map(be => be[key]).filter(value => value !== null);
+    return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+  };
+  const scores = backends
+    .map(be => Math.max(be.baseCompactionScore || 0, be.cumulativeCompactionScore || 0))
+    .concat(fe && fe.maxCompactionScore !== null ? [fe.maxCompactionScore] : []);
+
+  return {
+    qps: fe ? fe.qps : null,
+    queryTotal: fe ? fe.queryTotal : null,
+    queryLatency: fe ? fe.queryLatency : {},
+    backends: backends.length,
+    beMemory: sum('memory'),
+    maxCompactionScore: scores.length > 0 ? Math.max(...scores) : null,
+    loadRows: sum('loadRows'),
+    loadBytes: sum('loadBytes'),
+    queryScanRows: sum('queryScanRows'),
+    diskUsed: sum('diskUsed'),
+    diskTotal: sum('diskTotal')
+  };
+}
+
+/**
+ * 根据前后两次的集群汇总计算累计型指标的每秒速率
+ * @param {Object} previous - 上一次的 summarizeCluster 结果
+ * @param {Object} current - 本次的 summarizeCluster 结果
+ * @param {number} elapsed - 两次采样的间隔(毫秒)
+ * @returns {Object} 字段名到每秒速率的映射，计数器重置（BE 重启）时为 null
+ */
+function counterRates(previous, current, elapsed) {
+  const rates = {};
+  RATE_FIELDS.forEach(key => {
+    const before = previous[key];
+    const after = current[key];
+    rates[key] = before === null || after === null || after < before || elapsed <= 0
+      ? null
+      : (after - before) / (elapsed / 1000);
+  });
+  return rates;
+}
+
+module.exports = {
+  parsePrometheus,
+  metricValue,
+  metricSum,
+  filterSamples,
+  summarizeFe,
+  summarizeBe,
+  summarizeCluster,
+  counterRates
+};
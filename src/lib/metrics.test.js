@@ -0,0 +1,196 @@
+const {
+  parsePrometheus,
+  metricValue,
+  metricSum,
+  filterSamples,
+  summarizeFe,
+  summarizeBe,
+  summarizeCluster,
+  counterRates
+} = require('./metrics');
+
+const FE_METRICS = `
+# HELP doris_fe_qps query per second
+# TYPE doris_fe_qps gauge
+doris_fe_qps 12.5
+# TYPE doris_fe_query_total counter
+doris_fe_query_total 1000
+doris_fe_query_err 4
+doris_fe_query_err_rate 0.1
+# TYPE doris_fe_query_latency_ms summary
+doris_fe_query_latency_ms{quantile="0.75"} 12.0
+doris_fe_query_latency_ms{quantile="0.95"} 80.0
+doris_fe_query_latency_ms{quantile="0.99"} 250.0
+doris_fe_query_latency_ms_sum 25000
+doris_fe_query_latency_ms_count 1000
+doris_fe_connection_total 7
+jvm_heap_size_bytes{type="max"} 8589934592
+jvm_heap_size_bytes{type="used"} 2147483648
+doris_fe_max_tablet_compaction_score 30
+`;
+
+const BE_METRICS = `
+# TYPE doris_be_process_mem_bytes gauge
+doris_be_process_mem_bytes 4294967296
+doris_be_tablet_base_max_compaction_score 12
+doris_be_tablet_cumulative_max_compaction_score 45
+doris_be_stream_load{type="load_rows"} 300
+doris_be_load_bytes 9000
+doris_be_query_scan_rows 123456
+doris_be_disks_local_used_capacity{path="/data1"} 100
+doris_be_disks_local_used_capacity{path="/data2"} 50
+doris_be_disks_total_capacity{path="/data1"} 1000
+doris_be_disks_total_capacity{path="/data2"} 1000
+`;
+
+describe('parsePrometheus', () => {
+  test('解析样本、标签与类型', () => {
+    const samples = parsePrometheus(FE_METRICS);
+    expect(samples[0]).toEqual({ name: 'doris_fe_qps', labels: {}, value: 12.5, type: 'gauge' });
+    expect(samples.find(sample => sample.name === 'doris_fe_query_err')).toMatchObject({ type: null });
+    expect(samples.find(sample => sample.labels.quantile === '0.99')).toEqual({
+      name: 'doris_fe_query_latency_ms',
+      labels: { quantile: '0.99' },
+      value: 250,
+      type: 'summary'
+    });
+  });
+
+  test('_sum、_count 等后缀沿用指标族的类型', () => {
+    const samples = parsePrometheus(FE_METRICS);
+    expect(samples.find(sample => sample.name === 'doris_fe_query_latency_ms_count').type).toBe('summary');
+  });
+
+  test('特殊取值、转义的标签与时间戳', () => {
+    const samples = parsePrometheus([
+      'a{le="+Inf"} +Inf',
+      'b -Inf',
+      'c NaN',
+      'd{msg="say \\"hi\\"\\nbye",path="C:\\\\data"} 1 1700000000000',
+      'not a sample line'
+    ].join('\n'));
+    expect(samples.map(sample => sample.value)).toEqual([Infinity, -Infinity, NaN, 1]);
+    expect(samples[0].labels).toEqual({ le: '+Inf' });
+    expect(samples[3].labels).toEqual({ msg: 'say "hi"\nbye', path: 'C:\\data' });
+  });
+
+  test('空输入', () => {
+    expect(parsePrometheus('')).toEqual([]);
+    expect(parsePrometheus(null)).toEqual([]);
+  });
+});
+
+describe('metricValue / metricSum', () => {
+  const samples = parsePrometheus(FE_METRICS + BE_METRICS);
+
+  test('按名称与标签取值，多个名称按优先级', () => {
+    expect(metricValue(samples, 'jvm_heap_size_bytes', { type: 'used' })).toBe(2147483648);
+    expect(metricValue(samples, ['doris_be_memory_allocated_bytes', 'doris_be_process_mem_bytes'])).toBe(4294967296);
+    expect(metricValue(samples, 'missing')).toBeNull();
+  });
+
+  test('合计所有匹配的样本', () => {
+    expect(metricSum(samples, 'doris_be_disks_local_used_capacity')).toBe(150);
+    expect(metricSum(samples, 'doris_be_disks_local_used_capacity', { path: '/data2' })).toBe(50);
+    expect(metricSum(samples, 'missing')).toBeNull();
+  });
+});
+
+describe('filterSamples', () => {
+  const samples = parsePrometheus(FE_METRICS + BE_METRICS);
+  const names = pattern => [...new Set(filterSamples(samples, pattern).map(sample => sample.name))];
+
+  test('不含 * 时按子串匹配，不区分大小写', () => {
+    expect(names('QPS')).toEqual(['doris_fe_qps']);
+  });
+
+  test('含 * 时作为通配符匹配整个名称', () => {
+    expect(names('doris_be_*compaction*')).toEqual([
+      'doris_be_tablet_base_max_compaction_score',
+      'doris_be_tablet_cumulative_max_compaction_score'
+    ]);
+    expect(names('compaction*')).toEqual([]);
+  });
+
+  test('正则特殊字符按字面匹配', () => {
+    expect(names('doris.fe')).toEqual([]);
+  });
+
+  test('没有过滤条件时返回全部', () => {
+    expect(filterSamples(samples, '')).toBe(samples);
+  });
+});
+
+describe('summarize', () => {
+  const fe = summarizeFe(parsePrometheus(FE_METRICS));
+  const be = summarizeBe(parsePrometheus(BE_METRICS));
+
+  test('FE 关键指标', () => {
+    expect(fe).toEqual({
+      qps: 12.5,
+      rps: null,
+      queryTotal: 1000,
+      queryErrors: 4,
+      queryErrorRate: 0.1,
+      queryLatency: { p75: 12, p95: 80, p99: 250 },
+      connections: 7,
+      heapUsed: 2147483648,
+      heapMax: 8589934592,
+      maxCompactionScore: 30
+    });
+  });
+
+  test('BE 关键指标，旧版本从 Stream Load 计数取导入行数', () => {
+    expect(be).toEqual({
+      memory: 4294967296,
+      baseCompactionScore: 12,
+      cumulativeCompactionScore: 45,
+      loadRows: 300,
+      loadBytes: 9000,
+      queryScanRows: 123456,
+      diskUsed: 150,
+      diskTotal: 2000
+    });
+  });
+
+  test('集群汇总：BE 取合计，Compaction Score 取最大值', () => {
+    const other = { ...be, memory: 1000, cumulativeCompactionScore: 80, loadRows: null };
+    expect(summarizeCluster(fe, [be, other])).toEqual({
+      qps: 12.5,
+      queryTotal: 1000,
+      queryLatency: { p75: 12, p95: 80, p99: 250 },
+      backends: 2,
+      beMemory: 4294968296,
+      maxCompactionScore: 80,
+      loadRows: 300,
+      loadBytes: 18000,
+      queryScanRows: 246912,
+      diskUsed: 300,
+      diskTotal: 4000
+    });
+  });
+
+  test('FE 与 BE 都获取失败', () => {
+    expect(summarizeCluster(null, [])).toMatchObject({ qps: null, backends: 0, beMemory: null, maxCompactionScore: null });
+  });
+});
+
+describe('counterRates', () => {
+  test('按采样间隔计算每秒速率', () => {
+    const previous = { queryTotal: 100, loadRows: 0, loadBytes: null, queryScanRows: 500 };
+    const current = { queryTotal: 160, loadRows: 30, loadBytes: 10, queryScanRows: 100 };
+    expect(counterRates(previous, current, 2000)).toEqual({
+      queryTotal: 30,
+      loadRows: 15,
+      // 缺少上一次的取值
+      loadBytes: null,
+      // 计数器重置
+      queryScanRows: null
+    });
+  });
+
+  test('间隔不为正数时为 null', () => {
+    const sample = { queryTotal: 1, loadRows: 1, loadBytes: 1, queryScanRows: 1 };
+    expect(Object.values(counterRates(sample, sample, 0))).toEqual([null, null, null, null]);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * 查询结果分页
+ * 为 LLM 发起的查询限制返回行数与字节数，自动追加 LIMIT，
+ * 并生成游标供后续调用获取下一页
+ */
+const crypto = require('crypto');
+const {
+  StatementType,
+  splitStatements,
+  classifyStatement,
+  hasTopLevelLimit,
+  trimStatement
+} = require('../utils/sql');
+const { bindParams } = require('../utils/quote');
+
+// 默认预算
+const DEFAULT_MAX_ROWS = 1000;
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+
+/**
+ * 计算 SQL 与数据库的摘要，用于校验游标是否属于同一查询
+ * @private
+ * @param {string} sql - SQL 语句
+ * @param {string} [database] - 数据库名
+ * @returns {string} 摘要
+ */
+function fingerprint(sql, database) {
+  return crypto.createHash('sha1').update(`${database || ''}\n${sql}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * 生成游标
+ * @param {string} sql - SQL 语句
+ * @param {string} database - 数据库名
+ * @param {number} offset - 下一页起始行
+ * @returns {string} 游标字符串
+ */
+function encodeCursor(sql, database, offset) {
+  const payload = JSON.stringify({ o: offset, h: fingerprint(sql, database) });
+  return Buffer.from(payload, 'utf8').toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * 解析游标并校验其与 SQL 是否匹配
+ * @param {string} cursor - 游标字符串
+ * @param {string} sql - SQL 语句
+ * @param {string} database - 数据库名
+ * @returns {number} 起始行
+ */
+function decodeCursor(cursor, sql, database) {
+  let payload;
+  try {
+    const base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+    payload = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+  } catch (error) {
+    throw new Error('无效的 cursor，请使用上一次调用返回的 nextCursor');
+  }
+
+  if (!payload || !Number.isInteger(payload.o) || payload.o < 0) {
+    throw new Error('无效的 cursor，请使用上一次调用返回的 nextCursor');
+  }
+  if (payload.h !== fingerprint(sql, database)) {
+    throw new Error('cursor 与当前 SQL 或数据库不匹配，翻页时请保持 sql 和 database 参数不变');
+  }
+
+  return payload.o;
+}
+
+/**
+ * 构建带分页的 SQL
+ * 没有 LIMIT 时直接在末尾追加，以保留 ORDER BY 语义；已有 LIMIT 时包装为子查询再分页
+ * @param {string} sql - 单条 SELECT 语句
+ * @param {number} offset - 起始行
+ * @param {number} limit - 行数
+ * @returns {string} 分页后的 SQL
+ */
+function buildPagedSql(sql, offset, limit) {
+  const statement = trimStatement(sql);
+
+  // 追加时换行，避免被末尾的行注释吞掉
+  if (!hasTopLevelLimit(statement)) {
+    return `${statement}\nLIMIT ${limit} OFFSET ${offset}`;
+  }
+  return `SELECT * FROM (\n${statement}\n) AS __mcp_page LIMIT ${limit} OFFSET ${offset}`;
+}
+
+/**
+ * 在字节预算内截取结果行
+ * @private
+ * @param {Array<Object>} rows - 结果行
+ * @param {number} maxBytes - 字节上限
+ * @returns {Object} { rows, bytes, truncated }
+ */
+function takeWithinBytes(rows, maxBytes) {
+  const taken = [];
+  let bytes = 0;
+
+  for (const row of rows) {
+    const size = Buffer.byteLength(JSON.stringify(row, (key, value) => (
+      typeof value === 'bigint' ? value.toString() : value
+    )), 'utf8');
+    // 至少返回一行，避免单行过大时无法翻页
+    if (taken.length > 0 && bytes + size > maxBytes) {
+      return { rows: taken, bytes, truncated: true };
+    }
+    taken.push(row);
+    bytes += size;
+  }
+
+  return { rows: taken, bytes, truncated: false };
+}
+
+/**
+ * 分页执行查询
+ * @param {DorisClient} client - Doris 客户端
+ * @param {string} sql - 单条 SQL 语句
+ * @param {Object} options - 分页选项
+ * @param {Array} [options.params] - 绑定到 ? 占位符的位置参数
+ * @param {string} [options.database] - 执行的数据库
+ * @param {string} [options.cursor] - 上一页返回的游标
+ * @param {number} [options.maxRows] - 本页最大行数，不超过配置上限
+ * @param {number} [options.maxBytes] - 本页最大字节数
+ * @param {boolean} [options.includeTotal] - 是否额外执行 COUNT(*) 获取总行数
+ * @param {Object} [options.limits] - 配置中的上限 { maxRows, maxBytes }
+ * @param {number} [options.timeout] - 超时时间(毫秒)，超时后终止查询
+ * @param {number} [options.memLimit] - 单个查询的内存上限(字节)
+ * @param {AbortSignal} [options.signal] - 中止信号
+ * @returns {Promise<Object>} { rows, fields, pagination }
+ */
+async function pageQuery(client, sql, options = {}) {
+  const { database, cursor, includeTotal, limits = {} } = options;
+  const queryOptions = { database, timeout: options.timeout, memLimit: options.memLimit, signal: options.signal };
+
+  // 先绑定参数，分页包装与游标校验都基于绑定后的 SQL，参数不同的查询不能共用游标
+  sql = bindParams(sql, options.params);
+  const statements = splitStatements(sql);
+  if (statements.length !== 1) {
+    throw new Error('每次只能执行一条 SQL 语句');
+  }
+
+  const configMaxRows = limits.maxRows || DEFAULT_MAX_ROWS;
+  const maxRows = Math.max(1, Math.min(options.maxRows || configMaxRows, configMaxRows));
+  const maxBytes = Math.min(options.maxBytes || limits.maxBytes || DEFAULT_MAX_BYTES,
+    limits.maxBytes || DEFAULT_MAX_BYTES);
+  const offset = cursor ? decodeCursor(cursor, sql, database) : 0;
+
+  const { type, keyword } = classifyStatement(statements[0]);
+  // 只有 SELECT / WITH 查询可以在服务端追加 LIMIT，其余只读语句在客户端截取
+  const pageable = type === StatementType.READ && (keyword === 'SELECT' || keyword === 'WITH');
+
+  let rows;
+  let fields;
+  let hasMore;
+
+  if (pageable) {
+    // 多取一行用于判断是否还有下一页
+    const result = await client.query(buildPagedSql(statements[0], offset, maxRows + 1), [], queryOptions);
+    ({ fields } = result);
+    hasMore = result.rows.length > maxRows;
+    rows = result.rows.slice(0, maxRows);
+  } else {
+    const result = await client.query(sql, [], queryOptions);
+    ({ fields } = result);
+    const all = Array.isArray(result.rows) ? result.rows : [result.rows];
+    hasMore = all.length > offset + maxRows;
+    rows = all.slice(offset, offset + maxRows);
+  }
+
+  const budget = takeWithinBytes(rows, maxBytes);
+  const truncatedBy = budget.truncated ? 'maxBytes' : (hasMore ? 'maxRows' : null);
+  const nextOffset = offset + budget.rows.length;
+  const more = budget.truncated || hasMore;
+
+  let totalRows = null;
+  if (includeTotal) {
+    if (pageable) {
+      const { rows: countRows } = await client.query(
+        `SELECT COUNT(*) AS total FROM (\n${trimStatement(statements[0])}\n) AS __mcp_count`,
+        [],
+        queryOptions
+      );
+      totalRows = Number(countRows[0].total);
+    } else if (!more) {
+      totalRows = nextOffset;
+    }
+  }
+
+  return {
+    rows: budget.rows,
+    fields,
+    pagination: {
+      offset,
+      returned: budget.rows.length,
+      bytes: budget.bytes,
+      truncated: more,
+      truncatedBy,
+      hasMore: more,
+      nextCursor: more ? encodeCursor(sql, database, nextOffset) : null,
+      totalRows,
+      limitApplied: pageable
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_ROWS,
+  DEFAULT_MAX_BYTES,
+  encodeCursor,
+  decodeCursor,
+  buildPagedSql,
+  pageQuery
+};
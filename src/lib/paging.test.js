@@ -0,0 +1,72 @@
+const { encodeCursor, decodeCursor, buildPagedSql, pageQuery } = require('./paging');
+
+describe('cursor', () => {
+  test('编码后可以解码出起始行', () => {
+    const cursor = encodeCursor('SELECT * FROM t', 'test', 200);
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, 'SELECT * FROM t', 'test')).toBe(200);
+  });
+
+  test('SQL 或数据库不同时拒绝', () => {
+    const cursor = encodeCursor('SELECT * FROM t', 'test', 200);
+    expect(() => decodeCursor(cursor, 'SELECT * FROM u', 'test')).toThrow(/不匹配/);
+    expect(() => decodeCursor(cursor, 'SELECT * FROM t', 'other')).toThrow(/不匹配/);
+  });
+
+  test.each(['not-a-cursor', Buffer.from('{"o":-1,"h":"x"}').toString('base64'), ''])('拒绝无效的游标 %s', cursor => {
+    expect(() => decodeCursor(cursor, 'SELECT 1', 'test')).toThrow(/无效的 cursor/);
+  });
+});
+
+describe('buildPagedSql', () => {
+  test('没有 LIMIT 时追加到末尾', () => {
+    expect(buildPagedSql('SELECT * FROM t ORDER BY id;', 10, 5)).toBe('SELECT * FROM t ORDER BY id\nLIMIT 5 OFFSET 10');
+  });
+
+  test('末尾的行注释不会吞掉 LIMIT', () => {
+    expect(buildPagedSql('SELECT * FROM t -- note', 0, 5)).toBe('SELECT * FROM t -- note\nLIMIT 5 OFFSET 0');
+  });
+
+  test('已有 LIMIT 时包装为子查询', () => {
+    expect(buildPagedSql('SELECT * FROM t LIMIT 100', 0, 5))
+      .toBe('SELECT * FROM (\nSELECT * FROM t LIMIT 100\n) AS __mcp_page LIMIT 5 OFFSET 0');
+  });
+
+  test('子查询中的 LIMIT 不算', () => {
+    expect(buildPagedSql('SELECT * FROM (SELECT * FROM t LIMIT 3) s', 0, 5)).toMatch(/\nLIMIT 5 OFFSET 0$/);
+  });
+});
+
+describe('pageQuery', () => {
+  const rows = count => Array.from({ length: count }, (value, index) => ({ id: index }));
+
+  test('多取一行判断是否还有下一页，并用游标翻页', async () => {
+    const client = { query: jest.fn(async () => ({ rows: rows(3), fields: [] })) };
+    const first = await pageQuery(client, 'SELECT * FROM t WHERE a = ?', { params: [1], database: 'test', maxRows: 2 });
+
+    expect(client.query.mock.calls[0][0]).toBe('SELECT * FROM t WHERE a = 1\nLIMIT 3 OFFSET 0');
+    expect(first.rows).toHaveLength(2);
+    expect(first.pagination).toMatchObject({ hasMore: true, truncatedBy: 'maxRows', returned: 2 });
+
+    await pageQuery(client, 'SELECT * FROM t WHERE a = ?', {
+      params: [1],
+      database: 'test',
+      maxRows: 2,
+      cursor: first.pagination.nextCursor
+    });
+    expect(client.query.mock.calls[1][0]).toBe('SELECT * FROM t WHERE a = 1\nLIMIT 3 OFFSET 2');
+  });
+
+  test('不超过配置的行数上限，并按字节预算截取', async () => {
+    const client = { query: jest.fn(async () => ({ rows: rows(11), fields: [] })) };
+    const result = await pageQuery(client, 'SELECT * FROM t', { maxRows: 100, maxBytes: 20, limits: { maxRows: 10 } });
+
+    expect(client.query.mock.calls[0][0]).toMatch(/LIMIT 11 OFFSET 0$/);
+    expect(result.pagination.truncatedBy).toBe('maxBytes');
+    expect(result.rows.length).toBeLessThan(10);
+  });
+
+  test('拒绝多条语句', async () => {
+    await expect(pageQuery({ query: jest.fn() }, 'SELECT 1; SELECT 2')).rejects.toThrow(/一条/);
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * 执行计划解析
+ * 将 EXPLAIN 返回的文本解析为 Fragment 列表与算子树：
+ * 算子名称、扫描的表、分区与 tablet 数、谓词、Join 方式以及 Exchange 与 Fragment 之间的数据流向
+ */
+
+// 算子标题行，例如 "  |----3:VEXCHANGE"、"  0:VOlapScanNode(123)"
+const NODE_LINE = /^([\s|-]*?)(\d+):(\S.*)$/;
+// 非第一个子节点的标题行前缀
+const CHILD_MARKER = '|----';
+
+/**
+ * 从算子的明细行中提取常用字段
+ * @private
+ * @param {Object} node - 算子
+ * @param {string} line - 去掉树形前缀的明细行
+ */
+function parseNodeDetail(node, line) {
+  let match;
+
+  if ((match = line.match(/^TABLE:\s*([^\s(,]+)/i))) {
+    node.table = match[1];
+  } else if ((match = line.match(/^partitions=(\d+)\/(\d+)(?:\s*\((.*)\))?/))) {
+    node.partitions = {
+      selected: Number(match[1]),
+      total: Number(match[2]),
+      names: match[3] ? match[3].split(',').map(name => name.trim()).filter(Boolean) : []
+    };
+  } else if ((match = line.match(/^tablets=(\d+)\/(\d+)/))) {
+    node.tablets = { selected: Number(match[1]), total: Number(match[2]) };
+  } else if ((match = line.match(/^(PREDICATES|conjuncts|other predicates|other join predicates):\s*(.+)$/i))) {
+    node.predicates.push(match[2].trim());
+  } else if ((match = line.match(/^join op:\s*([A-Z ]+?JOIN)(?:\s*\(([^)]*)\))?/i))) {
+    node.joinType = match[1].trim();
+    node.joinDistribution = match[2] || null;
+  } else if ((match = line.match(/^equal join conjunct:\s*(.+)$/i))) {
+    node.joinConjuncts.push(match[1].trim());
+  } else if ((match = line.match(/^runtime filters?:\s*(.+)$/i))) {
+    node.runtimeFilters.push(match[1].trim());
+  } else if ((match = line.match(/^group by:\s*(.*)$/i))) {
+    node.groupBy = match[1].trim() || null;
+  } else if ((match = line.match(/^output:\s*(.*)$/i))) {
+    node.output = match[1].trim() || null;
+  } else if ((match = line.match(/^limit:\s*(\d+)/i))) {
+    node.limit = Number(match[1]);
+  }
+
+  if ((match = line.match(/\bcardinality=(-?\d+)/))) {
+    node.cardinality = Number(match[1]);
+  }
+}
+
+/**
+ * 创建算子
+ * @private
+ * @param {number} id - 算子编号
+ * @param {string} title - 标题行中编号之后的部分
+ * @param {number} fragment - 所在 Fragment 编号
+ * @returns {Object} 算子
+ */
+function createNode(id, title, fragment) {
+  // 新版本在算子名后附带优化器的节点编号，例如 VOlapScanNode(123)
+  const operator = title.replace(/\(\d+\)\s*$/, '').trim();
+  return {
+    id,
+    operator,
+    fragment,
+    exchange: /EXCHANGE/i.test(operator),
+    table: null,
+    partitions: null,
+    tablets: null,
+    predicates: [],
+    joinType: null,
+    joinDistribution: null,
+    joinConjuncts: [],
+    runtimeFilters: [],
+    groupBy: null,
+    output: null,
+    limit: null,
+    cardinality: null,
+    details: [],
+    children: []
+  };
+}
+
+/**
+ * 解析单个 Fragment 的算子树
+ * Doris 先输出算子自身，然后依次输出第 2..n 个子节点（标题前缀追加 |----），
+ * 最后以与父节点相同的前缀输出第一个子节点
+ * @private
+ * @param {Array<string>} lines - 算子树部分的文本行
+ * @param {number} fragmentId - Fragment 编号
+ * @returns {Object|null} 根算子
+ */
+function parseNodeTree(lines, fragmentId) {
+  let root = null;
+  let current = null;
+  // 已解析的算子及其前缀宽度，用于查找父节点
+  const opened = [];
+
+  lines.forEach(line => {
+    const match = line.match(NODE_LINE);
+    if (!match) {
+      const detail = line.replace(/^[\s|]+/, '').trim();
+      if (current && detail) {
+        current.details.push(detail);
+        parseNodeDetail(current, detail);
+      }
+      return;
+    }
+
+    const prefix = match[1];
+    const node = createNode(Number(match[2]), match[3], fragmentId);
+    const isExtraChild = prefix.endsWith(CHILD_MARKER);
+    const parentWidth = isExtraChild ? prefix.length - CHILD_MARKER.length : prefix.length;
+
+    // 从后往前找前缀宽度匹配、且尚未输出第一个子节点的算子
+    let parent = null;
+    for (let i = opened.length - 1; i >= 0; i--) {
+      if (opened[i].width === parentWidth && !opened[i].hasFirstChild) {
+        parent = opened[i];
+        break;
+      }
+    }
+
+    if (!root) {
+      root = node;
+    } else if (!parent) {
+      // 无法识别的缩进，挂到根算子下以免丢失
+      root.children.push(node);
+    } else if (isExtraChild) {
+      parent.node.children.push(node);
+    } else {
+      // 第一个子节点最后输出，放到子节点列表的最前面
+      parent.node.children.unshift(node);
+      parent.hasFirstChild = true;
+    }
+
+    opened.push({ node, width: prefix.length, hasFirstChild: false });
+    current = node;
+  });
+
+  return root;
+}
+
+/**
+ * 解析 Fragment 头部：输出表达式、数据分布方式与 Sink
+ * @private
+ * @param {Object} fragment - Fragment
+ * @param {Array<string>} lines - 算子树之前的文本行
+ */
+function parseFragmentHeader(fragment, lines) {
+  let section = null;
+
+  lines.forEach(line => {
+    const text = line.trim();
+    if (!text) {
+      section = null;
+      return;
+    }
+
+    let match;
+    if (/^OUTPUT EXPRS:/i.test(text)) {
+      section = 'output';
+      const rest = text.replace(/^OUTPUT EXPRS:/i, '').trim();
+      if (rest) fragment.outputExprs.push(rest);
+    } else if ((match = text.match(/^PARTITION:\s*(.+)$/i))) {
+      section = null;
+      fragment.partition = match[1].trim();
+    } else if (/SINK$/i.test(text)) {
+      section = 'sink';
+      fragment.sink = { type: text, exchangeId: null, details: [] };
+    } else if (section === 'output') {
+      fragment.outputExprs.push(text);
+    } else if (section === 'sink') {
+      if ((match = text.match(/^EXCHANGE ID:\s*(\d+)/i))) {
+        fragment.sink.exchangeId = Number(match[1]);
+      } else {
+        fragment.sink.details.push(text);
+      }
+    }
+  });
+}
+
+/**
+ * 遍历算子树
+ * @param {Object} node - 根算子
+ * @param {Function} visit - 访问函数，参数为 (node, depth)
+ * @param {number} [depth] - 当前深度
+ */
+function walkPlan(node, visit, depth = 0) {
+  if (!node) return;
+  visit(node, depth);
+  node.children.forEach(child => walkPlan(child, visit, depth + 1));
+}
+
+/**
+ * 解析 EXPLAIN 文本
+ * @param {string} text - EXPLAIN 返回的各行拼接成的文本
+ * @returns {Object} { fragments, root, scans }：
+ *   fragments 为 Fragment 列表 { id, partition, outputExprs, sink, root }，
+ *   root 为 Fragment 0 的根算子，Exchange 算子的 sourceFragment 指向向其发送数据的 Fragment，
+ *   scans 为所有扫描算子的汇总 { id, operator, table, partitions, tablets, predicates }
+ */
+function parsePlan(text) {
+  const fragments = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*PLAN FRAGMENT\s+(\d+)/i);
+    if (match) {
+      current = { id: Number(match[1]), lines: [] };
+      fragments.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  const parsed = fragments.map(({ id, lines }) => {
+    const fragment = { id, partition: null, outputExprs: [], sink: null, root: null };
+    const firstNode = lines.findIndex(line => NODE_LINE.test(line));
+    parseFragmentHeader(fragment, firstNode === -1 ? lines : lines.slice(0, firstNode));
+    if (firstNode !== -1) {
+      fragment.root = parseNodeTree(lines.slice(firstNode), id);
+    }
+    return fragment;
+  });
+
+  // Exchange 算子接收 Sink 中 EXCHANGE ID 与其编号相同的 Fragment 的数据
+  const scans = [];
+  parsed.forEach(fragment => {
+    walkPlan(fragment.root, node => {
+      if (node.exchange) {
+        const source = parsed.find(f => f.sink && f.sink.exchangeId === node.id);
+        node.sourceFragment = source ? source.id : null;
+      }
+      if (node.table) {
+        scans.push({
+          id: node.id,
+          operator: node.operator,
+          table: node.table,
+          partitions: node.partitions,
+          tablets: node.tablets,
+          predicates: node.predicates
+        });
+      }
+    });
+  });
+
+  const first = parsed.find(fragment => fragment.id === 0) || parsed[0];
+  return {
+    fragments: parsed,
+    root: first ? first.root : null,
+    scans
+  };
+}
+
+/**
+ * 生成算子的单行摘要
+ * @private
+ */
+function describeNode(node) {
+  const parts = [`${node.id}:${node.operator}`];
+  if (node.table) parts.push(node.table);
+  if (node.partitions) parts.push(`partitions=${node.partitions.selected}/${node.partitions.total}`);
+  if (node.tablets) parts.push(`tablets=${node.tablets.selected}/${node.tablets.total}`);
+  if (node.joinType) parts.push(node.joinDistribution ? `${node.joinType}(${node.joinDistribution})` : node.joinType);
+  if (node.limit !== null) parts.push(`limit=${node.limit}`);
+  if (node.cardinality !== null && node.cardinality >= 0) parts.push(`rows≈${node.cardinality}`);
+  return parts.join('  ');
+}
+
+/**
+ * 把执行计划渲染为文本树
+ * 从 Fragment 0 开始，Exchange 算子下展开向其发送数据的 Fragment
+ * @param {Object} plan - parsePlan 的返回值
+ * @returns {string} 文本树
+ */
+function renderPlan(plan) {
+  const lines = [];
+  const byId = new Map(plan.fragments.map(fragment => [fragment.id, fragment]));
+  const first = plan.fragments.find(fragment => fragment.id === 0) || plan.fragments[0];
+  if (!first) return '';
+
+  const fragmentTitle = fragment => {
+    const sink = fragment.sink ? `  ${fragment.sink.type}` : '';
+    return `[Fragment ${fragment.id}${fragment.partition ? `: ${fragment.partition}` : ''}]${sink}`;
+  };
+
+  const renderNode = (node, prefix, isLast) => {
+    lines.push(`${prefix}${isLast ? '└─ ' : '├─ '}${describeNode(node)}`);
+    const childPrefix = prefix + (isLast ? '   ' : '│  ');
+
+    const notes = [
+      ...node.predicates.map(predicate => `predicates: ${predicate}`),
+      ...node.joinConjuncts.map(conjunct => `join: ${conjunct}`),
+      ...(node.groupBy ? [`group by: ${node.groupBy}`] : [])
+    ];
+    const source = node.exchange && node.sourceFragment !== undefined ? byId.get(node.sourceFragment) : null;
+    const children = source && source.root ? [source.root] : node.children;
+    notes.forEach(note => lines.push(`${childPrefix}${children.length > 0 ? '│' : ' '}  ${note}`));
+
+    if (source) {
+      lines.push(`${childPrefix}${fragmentTitle(source)}`);
+    }
+    children.forEach((child, index) => renderNode(child, childPrefix, index === children.length - 1));
+  };
+
+  lines.push(fragmentTitle(first));
+  if (first.root) {
+    renderNode(first.root, '', true);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  parsePlan,
+  walkPlan,
+  renderPlan
+};
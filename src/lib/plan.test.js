@@ -0,0 +1,148 @@
+const { parsePlan, walkPlan, renderPlan } = require('./plan');
+
+// Doris 2.x EXPLAIN 的输出：两表 Broadcast Join
+const JOIN_PLAN = `
+PLAN FRAGMENT 0
+  OUTPUT EXPRS:
+    id[#5]
+    name[#6]
+  PARTITION: UNPARTITIONED
+
+  VRESULT SINK
+     MYSQL_PROTOCAL
+
+  4:VEXCHANGE
+     offset: 0
+     limit: 10
+
+PLAN FRAGMENT 1
+
+  PARTITION: HASH_PARTITIONED: id[#0]
+
+  STREAM DATA SINK
+    EXCHANGE ID: 04
+    UNPARTITIONED
+
+  3:VHASH JOIN(123)
+  |  join op: INNER JOIN(BROADCAST)[]
+  |  equal join conjunct: (id[#0] = user_id[#3])
+  |  runtime filters: RF000[min_max] <- user_id[#3](1/1/1048576)
+  |  limit: 10
+  |  cardinality=100
+  |
+  |----2:VEXCHANGE
+  |       offset: 0
+  |
+  0:VOlapScanNode(120)
+     TABLE: test.orders(orders), PREAGGREGATION: ON
+     PREDICATES: (dt[#1] = '2024-01-01')
+     partitions=1/30 (p20240101)
+     tablets=8/8, tabletList=10001,10002
+     cardinality=1000, avgRowSize=0.0, numNodes=1
+
+PLAN FRAGMENT 2
+
+  PARTITION: HASH_PARTITIONED: user_id[#3]
+
+  STREAM DATA SINK
+    EXCHANGE ID: 02
+    UNPARTITIONED
+
+  1:VOlapScanNode(121)
+     TABLE: test.users(users), PREAGGREGATION: ON
+     partitions=1/1 (users)
+     tablets=4/4, tabletList=20001
+     cardinality=50, avgRowSize=0.0, numNodes=1
+`;
+
+describe('parsePlan', () => {
+  const plan = parsePlan(JOIN_PLAN);
+
+  test('Fragment 头部：分布方式、输出表达式与 Sink', () => {
+    expect(plan.fragments.map(fragment => fragment.id)).toEqual([0, 1, 2]);
+    expect(plan.fragments[0]).toMatchObject({
+      partition: 'UNPARTITIONED',
+      outputExprs: ['id[#5]', 'name[#6]'],
+      sink: { type: 'VRESULT SINK', exchangeId: null, details: ['MYSQL_PROTOCAL'] }
+    });
+    expect(plan.fragments[1]).toMatchObject({
+      partition: 'HASH_PARTITIONED: id[#0]',
+      sink: { type: 'STREAM DATA SINK', exchangeId: 4 }
+    });
+  });
+
+  test('Exchange 指向向其发送数据的 Fragment', () => {
+    expect(plan.root).toMatchObject({ id: 4, operator: 'VEXCHANGE', exchange: true, sourceFragment: 1, limit: 10 });
+    const exchange = plan.fragments[1].root.children[1];
+    expect(exchange).toMatchObject({ id: 2, exchange: true, sourceFragment: 2 });
+  });
+
+  test('Join 算子：第一个子节点最后输出，去掉优化器节点编号', () => {
+    const join = plan.fragments[1].root;
+    expect(join).toMatchObject({
+      id: 3,
+      operator: 'VHASH JOIN',
+      joinType: 'INNER JOIN',
+      joinDistribution: 'BROADCAST',
+      joinConjuncts: ['(id[#0] = user_id[#3])'],
+      runtimeFilters: ['RF000[min_max] <- user_id[#3](1/1/1048576)'],
+      limit: 10,
+      cardinality: 100
+    });
+    expect(join.children.map(child => child.id)).toEqual([0, 2]);
+  });
+
+  test('汇总扫描算子', () => {
+    expect(plan.scans).toEqual([
+      {
+        id: 0,
+        operator: 'VOlapScanNode',
+        table: 'test.orders',
+        partitions: { selected: 1, total: 30, names: ['p20240101'] },
+        tablets: { selected: 8, total: 8 },
+        predicates: ["(dt[#1] = '2024-01-01')"]
+      },
+      {
+        id: 1,
+        operator: 'VOlapScanNode',
+        table: 'test.users',
+        partitions: { selected: 1, total: 1, names: ['users'] },
+        tablets: { selected: 4, total: 4 },
+        predicates: []
+      }
+    ]);
+  });
+
+  test('没有 PLAN FRAGMENT 时返回空计划', () => {
+    expect(parsePlan('')).toEqual({ fragments: [], root: null, scans: [] });
+  });
+});
+
+describe('walkPlan', () => {
+  test('先序遍历并传入深度', () => {
+    const visited = [];
+    walkPlan(parsePlan(JOIN_PLAN).fragments[1].root, (node, depth) => visited.push([node.id, depth]));
+    expect(visited).toEqual([[3, 0], [0, 1], [2, 1]]);
+  });
+});
+
+describe('renderPlan', () => {
+  test('在 Exchange 下展开来源 Fragment', () => {
+    expect(renderPlan(parsePlan(JOIN_PLAN))).toBe([
+      '[Fragment 0: UNPARTITIONED]  VRESULT SINK',
+      '└─ 4:VEXCHANGE  limit=10',
+      '   [Fragment 1: HASH_PARTITIONED: id[#0]]  STREAM DATA SINK',
+      '   └─ 3:VHASH JOIN  INNER JOIN(BROADCAST)  limit=10  rows≈100',
+      '      │  join: (id[#0] = user_id[#3])',
+      '      ├─ 0:VOlapScanNode  test.orders  partitions=1/30  tablets=8/8  rows≈1000',
+      "      │     predicates: (dt[#1] = '2024-01-01')",
+      '      └─ 2:VEXCHANGE',
+      '         [Fragment 2: HASH_PARTITIONED: user_id[#3]]  STREAM DATA SINK',
+      '         └─ 1:VOlapScanNode  test.users  partitions=1/1  tablets=4/4  rows≈50'
+    ].join('\n'));
+  });
+
+  test('空计划渲染为空串', () => {
+    expect(renderPlan(parsePlan(''))).toBe('');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * SQL 安全策略
+ * 根据 config.json 中的 policy 配置判断 LLM 发起的语句或操作是否允许执行，
+ * 默认只读，拒绝时返回模型可以理解的说明
+ */
+const {
+  StatementType,
+  splitStatements,
+  classifyStatement,
+  extractDatabases
+} = require('../utils/sql');
+
+// 各语句类别的说明，用于拒绝信息
+const TYPE_LABELS = {
+  [StatementType.READ]: '只读查询 (SELECT/SHOW/DESC/EXPLAIN)',
+  [StatementType.DML]: '数据变更 (INSERT/UPDATE/DELETE/LOAD/EXPORT/INTO OUTFILE)',
+  [StatementType.DDL]: '结构变更 (CREATE/DROP/ALTER/TRUNCATE)',
+  [StatementType.ADMIN]: '集群管理 (ALTER SYSTEM/KILL/GRANT/ADMIN 等)',
+  [StatementType.SESSION]: '会话设置 (USE/SET)'
+};
+
+/**
+ * 安全策略拒绝错误
+ */
+class PolicyError extends Error {
+  /**
+   * @param {string} message - 拒绝说明
+   * @param {Object} details - 附加信息（语句类别、关键字、数据库）
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PolicyError';
+    this.code = 'POLICY_DENIED';
+    Object.assign(this, details);
+  }
+}
+
+class SqlPolicy {
+  /**
+   * 创建安全策略
+   * @param {Object} config - config.json 中的 policy 配置
+   * @param {Array<string>} [config.allow] - 全局允许的语句类别，默认 ['read']
+   * @param {Object} [config.databases] - 按数据库覆盖允许的语句类别，例如 { "sandbox": ["read", "dml"] }
+   * @param {Array<string>} [config.allowedDatabases] - 可访问的数据库白名单，不配置则不限制
+   * @param {string} [defaultDatabase] - 未指定数据库时的会话默认数据库
+   */
+  constructor(config = {}, defaultDatabase) {
+    this.allow = config.allow || [StatementType.READ];
+    this.databases = config.databases || {};
+    this.allowedDatabases = config.allowedDatabases || null;
+    this.defaultDatabase = defaultDatabase;
+  }
+
+  /**
+   * 判断数据库是否在白名单内
+   * @param {string} database - 数据库名
+   * @returns {boolean}
+   */
+  isDatabaseAllowed(database) {
+    if (!this.allowedDatabases || !database) return true;
+    return this.allowedDatabases.includes(database);
+  }
+
+  /**
+   * 获取在指定数据库上允许的语句类别
+   * 集群管理类语句与数据库无关，只受全局 allow 控制
+   * @param {string} type - 语句类别
+   * @param {string} [database] - 数据库名
+   * @returns {Array<string>} 允许的语句类别
+   */
+  allowedTypes(type, database) {
+    if (type === StatementType.ADMIN || !database || !this.databases[database]) {
+      return this.allow;
+    }
+    return this.databases[database];
+  }
+
+  /**
+   * 校验某一类操作能否在指定数据库上执行
+   * @param {string} type - 语句类别
+   * @param {string} [database] - 目标数据库，默认会话数据库
+   * @param {string} [operation] - 操作描述，用于拒绝信息
+   * @throws {PolicyError} 不允许时抛出
+   */
+  assertOperation(type, database = this.defaultDatabase, operation = type) {
+    if (!this.isDatabaseAllowed(database)) {
+      throw new PolicyError(
+        `安全策略拒绝执行: 不允许访问数据库 ${database}。可访问的数据库: ${this.allowedDatabases.join(', ')}`,
+        { statementType: type, database }
+      );
+    }
+
+    const allowed = this.allowedTypes(type, database);
+    if (!allowed.includes(type)) {
+      const scope = type === StatementType.ADMIN || !database ? '当前策略' : `数据库 ${database}`;
+      throw new PolicyError(
+        `安全策略拒绝执行: ${operation} 属于${TYPE_LABELS[type] || type}，` +
+        `${scope} 仅允许 ${allowed.map(t => TYPE_LABELS[t] || t).join('、') || '无'}。` +
+        '请改用允许的语句，或请管理员在 config.json 的 policy 中放开权限。',
+        { statementType: type, database }
+      );
+    }
+  }
+
+  /**
+   * 对 SQL 中的每条语句分类并校验
+   * @param {string} sql - SQL 文本，可包含多条语句
+   * @param {Object} options - 校验选项
+   * @param {string} options.database - 执行时的会话数据库
+   * @returns {Array<Object>} 各语句的分类结果 { sql, type, keyword, databases }
+   * @throws {PolicyError} 任一语句不允许时抛出
+   */
+  assertStatement(sql, { database } = {}) {
+    const statements = splitStatements(sql || '');
+    if (statements.length === 0) {
+      throw new PolicyError('安全策略拒绝执行: 没有可执行的 SQL 语句');
+    }
+
+    const sessionDatabase = database || this.defaultDatabase;
+
+    return statements.map(statement => {
+      const { type, keyword } = classifyStatement(statement);
+      const referenced = extractDatabases(statement);
+      const databases = referenced.length > 0 ? referenced : [sessionDatabase];
+
+      // 语句同时受会话数据库和其中显式引用的数据库约束
+      new Set([sessionDatabase, ...databases]).forEach(db => {
+        this.assertOperation(type, db, `${keyword} 语句`);
+      });
+
+      return { sql: statement, type, keyword, databases };
+    });
+  }
+}
+
+module.exports = {
+  SqlPolicy,
+  PolicyError,
+  TYPE_LABELS
+};
@@ -0,0 +1,47 @@
+const { SqlPolicy, PolicyError } = require('./policy');
+
+describe('SqlPolicy', () => {
+  test('默认只允许只读语句', () => {
+    const policy = new SqlPolicy({}, 'test');
+    expect(() => policy.assertStatement('SELECT 1')).not.toThrow();
+    expect(() => policy.assertStatement('DELETE FROM t')).toThrow(PolicyError);
+    expect(() => policy.assertStatement('SELECT 1; DROP TABLE t')).toThrow(PolicyError);
+    expect(() => policy.assertStatement('  -- only a comment')).toThrow(PolicyError);
+  });
+
+  test('按数据库放开语句类别', () => {
+    const policy = new SqlPolicy({ allow: ['read'], databases: { sandbox: ['read', 'dml'] } }, 'test');
+    expect(() => policy.assertStatement('INSERT INTO sandbox.t VALUES (1)', { database: 'sandbox' })).not.toThrow();
+    expect(() => policy.assertStatement('INSERT INTO t VALUES (1)', { database: 'sandbox' })).not.toThrow();
+    // 会话数据库与语句中的数据库都要允许
+    expect(() => policy.assertStatement('INSERT INTO sandbox.t VALUES (1)', { database: 'test' })).toThrow(PolicyError);
+  });
+
+  describe('数据库白名单', () => {
+    const policy = new SqlPolicy({ allowedDatabases: ['test'] }, 'test');
+
+    test.each([
+      'SELECT * FROM test.t',
+      'SELECT t.id FROM test.t t JOIN test.u u ON t.id = u.id',
+      'SELECT * FROM t WHERE id IN (SELECT id FROM test.u)'
+    ])('允许 %s', sql => {
+      expect(() => policy.assertStatement(sql)).not.toThrow();
+    });
+
+    test.each([
+      'SELECT * FROM secret.u',
+      'SELECT * FROM test.t, secret.u',
+      'SELECT * FROM test.t,secret.u',
+      'SELECT * FROM (secret.t)',
+      'SELECT * FROM test.t WHERE id IN (SELECT id FROM secret.u)',
+      'SELECT * FROM test.t JOIN `secret`.`u` ON 1 = 1',
+      'SELECT * FROM internal.secret.u'
+    ])('拒绝 %s', sql => {
+      expect(() => policy.assertStatement(sql)).toThrow(/不允许访问数据库 secret/);
+    });
+
+    test('会话数据库不在白名单中时拒绝', () => {
+      expect(() => policy.assertStatement('SELECT 1', { database: 'secret' })).toThrow(PolicyError);
+    });
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * 查询 Profile 解析
+ * 将 FE 返回的文本 Profile 解析为各 Fragment、算子的耗时、行数与内存，
+ * 并汇总出耗时最多的算子和实例间耗时不均衡（倾斜）的算子
+ */
+
+// 算子标题，例如 "VOLAP_SCAN_NODE (id=0)"、"HASH_JOIN_OPERATOR (id=3, nereids_id=120)"
+const OPERATOR_TITLE = /^([A-Za-z_][\w ]*?)\s*\(id=(-?\d+)[^)]*\)/;
+// 可以代表算子耗时的计数器，按优先级排列
+const TIME_COUNTERS = ['ExecTime', 'TotalTime', 'Active'];
+// 可以代表算子输出行数的计数器，按优先级排列
+const ROW_COUNTERS = ['RowsReturned', 'RowsProduced', 'OutputRows', 'RowsRead', 'InputRows'];
+// 可以代表算子内存峰值的计数器，按优先级排列
+const MEMORY_COUNTERS = ['PeakMemoryUsage', 'MemoryUsagePeak', 'MemoryUsage'];
+// 判定倾斜的阈值：最慢实例耗时至少是平均值的 2 倍，且不少于 10ms
+const SKEW_RATIO = 2;
+const SKEW_MIN_TIME = 10;
+// 报告中列出的算子数
+const TOP_N = 10;
+
+const DURATION_UNITS = { h: 3600000, min: 60000, m: 60000, sec: 1000, s: 1000, ms: 1, us: 0.001, ns: 0.000001 };
+const BYTE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+const COUNT_UNITS = { K: 1e3, M: 1e6, B: 1e9 };
+
+/**
+ * 解析耗时文本，例如 5sec12ms、1.2ms、1m2s、100.5us
+ * @param {string} text - 耗时文本
+ * @returns {number|null} 毫秒数，无法解析时返回 null
+ */
+function parseDuration(text) {
+  if (text === undefined || text === null) return null;
+  const pattern = /(\d+(?:\.\d+)?)\s*(ns|us|ms|min|sec|h|m|s)(?![a-z])/gi;
+  let total = 0;
+  let matched = false;
+  let match;
+  while ((match = pattern.exec(String(text))) !== null) {
+    total += parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+/**
+ * 解析字节数文本，例如 1.00 MB、512.00 KB、0
+ * @param {string} text - 字节数文本
+ * @returns {number|null} 字节数
+ */
+function parseBytes(text) {
+  const match = String(text).match(/(-?\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?\b/i);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * BYTE_UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * 解析计数文本，例如 100、1.5K (1500)
+ * @param {string} text - 计数文本
+ * @returns {number|null} 计数
+ */
+function parseCount(text) {
+  const exact = String(text).match(/\((\d+)\)/);
+  if (exact) return Number(exact[1]);
+  const match = String(text).match(/(-?\d+(?:\.\d+)?)\s*([KMB])?\b/);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * (match[2] ? COUNT_UNITS[match[2]] : 1));
+}
+
+/**
+ * 格式化毫秒数
+ * @param {number} ms - 毫秒数
+ * @returns {string} 例如 1.23s、45.6ms、120us
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '';
+  if (ms >= 60000) return `${Math.floor(ms / 60000)}min${((ms % 60000) / 1000).toFixed(1)}s`;
+  if (ms >= 1000) return `${(ms / 1000).toFixed(2)}s`;
+  if (ms >= 1) return `${ms.toFixed(1)}ms`;
+  return `${Math.round(ms * 1000)}us`;
+}
+
+/**
+ * 解析计数器的取值
+ * 合并后的 Profile 中取值形如 "avg 1.2ms, max 3ms, min 1ms" 或 "sum 10, avg 5, max 6, min 4"
+ * @private
+ * @param {string} value - 计数器原始取值
+ * @param {Function} parse - 单个取值的解析函数
+ * @returns {Object|null} { value, avg, max, min, sum }，非合并取值时只有 value
+ */
+function parseCounterValue(value, parse) {
+  if (value === undefined) return null;
+  if (/\b(avg|max|min|sum)\s/.test(value)) {
+    const stats = {};
+    value.split(',').forEach(part => {
+      const match = part.trim().match(/^(avg|max|min|sum)\s+(.+)$/);
+      if (match) stats[match[1]] = parse(match[2]);
+    });
+    stats.value = stats.max !== undefined ? stats.max : stats.avg;
+    return stats;
+  }
+  const parsed = parse(value);
+  return parsed === null ? null : { value: parsed };
+}
+
+/**
+ * 把 Profile 文本解析为按缩进嵌套的节点树
+ * 节点为以冒号结尾的标题行（冒号后可带括号中的摘要），计数器为以 "-" 开头的 key: value 行
+ * @param {string} text - Profile 文本
+ * @returns {Object} 根节点 { name, info, counters, children }
+ */
+function parseProfileTree(text) {
+  const root = { name: '', info: {}, counters: {}, children: [], indent: -1 };
+  const stack = [root];
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    // 新版本的文本 Profile 用两个空格分隔单词，先统一为一个
+    const indent = rawLine.match(/^\s*/)[0].length;
+    const line = rawLine.trim().replace(/ {2,}/g, ' ');
+    if (!line) return;
+
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+
+    if (line.startsWith('- ')) {
+      const match = line.slice(2).match(/^([^:]+?):\s*(.*)$/);
+      if (match) {
+        parent.counters[match[1].trim()] = match[2].trim();
+      }
+      return;
+    }
+
+    // 标题行：name: 或 name:(key: value, key: value)
+    const match = line.match(/^(.*?):\s*(?:\((.*)\))?\s*$/);
+    if (!match) return;
+    const node = { name: match[1].trim(), info: {}, counters: {}, children: [], indent };
+    if (match[2]) {
+      match[2].split(',').forEach(part => {
+        const kv = part.match(/^\s*([^:]+?):\s*(.+)$/);
+        if (kv) node.info[kv[1].trim()] = kv[2].trim();
+      });
+    }
+    parent.children.push(node);
+    stack.push(node);
+  });
+
+  return root;
+}
+
+/**
+ * 查找第一个名称满足条件的节点（深度优先）
+ * @private
+ */
+function findNode(node, predicate) {
+  if (predicate(node)) return node;
+  for (const child of node.children) {
+    const found = findNode(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * 取第一个存在的计数器并解析
+ * @private
+ */
+function pickCounter(node, names, parse) {
+  for (const name of names) {
+    const value = node.counters[name] !== undefined ? node.counters[name] : node.info[name];
+    const parsed = parseCounterValue(value, parse);
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
+/**
+ * 收集所有算子实例
+ * @private
+ * @param {Object} node - 当前节点
+ * @param {Object} context - 所在 Fragment、实例主机、是否位于合并后的 Profile
+ * @param {Array<Object>} result - 收集结果
+ */
+function collectOperators(node, context, result) {
+  let next = context;
+  const fragment = node.name.match(/^Fragment (\d+)$/i);
+  if (fragment) {
+    next = { ...next, fragment: Number(fragment[1]) };
+  }
+  const host = node.name.match(/hostname:\s*([^,\s)]+)/i) || node.name.match(/host=([^,\s)]+)/i);
+  if (host) {
+    next = { ...next, host: host[1] };
+  }
+  if (/^(Instance|PipelineTask|Pipeline)\b/i.test(node.name)) {
+    next = { ...next, instance: node.name };
+  }
+  if (/^MergedProfile$/i.test(node.name)) {
+    next = { ...next, merged: true };
+  }
+  // 合并后的 Profile 在 Pipeline 标题中注明实例数，例如 Pipeline : 0(instance_num=4)
+  const instanceNum = node.name.match(/instance_num=(\d+)/);
+  if (instanceNum) {
+    next = { ...next, instanceNum: Number(instanceNum[1]) };
+  }
+
+  const operator = node.name.match(OPERATOR_TITLE);
+  if (operator) {
+    result.push({
+      fragment: next.fragment !== undefined ? next.fragment : null,
+      id: Number(operator[2]),
+      name: operator[1].trim(),
+      host: next.host || null,
+      instance: next.instance || null,
+      merged: Boolean(next.merged),
+      instanceNum: next.instanceNum || 1,
+      time: pickCounter(node, TIME_COUNTERS, parseDuration),
+      rows: pickCounter(node, ROW_COUNTERS, parseCount),
+      memory: pickCounter(node, MEMORY_COUNTERS, parseBytes)
+    });
+  }
+
+  node.children.forEach(child => collectOperators(child, next, result));
+}
+
+/**
+ * 按 Fragment 与算子汇总各实例的耗时、行数与内存
+ * @private
+ * @param {Array<Object>} instances - 算子实例
+ * @returns {Array<Object>} 算子汇总
+ */
+function aggregateOperators(instances) {
+  const groups = new Map();
+  instances.forEach(instance => {
+    const key = `${instance.fragment}/${instance.id}/${instance.name}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(instance);
+  });
+
+  return Array.from(groups.values()).map(group => {
+    const { fragment, id, name } = group[0];
+    const timed = group.filter(item => item.time);
+    const times = timed.map(item => item.time.value);
+    const slowest = timed.reduce((a, b) => (b.time.value > a.time.value ? b : a), timed[0]);
+    // 合并后的 Profile 中每项只有一条记录，取其中的 avg/max/min
+    const merged = group.length === 1 && group[0].merged && group[0].time ? group[0].time : null;
+
+    const time = times.length === 0 ? null : {
+      total: merged ? null : times.reduce((sum, value) => sum + value, 0),
+      avg: merged ? merged.avg : times.reduce((sum, value) => sum + value, 0) / times.length,
+      max: merged ? merged.max : Math.max(...times),
+      min: merged ? merged.min : Math.min(...times)
+    };
+    if (time && time.max === undefined) time.max = time.avg;
+    const rows = group.reduce((sum, item) => sum + (item.rows ? (item.rows.sum !== undefined ? item.rows.sum : item.rows.value) : 0), 0);
+    const memory = group.reduce((max, item) => Math.max(max, item.memory ? item.memory.value : 0), 0);
+
+    return {
+      fragment,
+      id,
+      name,
+      instances: merged ? group[0].instanceNum : group.length,
+      time,
+      rows,
+      peakMemory: memory,
+      skew: time && time.avg > 0 ? time.max / time.avg : null,
+      slowestHost: slowest && !merged ? slowest.host : null
+    };
+  });
+}
+
+/**
+ * 解析查询 Profile 并生成热点报告
+ * @param {string} text - Profile 文本
+ * @returns {Object} { queryId, summary, totalTime, fragments, operators, topOperators, skewed }
+ */
+function parseProfile(text) {
+  const tree = parseProfileTree(text);
+
+  const summaryNode = findNode(tree, node => /^Summary$/i.test(node.name));
+  const summary = summaryNode ? { ...summaryNode.counters } : {};
+  const queryId = summary['Profile ID'] || summary['Query ID'] || null;
+  const totalTime = parseDuration(summary.Total);
+
+  const instances = [];
+  collectOperators(tree, {}, instances);
+  // 同时存在按实例展开的 Profile 与合并后的 Profile 时，只使用按实例展开的部分
+  const detailed = instances.filter(instance => !instance.merged);
+  const operators = aggregateOperators(detailed.length > 0 ? detailed : instances);
+
+  const fragments = [];
+  operators.forEach(operator => {
+    let fragment = fragments.find(item => item.id === operator.fragment);
+    if (!fragment) {
+      fragment = { id: operator.fragment, operators: 0, instances: 0, maxTime: 0 };
+      fragments.push(fragment);
+    }
+    fragment.operators++;
+    fragment.instances = Math.max(fragment.instances, operator.instances);
+    fragment.maxTime = Math.max(fragment.maxTime, operator.time ? operator.time.max : 0);
+  });
+  fragments.sort((a, b) => a.id - b.id);
+
+  const timedOperators = operators.filter(operator => operator.time);
+  const topOperators = timedOperators
+    .slice()
+    .sort((a, b) => b.time.max - a.time.max)
+    .slice(0, TOP_N);
+  const skewed = timedOperators
+    .filter(operator => operator.instances > 1 && operator.skew >= SKEW_RATIO && operator.time.max >= SKEW_MIN_TIME)
+    .sort((a, b) => b.skew - a.skew)
+    .slice(0, TOP_N);
+
+  return {
+    queryId,
+    summary,
+    totalTime,
+    fragments,
+    operators,
+    topOperators,
+    skewed
+  };
+}
+
+module.exports = {
+  parseProfile,
+  parseProfileTree,
+  parseDuration,
+  parseBytes,
+  parseCount,
+  formatDuration
+};
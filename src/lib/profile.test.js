@@ -0,0 +1,169 @@
+const { parseProfile, parseProfileTree, parseDuration, parseBytes, parseCount, formatDuration } = require('./profile');
+
+// 按实例展开的 Profile：Fragment 1 的扫描在 10.0.0.1 上明显慢于其他实例
+const INSTANCE_PROFILE = `
+Query:
+  Summary:
+     - Profile ID: 9d3c0f5e1a2b4c5d-8e7f6a5b4c3d2e1f
+     - Task Type: QUERY
+     - Total: 5sec12ms
+     - Task State: EOF
+  Execution Profile 9d3c0f5e1a2b4c5d-8e7f6a5b4c3d2e1f:(ExecTime: 5sec10ms)
+    Fragment 0:
+      Instance 9d3c-01 (host=TNetworkAddress(hostname:10.0.0.1, port:9060)):(Active: 1.2ms, non-child: 0.00%)
+        VEXCHANGE_NODE (id=4):
+           - ExecTime: 1.2ms
+           - RowsReturned: 10
+           - PeakMemoryUsage: 16.00 KB
+    Fragment 1:
+      Instance 9d3c-02 (host=TNetworkAddress(hostname:10.0.0.1, port:9060)):(Active: 4sec800ms, non-child: 0.00%)
+        VOLAP_SCAN_NODE (id=0):
+           - ExecTime: 4sec800ms
+           - RowsReturned: 1.5K (1500)
+           - PeakMemoryUsage: 1.00 MB
+      Instance 9d3c-03 (host=TNetworkAddress(hostname:10.0.0.2, port:9060)):(Active: 200ms, non-child: 0.00%)
+        VOLAP_SCAN_NODE (id=0):
+           - ExecTime: 200ms
+           - RowsReturned: 500
+           - PeakMemoryUsage: 512.00 KB
+      Instance 9d3c-04 (host=TNetworkAddress(hostname:10.0.0.3, port:9060)):(Active: 100ms, non-child: 0.00%)
+        VOLAP_SCAN_NODE (id=0):
+           - ExecTime: 100ms
+           - RowsReturned: 0
+`;
+
+// 合并后的 Profile：每个算子一条记录，取值为 avg/max/min
+const MERGED_PROFILE = `
+  MergedProfile:
+    Fragments:
+      Fragment 0:
+        Pipeline : 0(instance_num=4):
+          HASH_JOIN_OPERATOR (id=3, nereids_id=120):
+             - ExecTime: avg 20ms, max 90ms, min 5ms
+             - RowsProduced: sum 4.00K (4000), avg 1.00K (1000), max 2.00K (2000), min 100
+`;
+
+describe('parseDuration', () => {
+  test.each([
+    ['5sec12ms', 5012],
+    ['1m2s', 62000],
+    ['1min30sec', 90000],
+    ['1h', 3600000],
+    ['1.5ms', 1.5],
+    ['100.5us', 0.1005],
+    ['2000ns', 0.002],
+    ['0', null],
+    [undefined, null],
+    ['N/A', null]
+  ])('%j -> %p', (text, expected) => {
+    if (expected === null) {
+      expect(parseDuration(text)).toBeNull();
+    } else {
+      expect(parseDuration(text)).toBeCloseTo(expected, 6);
+    }
+  });
+});
+
+describe('parseBytes', () => {
+  test.each([
+    ['1.00 MB', 1048576],
+    ['512.00 KB', 524288],
+    ['2 GB', 2147483648],
+    ['0', 0],
+    ['128', 128],
+    ['-', null]
+  ])('%j -> %p', (text, expected) => {
+    expect(parseBytes(text)).toBe(expected);
+  });
+});
+
+describe('parseCount', () => {
+  test.each([
+    ['100', 100],
+    ['1.5K (1500)', 1500],
+    ['2.5M', 2500000],
+    ['-', null]
+  ])('%j -> %p', (text, expected) => {
+    expect(parseCount(text)).toBe(expected);
+  });
+});
+
+describe('formatDuration', () => {
+  test.each([
+    [90000, '1min30.0s'],
+    [1234, '1.23s'],
+    [45.6, '45.6ms'],
+    [0.12, '120us'],
+    [null, '']
+  ])('%p -> %j', (ms, expected) => {
+    expect(formatDuration(ms)).toBe(expected);
+  });
+});
+
+describe('parseProfileTree', () => {
+  test('按缩进嵌套节点，解析计数器与标题中的摘要', () => {
+    const tree = parseProfileTree(INSTANCE_PROFILE);
+    const query = tree.children[0];
+    expect(query.name).toBe('Query');
+    expect(query.children[0].counters['Task Type']).toBe('QUERY');
+    expect(query.children[1].info).toEqual({ ExecTime: '5sec10ms' });
+    expect(query.children[1].children.map(node => node.name)).toEqual(['Fragment 0', 'Fragment 1']);
+  });
+});
+
+describe('parseProfile', () => {
+  const report = parseProfile(INSTANCE_PROFILE);
+
+  test('查询 ID 与总耗时', () => {
+    expect(report.queryId).toBe('9d3c0f5e1a2b4c5d-8e7f6a5b4c3d2e1f');
+    expect(report.totalTime).toBe(5012);
+    expect(report.summary['Task State']).toBe('EOF');
+  });
+
+  test('按 Fragment 与算子汇总各实例', () => {
+    const scan = report.operators.find(operator => operator.name === 'VOLAP_SCAN_NODE');
+    expect(scan).toEqual({
+      fragment: 1,
+      id: 0,
+      name: 'VOLAP_SCAN_NODE',
+      instances: 3,
+      time: { total: 5100, avg: 1700, max: 4800, min: 100 },
+      rows: 2000,
+      peakMemory: 1048576,
+      skew: 4800 / 1700,
+      slowestHost: '10.0.0.1'
+    });
+    expect(report.fragments).toEqual([
+      { id: 0, operators: 1, instances: 1, maxTime: 1.2 },
+      { id: 1, operators: 1, instances: 3, maxTime: 4800 }
+    ]);
+  });
+
+  test('热点算子按最大耗时排序，倾斜只计入多实例算子', () => {
+    expect(report.topOperators.map(operator => operator.id)).toEqual([0, 4]);
+    expect(report.skewed.map(operator => operator.id)).toEqual([0]);
+  });
+
+  test('合并后的 Profile 使用其中的 avg/max/min 与实例数', () => {
+    const [join] = parseProfile(MERGED_PROFILE).operators;
+    expect(join).toMatchObject({
+      fragment: 0,
+      id: 3,
+      name: 'HASH_JOIN_OPERATOR',
+      instances: 4,
+      time: { total: null, avg: 20, max: 90, min: 5 },
+      rows: 4000,
+      skew: 4.5,
+      slowestHost: null
+    });
+  });
+
+  test('同时存在两种 Profile 时只使用按实例展开的部分', () => {
+    const report = parseProfile(INSTANCE_PROFILE + MERGED_PROFILE);
+    expect(report.operators.map(operator => operator.name)).toEqual(['VEXCHANGE_NODE', 'VOLAP_SCAN_NODE']);
+  });
+
+  test('空 Profile', () => {
+    expect(parseProfile('')).toMatchObject({ queryId: null, totalTime: null, operators: [], topOperators: [], skewed: [] });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * 连接安全
+ * 构建 MySQL 协议与 FE HTTP 接口的 TLS 参数，解析密码来源（配置、文件、命令、加密密钥库），
+ * 并对日志与错误信息中的凭据脱敏
+ */
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+
+const { Keystore, KEYSTORE_PASSWORD_ENV } = require('./keystore');
+
+// 证书校验方式：full 校验证书链与主机名，ca 只校验证书链，none 不校验
+const VERIFY_MODES = ['full', 'ca', 'none'];
+// passwordCommand 的最长执行时间
+const PASSWORD_COMMAND_TIMEOUT = 10000;
+// 脱敏后的占位符
+const MASK = '******';
+
+// 键值对形式的凭据，例如 password=xxx、"s3.secret_key" = "xxx"
+const SECRET_ASSIGNMENT = /((?:password|passwd|pwd|passphrase|secret[_.-]?key|access[_.-]?key|secret|token)["'`]?\s*[=:]\s*)(["'`]?)(?!(?:YES|NO)\b)([^"'`\s,;)]+)\2/gi;
+// 建用户、改密码语句中的密码，例如 IDENTIFIED BY 'xxx'、PASSWORD('xxx')
+const IDENTIFIED_BY = /((?:IDENTIFIED\s+BY\s+(?:PASSWORD\s+)?|PASSWORD\s*\(\s*))(["'])(?:\\.|(?!\2).)*\2/gi;
+// URL 中的 user:password@
+const URL_CREDENTIALS = /(\/\/[^/\s:@]+:)[^/\s@]+@/g;
+// HTTP Authorization 头
+const AUTHORIZATION_HEADER = /(Authorization["']?\s*[:=]\s*["']?(?:Basic|Bearer)\s+)[A-Za-z0-9+/=._-]+/gi;
+
+/**
+ * 判断 TLS 配置是否启用
+ * @param {Object} [tls] - TLS 配置
+ * @returns {boolean}
+ */
+function isTlsEnabled(tls) {
+  return Boolean(tls) && tls.enabled !== false;
+}
+
+/**
+ * 读取 TLS 配置中的证书文件
+ * @private
+ * @param {Object} tls - TLS 配置
+ * @returns {Object} { ca, cert, key, passphrase, verify }
+ */
+function readTlsMaterial(tls) {
+  const verify = tls.verify || 'full';
+  if (!VERIFY_MODES.includes(verify)) {
+    throw new Error(`不支持的证书校验方式: ${verify}，可选: ${VERIFY_MODES.join(', ')}`);
+  }
+
+  const read = (file, label) => {
+    if (!file) return undefined;
+    try {
+      return fs.readFileSync(file);
+    } catch (error) {
+      throw new Error(`无法读取 TLS ${label}文件 ${file}: ${error.message}`);
+    }
+  };
+
+  return {
+    ca: read(tls.ca, 'CA 证书'),
+    cert: read(tls.cert, '客户端证书'),
+    key: read(tls.key, '客户端私钥'),
+    passphrase: tls.passphrase,
+    verify
+  };
+}
+
+/**
+ * 构建 mysql2 的 ssl 参数
+ * @param {Object} [tls] - TLS 配置 { enabled, ca, cert, key, passphrase, verify }
+ * @returns {Object|boolean} ssl 参数，未启用时返回 false
+ */
+function buildMysqlSsl(tls) {
+  if (!isTlsEnabled(tls)) return false;
+
+  const { verify, ...material } = readTlsMaterial(tls);
+  return {
+    ...material,
+    rejectUnauthorized: verify !== 'none',
+    verifyIdentity: verify === 'full'
+  };
+}
+
+/**
+ * 构建 https.request / https.Agent 的 TLS 参数
+ * @param {Object} [tls] - TLS 配置 { enabled, ca, cert, key, passphrase, verify }
+ * @returns {Object|null} TLS 参数，未启用时返回 null
+ */
+function buildHttpsOptions(tls) {
+  if (!isTlsEnabled(tls)) return null;
+
+  const { verify, ...material } = readTlsMaterial(tls);
+  const options = { ...material, rejectUnauthorized: verify !== 'none' };
+  if (verify === 'ca') {
+    // 只校验证书链，不校验主机名
+    options.checkServerIdentity = () => undefined;
+  }
+  return options;
+}
+
+/**
+ * 执行 passwordCommand 并返回其标准输出
+ * @private
+ * @param {string} command - 命令
+ * @returns {Promise<string>} 密码
+ */
+function runPasswordCommand(command) {
+  return new Promise((resolve, reject) => {
+    exec(command, { timeout: PASSWORD_COMMAND_TIMEOUT, windowsHide: true }, (error, stdout, stderr) => {
+      if (error) {
+        const detail = (stderr || '').trim() || error.message;
+        reject(new Error(`执行 passwordCommand 失败: ${detail}`));
+        return;
+      }
+      resolve(stdout.replace(/\r?\n$/, ''));
+    });
+  });
+}
+
+/**
+ * 解析连接密码
+ * 依次使用 password、passwordFile、passwordCommand、passwordKeystore 中第一个配置了的来源
+ * @param {Object} config - 连接配置
+ * @param {string} [config.password] - 明文密码
+ * @param {string} [config.passwordFile] - 保存密码的文件，读取时去掉末尾换行
+ * @param {string} [config.passwordCommand] - 输出密码的命令，例如 pass show doris/prod
+ * @param {string} [config.passwordKeystore] - 加密密钥库中的条目名称
+ * @param {string} [config.keystorePath] - 密钥库路径
+ * @param {Object} [env] - 环境变量，用于读取密钥库主密码
+ * @returns {Promise<string>} 密码
+ */
+async function resolvePassword(config, env = process.env) {
+  if (config.password) {
+    return config.password;
+  }
+
+  if (config.passwordFile) {
+    try {
+      return (await fs.promises.readFile(config.passwordFile, 'utf8')).replace(/\r?\n$/, '');
+    } catch (error) {
+      throw new Error(`无法读取密码文件 ${config.passwordFile}: ${error.message}`);
+    }
+  }
+
+  if (config.passwordCommand) {
+    return runPasswordCommand(config.passwordCommand);
+  }
+
+  if (config.passwordKeystore) {
+    const keystore = new Keystore(config.keystorePath || undefined);
+    return keystore.get(config.passwordKeystore, env[KEYSTORE_PASSWORD_ENV]);
+  }
+
+  return config.password || '';
+}
+
+/**
+ * 对文本中的凭据脱敏
+ * @param {string} text - 原始文本
+ * @param {Array<string>} [secrets] - 需要屏蔽的已知凭据，例如已解析的密码
+ * @returns {string} 脱敏后的文本
+ */
+function redact(text, secrets = []) {
+  if (typeof text !== 'string' || text === '') return text;
+
+  let result = text
+    .replace(AUTHORIZATION_HEADER, `$1${MASK}`)
+    .replace(URL_CREDENTIALS, `$1${MASK}@`)
+    .replace(SECRET_ASSIGNMENT, `$1$2${MASK}$2`)
+    .replace(IDENTIFIED_BY, `$1$2${MASK}$2`);
+
+  // 过短的值容易误伤正常文本，只按上面的模式处理
+  secrets
+    .filter(secret => typeof secret === 'string' && secret.length >= 3)
+    .forEach(secret => {
+      result = result.split(secret).join(MASK);
+    });
+
+  return result;
+}
+
+/**
+ * 对错误对象中的凭据脱敏（原地修改）
+ * 处理 message、stack、sql 等文本属性，并去掉 axios 错误中携带的认证信息
+ * @param {Error} error - 错误对象
+ * @param {Array<string>} [secrets] - 需要屏蔽的已知凭据
+ * @returns {Error} 同一个错误对象
+ */
+function redactError(error, secrets = []) {
+  if (!error || typeof error !== 'object') return error;
+
+  ['message', 'stack', 'sql', 'sqlMessage'].forEach(key => {
+    if (typeof error[key] === 'string') {
+      error[key] = redact(error[key], secrets);
+    }
+  });
+
+  if (error.config) {
+    delete error.config.auth;
+    if (error.config.headers) {
+      delete error.config.headers.Authorization;
+    }
+  }
+  if (error.request && error.request._header) {
+    error.request._header = redact(error.request._header, secrets);
+  }
+
+  return error;
+}
+
+/**
+ * 判断路径是否位于目录之内（不含目录本身），只比较解析后的路径，不处理符号链接
+ * @param {string} dir - 目录
+ * @param {string} file - 路径
+ * @returns {boolean} 是否位于目录之内
+ */
+function isInsideDir(dir, file) {
+  const relative = path.relative(path.resolve(dir), path.resolve(file));
+  return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+module.exports = {
+  VERIFY_MODES,
+  MASK,
+  isTlsEnabled,
+  buildMysqlSsl,
+  buildHttpsOptions,
+  resolvePassword,
+  redact,
+  redactError,
+  isInsideDir
+};
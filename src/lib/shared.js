@@ -0,0 +1,109 @@
+/**
+ * 共享客户端
+ * MCP 服务器与 CLI 在进程生命周期内复用同一个 DorisClient（连接池）和 DorisManager，
+ * 避免每次调用都重新加载配置并建立连接；每个 profile 各自维护一套共享实例
+ */
+const DorisClient = require('./client');
+const DorisManager = require('./manager');
+const { SqlPolicy } = require('./policy');
+const { loadConfig } = require('./config');
+
+// profile 名称 -> 共享实例的 Promise，默认连接使用空字符串
+const sharedByProfile = new Map();
+
+/**
+ * 获取共享的配置、客户端与管理器，首次调用时创建
+ * @param {Object|string} [options] - 配置加载选项或配置文件路径，参见 config.loadConfig，
+ *   同一 profile 仅首次调用时生效
+ * @returns {Promise<Object>} { config, client, manager, policy }
+ */
+function getShared(options = {}) {
+  if (typeof options === 'string') {
+    options = { configPath: options };
+  }
+
+  const key = options.profile || '';
+  if (!sharedByProfile.has(key)) {
+    const promise = (async () => {
+      const config = await loadConfig(options);
+      // 共享客户端默认启用连接池，可通过 doris.pool.enabled = false 关闭
+      const client = DorisClient.fromConfig(config, { pool: { ...(config.doris.pool || {}) } });
+      const manager = new DorisManager(config, client);
+      // MCP 工具调用受安全策略约束，未配置时默认只读
+      const policy = new SqlPolicy(config.policy, config.doris.database);
+      return { config, client, manager, policy };
+    })();
+
+    // 初始化失败时清空缓存，允许下次调用重试
+    promise.catch(() => {
+      if (sharedByProfile.get(key) === promise) {
+        sharedByProfile.delete(key);
+      }
+    });
+    sharedByProfile.set(key, promise);
+  }
+
+  return sharedByProfile.get(key);
+}
+
+/**
+ * 列出开放给 MCP 工具的集群（profile）
+ * @returns {Promise<Array<string>>} profile 名称列表
+ */
+async function getExposedClusters() {
+  const { config } = await getShared();
+  return (config.mcp && config.mcp.exposedProfiles) || [];
+}
+
+/**
+ * 获取 MCP 工具调用所指定集群的共享实例
+ * 只允许访问 mcp.exposedProfiles 中列出的 profile；
+ * 该 profile 只使用配置文件中的设置，不受为默认连接设置的 DORIS_* 环境变量影响
+ * @param {string} [cluster] - profile 名称，不指定时使用默认连接
+ * @returns {Promise<Object>} { config, client, manager, policy }
+ */
+async function getSharedCluster(cluster) {
+  const shared = await getShared();
+  if (!cluster) {
+    return shared;
+  }
+
+  const exposed = (shared.config.mcp && shared.config.mcp.exposedProfiles) || [];
+  if (!exposed.includes(cluster)) {
+    throw new Error(`集群 ${cluster} 未开放给 MCP 工具，可用的集群: ${exposed.join(', ') || '无'}`);
+  }
+
+  return getShared({
+    configPath: shared.config.configFile,
+    profile: cluster,
+    envOverrides: false
+  });
+}
+
+/**
+ * 关闭所有共享客户端，等待进行中的查询完成后释放所有连接
+ * @param {Object} [options] - 关闭选项，参见 DorisClient#close
+ * @returns {Promise<void>}
+ */
+async function closeShared(options) {
+  const pending = Array.from(sharedByProfile.values());
+  sharedByProfile.clear();
+
+  await Promise.all(pending.map(async promise => {
+    let shared;
+    try {
+      shared = await promise;
+    } catch (error) {
+      // 初始化本身失败，没有需要释放的连接
+      return;
+    }
+    await shared.client.close(options);
+  }));
+}
+
+module.exports = {
+  getShared,
+  getSharedCluster,
+  getExposedClusters,
+  closeShared
+};
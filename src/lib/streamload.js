@@ -0,0 +1,273 @@
+/**
+ * Stream Load
+ * 通过 FE HTTP 接口 PUT /api/{db}/{table}/_stream_load 导入本地文件，
+ * FE 以 307 将请求重定向到 BE，使用 Expect: 100-continue 保证在重定向前不发送文件内容
+ */
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { isInsideDir } = require('./security');
+
+// 等待 100 Continue 的最长时间，超时后直接发送请求体（RFC 7231 允许）
+const CONTINUE_TIMEOUT = 3000;
+// 最多跟随的重定向次数
+const MAX_REDIRECTS = 3;
+// 视为导入成功的状态
+const SUCCESS_STATUSES = ['Success', 'Publish Timeout'];
+
+/**
+ * 把导入文件限制在指定目录内，用于 MCP 等不受信任的调用方
+ * 只接受相对于该目录的路径，解析后（包括经符号链接）位于目录之外的路径被拒绝
+ * @param {string} file - 调用方提供的文件路径
+ * @param {string} baseDir - 允许读取的目录
+ * @returns {Promise<string>} 文件的真实绝对路径
+ */
+async function resolveImportPath(file, baseDir) {
+  if (!baseDir) {
+    throw new Error('未配置导入目录 import.inputDir');
+  }
+  if (typeof file !== 'string' || !file.trim()) {
+    throw new Error('缺少导入文件路径');
+  }
+  if (path.isAbsolute(file)) {
+    throw new Error(`导入文件必须是相对于导入目录的路径: ${file}`);
+  }
+
+  const root = path.resolve(baseDir);
+  if (!isInsideDir(root, path.resolve(root, file))) {
+    throw new Error(`导入文件必须位于导入目录 ${root} 内: ${file}`);
+  }
+
+  let realRoot;
+  let realFile;
+  try {
+    realRoot = await fs.promises.realpath(root);
+    realFile = await fs.promises.realpath(path.resolve(root, file));
+  } catch (error) {
+    throw new Error(`导入文件不存在: ${file}`);
+  }
+  // 目录中的符号链接可能指向导入目录之外
+  if (!isInsideDir(realRoot, realFile)) {
+    throw new Error(`导入文件必须位于导入目录 ${root} 内: ${file}`);
+  }
+  const stat = await fs.promises.stat(realFile);
+  if (!stat.isFile()) {
+    throw new Error(`导入路径不是文件: ${file}`);
+  }
+  return realFile;
+}
+
+/**
+ * 根据文件扩展名推断 Stream Load 的 format
+ * @param {string} filePath - 文件路径
+ * @returns {string} csv/json/parquet/orc
+ */
+function inferFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return {
+    '.json': 'json',
+    '.jsonl': 'json',
+    '.ndjson': 'json',
+    '.parquet': 'parquet',
+    '.orc': 'orc'
+  }[ext] || 'csv';
+}
+
+/**
+ * 构建 Stream Load 请求头
+ * @param {string} filePath - 文件路径
+ * @param {Object} options - 导入选项
+ * @param {string} [options.label] - 导入标签，用于幂等与状态查询
+ * @param {string} [options.format] - 文件格式，默认按扩展名推断
+ * @param {string} [options.columnSeparator] - 列分隔符
+ * @param {string} [options.lineDelimiter] - 行分隔符
+ * @param {Array<string>|string} [options.columns] - 列映射
+ * @param {string} [options.where] - 过滤条件
+ * @param {number} [options.maxFilterRatio] - 允许过滤的最大比例
+ * @param {Array<string>|string} [options.partitions] - 目标分区
+ * @param {boolean} [options.header] - CSV 第一行是否为列名
+ * @param {string} [options.jsonpaths] - JSON 字段提取路径
+ * @param {boolean} [options.stripOuterArray] - JSON 数据是否为数组
+ * @param {number} [options.timeout] - 导入超时时间(毫秒)
+ * @param {Object} [options.headers] - 其他原样透传的请求头
+ * @returns {Object} 请求头
+ */
+function buildStreamLoadHeaders(filePath, options = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  let format = (options.format || inferFormat(filePath)).toLowerCase();
+  if (format === 'csv' && options.header) {
+    format = 'csv_with_names';
+  }
+
+  const headers = { format };
+  const join = value => (Array.isArray(value) ? value.join(',') : value);
+
+  if (options.label) headers.label = options.label;
+  if (options.columnSeparator) headers.column_separator = options.columnSeparator;
+  if (options.lineDelimiter) headers.line_delimiter = options.lineDelimiter;
+  if (options.columns) headers.columns = join(options.columns);
+  if (options.where) headers.where = options.where;
+  if (options.maxFilterRatio !== undefined) headers.max_filter_ratio = String(options.maxFilterRatio);
+  if (options.partitions) headers.partitions = join(options.partitions);
+  if (options.jsonpaths) headers.jsonpaths = options.jsonpaths;
+  if (options.timeout) headers.timeout = String(Math.ceil(options.timeout / 1000));
+
+  if (format === 'json') {
+    // 每行一个 JSON 对象的文件按行读取，其余 JSON 文件默认视为对象数组
+    if (ext === '.jsonl' || ext === '.ndjson') {
+      headers.read_json_by_line = 'true';
+    } else {
+      headers.strip_outer_array = String(options.stripOuterArray !== false);
+    }
+  }
+
+  return { ...headers, ...(options.headers || {}) };
+}
+
+/**
+ * 发送一次 PUT 请求，遇到 307 时返回重定向地址
+ * @private
+ * @param {string} url - 请求地址
+ * @param {string} filePath - 文件路径
+ * @param {number} size - 文件大小
+ * @param {Object} headers - 请求头
+ * @param {Object} options - { timeout, agentOptions }
+ * @returns {Promise<Object>} { redirect } 或 { statusCode, body }
+ */
+function putOnce(url, filePath, size, headers, options) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    let bodySent = false;
+    let settled = false;
+    let continueTimer = null;
+
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(continueTimer);
+      fn(value);
+    };
+
+    const req = transport.request(target, {
+      method: 'PUT',
+      headers: {
+        ...headers,
+        'Expect': '100-continue',
+        'Content-Length': size
+      },
+      timeout: options.timeout,
+      ...(options.agentOptions || {})
+    });
+
+    const sendBody = () => {
+      if (bodySent) return;
+      bodySent = true;
+      const stream = fs.createReadStream(filePath);
+      stream.on('error', error => {
+        req.destroy(error);
+        finish(reject, error);
+      });
+      stream.pipe(req);
+    };
+
+    continueTimer = setTimeout(sendBody, CONTINUE_TIMEOUT);
+
+    req.on('continue', sendBody);
+
+    req.on('response', res => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        req.destroy();
+        finish(resolve, { redirect: new URL(res.headers.location, target).toString() });
+        return;
+      }
+
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => finish(resolve, { statusCode: res.statusCode, body }));
+      res.on('error', error => finish(reject, error));
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Stream Load 请求超时 (${options.timeout}ms)`));
+    });
+
+    req.on('error', error => finish(reject, error));
+  });
+}
+
+/**
+ * 执行 Stream Load
+ * @param {Object} options - 连接与导入参数
+ * @param {string} options.host - FE 主机
+ * @param {number} options.port - FE HTTP 端口
+ * @param {string} options.user - 用户名
+ * @param {string} options.password - 密码
+ * @param {string} options.database - 目标数据库
+ * @param {string} options.table - 目标表
+ * @param {string} options.filePath - 本地文件路径
+ * @param {boolean} [options.https] - 是否使用 HTTPS
+ * @param {number} [options.requestTimeout] - HTTP 请求超时(毫秒)
+ * @param {Object} [options.agentOptions] - 传给 http(s).request 的额外选项
+ * @param {Object} [options.load] - 导入选项，参见 buildStreamLoadHeaders
+ * @returns {Promise<Object>} { success, label, result, message }
+ */
+async function streamLoad(options) {
+  const { host, port, user, password, database, table, filePath } = options;
+  const stat = await fs.promises.stat(filePath);
+
+  const headers = {
+    'Authorization': `Basic ${Buffer.from(`${user}:${password || ''}`).toString('base64')}`,
+    ...buildStreamLoadHeaders(filePath, options.load)
+  };
+
+  const protocol = options.https ? 'https' : 'http';
+  let url = `${protocol}://${host}:${port}/api/${encodeURIComponent(database)}/${encodeURIComponent(table)}/_stream_load`;
+  let response;
+
+  for (let i = 0; i <= MAX_REDIRECTS; i++) {
+    response = await putOnce(url, filePath, stat.size, headers, {
+      timeout: options.requestTimeout || 600000,
+      agentOptions: options.agentOptions
+    });
+    if (!response.redirect) break;
+    url = response.redirect;
+  }
+
+  if (response.redirect) {
+    throw new Error(`Stream Load 重定向次数过多: ${url}`);
+  }
+  if (response.statusCode === 401) {
+    throw new Error('Stream Load 认证失败，请检查用户名和密码');
+  }
+
+  let result;
+  try {
+    result = JSON.parse(response.body);
+  } catch (error) {
+    throw new Error(`Stream Load 返回了无法解析的响应 (HTTP ${response.statusCode}): ${response.body.slice(0, 200)}`);
+  }
+
+  const success = SUCCESS_STATUSES.includes(result.Status);
+  return {
+    success,
+    label: result.Label,
+    result,
+    message: success
+      ? `导入成功，导入 ${result.NumberLoadedRows} 行，过滤 ${result.NumberFilteredRows} 行`
+      : `导入失败 (${result.Status}): ${result.Message}${result.ErrorURL ? `，错误详情: ${result.ErrorURL}` : ''}`
+  };
+}
+
+module.exports = {
+  resolveImportPath,
+  inferFormat,
+  buildStreamLoadHeaders,
+  streamLoad,
+  SUCCESS_STATUSES
+};
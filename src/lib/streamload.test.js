@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveImportPath, inferFormat } = require('./streamload');
+
+describe('inferFormat', () => {
+  test.each([
+    ['a.csv', 'csv'],
+    ['a.JSON', 'json'],
+    ['a.ndjson', 'json'],
+    ['a.parquet', 'parquet'],
+    ['a.orc', 'orc'],
+    ['a.txt', 'csv']
+  ])('%s -> %s', (file, format) => {
+    expect(inferFormat(file)).toBe(format);
+  });
+});
+
+describe('resolveImportPath', () => {
+  let dir;
+  let outside;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doris-import-'));
+    outside = fs.mkdtempSync(path.join(os.tmpdir(), 'doris-outside-'));
+    fs.mkdirSync(path.join(dir, 'sub'));
+    fs.writeFileSync(path.join(dir, 'sub', 'orders.csv'), '1,a\n');
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+
+  test('相对路径解析为导入目录中的真实路径', async () => {
+    await expect(resolveImportPath('sub/orders.csv', dir))
+      .resolves.toBe(path.join(fs.realpathSync(dir), 'sub', 'orders.csv'));
+    await expect(resolveImportPath('./sub/../sub/orders.csv', dir)).resolves.toMatch(/orders\.csv$/);
+  });
+
+  test('拒绝绝对路径', async () => {
+    await expect(resolveImportPath(path.join(dir, 'sub', 'orders.csv'), dir)).rejects.toThrow(/相对于导入目录/);
+    await expect(resolveImportPath('/etc/passwd', dir)).rejects.toThrow(/相对于导入目录/);
+  });
+
+  test.each(['../secret.txt', 'sub/../../secret.txt', '..', '.'])('拒绝目录之外的路径 %j', async file => {
+    await expect(resolveImportPath(file, dir)).rejects.toThrow(/导入目录 .* 内/);
+  });
+
+  test('拒绝经符号链接指向目录之外的文件', async () => {
+    fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(dir, 'link.txt'));
+    fs.symlinkSync(outside, path.join(dir, 'linkdir'));
+    await expect(resolveImportPath('link.txt', dir)).rejects.toThrow(/导入目录 .* 内/);
+    await expect(resolveImportPath('linkdir/secret.txt', dir)).rejects.toThrow(/导入目录 .* 内/);
+  });
+
+  test('文件不存在、路径为目录或未配置导入目录时拒绝', async () => {
+    await expect(resolveImportPath('missing.csv', dir)).rejects.toThrow(/导入文件不存在/);
+    await expect(resolveImportPath('sub', dir)).rejects.toThrow(/不是文件/);
+    await expect(resolveImportPath('', dir)).rejects.toThrow(/缺少导入文件路径/);
+    await expect(resolveImportPath('sub/orders.csv', undefined)).rejects.toThrow(/import\.inputDir/);
+  });
+});
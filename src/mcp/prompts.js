@@ -0,0 +1,287 @@
+/**
+ * MCP 提示词模板
+ * 为常见的 Doris 分析场景提供提示词，获取时从集群拉取表结构、分区、运行中的查询等实时信息填入提示词
+ */
+const { getSharedCluster } = require('../lib/shared');
+const { StatementType } = require('../utils/sql');
+const { formatDuration } = require('../lib/profile');
+
+// 嵌入提示词的表格最多行数，避免提示词过长
+const MAX_TABLE_ROWS = 50;
+
+/**
+ * 提示词参数错误，对应 JSON-RPC 的参数无效
+ */
+class PromptArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptArgumentError';
+  }
+}
+
+/**
+ * 把行数据渲染为 Markdown 表格
+ * @param {Array<Object>} rows - 行数据
+ * @param {Array<string>} [columns] - 要展示的列，默认取第一行的全部列
+ * @returns {string} Markdown 表格
+ */
+function markdownTable(rows, columns) {
+  if (!rows || rows.length === 0) {
+    return '（无）';
+  }
+  const headers = columns || Object.keys(rows[0]);
+  const cell = value => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+    return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  };
+  const lines = [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.slice(0, MAX_TABLE_ROWS).map(row => `| ${headers.map(header => cell(row[header])).join(' | ')} |`)
+  ];
+  if (rows.length > MAX_TABLE_ROWS) {
+    lines.push(`\n（共 ${rows.length} 行，仅展示前 ${MAX_TABLE_ROWS} 行）`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 获取一段实时信息，失败时返回说明文字而不是让整个提示词失败
+ * @private
+ * @param {Function} fn - 返回文本的异步函数
+ * @returns {Promise<string>}
+ */
+async function section(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    return `（获取失败: ${error.message}）`;
+  }
+}
+
+// 提示词定义：arguments 中的参数均为字符串，render 返回提示词正文
+const PROMPTS = [
+  {
+    name: 'investigate_slow_query',
+    description: '排查慢查询：结合运行中的查询列表与查询 Profile 分析瓶颈并给出优化建议',
+    arguments: [
+      { name: 'query_id', description: '可选: 查询 ID，提供时附带该查询的 Profile', required: false },
+      { name: 'sql', description: '可选: 慢查询的 SQL 文本', required: false },
+      { name: 'database', description: '可选: SQL 所在的数据库', required: false }
+    ],
+    async render(args, { manager, policy }) {
+      if (args.database) {
+        policy.assertOperation(StatementType.READ, args.database, '提示词 investigate_slow_query');
+      }
+
+      const processlist = await section(async () => {
+        const rows = await manager.getRunningQueries();
+        // 运行时间最长的排在前面
+        const sorted = rows.slice().sort((a, b) => Number(b.Time || 0) - Number(a.Time || 0));
+        return markdownTable(sorted);
+      });
+
+      const parts = [
+        '请帮我排查 Apache Doris 上的一个慢查询，找出耗时的主要原因并给出具体的优化建议',
+        '（例如改写 SQL、调整分区分桶、增加索引或物化视图、调整会话变量），并说明每条建议的依据。',
+        ''
+      ];
+      if (args.query_id) {
+        parts.push(`查询 ID: ${args.query_id}`, '');
+      }
+      if (args.sql) {
+        parts.push(`数据库: ${args.database || '（未指定）'}`, '', 'SQL:', '```sql', args.sql, '```', '');
+      }
+      parts.push('当前运行中的查询（SHOW PROCESSLIST，按运行时间降序）:', '', processlist, '');
+
+      if (args.query_id) {
+        const hotspots = await section(async () => {
+          const report = await manager.getQueryProfile(args.query_id);
+          const describe = operator => ({
+            Fragment: operator.fragment,
+            算子: `${operator.name} (id=${operator.id})`,
+            实例数: operator.instances,
+            平均耗时: formatDuration(operator.time.avg),
+            最长耗时: formatDuration(operator.time.max),
+            行数: operator.rows
+          });
+          return [
+            `总耗时: ${formatDuration(report.totalTime) || '未知'}`,
+            '',
+            '耗时最多的算子:',
+            '',
+            markdownTable(report.topOperators.map(describe)),
+            '',
+            '实例间耗时不均衡的算子:',
+            '',
+            markdownTable(report.skewed.map(describe))
+          ].join('\n');
+        });
+        parts.push(`查询 ${args.query_id} 的 Profile 分析:`, '', hotspots, '');
+      } else {
+        parts.push('没有提供查询 ID。如需分析执行细节，请先确认慢查询的 ID 并获取其 Profile。', '');
+      }
+
+      return parts.join('\n');
+    }
+  },
+  {
+    name: 'design_table',
+    description: '根据 CSV 样例设计 Doris 建表语句：选择数据模型、键列、分区、分桶与副本数',
+    arguments: [
+      { name: 'database', description: '目标数据库', required: true },
+      { name: 'csv_sample', description: 'CSV 样例，第一行为列名，后面是若干行数据', required: true },
+      { name: 'table', description: '可选: 表名', required: false }
+    ],
+    async render(args, { client, manager, policy }) {
+      policy.assertOperation(StatementType.READ, args.database, '提示词 design_table');
+
+      const [version, backends, tables] = await Promise.all([
+        section(() => manager.getVersion()),
+        section(async () => {
+          const nodes = await manager.getBeNodes();
+          return `${nodes.length} 个`;
+        }),
+        section(async () => {
+          const names = await client.getTables(args.database);
+          return names.length > 0 ? names.join(', ') : '（无）';
+        })
+      ]);
+
+      return [
+        `请为下面的 CSV 数据设计一张 Apache Doris 表${args.table ? ` ${args.table}` : ''}，目标数据库为 ${args.database}。`,
+        '',
+        '要求:',
+        '1. 根据数据内容推断每列的类型，说明取舍（例如 VARCHAR 长度、DECIMAL 精度、DATE 与 DATETIME）；',
+        '2. 选择合适的数据模型（DUPLICATE / AGGREGATE / UNIQUE KEY）并说明原因；',
+        '3. 如果有时间列，设计分区方式（可考虑 AUTO PARTITION 或动态分区），并选择分桶列与分桶数；',
+        '4. 副本数不要超过 BE 节点数；',
+        '5. 给出完整的 CREATE TABLE 语句，以及使用 Stream Load 导入该 CSV 时需要注意的参数。',
+        '',
+        '集群信息:',
+        `- Doris 版本: ${version}`,
+        `- BE 节点数: ${backends}`,
+        `- 数据库 ${args.database} 中已有的表: ${tables}`,
+        '',
+        'CSV 样例:',
+        '```csv',
+        args.csv_sample,
+        '```'
+      ].join('\n');
+    }
+  },
+  {
+    name: 'explain_partitioning',
+    description: '解读表的分区与分桶设计：分区方式、各分区数据分布、分桶是否合理，并给出调整建议',
+    arguments: [
+      { name: 'database', description: '数据库名称', required: true },
+      { name: 'table', description: '表名称', required: true }
+    ],
+    async render(args, { client, manager, policy }) {
+      policy.assertOperation(StatementType.READ, args.database, '提示词 explain_partitioning');
+      const name = `${args.database}.${args.table}`;
+
+      const [ddl, partitions] = await Promise.all([
+        section(async () => (await client.getTableInfo(args.database, args.table)).ddl),
+        section(async () => {
+          const rows = await manager.getTablePartitions(args.database, args.table);
+          const columns = ['PartitionName', 'Range', 'Buckets', 'ReplicationNum', 'DataSize', 'VisibleVersionTime']
+            .filter(column => rows.length > 0 && column in rows[0]);
+          return markdownTable(rows, columns.length > 0 ? columns : undefined);
+        })
+      ]);
+
+      return [
+        `请解读 Apache Doris 表 ${name} 的分区与分桶设计：`,
+        '',
+        '1. 说明分区方式（RANGE / LIST / 自动分区）、分区列以及各分区覆盖的范围；',
+        '2. 根据各分区的数据量判断是否存在数据倾斜、空分区或过大的分区；',
+        '3. 评估分桶列与分桶数是否合理（单个 tablet 建议在 1GB~10GB 之间）；',
+        '4. 给出具体的调整建议，例如修改动态分区属性、调整分桶数或改用自动分区。',
+        '',
+        '建表语句:',
+        '```sql',
+        ddl,
+        '```',
+        '',
+        '分区列表（SHOW PARTITIONS）:',
+        '',
+        partitions
+      ].join('\n');
+    }
+  }
+];
+
+/**
+ * 提示词注册表，负责提示词的列举与渲染
+ */
+class PromptRegistry {
+  /**
+   * @param {Array<Object>} [definitions] - 提示词定义列表
+   * @param {Function} [getShared] - 返回共享实例 { client, manager, policy } 的异步函数，默认使用默认连接
+   */
+  constructor(definitions = PROMPTS, getShared = () => getSharedCluster()) {
+    this.prompts = new Map(definitions.map(def => [def.name, def]));
+    this.getShared = getShared;
+  }
+
+  /**
+   * 返回 prompts/list 所需的提示词列表
+   * @returns {Array<Object>} 提示词列表
+   */
+  list() {
+    return Array.from(this.prompts.values()).map(({ name, description, arguments: args }) => ({
+      name,
+      description,
+      arguments: args
+    }));
+  }
+
+  /**
+   * 判断提示词是否存在
+   * @param {string} name - 提示词名称
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.prompts.has(name);
+  }
+
+  /**
+   * 渲染提示词
+   * @param {string} name - 提示词名称
+   * @param {Object} args - 提示词参数
+   * @returns {Promise<Object>} prompts/get 的结果 { description, messages }
+   */
+  async get(name, args = {}) {
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      throw new PromptArgumentError(`未知提示词: ${name}`);
+    }
+
+    const missing = prompt.arguments
+      .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new PromptArgumentError(`缺少必填参数: ${missing.join(', ')}`);
+    }
+
+    const text = await prompt.render(args, await this.getShared());
+    return {
+      description: prompt.description,
+      messages: [
+        {
+          role: 'user',
+          content: { type: 'text', text }
+        }
+      ]
+    };
+  }
+}
+
+module.exports = {
+  PromptRegistry,
+  PromptArgumentError,
+  PROMPTS,
+  markdownTable
+};
@@ -0,0 +1,347 @@
+/**
+ * MCP 资源注册表
+ * 把 Doris 的库表目录以 doris://{catalog}/{database}/{table} 资源的形式提供给 LLM 客户端浏览，
+ * 并定期刷新资源列表，发现库表增删时通知客户端
+ */
+const { getSharedCluster } = require('../lib/shared');
+const { StatementType } = require('../utils/sql');
+const { quoteQualified } = require('../utils/quote');
+const { runWithAuditContext } = require('../lib/audit');
+
+const URI_SCHEME = 'doris://';
+// Doris 内置数据源，查询时省略 catalog 前缀以兼容未启用多数据源的版本
+const DEFAULT_CATALOG = 'internal';
+// 不在资源列表中展示的系统库，仍可通过资源模板直接读取
+const SYSTEM_DATABASES = ['information_schema', 'mysql', '__internal_schema'];
+// resources/list 每页返回的资源数
+const PAGE_SIZE = 100;
+const MIME_TYPE = 'application/json';
+
+// 资源模板，供客户端按需构造 URI
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'doris://{catalog}',
+    name: 'catalog',
+    description: '数据源中的数据库列表',
+    mimeType: MIME_TYPE
+  },
+  {
+    uriTemplate: 'doris://{catalog}/{database}',
+    name: 'database',
+    description: '数据库中的表列表及表注释',
+    mimeType: MIME_TYPE
+  },
+  {
+    uriTemplate: 'doris://{catalog}/{database}/{table}',
+    name: 'table',
+    description: '表结构、字段注释与样例数据',
+    mimeType: MIME_TYPE
+  }
+];
+
+/**
+ * 生成资源 URI，各级名称按 URI 规则编码
+ * @param {...string} parts - catalog、database、table
+ * @returns {string} 资源 URI
+ */
+function buildUri(...parts) {
+  return URI_SCHEME + parts.map(encodeURIComponent).join('/');
+}
+
+/**
+ * 解析资源 URI
+ * @param {string} uri - 资源 URI
+ * @returns {Object|null} { catalog, database, table }，不是 doris:// 资源时返回 null
+ */
+function parseUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(URI_SCHEME)) {
+    return null;
+  }
+  const parts = uri.slice(URI_SCHEME.length).replace(/\/$/, '').split('/');
+  if (parts.length > 3 || parts.some(part => part === '')) {
+    return null;
+  }
+  try {
+    const [catalog, database, table] = parts.map(decodeURIComponent);
+    return { catalog, database, table };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 查询时使用的 catalog 参数，内置数据源省略
+ * @private
+ */
+function catalogArg(catalog) {
+  return catalog === DEFAULT_CATALOG ? undefined : catalog;
+}
+
+/**
+ * 资源注册表，负责资源的列举、读取与变更检测
+ */
+class ResourceRegistry {
+  /**
+   * @param {Function} [getShared] - 返回共享实例 { config, client, policy } 的异步函数，默认使用默认连接
+   */
+  constructor(getShared = () => getSharedCluster()) {
+    this.getShared = getShared;
+    // 最近一次加载的资源列表及其指纹
+    this.cache = null;
+    this.loading = null;
+    this.timer = null;
+    // 资源列表变化时的回调
+    this.onListChanged = null;
+  }
+
+  /**
+   * 读取资源配置
+   * @private
+   * @returns {Promise<Object>} { config, client, policy, options }
+   */
+  async _context() {
+    const shared = await this.getShared();
+    const options = (shared.config.mcp && shared.config.mcp.resources) || {};
+    return { ...shared, options };
+  }
+
+  /**
+   * 是否启用资源
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled() {
+    try {
+      const { options } = await this._context();
+      return options.enabled !== false;
+    } catch (error) {
+      // 配置加载失败时照常声明能力，读取时再返回具体错误
+      return true;
+    }
+  }
+
+  /**
+   * 加载完整的资源列表：各数据源下的数据库与表
+   * 受安全策略的数据库白名单约束，不在白名单内的库不会列出
+   * @private
+   * @returns {Promise<Array<Object>>} 资源列表
+   */
+  async _load() {
+    const { client, policy, options } = await this._context();
+    const resources = [];
+
+    for (const catalog of options.catalogs || [DEFAULT_CATALOG]) {
+      const databases = (await client.getDatabases(catalogArg(catalog)))
+        .filter(database => !SYSTEM_DATABASES.includes(database) && policy.isDatabaseAllowed(database));
+
+      for (const database of databases) {
+        const tables = await client.getTables(database, catalogArg(catalog));
+        resources.push({
+          uri: buildUri(catalog, database),
+          name: `${catalog}.${database}`,
+          description: `数据库 ${database}，共 ${tables.length} 张表`,
+          mimeType: MIME_TYPE
+        });
+
+        // 表注释只用于描述，读取失败不影响列表
+        let comments = {};
+        try {
+          comments = await client.getTableComments(database, catalogArg(catalog));
+        } catch (error) {
+          console.error(`获取 ${catalog}.${database} 的表注释失败:`, error.message);
+        }
+
+        tables.forEach(table => {
+          resources.push({
+            uri: buildUri(catalog, database, table),
+            name: `${catalog}.${database}.${table}`,
+            description: comments[table] || `表 ${database}.${table}`,
+            mimeType: MIME_TYPE
+          });
+        });
+      }
+    }
+
+    return resources;
+  }
+
+  /**
+   * 重新加载资源列表，列表与上次不同时触发 onListChanged
+   * 并发调用共用同一次加载
+   * @returns {Promise<Array<Object>>} 资源列表
+   */
+  refresh() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const resources = await this._load();
+          const fingerprint = resources.map(resource => resource.uri).join('\n');
+          const changed = this.cache !== null && this.cache.fingerprint !== fingerprint;
+          this.cache = { resources, fingerprint, loadedAt: Date.now() };
+          if (changed && this.onListChanged) {
+            this.onListChanged();
+          }
+          return resources;
+        } finally {
+          this.loading = null;
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * 返回 resources/list 所需的资源列表，缓存过期时重新加载
+   * @param {string} [cursor] - 上一页返回的 nextCursor
+   * @returns {Promise<Object>} { resources, nextCursor }
+   */
+  async list(cursor) {
+    const { options } = await this._context();
+    const interval = options.refreshInterval !== undefined ? options.refreshInterval : 60000;
+    const resources = this.cache && (interval === 0 || Date.now() - this.cache.loadedAt < interval)
+      ? this.cache.resources
+      : await this.refresh();
+
+    const offset = cursor ? parseInt(cursor, 10) : 0;
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`无效的分页游标: ${cursor}`);
+    }
+    const page = resources.slice(offset, offset + PAGE_SIZE);
+    const result = { resources: page };
+    if (offset + PAGE_SIZE < resources.length) {
+      result.nextCursor = String(offset + PAGE_SIZE);
+    }
+    return result;
+  }
+
+  /**
+   * 返回资源模板列表
+   * @returns {Array<Object>} 资源模板
+   */
+  templates() {
+    return RESOURCE_TEMPLATES;
+  }
+
+  /**
+   * 读取资源
+   * @param {string} uri - 资源 URI
+   * @returns {Promise<Object|null>} { uri, mimeType, data }，URI 无效或数据源不在 catalogs 中时返回 null
+   */
+  async read(uri) {
+    const target = parseUri(uri);
+    if (!target) {
+      return null;
+    }
+
+    const { client, policy, options } = await this._context();
+    const { catalog, database, table } = target;
+    // 只开放配置的数据源，与资源列表一致
+    if (!(options.catalogs || [DEFAULT_CATALOG]).includes(catalog)) {
+      return null;
+    }
+    const catalogName = catalogArg(catalog);
+    let data;
+
+    if (!database) {
+      const databases = (await client.getDatabases(catalogName)).filter(name => policy.isDatabaseAllowed(name));
+      data = {
+        catalog,
+        databases: databases.map(name => ({ name, uri: buildUri(catalog, name) }))
+      };
+    } else {
+      policy.assertOperation(StatementType.READ, database, `资源 ${uri}`);
+
+      if (!table) {
+        const [tables, comments] = await Promise.all([
+          client.getTables(database, catalogName),
+          client.getTableComments(database, catalogName).catch(() => ({}))
+        ]);
+        data = {
+          catalog,
+          database,
+          tables: tables.map(name => ({ name, comment: comments[name] || null, uri: buildUri(catalog, database, name) }))
+        };
+      } else {
+        data = await this._readTable(client, options, catalog, database, table);
+      }
+    }
+
+    return { uri, mimeType: MIME_TYPE, data };
+  }
+
+  /**
+   * 读取表资源：表结构、表与字段注释、样例数据
+   * @private
+   */
+  async _readTable(client, options, catalog, database, table) {
+    const catalogName = catalogArg(catalog);
+    const sampleRows = options.sampleRows !== undefined ? options.sampleRows : 5;
+
+    const [schema, tableComments, columnComments] = await Promise.all([
+      client.getTableSchema(database, table, catalogName),
+      client.getTableComments(database, catalogName).catch(() => ({})),
+      client.getColumnComments(database, table, catalogName).catch(() => ({}))
+    ]);
+
+    let samples = [];
+    if (sampleRows > 0) {
+      const { rows } = await client.query(
+        `SELECT * FROM ${quoteQualified(catalogName, database, table)} LIMIT ${sampleRows}`
+      );
+      samples = rows;
+    }
+
+    return {
+      catalog,
+      database,
+      table,
+      comment: tableComments[table] || null,
+      columns: schema.map(column => ({ ...column, Comment: columnComments[column.Field] || null })),
+      sampleRows: samples
+    };
+  }
+
+  /**
+   * 判断资源列表是否可能已变化并立即刷新，例如执行了 DDL 之后
+   * 刷新时执行的元数据查询不写入审计日志
+   * @returns {Promise<void>}
+   */
+  async invalidate() {
+    if (this.cache === null) return;
+    try {
+      await runWithAuditContext({ record: false }, () => this.refresh());
+    } catch (error) {
+      console.error('刷新资源列表失败:', error.message);
+    }
+  }
+
+  /**
+   * 按 refreshInterval 定期刷新资源列表，以发现其他会话执行的 DDL
+   * @returns {Promise<void>}
+   */
+  async startWatching() {
+    this.stopWatching();
+    const { options } = await this._context();
+    if (!options.refreshInterval) return;
+
+    this.timer = setInterval(() => this.invalidate(), options.refreshInterval);
+    // 不阻止进程退出
+    this.timer.unref();
+  }
+
+  /**
+   * 停止定期刷新
+   */
+  stopWatching() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  ResourceRegistry,
+  RESOURCE_TEMPLATES,
+  buildUri,
+  parseUri
+};
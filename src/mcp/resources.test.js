@@ -0,0 +1,55 @@
+const { ResourceRegistry, buildUri, parseUri } = require('./resources');
+
+/**
+ * 创建使用模拟客户端的资源注册表
+ */
+function createRegistry(resources) {
+  const client = {
+    getDatabases: jest.fn(async () => ['sales', 'secret']),
+    getTables: jest.fn(async () => ['orders']),
+    getTableComments: jest.fn(async () => ({ orders: '订单' }))
+  };
+  const policy = {
+    isDatabaseAllowed: database => database !== 'secret',
+    assertOperation: () => {}
+  };
+  const registry = new ResourceRegistry(async () => ({ config: { mcp: { resources } }, client, policy }));
+  return { registry, client };
+}
+
+describe('URI', () => {
+  test('各级名称编码后可还原', () => {
+    const uri = buildUri('internal', 'my db', 'a/b');
+    expect(uri).toBe('doris://internal/my%20db/a%2Fb');
+    expect(parseUri(uri)).toEqual({ catalog: 'internal', database: 'my db', table: 'a/b' });
+  });
+
+  test.each(['http://x', 'doris://', 'doris://a//b', 'doris://a/b/c/d', 'doris://%E0'])('无效的 URI %j', uri => {
+    expect(parseUri(uri)).toBeNull();
+  });
+});
+
+describe('read', () => {
+  test('读取配置的数据源，过滤白名单之外的库', async () => {
+    const { registry } = createRegistry({ catalogs: ['internal', 'hive'] });
+    const { data } = await registry.read('doris://hive');
+    expect(data.databases.map(database => database.name)).toEqual(['sales']);
+  });
+
+  test.each([
+    [{ catalogs: ['internal'] }, 'doris://hive'],
+    [{ catalogs: ['internal'] }, 'doris://hive/sales/orders'],
+    [{}, 'doris://hive/sales']
+  ])('不在 catalogs %j 中的数据源 %s 按不存在处理', async (resources, uri) => {
+    const { registry, client } = createRegistry(resources);
+    await expect(registry.read(uri)).resolves.toBeNull();
+    expect(client.getDatabases).not.toHaveBeenCalled();
+    expect(client.getTables).not.toHaveBeenCalled();
+  });
+
+  test('未配置 catalogs 时只开放 internal', async () => {
+    const { registry } = createRegistry({});
+    const { data } = await registry.read('doris://internal/sales');
+    expect(data.tables).toEqual([{ name: 'orders', comment: '订单', uri: 'doris://internal/sales/orders' }]);
+  });
+});
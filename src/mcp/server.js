@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+
+/**
+ * MCP 服务器入口
+ * 通过 stdio 以 JSON-RPC 2.0 协议与 LLM 客户端通信（每行一条消息）
+ * stdout 仅用于协议消息，日志一律输出到 stderr
+ */
+const readline = require('readline');
+
+const { ToolRegistry } = require('./tools');
+const { ResourceRegistry } = require('./resources');
+const { PromptRegistry, PromptArgumentError } = require('./prompts');
+const { closeShared } = require('../lib/shared');
+const { runWithAuditContext } = require('../lib/audit');
+const pkg = require('../../package.json');
+
+// 支持的协议版本，第一个为首选版本
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC 标准错误码
+const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // MCP 约定的资源不存在错误码
+  RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * JSON 序列化时处理 BigInt 与 Buffer 等无法直接输出的值
+ * @param {string} key - 键名
+ * @param {*} value - 值
+ * @returns {*} 可序列化的值
+ */
+function jsonReplacer(key, value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return Buffer.from(value.data).toString('utf8');
+  }
+  return value;
+}
+
+class McpServer {
+  /**
+   * 创建 MCP 服务器实例
+   * @param {Object} options - 服务器选项
+   * @param {NodeJS.ReadableStream} options.input - 输入流，默认 process.stdin
+   * @param {NodeJS.WritableStream} options.output - 输出流，默认 process.stdout
+   * @param {ToolRegistry} options.tools - 工具注册表
+   * @param {ResourceRegistry} options.resources - 资源注册表
+   * @param {PromptRegistry} options.prompts - 提示词注册表
+   */
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.tools = options.tools || new ToolRegistry();
+    this.resources = options.resources || new ResourceRegistry();
+    this.prompts = options.prompts || new PromptRegistry();
+    // 资源列表变化时通知已完成初始化的客户端
+    this.resources.onListChanged = () => {
+      if (this.initialized) {
+        this.notify('notifications/resources/list_changed');
+      }
+    };
+    this.resourcesEnabled = false;
+    this.clientInfo = null;
+    this.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS[0];
+    this.initialized = false;
+    // 尚未处理完毕的请求
+    this.pending = new Set();
+    // 进行中的请求 ID 到 AbortController 的映射，用于响应客户端的取消通知
+    this.inflight = new Map();
+
+    // 方法名到处理函数的映射
+    this.handlers = {
+      'initialize': params => this.handleInitialize(params),
+      'ping': () => ({}),
+      'tools/list': async () => ({ tools: await this.tools.list() }),
+      'tools/call': (params, context) => this.handleToolCall(params, context),
+      'resources/list': params => this.withResources(() => this.resources.list(params.cursor)),
+      'resources/templates/list': () => this.withResources(() => ({ resourceTemplates: this.resources.templates() })),
+      'resources/read': params => this.withResources(() => this.handleResourceRead(params)),
+      'prompts/list': () => ({ prompts: this.prompts.list() }),
+      'prompts/get': params => this.handlePromptGet(params)
+    };
+
+    // 通知（无需响应）的处理函数
+    this.notificationHandlers = {
+      'notifications/initialized': async () => {
+        this.initialized = true;
+        if (this.resourcesEnabled) {
+          await this.resources.startWatching();
+        }
+      },
+      'notifications/cancelled': params => {
+        const controller = this.inflight.get(params.requestId);
+        if (controller) {
+          controller.abort(params.reason || '客户端取消了请求');
+        }
+      }
+    };
+  }
+
+  /**
+   * 开始监听输入流
+   * @returns {Promise<void>} 输入流关闭且进行中的请求全部处理完毕时 resolve
+   */
+  start() {
+    const rl = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+
+    rl.on('line', line => {
+      if (line.trim()) {
+        const task = this.handleLine(line).catch(error => this.handleUnexpectedError(line, error));
+        this.pending.add(task);
+        task.finally(() => this.pending.delete(task));
+      }
+    });
+
+    return new Promise(resolve => rl.on('close', resolve))
+      .then(() => Promise.allSettled(Array.from(this.pending)))
+      .then(() => this.resources.stopWatching());
+  }
+
+  /**
+   * 处理请求过程中未被捕获的异常：记录日志并按请求 ID 返回内部错误，避免出现未处理的 rejection
+   * @param {string} line - 原始 JSON 文本
+   * @param {Error} error - 异常
+   */
+  handleUnexpectedError(line, error) {
+    console.error('处理请求失败:', error && error.message);
+    let id = null;
+    try {
+      const message = JSON.parse(line);
+      if (message && !Array.isArray(message) && message.id !== undefined) id = message.id;
+    } catch (parseError) {
+      // 无法解析时以 null 作为请求 ID
+    }
+    try {
+      this.sendError(id, ErrorCodes.INTERNAL_ERROR, `内部错误: ${error && error.message}`);
+    } catch (sendError) {
+      console.error('发送错误响应失败:', sendError.message);
+    }
+  }
+
+  /**
+   * 处理一行输入
+   * @param {string} line - 原始 JSON 文本
+   * @returns {Promise<void>}
+   */
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.sendError(null, ErrorCodes.PARSE_ERROR, `JSON 解析失败: ${error.message}`);
+      return;
+    }
+
+    // 支持批量请求
+    const messages = Array.isArray(message) ? message : [message];
+    await Promise.all(messages.map(msg => this.handleMessage(msg)));
+  }
+
+  /**
+   * 处理单条 JSON-RPC 消息
+   * @param {Object} message - JSON-RPC 消息
+   * @returns {Promise<void>}
+   */
+  async handleMessage(message) {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // 客户端对服务器请求的响应，当前不处理
+      if (message && message.jsonrpc === '2.0' && message.method === undefined) return;
+      this.sendError(message && message.id !== undefined ? message.id : null,
+        ErrorCodes.INVALID_REQUEST, '无效的 JSON-RPC 请求');
+      return;
+    }
+
+    const { id, method, params = {} } = message;
+    const isNotification = id === undefined;
+
+    if (isNotification) {
+      const handler = this.notificationHandlers[method];
+      if (handler) {
+        try {
+          await handler(params);
+        } catch (error) {
+          console.error(`处理通知 ${method} 失败:`, error.message);
+        }
+      }
+      return;
+    }
+
+    const handler = this.handlers[method];
+    if (!handler) {
+      this.sendError(id, ErrorCodes.METHOD_NOT_FOUND, `不支持的方法: ${method}`);
+      return;
+    }
+
+    const controller = new AbortController();
+    this.inflight.set(id, controller);
+    // 审计日志中记录请求来自哪个 MCP 客户端
+    const auditFields = {
+      source: 'mcp',
+      mcpClient: this.clientInfo ? [this.clientInfo.name, this.clientInfo.version].filter(Boolean).join('/') : null,
+      method
+    };
+    try {
+      const result = await runWithAuditContext(auditFields, () => handler(params, { signal: controller.signal }));
+      // 已取消的请求不再响应
+      if (!controller.signal.aborted) {
+        this.send({ jsonrpc: '2.0', id, result });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        // 数据库驱动与安全策略的错误码是字符串，不能作为 JSON-RPC 错误码
+        this.sendError(id, Number.isInteger(error.code) ? error.code : ErrorCodes.INTERNAL_ERROR, error.message);
+      }
+    } finally {
+      this.inflight.delete(id);
+    }
+  }
+
+  /**
+   * 处理 initialize 请求
+   * @param {Object} params - 请求参数
+   * @returns {Promise<Object>} 服务器能力声明
+   */
+  async handleInitialize(params) {
+    this.clientInfo = params.clientInfo || null;
+
+    // 客户端请求的版本受支持时沿用，否则返回服务器首选版本
+    if (SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)) {
+      this.protocolVersion = params.protocolVersion;
+    }
+
+    const capabilities = {
+      tools: { listChanged: false },
+      prompts: { listChanged: false }
+    };
+    this.resourcesEnabled = await this.resources.isEnabled();
+    if (this.resourcesEnabled) {
+      capabilities.resources = { subscribe: false, listChanged: true };
+    }
+
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities,
+      serverInfo: {
+        name: pkg.name,
+        version: pkg.version
+      }
+    };
+  }
+
+  /**
+   * 处理 tools/call 请求
+   * @param {Object} params - 请求参数
+   * @param {string} params.name - 工具名称
+   * @param {Object} params.arguments - 工具参数
+   * @param {Object} [context] - 请求上下文 { signal }
+   * @returns {Promise<Object>} MCP 工具调用结果
+   */
+  async handleToolCall(params, context = {}) {
+    const { name, arguments: args = {} } = params;
+
+    if (!name || !this.tools.has(name)) {
+      const error = new Error(`未知工具: ${name}`);
+      error.code = ErrorCodes.INVALID_PARAMS;
+      throw error;
+    }
+
+    let result;
+    try {
+      result = await runWithAuditContext({ tool: name }, () => this.tools.call(name, args, context));
+      // 执行了 DDL 时立即刷新资源列表，不必等到下一次定期刷新
+      if (this.resourcesEnabled && result && result.success !== false && this.tools.changesSchema(name, args)) {
+        await this.resources.invalidate();
+      }
+    } catch (error) {
+      // 工具内部异常作为工具错误返回给模型，而不是协议错误
+      result = {
+        success: false,
+        error: error.message,
+        message: `工具执行失败: ${error.message}`
+      };
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, jsonReplacer, 2)
+        }
+      ],
+      isError: !result || result.success === false
+    };
+  }
+
+  /**
+   * 在启用资源时执行资源请求，未启用时按不支持的方法处理
+   * @param {Function} fn - 资源请求处理函数
+   * @returns {Promise<Object>} 处理结果
+   */
+  async withResources(fn) {
+    if (!this.resourcesEnabled) {
+      const error = new Error('资源未启用（mcp.resources.enabled = false）');
+      error.code = ErrorCodes.METHOD_NOT_FOUND;
+      throw error;
+    }
+    return fn();
+  }
+
+  /**
+   * 处理 resources/read 请求
+   * @param {Object} params - 请求参数
+   * @param {string} params.uri - 资源 URI
+   * @returns {Promise<Object>} 资源内容
+   */
+  async handleResourceRead(params) {
+    const resource = await this.resources.read(params.uri);
+    if (!resource) {
+      const error = new Error(`资源不存在: ${params.uri}`);
+      error.code = ErrorCodes.RESOURCE_NOT_FOUND;
+      throw error;
+    }
+
+    return {
+      contents: [
+        {
+          uri: resource.uri,
+          mimeType: resource.mimeType,
+          text: JSON.stringify(resource.data, jsonReplacer, 2)
+        }
+      ]
+    };
+  }
+
+  /**
+   * 处理 prompts/get 请求
+   * @param {Object} params - 请求参数
+   * @param {string} params.name - 提示词名称
+   * @param {Object} params.arguments - 提示词参数
+   * @returns {Promise<Object>} 渲染后的提示词
+   */
+  async handlePromptGet(params) {
+    const { name, arguments: args = {} } = params;
+    try {
+      return await this.prompts.get(name, args);
+    } catch (error) {
+      if (error instanceof PromptArgumentError) {
+        error.code = ErrorCodes.INVALID_PARAMS;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 发送通知
+   * @param {string} method - 通知方法名
+   * @param {Object} [params] - 通知参数
+   */
+  notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params) message.params = params;
+    this.send(message);
+  }
+
+  /**
+   * 发送一条 JSON-RPC 消息
+   * @param {Object} message - 消息对象
+   */
+  send(message) {
+    this.output.write(JSON.stringify(message, jsonReplacer) + '\n');
+  }
+
+  /**
+   * 发送错误响应
+   * @param {string|number|null} id - 请求ID
+   * @param {number} code - 错误码
+   * @param {string} message - 错误信息
+   */
+  sendError(id, code, message) {
+    this.send({ jsonrpc: '2.0', id, error: { code, message } });
+  }
+}
+
+/**
+ * 以 stdio 模式启动服务器
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const server = new McpServer();
+
+  // 收到退出信号时等待进行中的工具调用完成，再释放共享连接池
+  const shutdown = async signal => {
+    console.error(`收到 ${signal}，正在关闭 MCP 服务器...`);
+    await closeShared();
+    process.exit(0);
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+  console.error(`${pkg.name} MCP 服务器已启动 (stdio)`);
+  await server.start();
+
+  // 客户端关闭输入流后同样优雅退出
+  await closeShared();
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('MCP 服务器启动失败:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  McpServer,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  ErrorCodes
+};
@@ -0,0 +1,150 @@
+const { PassThrough } = require('stream');
+const { McpServer, ErrorCodes } = require('./server');
+
+/**
+ * 模拟的工具注册表：echo 原样返回参数，fail 抛出异常，wait 一直等到请求被取消
+ */
+function createTools() {
+  const seen = {};
+  return {
+    seen,
+    list: async () => [{ name: 'echo', description: 'echo', inputSchema: { type: 'object' } }],
+    has: name => ['echo', 'fail', 'wait'].includes(name),
+    changesSchema: () => false,
+    call: async (name, args, context) => {
+      if (name === 'fail') throw new Error('工具崩溃');
+      if (name === 'wait') {
+        seen.signal = context.signal;
+        await new Promise(resolve => context.signal.addEventListener('abort', resolve));
+        return { success: false, error: '已取消' };
+      }
+      return { success: true, data: args };
+    }
+  };
+}
+
+/**
+ * 创建服务器，收集输出的 JSON-RPC 消息
+ */
+function createServer() {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const messages = [];
+  output.on('data', chunk => {
+    chunk.toString().split('\n').filter(Boolean).forEach(line => messages.push(JSON.parse(line)));
+  });
+  const tools = createTools();
+  const resources = { isEnabled: async () => false, startWatching: async () => {}, stopWatching: () => {} };
+  const server = new McpServer({ input, output, tools, resources });
+  return { server, input, messages, tools };
+}
+
+describe('JSON-RPC 分发', () => {
+  test('无法解析的 JSON 返回 PARSE_ERROR', async () => {
+    const { server, messages } = createServer();
+    await server.handleLine('{oops');
+    expect(messages).toEqual([{ jsonrpc: '2.0', id: null, error: { code: ErrorCodes.PARSE_ERROR, message: expect.any(String) } }]);
+  });
+
+  test.each([
+    [{ id: 1, method: 'ping' }, 1],
+    [{ jsonrpc: '1.0', id: 2, method: 'ping' }, 2],
+    [{ jsonrpc: '2.0', id: 3, method: 42 }, 3],
+    ['text', null]
+  ])('无效的请求 %j 返回 INVALID_REQUEST', async (message, id) => {
+    const { server, messages } = createServer();
+    await server.handleLine(JSON.stringify(message));
+    expect(messages).toEqual([{ jsonrpc: '2.0', id, error: { code: ErrorCodes.INVALID_REQUEST, message: expect.any(String) } }]);
+  });
+
+  test('客户端发来的响应与未知通知不回复', async () => {
+    const { server, messages } = createServer();
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', id: 9, result: {} }));
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/unknown' }));
+    expect(messages).toEqual([]);
+  });
+
+  test('未知方法返回 METHOD_NOT_FOUND', async () => {
+    const { server, messages } = createServer();
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'nope' }));
+    expect(messages[0].error.code).toBe(ErrorCodes.METHOD_NOT_FOUND);
+  });
+
+  test('资源未启用时资源方法按不支持处理', async () => {
+    const { server, messages } = createServer();
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'resources/list' }));
+    expect(messages[0].error.code).toBe(ErrorCodes.METHOD_NOT_FOUND);
+  });
+
+  test('initialize 沿用受支持的协议版本', async () => {
+    const { server, messages } = createServer();
+    await server.handleLine(JSON.stringify({
+      jsonrpc: '2.0', id: 1, method: 'initialize',
+      params: { protocolVersion: '2024-11-05', clientInfo: { name: 'test', version: '1' } }
+    }));
+    expect(messages[0].result.protocolVersion).toBe('2024-11-05');
+    expect(messages[0].result.capabilities.resources).toBeUndefined();
+  });
+
+  test('tools/call 返回文本内容，工具异常作为工具错误返回', async () => {
+    const { server, messages } = createServer();
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'echo', arguments: { a: 1 } } }));
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'fail' } }));
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'missing' } }));
+
+    expect(messages[0].result.isError).toBe(false);
+    expect(JSON.parse(messages[0].result.content[0].text)).toEqual({ success: true, data: { a: 1 } });
+    expect(messages[1].result.isError).toBe(true);
+    expect(JSON.parse(messages[1].result.content[0].text).error).toBe('工具崩溃');
+    expect(messages[2].error.code).toBe(ErrorCodes.INVALID_PARAMS);
+  });
+
+  test('批量请求逐条响应，响应顺序不固定', async () => {
+    const { server, messages } = createServer();
+    await server.handleLine(JSON.stringify([
+      { jsonrpc: '2.0', id: 1, method: 'ping' },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'nope' }
+    ]));
+    expect(messages.sort((a, b) => a.id - b.id)).toEqual([
+      { jsonrpc: '2.0', id: 1, result: {} },
+      { jsonrpc: '2.0', id: 2, error: { code: ErrorCodes.METHOD_NOT_FOUND, message: expect.any(String) } }
+    ]);
+    expect(server.initialized).toBe(true);
+  });
+});
+
+describe('取消', () => {
+  test('notifications/cancelled 中止对应请求，且不再响应', async () => {
+    const { server, messages, tools } = createServer();
+    const call = server.handleLine(JSON.stringify({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'wait' } }));
+    await new Promise(setImmediate);
+    expect(tools.seen.signal.aborted).toBe(false);
+
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7, reason: '用户取消' } }));
+    await call;
+    expect(tools.seen.signal.aborted).toBe(true);
+    expect(tools.seen.signal.reason).toBe('用户取消');
+    expect(messages).toEqual([]);
+    expect(server.inflight.size).toBe(0);
+  });
+
+  test('取消未知或已完成的请求时忽略', async () => {
+    const { server, messages } = createServer();
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }));
+    await server.handleLine(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 1 } }));
+    expect(messages).toEqual([{ jsonrpc: '2.0', id: 1, result: {} }]);
+  });
+});
+
+describe('start', () => {
+  test('输入流关闭后等待进行中的请求处理完毕', async () => {
+    const { server, input, messages } = createServer();
+    const done = server.start();
+    input.write(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'echo', arguments: {} } }) + '\n');
+    input.write('\n');
+    input.end();
+    await done;
+    expect(messages.map(message => message.id)).toEqual([1]);
+  });
+});
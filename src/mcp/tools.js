@@ -0,0 +1,280 @@
+/**
+ * MCP 工具注册表
+ * 从 mcp.json.example 读取工具声明，转换为 MCP 协议所需的 JSON Schema，
+ * 并负责把 tools/call 分发到 mcp_tools/ 下对应的模块
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { getSharedCluster, getExposedClusters } = require('../lib/shared');
+const { StatementType, splitStatements, classifyStatement } = require('../utils/sql');
+const { bindParams } = require('../utils/quote');
+
+// 包根目录（src/mcp 的上两级）
+const PACKAGE_ROOT = path.resolve(__dirname, '..', '..');
+const TOOL_DEFINITION_FILE = path.join(PACKAGE_ROOT, 'mcp.json.example');
+const TOOL_MODULE_DIR = path.join(PACKAGE_ROOT, 'mcp_tools');
+
+/**
+ * 将单个参数声明转换为 JSON Schema 属性
+ * @param {Object} param - mcp.json.example 中的参数声明
+ * @returns {Object} JSON Schema 属性
+ */
+function toSchemaProperty(param) {
+  const property = {
+    type: param.type || 'string',
+    description: param.description
+  };
+
+  // 透传 JSON Schema 中可直接使用的扩展字段
+  ['items', 'enum', 'default', 'minimum', 'maximum'].forEach(key => {
+    if (param[key] !== undefined) {
+      property[key] = param[key];
+    }
+  });
+
+  return property;
+}
+
+/**
+ * 根据参数列表生成工具的 inputSchema
+ * @param {Array<Object>} parameters - 参数声明列表
+ * @returns {Object} JSON Schema 对象
+ */
+function buildInputSchema(parameters = []) {
+  const schema = {
+    type: 'object',
+    properties: {},
+    required: []
+  };
+
+  parameters.forEach(param => {
+    schema.properties[param.name] = toSchemaProperty(param);
+    // 未显式声明 required: false 的参数均视为必填
+    if (param.required !== false) {
+      schema.required.push(param.name);
+    }
+  });
+
+  if (schema.required.length === 0) {
+    delete schema.required;
+  }
+
+  return schema;
+}
+
+/**
+ * 加载全部工具定义
+ * @param {string} definitionFile - 工具声明文件路径
+ * @returns {Array<Object>} 工具定义列表 { name, description, inputSchema, access, modulePath }
+ */
+function loadToolDefinitions(definitionFile = TOOL_DEFINITION_FILE) {
+  const { tools = [] } = JSON.parse(fs.readFileSync(definitionFile, 'utf8'));
+
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: buildInputSchema(tool.parameters),
+    // 安全策略声明：sql 指明承载 SQL 的参数，params 指明绑定到 SQL 占位符的参数，
+    // type 指明固定的操作类别（sql 参数可选时用于未提供 SQL 的调用），database 指明目标数据库参数
+    // 未声明的工具按集群管理操作处理，默认策略下会被拒绝
+    access: tool.access || { type: StatementType.ADMIN },
+    // 声明中的 path 面向安装后的 node_modules 路径，这里统一解析到本包的 mcp_tools 目录
+    modulePath: path.join(TOOL_MODULE_DIR, path.basename(tool.path || `${tool.name}.js`))
+  }));
+}
+
+/**
+ * 校验调用参数是否满足 inputSchema
+ * @param {Object} schema - 工具的 inputSchema
+ * @param {Object} args - 调用参数
+ * @returns {Array<string>} 错误信息列表，为空表示校验通过
+ */
+function validateArguments(schema, args) {
+  const errors = [];
+
+  (schema.required || []).forEach(name => {
+    if (args[name] === undefined || args[name] === null || args[name] === '') {
+      errors.push(`缺少必填参数: ${name}`);
+    }
+  });
+
+  Object.entries(args).forEach(([name, value]) => {
+    const property = schema.properties[name];
+    if (!property || value === undefined || value === null) return;
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    const expectedType = property.type === 'integer' ? 'number' : property.type;
+    if (expectedType && actualType !== expectedType) {
+      errors.push(`参数 ${name} 类型应为 ${property.type}，实际为 ${actualType}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 按工具的 access 声明执行安全策略检查
+ * @param {SqlPolicy} policy - 安全策略
+ * @param {Object} tool - 工具定义
+ * @param {Object} args - 调用参数
+ * @throws {PolicyError} 策略不允许时抛出
+ */
+function enforcePolicy(policy, tool, args) {
+  const { access } = tool;
+  const database = access.database ? args[access.database] || undefined : undefined;
+
+  // sql 参数可选的工具，未提供 SQL 时按 type 声明的操作类别检查
+  if (access.sql && args[access.sql] !== undefined) {
+    // ?? 占位符可以绑定库名，需按绑定后的 SQL 检查
+    const sql = access.params ? bindParams(args[access.sql], args[access.params]) : args[access.sql];
+    policy.assertStatement(sql, { database });
+  } else {
+    policy.assertOperation(access.type, database, `工具 ${tool.name}`);
+  }
+}
+
+/**
+ * 为工具的 inputSchema 增加可选的 cluster 参数
+ * @param {Object} schema - 工具的 inputSchema
+ * @param {Array<string>} clusters - 开放的集群（profile）列表
+ * @returns {Object} 新的 inputSchema
+ */
+function withClusterParameter(schema, clusters) {
+  if (clusters.length === 0) {
+    return schema;
+  }
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      cluster: {
+        type: 'string',
+        description: '可选: 目标集群，不指定时使用默认连接',
+        enum: clusters
+      }
+    }
+  };
+}
+
+/**
+ * 工具注册表，负责工具的列举与调用
+ */
+class ToolRegistry {
+  /**
+   * @param {Array<Object>} definitions - 工具定义列表
+   * @param {Function} [getPolicy] - 根据调用参数中的 cluster 返回安全策略的异步函数，默认取对应共享客户端的策略
+   * @param {Function} [getClusters] - 返回开放给工具的集群列表的异步函数
+   */
+  constructor(
+    definitions = loadToolDefinitions(),
+    getPolicy = async cluster => (await getSharedCluster(cluster)).policy,
+    getClusters = getExposedClusters
+  ) {
+    this.tools = new Map(definitions.map(def => [def.name, def]));
+    this.getPolicy = getPolicy;
+    this.getClusters = getClusters;
+  }
+
+  /**
+   * 返回 tools/list 所需的工具列表
+   * 配置中开放了集群时，每个工具都会带上可选的 cluster 参数
+   * @returns {Promise<Array<Object>>} 工具列表
+   */
+  async list() {
+    let clusters = [];
+    try {
+      clusters = await this.getClusters();
+    } catch (error) {
+      // 配置加载失败时照常列出工具，调用时再返回具体错误
+      console.error('读取集群配置失败:', error.message);
+    }
+
+    return Array.from(this.tools.values()).map(({ name, description, inputSchema }) => ({
+      name,
+      description,
+      inputSchema: withClusterParameter(inputSchema, clusters)
+    }));
+  }
+
+  /**
+   * 判断工具是否存在
+   * @param {string} name - 工具名称
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * 判断一次工具调用是否可能改变库表结构（执行了 DDL）
+   * @param {string} name - 工具名称
+   * @param {Object} args - 调用参数
+   * @returns {boolean}
+   */
+  changesSchema(name, args = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) return false;
+
+    const { access } = tool;
+    if (!access.sql) {
+      return access.type === StatementType.DDL;
+    }
+    const sql = args[access.sql];
+    return typeof sql === 'string' &&
+      splitStatements(sql).some(statement => classifyStatement(statement).type === StatementType.DDL);
+  }
+
+  /**
+   * 调用工具
+   * @param {string} name - 工具名称
+   * @param {Object} args - 调用参数
+   * @param {Object} [context] - 调用上下文，例如 { signal }，客户端取消请求时 signal 被中止
+   * @returns {Promise<Object>} 工具返回的 {success, data, message} 结构
+   */
+  async call(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`未知工具: ${name}`);
+    }
+
+    const errors = validateArguments(tool.inputSchema, args);
+    if (errors.length > 0) {
+      return {
+        success: false,
+        error: errors.join('; '),
+        message: `参数校验失败: ${errors.join('; ')}`
+      };
+    }
+
+    if (!fs.existsSync(tool.modulePath)) {
+      return {
+        success: false,
+        error: `工具模块不存在: ${tool.modulePath}`,
+        message: `工具 ${name} 尚未实现`
+      };
+    }
+
+    try {
+      // 指定的集群未开放时同样在这里拒绝
+      enforcePolicy(await this.getPolicy(args.cluster), tool, args);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        message: error.message
+      };
+    }
+
+    const handler = require(tool.modulePath);
+    return handler(args, context);
+  }
+}
+
+module.exports = {
+  ToolRegistry,
+  loadToolDefinitions,
+  buildInputSchema,
+  validateArguments,
+  enforcePolicy
+};
@@ -6,16 +6,17 @@ const fs = require('fs').promises;
 const path = require('path');
 const { table } = require('table');
 const chalk = require('chalk');
+const { loadConfig: loadLayeredConfig } = require('../lib/config');
 
 /**
- * 加载配置文件
- * @param {string} configPath - 配置文件路径
+ * 加载配置
+ * 由 src/lib/config.js 按 默认值 < 配置文件 < 环境变量 分层合并并校验
+ * @param {string} [configPath] - 配置文件路径，默认自动查找
  * @returns {Promise<Object>} 配置对象
  */
-async function loadConfig(configPath = path.join(process.cwd(), 'config.json')) {
+async function loadConfig(configPath) {
   try {
-    const configData = await fs.readFile(configPath, 'utf8');
-    return JSON.parse(configData);
+    return await loadLayeredConfig({ configPath });
   } catch (error) {
     console.error('加载配置文件失败:', error.message);
     throw error;
@@ -24,6 +25,7 @@ async function loadConfig(configPath = path.join(process.cwd(), 'config.json'))
 
 /**
  * 格式化表格数据并打印
+ * 对象行按标题作为字段名取值，标题与字段名不同时应先转换为数组行
  * @param {Array} data - 表格数据
  * @param {Array} headers - 表格标题
  * @returns {string} 格式化后的表格
@@ -34,11 +36,11 @@ function formatTable(data, headers) {
   
   // 添加数据行
   data.forEach(row => {
-    // 如果行是对象，按照标题顺序提取值
+    // 如果行是对象，按照标题顺序提取值，标题即字段名
     if (typeof row === 'object' && !Array.isArray(row)) {
       const rowValues = headers.map(header => {
-        const value = row[header] || '';
-        return value;
+        const value = row[header];
+        return value === null || value === undefined ? '' : String(value);
       });
       tableData.push(rowValues);
     } else if (Array.isArray(row)) {
@@ -0,0 +1,133 @@
+/**
+ * SQL 引用与转义
+ * 所有拼接 SQL 的地方都通过这里引用标识符、转义字面量并绑定参数，
+ * 避免名称或取值中的反引号、引号破坏语句结构
+ */
+const mysql = require('mysql2');
+
+const { findPlaceholders, isSafeFragment } = require('./sql');
+
+/**
+ * 引用标识符（库名、表名、列名、分区名、标签等）
+ * 与 mysql.escapeId 不同，点号不会被当作限定名拆分，名称中的反引号按 SQL 规则双写
+ * @param {string} name - 标识符
+ * @returns {string} 形如 `name` 的标识符
+ */
+function quoteIdentifier(name) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error(`无效的标识符: ${JSON.stringify(name)}`);
+  }
+  if (name.includes('\0')) {
+    throw new Error('标识符中不能包含空字符');
+  }
+  return `\`${name.replace(/`/g, '``')}\``;
+}
+
+/**
+ * 引用限定名，忽略为空的部分，例如 quoteQualified('db', 'tbl') => `db`.`tbl`
+ * @param {...string} parts - 各级名称
+ * @returns {string} 限定名
+ */
+function quoteQualified(...parts) {
+  return parts.filter(part => part !== undefined && part !== null && part !== '').map(quoteIdentifier).join('.');
+}
+
+/**
+ * 转义字面量
+ * 字符串加单引号并转义，数字与布尔值原样输出，null 输出 NULL，
+ * 数组展开为逗号分隔的列表，嵌套数组展开为 (a, b), (c, d)
+ * @param {*} value - 取值
+ * @returns {string} SQL 字面量
+ */
+function quoteLiteral(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map(item => (Array.isArray(item) ? `(${item.map(quoteLiteral).join(', ')})` : quoteLiteral(item)))
+      .join(', ');
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    // 普通对象按 JSON 字符串传入，避免被展开为 key = value 列表
+    return mysql.escape(JSON.stringify(value));
+  }
+  return mysql.escape(value === undefined ? null : value);
+}
+
+/**
+ * 转义字符串字面量，非字符串取值先转换为字符串
+ * @param {*} value - 取值
+ * @returns {string} 单引号字符串
+ */
+function quoteString(value) {
+  return mysql.escape(String(value));
+}
+
+/**
+ * 生成 host:port 形式的节点地址字面量，用于 ALTER SYSTEM 等语句
+ * @param {string} host - 主机名或 IP
+ * @param {number|string} port - 端口
+ * @returns {string} 形如 'host:port' 的字符串字面量
+ */
+function quoteAddress(host, port) {
+  if (typeof host !== 'string' || !/^[A-Za-z0-9._\-:[\]]+$/.test(host)) {
+    throw new Error(`无效的主机地址: ${JSON.stringify(host)}`);
+  }
+  const portNumber = Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+    throw new Error(`无效的端口: ${JSON.stringify(port)}`);
+  }
+  return quoteString(`${host}:${portNumber}`);
+}
+
+/**
+ * 校验并返回嵌入语句的 SQL 表达式片段（例如导入、导出的 WHERE 条件）
+ * 表达式无法转义，只能拒绝可能越出所在子句的片段
+ * @param {string} expression - SQL 表达式
+ * @param {string} [label] - 用于错误信息的名称
+ * @returns {string} 用括号包裹的表达式
+ */
+function sqlExpression(expression, label = '表达式') {
+  if (typeof expression !== 'string' || expression.trim() === '' || !isSafeFragment(expression)) {
+    throw new Error(`无效的${label}: 不能为空，且不能包含分号、注释、未闭合的引号或不配对的括号`);
+  }
+  return `(${expression.trim()})`;
+}
+
+/**
+ * 在客户端绑定位置参数：? 替换为转义后的字面量，?? 替换为引用后的标识符
+ * 字符串、反引号标识符和注释中的问号不会被替换
+ * @param {string} sql - 带占位符的 SQL
+ * @param {Array} [params] - 参数列表，未提供或为空时原样返回 SQL
+ * @returns {string} 绑定参数后的 SQL
+ */
+function bindParams(sql, params) {
+  if (!Array.isArray(params) || params.length === 0) {
+    return sql;
+  }
+
+  const placeholders = findPlaceholders(sql);
+  if (placeholders.length !== params.length) {
+    throw new Error(`SQL 中有 ${placeholders.length} 个占位符，但提供了 ${params.length} 个参数`);
+  }
+
+  let result = '';
+  let cursor = 0;
+  placeholders.forEach(({ index, identifier }, i) => {
+    result += sql.slice(cursor, index);
+    result += identifier ? quoteIdentifier(params[i]) : quoteLiteral(params[i]);
+    cursor = index + (identifier ? 2 : 1);
+  });
+  return result + sql.slice(cursor);
+}
+
+module.exports = {
+  quoteIdentifier,
+  quoteQualified,
+  quoteLiteral,
+  quoteString,
+  quoteAddress,
+  sqlExpression,
+  bindParams
+};
@@ -0,0 +1,122 @@
+const {
+  quoteIdentifier,
+  quoteQualified,
+  quoteLiteral,
+  quoteString,
+  quoteAddress,
+  sqlExpression,
+  bindParams
+} = require('./quote');
+
+describe('quoteIdentifier', () => {
+  test.each([
+    ['orders', '`orders`'],
+    ['my.table', '`my.table`'],
+    ['a`b', '`a``b`'],
+    ['`; DROP TABLE t; --', '```; DROP TABLE t; --`'],
+    ['中文表', '`中文表`']
+  ])('%j -> %s', (name, expected) => {
+    expect(quoteIdentifier(name)).toBe(expected);
+  });
+
+  test.each(['', null, undefined, 42, 'a\0b'])('拒绝无效的标识符 %j', name => {
+    expect(() => quoteIdentifier(name)).toThrow();
+  });
+});
+
+describe('quoteQualified', () => {
+  test('忽略为空的部分', () => {
+    expect(quoteQualified('db', 'tbl')).toBe('`db`.`tbl`');
+    expect(quoteQualified(undefined, 'tbl')).toBe('`tbl`');
+    expect(quoteQualified('', null, 'tbl')).toBe('`tbl`');
+  });
+});
+
+describe('quoteLiteral', () => {
+  test.each([
+    ["it's", "'it\\'s'"],
+    ['back\\slash', "'back\\\\slash'"],
+    [42, '42'],
+    [true, 'true'],
+    [null, 'NULL'],
+    [undefined, 'NULL'],
+    [BigInt('9007199254740993'), '9007199254740993'],
+    [[1, 'a'], "1, 'a'"],
+    [[[1, 'a'], [2, 'b']], "(1, 'a'), (2, 'b')"],
+    [{ k: "v'" }, "'{\\\"k\\\":\\\"v\\'\\\"}'"]
+  ])('%p', (value, expected) => {
+    expect(quoteLiteral(value)).toBe(expected);
+  });
+});
+
+describe('quoteString', () => {
+  test('非字符串先转换为字符串', () => {
+    expect(quoteString(42)).toBe("'42'");
+    expect(quoteString("a'b")).toBe("'a\\'b'");
+  });
+});
+
+describe('quoteAddress', () => {
+  test('生成 host:port 字面量', () => {
+    expect(quoteAddress('10.0.0.1', 9050)).toBe("'10.0.0.1:9050'");
+    expect(quoteAddress('[::1]', '9050')).toBe("'[::1]:9050'");
+  });
+
+  test.each([
+    ["host'", 9050],
+    ['host name', 9050],
+    ['host', 0],
+    ['host', 70000],
+    ['host', 'abc']
+  ])('拒绝 %j:%j', (host, port) => {
+    expect(() => quoteAddress(host, port)).toThrow();
+  });
+});
+
+describe('sqlExpression', () => {
+  test('用括号包裹表达式', () => {
+    expect(sqlExpression(" dt = '2024-01-01' ")).toBe("(dt = '2024-01-01')");
+  });
+
+  test.each([
+    '',
+    'a = 1; DROP TABLE t',
+    'a = 1 -- comment',
+    'a = 1 /* x */',
+    "a = 'unterminated",
+    'a = 1) OR (1 = 1'
+  ])('拒绝 %j', expression => {
+    expect(() => sqlExpression(expression, '条件')).toThrow(/无效的条件/);
+  });
+});
+
+describe('bindParams', () => {
+  test('? 绑定字面量，?? 绑定标识符', () => {
+    expect(bindParams('SELECT ?? FROM t WHERE id = ? AND name = ?', ['col', 1, "x'y"]))
+      .toBe("SELECT `col` FROM t WHERE id = 1 AND name = 'x\\'y'");
+  });
+
+  test('字符串、反引号标识符和注释中的问号不替换', () => {
+    const sql = "SELECT '?', `a?`, \"?\" FROM t -- ?\nWHERE id = ? /* ? */";
+    expect(bindParams(sql, [5])).toBe("SELECT '?', `a?`, \"?\" FROM t -- ?\nWHERE id = 5 /* ? */");
+  });
+
+  test('数组展开为 IN 列表', () => {
+    expect(bindParams('SELECT * FROM t WHERE id IN (?)', [[1, 2, 3]])).toBe('SELECT * FROM t WHERE id IN (1, 2, 3)');
+  });
+
+  test('未提供参数时原样返回', () => {
+    expect(bindParams('SELECT ?', undefined)).toBe('SELECT ?');
+    expect(bindParams('SELECT ?', [])).toBe('SELECT ?');
+  });
+
+  test('参数个数与占位符不一致时拒绝', () => {
+    expect(() => bindParams('SELECT ?, ?', [1])).toThrow(/2 个占位符，但提供了 1 个参数/);
+    expect(() => bindParams('SELECT 1', [1])).toThrow(/0 个占位符/);
+  });
+
+  test('注入的取值不会越出字面量', () => {
+    const sql = bindParams('SELECT * FROM t WHERE name = ?', ["' OR '1'='1"]);
+    expect(sql).toBe("SELECT * FROM t WHERE name = '\\' OR \\'1\\'=\\'1'");
+  });
+});
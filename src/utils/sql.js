@@ -0,0 +1,454 @@
+/**
+ * SQL 文本处理工具
+ * 提供注释剥离、多语句拆分以及语句类别识别
+ */
+
+// 语句类别
+const StatementType = {
+  READ: 'read',       // SELECT / SHOW / DESC / EXPLAIN 等只读语句
+  DML: 'dml',         // INSERT / UPDATE / DELETE / LOAD / EXPORT 等数据变更语句
+  DDL: 'ddl',         // CREATE / DROP / ALTER / TRUNCATE 等结构变更语句
+  ADMIN: 'admin',     // ALTER SYSTEM / KILL / GRANT / ADMIN 等集群管理语句
+  SESSION: 'session'  // USE / SET 等仅影响当前会话的语句
+};
+
+// 语句首个关键字到类别的映射
+const KEYWORD_TYPES = {
+  SELECT: StatementType.READ,
+  WITH: StatementType.READ,
+  SHOW: StatementType.READ,
+  DESC: StatementType.READ,
+  DESCRIBE: StatementType.READ,
+  EXPLAIN: StatementType.READ,
+  HELP: StatementType.READ,
+
+  INSERT: StatementType.DML,
+  UPDATE: StatementType.DML,
+  DELETE: StatementType.DML,
+  LOAD: StatementType.DML,
+  EXPORT: StatementType.DML,
+
+  CREATE: StatementType.DDL,
+  DROP: StatementType.DDL,
+  ALTER: StatementType.DDL,
+  TRUNCATE: StatementType.DDL,
+  RENAME: StatementType.DDL,
+  RECOVER: StatementType.DDL,
+  BACKUP: StatementType.DDL,
+  RESTORE: StatementType.DDL,
+  REFRESH: StatementType.DDL,
+
+  KILL: StatementType.ADMIN,
+  GRANT: StatementType.ADMIN,
+  REVOKE: StatementType.ADMIN,
+  ADMIN: StatementType.ADMIN,
+  INSTALL: StatementType.ADMIN,
+  UNINSTALL: StatementType.ADMIN,
+  CANCEL: StatementType.ADMIN,
+  SYNC: StatementType.ADMIN,
+  CLEAN: StatementType.ADMIN,
+  ANALYZE: StatementType.ADMIN,
+
+  USE: StatementType.SESSION,
+  SWITCH: StatementType.SESSION,
+  SET: StatementType.SESSION
+};
+
+/**
+ * 逐字符扫描 SQL，识别字符串、反引号标识符与注释
+ * @private
+ * @param {string} sql - SQL 文本
+ * @param {Function} onChar - 回调 (char, state)，state 为 code/string/comment
+ */
+function scan(sql, onChar) {
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    // 行注释：-- 与 #
+    if ((ch === '-' && next === '-') || ch === '#') {
+      const end = sql.indexOf('\n', i);
+      const stop = end === -1 ? sql.length : end;
+      for (; i < stop; i++) onChar(sql[i], 'comment');
+      continue;
+    }
+
+    // 块注释（/*+ ... */ 为优化器提示，属于语句本身，按代码保留）
+    if (ch === '/' && next === '*' && sql[i + 2] !== '+') {
+      const end = sql.indexOf('*/', i + 2);
+      const stop = end === -1 ? sql.length : end + 2;
+      for (; i < stop; i++) onChar(sql[i], 'comment');
+      continue;
+    }
+
+    // 字符串与反引号标识符，支持反斜杠转义和成对引号转义
+    if (ch === '\'' || ch === '"' || ch === '`') {
+      onChar(ch, 'string');
+      i++;
+      while (i < sql.length) {
+        const c = sql[i];
+        if (c === '\\' && ch !== '`') {
+          onChar(c, 'string');
+          if (i + 1 < sql.length) onChar(sql[i + 1], 'string');
+          i += 2;
+          continue;
+        }
+        onChar(c, 'string');
+        i++;
+        if (c === ch) {
+          if (sql[i] === ch) {
+            onChar(sql[i], 'string');
+            i++;
+            continue;
+          }
+          break;
+        }
+      }
+      continue;
+    }
+
+    onChar(ch, 'code');
+    i++;
+  }
+}
+
+/**
+ * 剥离 SQL 中的注释
+ * @param {string} sql - SQL 文本
+ * @returns {string} 去除注释后的 SQL
+ */
+function stripComments(sql) {
+  let result = '';
+  scan(sql, (ch, state) => {
+    if (state !== 'comment') result += ch;
+  });
+  return result.trim();
+}
+
+/**
+ * 将字符串字面量的内容替换为空格（长度不变），便于在 SQL 结构上做关键字匹配
+ * @param {string} sql - SQL 文本
+ * @returns {string} 处理后的 SQL
+ */
+function maskLiterals(sql) {
+  const chars = [];
+  let runStart = -1;
+
+  // 一段字符串结束时，保留首尾引号，内容替换为空格（反引号标识符保持原样）
+  const closeRun = () => {
+    if (runStart === -1) return;
+    if (chars[runStart] !== '`') {
+      for (let k = runStart + 1; k < chars.length - 1; k++) chars[k] = ' ';
+    }
+    runStart = -1;
+  };
+
+  scan(stripComments(sql), (ch, state) => {
+    if (state === 'string') {
+      if (runStart === -1) runStart = chars.length;
+    } else {
+      closeRun();
+    }
+    chars.push(ch);
+  });
+  closeRun();
+
+  return chars.join('');
+}
+
+/**
+ * 查找 SQL 中的 ? 占位符（忽略字符串、反引号标识符与注释中的问号）
+ * @param {string} sql - SQL 文本
+ * @returns {Array<Object>} 占位符列表 { index, identifier }，identifier 为 true 表示 ?? 标识符占位符
+ */
+function findPlaceholders(sql) {
+  const positions = [];
+  let index = 0;
+  scan(sql, (ch, state) => {
+    if (state === 'code' && ch === '?') positions.push(index);
+    index++;
+  });
+
+  // 相邻的两个问号组成 ?? 标识符占位符
+  const placeholders = [];
+  for (let i = 0; i < positions.length; i++) {
+    const identifier = positions[i + 1] === positions[i] + 1;
+    placeholders.push({ index: positions[i], identifier });
+    if (identifier) i++;
+  }
+  return placeholders;
+}
+
+/**
+ * 判断 SQL 片段能否安全地嵌入到语句中，例如 WHERE 条件
+ * 片段中不能包含注释、语句分隔符、未闭合的字符串或不配对的括号
+ * @param {string} sql - SQL 片段
+ * @returns {boolean}
+ */
+function isSafeFragment(sql) {
+  let depth = 0;
+  let safe = true;
+  let lastState = 'code';
+
+  // 末尾追加换行：字符串未闭合时换行会被当作字符串内容
+  scan(`${sql}\n`, (ch, state) => {
+    lastState = state;
+    if (state === 'comment') {
+      safe = false;
+    } else if (state === 'code') {
+      if (ch === ';') safe = false;
+      if (ch === '(') depth++;
+      if (ch === ')' && --depth < 0) safe = false;
+    }
+  });
+
+  return safe && depth === 0 && lastState === 'code';
+}
+
+/**
+ * 按分号拆分多条语句（忽略字符串与注释中的分号）
+ * @param {string} sql - SQL 文本
+ * @returns {Array<string>} 非空语句列表
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+
+  scan(sql, (ch, state) => {
+    if (state === 'code' && ch === ';') {
+      statements.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  });
+  statements.push(current);
+
+  return statements
+    .map(statement => stripComments(statement))
+    .filter(statement => statement.length > 0);
+}
+
+/**
+ * 从输入缓冲中取出以分号结尾的完整语句，用于交互式终端的多行输入
+ * @param {string} sql - 已输入的 SQL 文本
+ * @returns {Object} { statements, rest }：statements 为完整语句（不含分号），
+ *   rest 为最后一个分号之后尚未结束的部分，只剩空白或注释时为空字符串
+ */
+function takeStatements(sql) {
+  const statements = [];
+  let current = '';
+
+  scan(sql, (ch, state) => {
+    if (state === 'code' && ch === ';') {
+      statements.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  });
+
+  return {
+    statements: statements.map(statement => stripComments(statement)).filter(statement => statement.length > 0),
+    rest: stripComments(current) ? current : ''
+  };
+}
+
+/**
+ * 识别单条语句的类别
+ * @param {string} sql - 单条 SQL 语句
+ * @returns {Object} { type, keyword }，无法识别的语句按 admin 处理
+ */
+function classifyStatement(sql) {
+  const text = maskLiterals(sql).replace(/^[\s(]+/, '');
+  const words = text.split(/[\s(]+/).filter(Boolean).map(word => word.toUpperCase());
+  const keyword = words[0] || '';
+  let type = KEYWORD_TYPES[keyword] || StatementType.ADMIN;
+
+  if (keyword === 'ALTER' && words[1] === 'SYSTEM') {
+    type = StatementType.ADMIN;
+  } else if (keyword === 'SET' && ['GLOBAL', 'PASSWORD', 'PROPERTY', 'LDAP_ADMIN_PASSWORD'].includes(words[1])) {
+    // 影响全局或账号的 SET 语句视为管理操作
+    type = StatementType.ADMIN;
+  } else if (type === StatementType.READ && /\bINTO\s+OUTFILE\b/i.test(text)) {
+    // SELECT ... INTO OUTFILE 会向外部存储写文件
+    type = StatementType.DML;
+  } else if (keyword === 'WITH' && /\b(INSERT|UPDATE|DELETE)\b/i.test(text)) {
+    type = StatementType.DML;
+  }
+
+  return { type, keyword };
+}
+
+// 其后为表引用的关键字（DESC / DESCRIBE 只在语句开头时表示查看表结构）
+const TABLE_KEYWORDS = ['FROM', 'JOIN', 'INTO', 'UPDATE', 'TABLE', 'EXISTS', 'LABEL'];
+// 结束表引用列表的子句关键字
+const CLAUSE_KEYWORDS = [
+  'WHERE', 'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'ON', 'USING', 'UNION', 'EXCEPT', 'INTERSECT', 'MINUS',
+  'SET', 'VALUES', 'SELECT', 'WITH', 'WINDOW', 'QUALIFY', 'AS', 'LATERAL'
+];
+// 表引用列表中不是别名的关键字
+const JOIN_KEYWORDS = [
+  'LEFT', 'RIGHT', 'INNER', 'OUTER', 'CROSS', 'FULL', 'SEMI', 'ANTI', 'NATURAL', 'STRAIGHT_JOIN',
+  'IF', 'NOT', 'OVERWRITE', 'TEMPORARY', 'VIEW', 'MATERIALIZED', 'EXTERNAL', 'PARTITION', 'PARTITIONS', 'TABLET'
+];
+
+/**
+ * 把 SQL 拆分为词：标识符（含反引号标识符）、数字与单个符号，字符串字面量的内容已被替换为空格
+ * @private
+ */
+function tokenize(sql) {
+  return maskLiterals(sql).match(/`(?:[^`]|``)+`|[A-Za-z_][\w$]*|\d[\w.]*|\S/g) || [];
+}
+
+/**
+ * 提取语句中引用的数据库名
+ * 扫描字符串与注释之外的全部 a.b / `a`.`b` 形式的限定名：表引用位置（FROM、JOIN、逗号分隔的表列表、括号内）的
+ * [catalog.]db.table 取其中的 db；其他位置的 x.y 若 x 不是语句中出现的表名或别名，也按数据库处理。
+ * 无法确定时宁可多报，由安全策略拒绝，另识别 USE db、SHOW ... FROM db 与 CREATE / DROP DATABASE db
+ * @param {string} sql - 单条 SQL 语句
+ * @returns {Array<string>} 数据库名列表（去重）
+ */
+function extractDatabases(sql) {
+  const tokens = tokenize(sql);
+  const databases = new Set();
+  // 语句中出现的表名、别名与 CTE 名
+  const locals = new Set();
+  // 非表引用位置的限定名，全部扫描完后再判断
+  const references = [];
+
+  const isIdent = token => token !== undefined && /^(`|[A-Za-z_])/.test(token);
+  const word = token => (isIdent(token) && !token.startsWith('`') ? token.toUpperCase() : null);
+  const unquote = name => (name.startsWith('`') ? name.slice(1, -1).replace(/``/g, '`') : name);
+
+  // 每层括号一个帧：table 表示处于表引用列表中，expect 表示下一个词是表引用
+  const frames = [{ table: false, expect: false }];
+  let expectDatabase = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const frame = frames[frames.length - 1];
+    const keyword = word(token);
+
+    if (token === '(') {
+      const next = word(tokens[i + 1]);
+      const table = frame.table && frame.expect && !['SELECT', 'WITH', 'VALUES'].includes(next);
+      frames.push({ table, expect: table });
+      frame.expect = false;
+      continue;
+    }
+    if (token === ')') {
+      if (frames.length > 1) frames.pop();
+      continue;
+    }
+    if (token === ',') {
+      frame.expect = frame.table;
+      continue;
+    }
+
+    if (keyword && expectDatabase && ['IF', 'NOT', 'EXISTS'].includes(keyword)) continue;
+    if (keyword === 'DATABASE' || keyword === 'SCHEMA') {
+      expectDatabase = true;
+      continue;
+    }
+    if (keyword && (TABLE_KEYWORDS.includes(keyword) || (i === 0 && (keyword === 'DESC' || keyword === 'DESCRIBE')))) {
+      frame.table = true;
+      frame.expect = true;
+      continue;
+    }
+    if (keyword && CLAUSE_KEYWORDS.includes(keyword)) {
+      // WITH cte AS (...) 与 expr AS alias 中的名称
+      if (keyword === 'AS' && isIdent(tokens[i + 1])) locals.add(unquote(tokens[i + 1]));
+      if (keyword !== 'AS' && keyword !== 'LATERAL') frame.table = false;
+      frame.expect = false;
+      continue;
+    }
+    if (!isIdent(token)) {
+      frame.expect = false;
+      continue;
+    }
+
+    // 连续的 a.b.c 组成一个限定名
+    const parts = [unquote(token)];
+    while (tokens[i + 1] === '.' && (isIdent(tokens[i + 2]) || tokens[i + 2] === '*')) {
+      parts.push(unquote(tokens[i + 2]));
+      i += 2;
+    }
+
+    if (expectDatabase) {
+      databases.add(parts[0]);
+      expectDatabase = false;
+    } else if (frame.table && frame.expect) {
+      // [catalog.]db.table
+      if (parts.length >= 2) databases.add(parts[parts.length - 2]);
+      locals.add(parts[parts.length - 1]);
+      frame.expect = false;
+    } else if (parts.length >= 2) {
+      references.push(parts);
+    } else if (frame.table && !JOIN_KEYWORDS.includes(keyword)) {
+      // 表引用之后的别名
+      locals.add(parts[0]);
+    }
+  }
+
+  // 列引用 t.col、db.t.col：限定部分不是表名或别名时按数据库处理
+  references.forEach(parts => {
+    if (!locals.has(parts[0])) databases.add(parts[0]);
+  });
+
+  // USE db / SHOW TABLES FROM db [LIKE ... | WHERE ...] 等直接引用数据库的语句
+  const ident = '(`(?:[^`]|``)+`|[A-Za-z_][\\w$]*)';
+  const direct = new RegExp(
+    `^\\s*(?:USE\\s+|SHOW\\s+[\\w\\s]*?\\b(?:FROM|IN)\\s+)${ident}\\s*(?:\\b(?:LIKE|WHERE|ORDER|LIMIT)\\b[\\s\\S]*)?$`,
+    'i'
+  );
+  const directMatch = maskLiterals(sql).match(direct);
+  if (directMatch) {
+    databases.add(unquote(directMatch[1]));
+  }
+
+  return Array.from(databases);
+}
+
+/**
+ * 判断语句在最外层是否已有 LIMIT 子句（忽略子查询、字符串与注释中的 LIMIT）
+ * @param {string} sql - 单条 SQL 语句
+ * @returns {boolean}
+ */
+function hasTopLevelLimit(sql) {
+  const text = maskLiterals(sql);
+  let depth = 0;
+  let topLevel = '';
+
+  for (const ch of text) {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    else if (depth === 0) topLevel += ch;
+  }
+
+  return /\bLIMIT\s+\d+/i.test(topLevel);
+}
+
+/**
+ * 去掉语句末尾的分号和空白
+ * @param {string} sql - SQL 语句
+ * @returns {string} 处理后的语句
+ */
+function trimStatement(sql) {
+  return sql.trim().replace(/;+\s*$/, '').trim();
+}
+
+module.exports = {
+  StatementType,
+  stripComments,
+  maskLiterals,
+  splitStatements,
+  takeStatements,
+  findPlaceholders,
+  isSafeFragment,
+  classifyStatement,
+  extractDatabases,
+  hasTopLevelLimit,
+  trimStatement
+};
@@ -0,0 +1,91 @@
+const {
+  StatementType,
+  stripComments,
+  splitStatements,
+  classifyStatement,
+  extractDatabases,
+  hasTopLevelLimit
+} = require('./sql');
+
+describe('splitStatements', () => {
+  test('忽略字符串与注释中的分号', () => {
+    expect(splitStatements("SELECT ';' AS a; -- x; y\nSELECT 2; /* ; */")).toEqual(["SELECT ';' AS a", 'SELECT 2']);
+  });
+
+  test('剥离注释但保留优化器提示', () => {
+    expect(stripComments('SELECT /*+ SET_VAR(a=1) */ 1 # tail')).toBe('SELECT /*+ SET_VAR(a=1) */ 1');
+  });
+});
+
+describe('classifyStatement', () => {
+  test.each([
+    ['SELECT * FROM t', StatementType.READ],
+    ['  (SELECT 1)', StatementType.READ],
+    ['SHOW TABLES', StatementType.READ],
+    ['WITH c AS (SELECT 1) SELECT * FROM c', StatementType.READ],
+    ['WITH c AS (SELECT 1) INSERT INTO t SELECT * FROM c', StatementType.DML],
+    ["SELECT * FROM t INTO OUTFILE 's3://b/x'", StatementType.DML],
+    ["SELECT 'INTO OUTFILE' FROM t", StatementType.READ],
+    ['INSERT INTO t VALUES (1)', StatementType.DML],
+    ['DROP TABLE t', StatementType.DDL],
+    ['ALTER TABLE t ADD COLUMN c INT', StatementType.DDL],
+    ['ALTER SYSTEM ADD BACKEND "h:9050"', StatementType.ADMIN],
+    ["SET PASSWORD = PASSWORD('x')", StatementType.ADMIN],
+    ['SET GLOBAL query_timeout = 10', StatementType.ADMIN],
+    ['SET query_timeout = 10', StatementType.SESSION],
+    ['USE db', StatementType.SESSION],
+    ['FOO BAR', StatementType.ADMIN]
+  ])('%s -> %s', (sql, type) => {
+    expect(classifyStatement(sql).type).toBe(type);
+  });
+});
+
+describe('extractDatabases', () => {
+  test.each([
+    ['SELECT * FROM test.t', ['test']],
+    ['SELECT * FROM `test`.`t`', ['test']],
+    ['SELECT * FROM internal.test.t', ['test']],
+    // 逗号连接
+    ['SELECT * FROM test.t, secret.u', ['test', 'secret']],
+    ['SELECT * FROM test.t,secret.u', ['test', 'secret']],
+    ['SELECT * FROM test.t secret, secret.u', ['test', 'secret']],
+    ['SELECT * FROM test.t PARTITION (p1), secret.u', ['test', 'secret']],
+    // 括号中的表
+    ['SELECT * FROM (secret.t)', ['secret']],
+    ['SELECT * FROM a JOIN (secret.b, other.c) ON 1 = 1', ['secret', 'other']],
+    // 子查询
+    ['SELECT * FROM test.t WHERE id IN (SELECT id FROM secret.u)', ['test', 'secret']],
+    ['SELECT * FROM (SELECT * FROM secret.u) s', ['secret']],
+    ['WITH c AS (SELECT * FROM secret.u) SELECT c.id FROM c', ['secret']],
+    ['INSERT INTO test.t (a, b) SELECT a, b FROM secret.u', ['test', 'secret']],
+    // 列引用中的 db.table.col，以及不是表名或别名的限定部分
+    ['SELECT secret.u.c FROM test.t', ['test', 'secret']],
+    ['SELECT secret.fn(1)', ['secret']],
+    // 表名与别名不是数据库
+    ['SELECT t.id, x.name FROM test.t t JOIN test.x AS x ON t.id = x.id', ['test']],
+    ['SELECT t.* FROM test.t t LATERAL VIEW explode(t.arr) tmp AS c', ['test']],
+    ['SELECT ROW_NUMBER() OVER (PARTITION BY t.a ORDER BY t.b DESC) FROM test.t t', ['test']],
+    ['SELECT COUNT(*) FROM t', []],
+    // 字符串与注释中的内容不算
+    ["SELECT 'secret.u' FROM t -- secret.v", []],
+    ['SELECT 1 /* secret.u */', []],
+    // 直接引用数据库的语句
+    ['USE secret', ['secret']],
+    ["SHOW TABLES FROM secret LIKE 'a%'", ['secret']],
+    ["SHOW LOAD FROM secret WHERE LABEL = 'x'", ['secret']],
+    ['DROP DATABASE IF EXISTS secret', ['secret']],
+    ['DESC secret.u', ['secret']]
+  ])('%s', (sql, databases) => {
+    expect(extractDatabases(sql).sort()).toEqual([...databases].sort());
+  });
+});
+
+describe('hasTopLevelLimit', () => {
+  test.each([
+    ['SELECT * FROM t LIMIT 10', true],
+    ['SELECT * FROM (SELECT * FROM t LIMIT 10) s', false],
+    ["SELECT 'LIMIT 10' FROM t", false]
+  ])('%s -> %s', (sql, expected) => {
+    expect(hasTopLevelLimit(sql)).toBe(expected);
+  });
+});